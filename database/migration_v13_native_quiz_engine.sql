@@ -0,0 +1,461 @@
+-- Migration v13: Native in-app quiz engine
+-- Purpose:
+-- 1) Let quizzes hold their own questions instead of linking out to quiz_url.
+-- 2) Keep students away from answer keys (questions are served through RPCs only).
+-- 3) Score native attempts in the database and write the result to quiz_submissions.
+
+BEGIN;
+
+-- ------------------------------
+-- QUIZZES: delivery mode
+-- ------------------------------
+ALTER TABLE public.quizzes
+    ADD COLUMN IF NOT EXISTS quiz_mode TEXT NOT NULL DEFAULT 'external';
+
+ALTER TABLE public.quizzes
+    DROP CONSTRAINT IF EXISTS quizzes_quiz_mode_check;
+
+ALTER TABLE public.quizzes
+    ADD CONSTRAINT quizzes_quiz_mode_check CHECK (quiz_mode IN ('external', 'native'));
+
+ALTER TABLE public.quizzes
+    ALTER COLUMN quiz_url DROP NOT NULL;
+
+ALTER TABLE public.quizzes
+    DROP CONSTRAINT IF EXISTS quizzes_quiz_url_required_check;
+
+ALTER TABLE public.quizzes
+    ADD CONSTRAINT quizzes_quiz_url_required_check
+    CHECK (quiz_mode = 'native' OR NULLIF(TRIM(quiz_url), '') IS NOT NULL);
+
+-- ------------------------------
+-- QUIZ QUESTIONS
+-- ------------------------------
+CREATE TABLE IF NOT EXISTS public.quiz_questions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    quiz_id UUID NOT NULL REFERENCES public.quizzes(id) ON DELETE CASCADE,
+    order_index INTEGER NOT NULL DEFAULT 0,
+    question_type TEXT NOT NULL DEFAULT 'multiple_choice'
+        CHECK (question_type IN ('multiple_choice', 'true_false', 'numeric', 'short_answer')),
+    prompt TEXT NOT NULL,
+    choices JSONB NOT NULL DEFAULT '[]'::jsonb,
+    correct_answer JSONB NOT NULL,
+    tolerance NUMERIC NOT NULL DEFAULT 0 CHECK (tolerance >= 0),
+    points INTEGER NOT NULL DEFAULT 1 CHECK (points > 0),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_quiz_questions_quiz
+    ON public.quiz_questions(quiz_id, order_index);
+
+ALTER TABLE public.quiz_questions ENABLE ROW LEVEL SECURITY;
+
+-- Students have no direct policy: correct_answer must never reach the browser.
+DROP POLICY IF EXISTS teachers_manage_own_quiz_questions ON public.quiz_questions;
+CREATE POLICY teachers_manage_own_quiz_questions
+    ON public.quiz_questions
+    FOR ALL
+    USING (
+        EXISTS (
+            SELECT 1
+            FROM public.quizzes q
+            WHERE q.id = quiz_questions.quiz_id
+              AND q.teacher_id = auth.uid()
+        )
+    )
+    WITH CHECK (
+        EXISTS (
+            SELECT 1
+            FROM public.quizzes q
+            WHERE q.id = quiz_questions.quiz_id
+              AND q.teacher_id = auth.uid()
+        )
+    );
+
+DROP POLICY IF EXISTS admin_manage_quiz_questions ON public.quiz_questions;
+CREATE POLICY admin_manage_quiz_questions
+    ON public.quiz_questions
+    FOR ALL
+    USING (
+        EXISTS (
+            SELECT 1
+            FROM public.users u
+            WHERE u.id = auth.uid()
+              AND u.role = 'admin'
+        )
+    )
+    WITH CHECK (
+        EXISTS (
+            SELECT 1
+            FROM public.users u
+            WHERE u.id = auth.uid()
+              AND u.role = 'admin'
+        )
+    );
+
+DROP TRIGGER IF EXISTS trg_quiz_questions_updated_at ON public.quiz_questions;
+CREATE TRIGGER trg_quiz_questions_updated_at
+    BEFORE UPDATE ON public.quiz_questions
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_updated_at_column();
+
+GRANT ALL ON public.quiz_questions TO authenticated;
+
+-- ------------------------------
+-- QUIZ SUBMISSIONS: graded answers
+-- ------------------------------
+ALTER TABLE public.quiz_submissions
+    ADD COLUMN IF NOT EXISTS answers JSONB,
+    ADD COLUMN IF NOT EXISTS is_auto_graded BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN IF NOT EXISTS graded_at TIMESTAMPTZ;
+
+-- Reads the mode past quizzes RLS, so a quiz the student cannot see (unpublished,
+-- another section) is still recognised as native.
+CREATE OR REPLACE FUNCTION public.is_native_quiz(p_quiz_id uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT EXISTS (
+        SELECT 1
+        FROM public.quizzes q
+        WHERE q.id = p_quiz_id
+          AND q.quiz_mode = 'native'
+    );
+$$;
+
+REVOKE ALL ON FUNCTION public.is_native_quiz(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.is_native_quiz(uuid) TO authenticated;
+
+-- submissions_create_own / submissions_update_own still let students write their own
+-- rows directly (external quizzes). Native attempts are written by submit_native_quiz
+-- only, so a student cannot set their own score, answers or status.
+-- RPCs run as the function owner and are not affected.
+CREATE OR REPLACE FUNCTION public.guard_native_quiz_submission_writes()
+RETURNS trigger
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+    IF current_user NOT IN ('authenticated', 'anon')
+       OR auth.uid() IS DISTINCT FROM NEW.user_id THEN
+        RETURN NEW;
+    END IF;
+
+    IF public.is_native_quiz(NEW.quiz_id)
+       OR (TG_OP = 'UPDATE' AND public.is_native_quiz(OLD.quiz_id)) THEN
+        RAISE EXCEPTION 'In-app quizzes are submitted from the quiz player';
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_quiz_submissions_native_guard ON public.quiz_submissions;
+CREATE TRIGGER trg_quiz_submissions_native_guard
+    BEFORE INSERT OR UPDATE ON public.quiz_submissions
+    FOR EACH ROW
+    EXECUTE FUNCTION public.guard_native_quiz_submission_writes();
+
+-- ------------------------------
+-- HELPERS
+-- ------------------------------
+
+-- Same grade/section rule as students_view_scoped_quizzes (migration v9),
+-- usable from SECURITY DEFINER functions where RLS does not apply.
+-- Internal: callers pass auth.uid(), so it is not granted to clients.
+CREATE OR REPLACE FUNCTION public.student_can_access_quiz(p_quiz_id uuid, p_student_id uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT EXISTS (
+        SELECT 1
+        FROM public.quizzes q
+        JOIN public.users u ON u.id = p_student_id
+        WHERE q.id = p_quiz_id
+          AND q.is_published = true
+          AND u.role = 'student'
+          AND (
+            (
+              q.grade_level_id IS NOT NULL
+              AND u.grade_level_id IS NOT NULL
+              AND q.grade_level_id = u.grade_level_id
+            )
+            OR (
+              q.grade_level_id IS NULL
+              AND NULLIF(TRIM(q.grade_level), '') IS NOT NULL
+              AND (
+                LOWER(REGEXP_REPLACE(NULLIF(TRIM(q.grade_level), ''), '^grade\\s*', '', 'i'))
+                =
+                LOWER(REGEXP_REPLACE(COALESCE(NULLIF(TRIM(u.grade_level_text), ''), NULLIF(TRIM(u.grade_level), '')), '^grade\\s*', '', 'i'))
+              )
+            )
+            OR (
+              q.grade_level_id IS NULL
+              AND NULLIF(TRIM(q.grade_level), '') IS NULL
+            )
+          )
+          AND (
+            (u.section_id IS NOT NULL AND (q.section_id = u.section_id OR q.section_id IS NULL))
+            OR (u.section_id IS NULL AND q.section_id IS NULL)
+          )
+    );
+$$;
+
+REVOKE ALL ON FUNCTION public.student_can_access_quiz(uuid, uuid) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.student_can_access_quiz(uuid, uuid) FROM authenticated;
+
+-- Decide whether one response earns the question's points.
+CREATE OR REPLACE FUNCTION public.is_quiz_response_correct(
+    p_question_type text,
+    p_correct_answer jsonb,
+    p_tolerance numeric,
+    p_response jsonb
+)
+RETURNS boolean
+LANGUAGE plpgsql
+IMMUTABLE
+SET search_path = public
+AS $$
+DECLARE
+    response_text text := NULLIF(TRIM(p_response #>> '{}'), '');
+    response_number numeric;
+BEGIN
+    IF response_text IS NULL THEN
+        RETURN false;
+    END IF;
+
+    IF p_question_type = 'multiple_choice' THEN
+        RETURN response_text = (p_correct_answer #>> '{}');
+    END IF;
+
+    IF p_question_type = 'true_false' THEN
+        RETURN LOWER(response_text) = LOWER(p_correct_answer #>> '{}');
+    END IF;
+
+    IF p_question_type = 'numeric' THEN
+        BEGIN
+            response_number := REPLACE(response_text, ',', '')::numeric;
+        EXCEPTION WHEN others THEN
+            RETURN false;
+        END;
+        RETURN ABS(response_number - (p_correct_answer #>> '{}')::numeric) <= COALESCE(p_tolerance, 0);
+    END IF;
+
+    IF p_question_type = 'short_answer' THEN
+        RETURN EXISTS (
+            SELECT 1
+            FROM jsonb_array_elements_text(
+                CASE WHEN jsonb_typeof(p_correct_answer) = 'array'
+                     THEN p_correct_answer
+                     ELSE jsonb_build_array(p_correct_answer)
+                END
+            ) AS accepted(value)
+            WHERE LOWER(REGEXP_REPLACE(TRIM(accepted.value), '\s+', ' ', 'g'))
+                = LOWER(REGEXP_REPLACE(response_text, '\s+', ' ', 'g'))
+        );
+    END IF;
+
+    RETURN false;
+END;
+$$;
+
+-- ------------------------------
+-- STUDENT RPCs
+-- ------------------------------
+
+-- Returns the quiz and its questions without answer keys.
+CREATE OR REPLACE FUNCTION public.get_native_quiz(p_quiz_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+    quiz_record public.quizzes%ROWTYPE;
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    IF NOT public.student_can_access_quiz(p_quiz_id, requester_id) THEN
+        RAISE EXCEPTION 'Quiz not found or not available to you';
+    END IF;
+
+    SELECT * INTO quiz_record
+    FROM public.quizzes
+    WHERE id = p_quiz_id;
+
+    IF quiz_record.quiz_mode IS DISTINCT FROM 'native' THEN
+        RAISE EXCEPTION 'This quiz is taken outside MathTuro';
+    END IF;
+
+    RETURN jsonb_build_object(
+        'quiz', jsonb_build_object(
+            'id', quiz_record.id,
+            'title', quiz_record.title,
+            'description', quiz_record.description,
+            'total_items', quiz_record.total_items,
+            'passing_score', quiz_record.passing_score,
+            'time_limit_minutes', quiz_record.time_limit_minutes,
+            'quarter', quiz_record.quarter
+        ),
+        'questions', COALESCE((
+            SELECT jsonb_agg(
+                jsonb_build_object(
+                    'id', qq.id,
+                    'order_index', qq.order_index,
+                    'question_type', qq.question_type,
+                    'prompt', qq.prompt,
+                    'choices', qq.choices,
+                    'points', qq.points
+                )
+                ORDER BY qq.order_index, qq.created_at
+            )
+            FROM public.quiz_questions qq
+            WHERE qq.quiz_id = p_quiz_id
+        ), '[]'::jsonb)
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.get_native_quiz(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_native_quiz(uuid) TO authenticated;
+
+-- Scores the answers ({ "<question_id>": response }) and records the submission.
+CREATE OR REPLACE FUNCTION public.submit_native_quiz(p_quiz_id uuid, p_answers jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+    quiz_record public.quizzes%ROWTYPE;
+    question_record public.quiz_questions%ROWTYPE;
+    existing_submission_id uuid;
+    submission_id uuid;
+    response jsonb;
+    is_correct boolean;
+    earned integer := 0;
+    possible integer := 0;
+    graded_items jsonb := '[]'::jsonb;
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    IF NOT public.student_can_access_quiz(p_quiz_id, requester_id) THEN
+        RAISE EXCEPTION 'Quiz not found or not available to you';
+    END IF;
+
+    SELECT * INTO quiz_record
+    FROM public.quizzes
+    WHERE id = p_quiz_id;
+
+    IF quiz_record.quiz_mode IS DISTINCT FROM 'native' THEN
+        RAISE EXCEPTION 'This quiz is taken outside MathTuro';
+    END IF;
+
+    SELECT id INTO existing_submission_id
+    FROM public.quiz_submissions
+    WHERE quiz_id = p_quiz_id
+      AND user_id = requester_id
+    ORDER BY created_at DESC
+    LIMIT 1;
+
+    IF existing_submission_id IS NOT NULL AND EXISTS (
+        SELECT 1 FROM public.quiz_submissions
+        WHERE id = existing_submission_id AND is_auto_graded = true
+    ) THEN
+        RAISE EXCEPTION 'You have already completed this quiz';
+    END IF;
+
+    FOR question_record IN
+        SELECT *
+        FROM public.quiz_questions
+        WHERE quiz_id = p_quiz_id
+        ORDER BY order_index, created_at
+    LOOP
+        response := COALESCE(p_answers, '{}'::jsonb) -> question_record.id::text;
+        is_correct := public.is_quiz_response_correct(
+            question_record.question_type,
+            question_record.correct_answer,
+            question_record.tolerance,
+            response
+        );
+
+        possible := possible + question_record.points;
+        IF is_correct THEN
+            earned := earned + question_record.points;
+        END IF;
+
+        graded_items := graded_items || jsonb_build_array(jsonb_build_object(
+            'question_id', question_record.id,
+            'response', response,
+            'is_correct', is_correct,
+            'points', question_record.points,
+            'points_awarded', CASE WHEN is_correct THEN question_record.points ELSE 0 END
+        ));
+    END LOOP;
+
+    IF possible = 0 THEN
+        RAISE EXCEPTION 'This quiz has no questions yet';
+    END IF;
+
+    IF existing_submission_id IS NOT NULL THEN
+        UPDATE public.quiz_submissions
+        SET student_score = earned,
+            total_items = possible,
+            answers = graded_items,
+            status = 'approved',
+            is_auto_graded = true,
+            graded_at = NOW(),
+            reviewed_at = NOW(),
+            reviewed_by = NULL,
+            teacher_comment = NULL,
+            teacher_feedback = NULL,
+            submitted_at = NOW(),
+            updated_at = NOW()
+        WHERE id = existing_submission_id
+        RETURNING id INTO submission_id;
+    ELSE
+        INSERT INTO public.quiz_submissions (
+            quiz_id, user_id, student_score, total_items, answers,
+            status, is_auto_graded, graded_at, reviewed_at, submitted_at
+        )
+        VALUES (
+            p_quiz_id, requester_id, earned, possible, graded_items,
+            'approved', true, NOW(), NOW(), NOW()
+        )
+        RETURNING id INTO submission_id;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'submission_id', submission_id,
+        'student_score', earned,
+        'total_items', possible,
+        'passing_score', quiz_record.passing_score,
+        'results', (
+            SELECT jsonb_agg(item - 'response')
+            FROM jsonb_array_elements(graded_items) AS item
+        )
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.submit_native_quiz(uuid, jsonb) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.submit_native_quiz(uuid, jsonb) TO authenticated;
+
+-- Ensure PostgREST sees the new RPCs immediately
+NOTIFY pgrst, 'reload schema';
+
+COMMIT;
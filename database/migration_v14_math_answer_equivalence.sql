@@ -0,0 +1,834 @@
+-- Migration v14: Math answer equivalence for free-response questions
+-- Purpose:
+-- 1) Accept equivalent math answers ("2x+4", "4+2x", "2(x+2)"; "0.5" and "1/2").
+-- 2) Add the 'expression' question type and an optional "simplified form required" rule.
+-- 3) Grade numeric and expression questions with the equivalence checker.
+--
+-- The checker mirrors shared/js/mathEquivalence.js (used for lesson practice
+-- questions and answer-key validation). Keep tokenizer rules, sample values and
+-- simplification rules in sync between the two.
+
+BEGIN;
+
+-- ------------------------------
+-- QUIZ QUESTIONS: expression type and strictness
+-- ------------------------------
+ALTER TABLE public.quiz_questions
+    ADD COLUMN IF NOT EXISTS require_simplified BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE public.quiz_questions
+    DROP CONSTRAINT IF EXISTS quiz_questions_question_type_check;
+
+ALTER TABLE public.quiz_questions
+    ADD CONSTRAINT quiz_questions_question_type_check
+    CHECK (question_type IN ('multiple_choice', 'true_false', 'numeric', 'short_answer', 'expression'));
+
+-- ------------------------------
+-- MATH PARSING
+-- ------------------------------
+
+-- Lower-cases the answer, replaces typed symbols and drops a leading "x =".
+CREATE OR REPLACE FUNCTION public.normalize_math_input(p_text text)
+RETURNS text
+LANGUAGE plpgsql
+IMMUTABLE
+SET search_path = public
+AS $$
+DECLARE
+    normalized text := LOWER(COALESCE(p_text, ''));
+BEGIN
+    normalized := TRANSLATE(normalized, '−–—×·∙⋅÷[{]}', '---****/(())');
+    normalized := REPLACE(normalized, 'π', 'pi');
+    normalized := REPLACE(normalized, '√', 'sqrt');
+    normalized := REPLACE(normalized, '²', '^2');
+    normalized := REPLACE(normalized, '³', '^3');
+    normalized := REGEXP_REPLACE(normalized, '^\s+|\s+$', '', 'g');
+    normalized := REGEXP_REPLACE(normalized, '^[a-z]\s*=', '');
+    RETURN REGEXP_REPLACE(normalized, '^\s+|\s+$', '', 'g');
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.is_math_number_token(p_token text)
+RETURNS boolean
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT COALESCE(p_token ~ '^(\d+(\.\d*)?|\.\d+)$', false);
+$$;
+
+CREATE OR REPLACE FUNCTION public.is_math_operand_token(p_token text)
+RETURNS boolean
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT COALESCE(p_token ~ '^(\d+(\.\d*)?|\.\d+|[a-z]|pi)$', false);
+$$;
+
+-- Splits an answer into tokens, adding implicit "*" and marking unary minus as "neg".
+CREATE OR REPLACE FUNCTION public.tokenize_math_expression(p_text text)
+RETURNS text[]
+LANGUAGE plpgsql
+IMMUTABLE
+SET search_path = public
+AS $$
+DECLARE
+    math_functions CONSTANT text[] := ARRAY['sqrt', 'abs', 'sin', 'cos', 'tan', 'log', 'ln'];
+    source_text text := public.normalize_math_input(p_text);
+    raw_tokens text[] := '{}';
+    tokens text[] := '{}';
+    char_index integer := 1;
+    token_index integer := 1;
+    current_char text;
+    matched text;
+    run_index integer;
+    run_rest text;
+    function_name text;
+    token text;
+    previous text;
+BEGIN
+    IF source_text = '' THEN
+        RAISE EXCEPTION 'Answer is empty';
+    END IF;
+
+    WHILE char_index <= LENGTH(source_text) LOOP
+        current_char := SUBSTR(source_text, char_index, 1);
+
+        IF current_char ~ '\s' THEN
+            char_index := char_index + 1;
+        ELSIF current_char ~ '[0-9.]' THEN
+            matched := SUBSTRING(SUBSTR(source_text, char_index) FROM '^(\d+(\.\d*)?|\.\d+)');
+            IF matched IS NULL THEN
+                RAISE EXCEPTION 'Unexpected "%"', current_char;
+            END IF;
+            raw_tokens := raw_tokens || matched;
+            char_index := char_index + LENGTH(matched);
+        ELSIF current_char ~ '[a-z]' THEN
+            matched := SUBSTRING(SUBSTR(source_text, char_index) FROM '^[a-z]+');
+            run_index := 1;
+            WHILE run_index <= LENGTH(matched) LOOP
+                run_rest := SUBSTR(matched, run_index);
+                SELECT fn INTO function_name
+                FROM UNNEST(math_functions || 'pi'::text) WITH ORDINALITY AS f(fn, ord)
+                WHERE run_rest LIKE fn || '%'
+                ORDER BY ord
+                LIMIT 1;
+
+                IF function_name IS NULL THEN
+                    function_name := SUBSTR(run_rest, 1, 1);
+                END IF;
+                raw_tokens := raw_tokens || function_name;
+                run_index := run_index + LENGTH(function_name);
+            END LOOP;
+            char_index := char_index + LENGTH(matched);
+        ELSIF STRPOS('+-*/^()', current_char) > 0 THEN
+            raw_tokens := raw_tokens || current_char;
+            char_index := char_index + 1;
+        ELSE
+            RAISE EXCEPTION 'Unexpected "%"', current_char;
+        END IF;
+    END LOOP;
+
+    WHILE token_index <= CARDINALITY(raw_tokens) LOOP
+        token := raw_tokens[token_index];
+        previous := tokens[CARDINALITY(tokens)];
+
+        IF previous IS NOT NULL
+           AND (public.is_math_operand_token(previous) OR previous = ')')
+           AND (public.is_math_operand_token(token) OR token = ANY(math_functions) OR token = '(') THEN
+            IF public.is_math_number_token(previous) AND public.is_math_number_token(token) THEN
+                RAISE EXCEPTION 'Two numbers in a row';
+            END IF;
+            tokens := tokens || '*'::text;
+        END IF;
+
+        IF token IN ('-', '+')
+           AND (previous IS NULL OR previous IN ('(', '+', '-', '*', '/', 'neg', '^')) THEN
+            IF token = '-' THEN
+                tokens := tokens || 'neg'::text;
+            END IF;
+            token_index := token_index + 1;
+            CONTINUE;
+        END IF;
+
+        -- "sqrt2" or "√x": the function applies to the next number or variable
+        IF token = ANY(math_functions) AND raw_tokens[token_index + 1] IS DISTINCT FROM '(' THEN
+            IF NOT public.is_math_operand_token(raw_tokens[token_index + 1]) THEN
+                RAISE EXCEPTION '% needs a value', token;
+            END IF;
+            tokens := tokens || ARRAY[token, '(', raw_tokens[token_index + 1], ')'];
+            token_index := token_index + 2;
+            CONTINUE;
+        END IF;
+
+        tokens := tokens || token;
+        token_index := token_index + 1;
+    END LOOP;
+
+    RETURN tokens;
+END;
+$$;
+
+-- Converts an answer to reverse Polish notation, raising an exception when it is not valid math.
+CREATE OR REPLACE FUNCTION public.parse_math_expression(p_text text)
+RETURNS text[]
+LANGUAGE plpgsql
+IMMUTABLE
+SET search_path = public
+AS $$
+DECLARE
+    math_functions CONSTANT text[] := ARRAY['sqrt', 'abs', 'sin', 'cos', 'tan', 'log', 'ln'];
+    operator_precedence CONSTANT jsonb := '{"+": 1, "-": 1, "*": 2, "/": 2, "neg": 3, "^": 4}';
+    output_tokens text[] := '{}';
+    operator_stack text[] := '{}';
+    token text;
+    top_operator text;
+    depth integer := 0;
+BEGIN
+    FOREACH token IN ARRAY public.tokenize_math_expression(p_text) LOOP
+        IF public.is_math_operand_token(token) THEN
+            output_tokens := output_tokens || token;
+        ELSIF token = ANY(math_functions) OR token IN ('neg', '(') THEN
+            operator_stack := operator_stack || token;
+        ELSIF token = ')' THEN
+            WHILE CARDINALITY(operator_stack) > 0 AND operator_stack[CARDINALITY(operator_stack)] <> '(' LOOP
+                output_tokens := output_tokens || operator_stack[CARDINALITY(operator_stack)];
+                operator_stack := operator_stack[1:CARDINALITY(operator_stack) - 1];
+            END LOOP;
+            IF CARDINALITY(operator_stack) = 0 THEN
+                RAISE EXCEPTION 'Unbalanced parentheses';
+            END IF;
+            operator_stack := operator_stack[1:CARDINALITY(operator_stack) - 1];
+            IF operator_stack[CARDINALITY(operator_stack)] = ANY(math_functions) THEN
+                output_tokens := output_tokens || operator_stack[CARDINALITY(operator_stack)];
+                operator_stack := operator_stack[1:CARDINALITY(operator_stack) - 1];
+            END IF;
+        ELSE
+            WHILE CARDINALITY(operator_stack) > 0 LOOP
+                top_operator := operator_stack[CARDINALITY(operator_stack)];
+                EXIT WHEN NOT operator_precedence ? top_operator;
+                EXIT WHEN NOT (
+                    (operator_precedence ->> top_operator)::integer > (operator_precedence ->> token)::integer
+                    OR ((operator_precedence ->> top_operator)::integer = (operator_precedence ->> token)::integer
+                        AND token <> '^')
+                );
+                output_tokens := output_tokens || top_operator;
+                operator_stack := operator_stack[1:CARDINALITY(operator_stack) - 1];
+            END LOOP;
+            operator_stack := operator_stack || token;
+        END IF;
+    END LOOP;
+
+    WHILE CARDINALITY(operator_stack) > 0 LOOP
+        top_operator := operator_stack[CARDINALITY(operator_stack)];
+        IF top_operator = '(' THEN
+            RAISE EXCEPTION 'Unbalanced parentheses';
+        END IF;
+        output_tokens := output_tokens || top_operator;
+        operator_stack := operator_stack[1:CARDINALITY(operator_stack) - 1];
+    END LOOP;
+
+    -- Structural check: every operator must have its operands
+    FOREACH token IN ARRAY output_tokens LOOP
+        IF public.is_math_operand_token(token) THEN
+            depth := depth + 1;
+        ELSIF token = 'neg' OR token = ANY(math_functions) THEN
+            IF depth < 1 THEN
+                RAISE EXCEPTION 'Incomplete expression';
+            END IF;
+        ELSE
+            IF depth < 2 THEN
+                RAISE EXCEPTION 'Incomplete expression';
+            END IF;
+            depth := depth - 1;
+        END IF;
+    END LOOP;
+
+    IF depth <> 1 THEN
+        RAISE EXCEPTION 'Incomplete expression';
+    END IF;
+
+    RETURN output_tokens;
+END;
+$$;
+
+-- ------------------------------
+-- MATH EVALUATION
+-- ------------------------------
+
+-- Applies sqrt/abs/sin/cos/tan/log/ln, returning NULL outside the function's domain.
+CREATE OR REPLACE FUNCTION public.apply_math_function(p_name text, p_value double precision)
+RETURNS double precision
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+BEGIN
+    RETURN CASE p_name
+        WHEN 'sqrt' THEN SQRT(p_value)
+        WHEN 'abs' THEN ABS(p_value)
+        WHEN 'sin' THEN SIN(p_value)
+        WHEN 'cos' THEN COS(p_value)
+        WHEN 'tan' THEN TAN(p_value)
+        WHEN 'ln' THEN LN(p_value)
+        WHEN 'log' THEN LOG(p_value)
+    END;
+EXCEPTION WHEN others THEN
+    RETURN NULL;
+END;
+$$;
+
+-- Evaluates an RPN expression for the given variable values.
+-- Returns NULL when the value is undefined (division by zero, sqrt of a negative, ...).
+CREATE OR REPLACE FUNCTION public.evaluate_math_rpn(
+    p_rpn text[],
+    p_variables text[],
+    p_values double precision[]
+)
+RETURNS double precision
+LANGUAGE plpgsql
+IMMUTABLE
+SET search_path = public
+AS $$
+DECLARE
+    value_stack double precision[] := '{}';
+    depth integer := 0;
+    token text;
+    left_value double precision;
+    right_value double precision;
+    result_value double precision;
+BEGIN
+    FOREACH token IN ARRAY p_rpn LOOP
+        IF public.is_math_number_token(token) THEN
+            result_value := token::double precision;
+        ELSIF token = 'pi' THEN
+            result_value := PI();
+        ELSIF token ~ '^[a-z]$' THEN
+            result_value := p_values[ARRAY_POSITION(p_variables, token)];
+        ELSIF token = 'neg' THEN
+            result_value := -value_stack[depth];
+            depth := depth - 1;
+        ELSIF token IN ('sqrt', 'abs', 'sin', 'cos', 'tan', 'log', 'ln') THEN
+            result_value := public.apply_math_function(token, value_stack[depth]);
+            depth := depth - 1;
+        ELSE
+            right_value := value_stack[depth];
+            left_value := value_stack[depth - 1];
+            depth := depth - 2;
+            result_value := CASE token
+                WHEN '+' THEN left_value + right_value
+                WHEN '-' THEN left_value - right_value
+                WHEN '*' THEN left_value * right_value
+                WHEN '/' THEN left_value / right_value
+                WHEN '^' THEN POWER(left_value, right_value)
+            END;
+        END IF;
+
+        IF result_value IS NULL OR result_value IN ('Infinity', '-Infinity', 'NaN') THEN
+            RETURN NULL;
+        END IF;
+
+        depth := depth + 1;
+        value_stack[depth] := result_value;
+    END LOOP;
+
+    RETURN value_stack[depth];
+EXCEPTION WHEN others THEN
+    -- Division by zero, overflow and complex powers are undefined values
+    RETURN NULL;
+END;
+$$;
+
+-- Returns false when an RPN answer still has simplification left to do
+-- (same rules as isSimplifiedMathExpression in shared/js/mathEquivalence.js).
+CREATE OR REPLACE FUNCTION public.is_simplified_math_rpn(p_rpn text[])
+RETURNS boolean
+LANGUAGE plpgsql
+IMMUTABLE
+SET search_path = public
+AS $$
+DECLARE
+    item_kinds text[] := '{}';
+    item_values double precision[] := '{}';
+    item_negated boolean[] := '{}';
+    item_texts text[] := '{}';
+    -- Whole-number factor of a product (3 for "3x*y"), NULL when unknown
+    item_coefficients numeric[] := '{}';
+    depth integer := 0;
+    token text;
+    a_kind text;
+    a_value double precision;
+    a_negated boolean;
+    a_text text;
+    a_coefficient numeric;
+    b_kind text;
+    b_value double precision;
+    b_negated boolean;
+    b_text text;
+    b_coefficient numeric;
+    function_result double precision;
+BEGIN
+    FOREACH token IN ARRAY p_rpn LOOP
+        IF public.is_math_number_token(token) THEN
+            depth := depth + 1;
+            item_kinds[depth] := CASE WHEN STRPOS(token, '.') > 0 THEN 'dec' ELSE 'int' END;
+            item_values[depth] := token::double precision;
+            item_negated[depth] := false;
+            item_texts[depth] := token;
+            item_coefficients[depth] := CASE WHEN STRPOS(token, '.') > 0 THEN NULL ELSE token::numeric END;
+        ELSIF public.is_math_operand_token(token) THEN
+            depth := depth + 1;
+            item_kinds[depth] := 'expr';
+            item_values[depth] := NULL;
+            item_negated[depth] := false;
+            item_texts[depth] := token;
+            item_coefficients[depth] := 1;
+        ELSIF token = 'neg' THEN
+            IF item_negated[depth] THEN
+                RETURN false;
+            END IF;
+            item_values[depth] := -item_values[depth];
+            item_negated[depth] := true;
+            item_texts[depth] := item_texts[depth] || ' neg';
+        ELSIF token IN ('sqrt', 'abs', 'sin', 'cos', 'tan', 'log', 'ln') THEN
+            IF item_kinds[depth] <> 'expr' THEN
+                function_result := public.apply_math_function(token, item_values[depth]);
+                IF function_result IS NOT NULL AND ABS(function_result - ROUND(function_result)) < 1e-9 THEN
+                    RETURN false;
+                END IF;
+            END IF;
+            item_kinds[depth] := 'expr';
+            item_values[depth] := NULL;
+            item_negated[depth] := false;
+            item_texts[depth] := item_texts[depth] || ' ' || token;
+            item_coefficients[depth] := 1;
+        ELSE
+            b_kind := item_kinds[depth];
+            b_value := item_values[depth];
+            b_negated := item_negated[depth];
+            b_text := item_texts[depth];
+            b_coefficient := item_coefficients[depth];
+            depth := depth - 1;
+            a_kind := item_kinds[depth];
+            a_value := item_values[depth];
+            a_negated := item_negated[depth];
+            a_text := item_texts[depth];
+            a_coefficient := item_coefficients[depth];
+
+            IF token = '/' AND a_kind = 'int' AND b_kind = 'int' THEN
+                IF b_negated OR ABS(b_value) <= 1
+                   OR GCD(ABS(a_value)::numeric, ABS(b_value)::numeric) > 1 THEN
+                    RETURN false;
+                END IF;
+                item_kinds[depth] := 'frac';
+                item_values[depth] := a_value / b_value;
+                item_negated[depth] := false;
+                item_texts[depth] := a_text || ' ' || b_text || ' /';
+                item_coefficients[depth] := NULL;
+                CONTINUE;
+            END IF;
+
+            IF a_kind <> 'expr' AND b_kind <> 'expr' THEN
+                RETURN false;
+            END IF;
+
+            IF token = '*' AND (
+                (a_kind = 'int' AND NOT a_negated AND a_value IN (0, 1))
+                OR (b_kind = 'int' AND NOT b_negated AND b_value IN (0, 1))
+            ) THEN
+                RETURN false;
+            END IF;
+
+            IF token = '/' AND b_kind = 'int' AND NOT b_negated AND b_value = 1 THEN
+                RETURN false;
+            END IF;
+
+            IF token = '/' AND (
+                (a_kind = 'expr' AND b_kind = 'int' AND GCD(a_coefficient, ABS(b_value)::numeric) > 1)
+                OR (b_kind = 'expr' AND a_kind = 'int' AND GCD(b_coefficient, ABS(a_value)::numeric) > 1)
+            ) THEN
+                RETURN false;
+            END IF;
+
+            IF token = '+' AND (
+                (a_kind = 'int' AND NOT a_negated AND a_value = 0)
+                OR (b_kind = 'int' AND NOT b_negated AND b_value = 0)
+            ) THEN
+                RETURN false;
+            END IF;
+
+            IF token = '-' AND b_kind = 'int' AND NOT b_negated AND b_value = 0 THEN
+                RETURN false;
+            END IF;
+
+            IF token = '^' AND b_kind = 'int' AND NOT b_negated AND b_value IN (0, 1) THEN
+                RETURN false;
+            END IF;
+
+            IF token IN ('+', '-') AND a_text = b_text THEN
+                RETURN false;
+            END IF;
+
+            item_kinds[depth] := 'expr';
+            item_values[depth] := NULL;
+            item_negated[depth] := false;
+            item_texts[depth] := a_text || ' ' || b_text || ' ' || token;
+            item_coefficients[depth] := CASE WHEN token = '*' THEN a_coefficient * b_coefficient END;
+        END IF;
+    END LOOP;
+
+    RETURN true;
+END;
+$$;
+
+-- ------------------------------
+-- ANSWER CHECKING
+-- ------------------------------
+
+-- Compares a student's answer with the expected answer.
+-- Returns 'correct', 'invalid', 'not_equivalent' or 'not_simplified'.
+CREATE OR REPLACE FUNCTION public.check_math_answer(
+    p_expected text,
+    p_given text,
+    p_tolerance numeric DEFAULT 0,
+    p_require_simplified boolean DEFAULT false
+)
+RETURNS text
+LANGUAGE plpgsql
+IMMUTABLE
+SET search_path = public
+AS $$
+DECLARE
+    sample_values CONSTANT double precision[] := ARRAY[0.7, 1.3, 2.9, -1.1, 3.7, -2.3, 0.45];
+    tolerance double precision := COALESCE(p_tolerance, 0);
+    expected_rpn text[];
+    given_rpn text[];
+    variables text[];
+    sample_point double precision[];
+    sample_count integer;
+    required_samples integer;
+    valid_samples integer := 0;
+    expected_value double precision;
+    given_value double precision;
+BEGIN
+    BEGIN
+        expected_rpn := public.parse_math_expression(p_expected);
+    EXCEPTION WHEN others THEN
+        RAISE WARNING 'Invalid expected math answer: %', p_expected;
+        RETURN 'invalid';
+    END;
+
+    BEGIN
+        given_rpn := public.parse_math_expression(p_given);
+    EXCEPTION WHEN others THEN
+        RETURN 'invalid';
+    END;
+
+    SELECT COALESCE(ARRAY_AGG(DISTINCT token ORDER BY token), '{}')
+    INTO variables
+    FROM UNNEST(expected_rpn || given_rpn) AS t(token)
+    WHERE token ~ '^[a-z]$';
+
+    sample_count := CASE WHEN CARDINALITY(variables) = 0 THEN 1 ELSE CARDINALITY(sample_values) END;
+    required_samples := CASE WHEN CARDINALITY(variables) = 0 THEN 1 ELSE 3 END;
+
+    FOR sample_index IN 0 .. sample_count - 1 LOOP
+        -- Variable i at sample j uses sample_values[(j + i * 3) % 7] + i * 0.17
+        sample_point := ARRAY(
+            SELECT sample_values[((sample_index + variable_index * 3) % CARDINALITY(sample_values)) + 1]
+                   + variable_index * 0.17::double precision
+            FROM GENERATE_SERIES(0, CARDINALITY(variables) - 1) AS variable_index
+            ORDER BY variable_index
+        );
+
+        expected_value := public.evaluate_math_rpn(expected_rpn, variables, sample_point);
+        given_value := public.evaluate_math_rpn(given_rpn, variables, sample_point);
+
+        -- Skip points where either side is undefined (e.g. division by zero)
+        CONTINUE WHEN expected_value IS NULL OR given_value IS NULL;
+
+        IF ABS(expected_value - given_value)
+           > tolerance + 1e-9 * GREATEST(1, ABS(expected_value), ABS(given_value)) THEN
+            RETURN 'not_equivalent';
+        END IF;
+        valid_samples := valid_samples + 1;
+    END LOOP;
+
+    IF valid_samples < required_samples THEN
+        RETURN 'not_equivalent';
+    END IF;
+
+    IF p_require_simplified AND NOT public.is_simplified_math_rpn(given_rpn) THEN
+        RETURN 'not_simplified';
+    END IF;
+
+    RETURN 'correct';
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.check_math_answer(text, text, numeric, boolean) TO authenticated;
+
+-- ------------------------------
+-- QUIZ GRADING
+-- ------------------------------
+
+-- Decide whether one response earns the question's points.
+DROP FUNCTION IF EXISTS public.is_quiz_response_correct(text, jsonb, numeric, jsonb);
+
+CREATE OR REPLACE FUNCTION public.is_quiz_response_correct(
+    p_question_type text,
+    p_correct_answer jsonb,
+    p_tolerance numeric,
+    p_response jsonb,
+    p_require_simplified boolean DEFAULT false
+)
+RETURNS boolean
+LANGUAGE plpgsql
+IMMUTABLE
+SET search_path = public
+AS $$
+DECLARE
+    response_text text := NULLIF(TRIM(p_response #>> '{}'), '');
+BEGIN
+    IF response_text IS NULL THEN
+        RETURN false;
+    END IF;
+
+    IF p_question_type = 'multiple_choice' THEN
+        RETURN response_text = (p_correct_answer #>> '{}');
+    END IF;
+
+    IF p_question_type = 'true_false' THEN
+        RETURN LOWER(response_text) = LOWER(p_correct_answer #>> '{}');
+    END IF;
+
+    -- Numeric answers may be typed as fractions or expressions ("1/2" for 0.5)
+    IF p_question_type = 'numeric' THEN
+        RETURN public.check_math_answer(
+            p_correct_answer #>> '{}',
+            REPLACE(response_text, ',', ''),
+            p_tolerance,
+            p_require_simplified
+        ) = 'correct';
+    END IF;
+
+    IF p_question_type = 'expression' THEN
+        RETURN public.check_math_answer(
+            p_correct_answer #>> '{}',
+            response_text,
+            p_tolerance,
+            p_require_simplified
+        ) = 'correct';
+    END IF;
+
+    IF p_question_type = 'short_answer' THEN
+        RETURN EXISTS (
+            SELECT 1
+            FROM jsonb_array_elements_text(
+                CASE WHEN jsonb_typeof(p_correct_answer) = 'array'
+                     THEN p_correct_answer
+                     ELSE jsonb_build_array(p_correct_answer)
+                END
+            ) AS accepted(value)
+            WHERE LOWER(REGEXP_REPLACE(TRIM(accepted.value), '\s+', ' ', 'g'))
+                = LOWER(REGEXP_REPLACE(response_text, '\s+', ' ', 'g'))
+        );
+    END IF;
+
+    RETURN false;
+END;
+$$;
+
+-- ------------------------------
+-- STUDENT RPCs
+-- ------------------------------
+
+-- Returns the quiz and its questions without answer keys.
+CREATE OR REPLACE FUNCTION public.get_native_quiz(p_quiz_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+    quiz_record public.quizzes%ROWTYPE;
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    IF NOT public.student_can_access_quiz(p_quiz_id, requester_id) THEN
+        RAISE EXCEPTION 'Quiz not found or not available to you';
+    END IF;
+
+    SELECT * INTO quiz_record
+    FROM public.quizzes
+    WHERE id = p_quiz_id;
+
+    IF quiz_record.quiz_mode IS DISTINCT FROM 'native' THEN
+        RAISE EXCEPTION 'This quiz is taken outside MathTuro';
+    END IF;
+
+    RETURN jsonb_build_object(
+        'quiz', jsonb_build_object(
+            'id', quiz_record.id,
+            'title', quiz_record.title,
+            'description', quiz_record.description,
+            'total_items', quiz_record.total_items,
+            'passing_score', quiz_record.passing_score,
+            'time_limit_minutes', quiz_record.time_limit_minutes,
+            'quarter', quiz_record.quarter
+        ),
+        'questions', COALESCE((
+            SELECT jsonb_agg(
+                jsonb_build_object(
+                    'id', qq.id,
+                    'order_index', qq.order_index,
+                    'question_type', qq.question_type,
+                    'prompt', qq.prompt,
+                    'choices', qq.choices,
+                    'points', qq.points,
+                    'require_simplified', qq.require_simplified
+                )
+                ORDER BY qq.order_index, qq.created_at
+            )
+            FROM public.quiz_questions qq
+            WHERE qq.quiz_id = p_quiz_id
+        ), '[]'::jsonb)
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.get_native_quiz(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_native_quiz(uuid) TO authenticated;
+
+-- Scores the answers ({ "<question_id>": response }) and records the submission.
+CREATE OR REPLACE FUNCTION public.submit_native_quiz(p_quiz_id uuid, p_answers jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+    quiz_record public.quizzes%ROWTYPE;
+    question_record public.quiz_questions%ROWTYPE;
+    existing_submission_id uuid;
+    submission_id uuid;
+    response jsonb;
+    is_correct boolean;
+    earned integer := 0;
+    possible integer := 0;
+    graded_items jsonb := '[]'::jsonb;
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    IF NOT public.student_can_access_quiz(p_quiz_id, requester_id) THEN
+        RAISE EXCEPTION 'Quiz not found or not available to you';
+    END IF;
+
+    SELECT * INTO quiz_record
+    FROM public.quizzes
+    WHERE id = p_quiz_id;
+
+    IF quiz_record.quiz_mode IS DISTINCT FROM 'native' THEN
+        RAISE EXCEPTION 'This quiz is taken outside MathTuro';
+    END IF;
+
+    SELECT id INTO existing_submission_id
+    FROM public.quiz_submissions
+    WHERE quiz_id = p_quiz_id
+      AND user_id = requester_id
+    ORDER BY created_at DESC
+    LIMIT 1;
+
+    IF existing_submission_id IS NOT NULL AND EXISTS (
+        SELECT 1 FROM public.quiz_submissions
+        WHERE id = existing_submission_id AND is_auto_graded = true
+    ) THEN
+        RAISE EXCEPTION 'You have already completed this quiz';
+    END IF;
+
+    FOR question_record IN
+        SELECT *
+        FROM public.quiz_questions
+        WHERE quiz_id = p_quiz_id
+        ORDER BY order_index, created_at
+    LOOP
+        response := COALESCE(p_answers, '{}'::jsonb) -> question_record.id::text;
+        is_correct := public.is_quiz_response_correct(
+            question_record.question_type,
+            question_record.correct_answer,
+            question_record.tolerance,
+            response,
+            question_record.require_simplified
+        );
+
+        possible := possible + question_record.points;
+        IF is_correct THEN
+            earned := earned + question_record.points;
+        END IF;
+
+        graded_items := graded_items || jsonb_build_array(jsonb_build_object(
+            'question_id', question_record.id,
+            'response', response,
+            'is_correct', is_correct,
+            'points', question_record.points,
+            'points_awarded', CASE WHEN is_correct THEN question_record.points ELSE 0 END
+        ));
+    END LOOP;
+
+    IF possible = 0 THEN
+        RAISE EXCEPTION 'This quiz has no questions yet';
+    END IF;
+
+    IF existing_submission_id IS NOT NULL THEN
+        UPDATE public.quiz_submissions
+        SET student_score = earned,
+            total_items = possible,
+            answers = graded_items,
+            status = 'approved',
+            is_auto_graded = true,
+            graded_at = NOW(),
+            reviewed_at = NOW(),
+            reviewed_by = NULL,
+            teacher_comment = NULL,
+            teacher_feedback = NULL,
+            submitted_at = NOW(),
+            updated_at = NOW()
+        WHERE id = existing_submission_id
+        RETURNING id INTO submission_id;
+    ELSE
+        INSERT INTO public.quiz_submissions (
+            quiz_id, user_id, student_score, total_items, answers,
+            status, is_auto_graded, graded_at, reviewed_at, submitted_at
+        )
+        VALUES (
+            p_quiz_id, requester_id, earned, possible, graded_items,
+            'approved', true, NOW(), NOW(), NOW()
+        )
+        RETURNING id INTO submission_id;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'submission_id', submission_id,
+        'student_score', earned,
+        'total_items', possible,
+        'passing_score', quiz_record.passing_score,
+        'results', (
+            SELECT jsonb_agg(item - 'response')
+            FROM jsonb_array_elements(graded_items) AS item
+        )
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.submit_native_quiz(uuid, jsonb) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.submit_native_quiz(uuid, jsonb) TO authenticated;
+
+-- Ensure PostgREST sees the new RPCs immediately
+NOTIFY pgrst, 'reload schema';
+
+COMMIT;
@@ -0,0 +1,488 @@
+-- Migration v15: Parameterized (algorithmic) quiz questions
+-- Purpose:
+-- 1) Let a question use variables ("Solve {a}x + {b} = {c}") with ranges or formulas.
+-- 2) Give each student their own numbers, generated from a seed.
+-- 3) Store the seed on quiz_submissions so teachers can reproduce what the student saw.
+
+BEGIN;
+
+-- ------------------------------
+-- QUIZ QUESTIONS: variables
+-- ------------------------------
+-- parameters: [{ "name": "a", "min": 1, "max": 9, "step": 1, "exclude_zero": false }
+--              | { "name": "c", "formula": "{a} * {x} + {b}" }]
+ALTER TABLE public.quiz_questions
+    ADD COLUMN IF NOT EXISTS parameters JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE public.quiz_questions
+    DROP CONSTRAINT IF EXISTS quiz_questions_parameters_check;
+
+ALTER TABLE public.quiz_questions
+    ADD CONSTRAINT quiz_questions_parameters_check CHECK (jsonb_typeof(parameters) = 'array');
+
+-- ------------------------------
+-- QUIZ SUBMISSIONS: attempt seed
+-- ------------------------------
+ALTER TABLE public.quiz_submissions
+    ADD COLUMN IF NOT EXISTS variant_seed BIGINT;
+
+-- ------------------------------
+-- VARIANT HELPERS
+-- ------------------------------
+
+-- Seed of a student's attempt. Stable, so reloading the quiz shows the same numbers.
+CREATE OR REPLACE FUNCTION public.get_quiz_variant_seed(p_quiz_id uuid, p_student_id uuid)
+RETURNS bigint
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT ('x' || SUBSTR(MD5(p_quiz_id::text || ':' || p_student_id::text), 1, 8))::bit(32)::bigint;
+$$;
+
+-- Replaces {name} placeholders with values. Formulas pass p_parenthesize so
+-- negative values keep their sign ("{a}x" with a = -2 becomes "(-2)x").
+CREATE OR REPLACE FUNCTION public.substitute_quiz_parameters(
+    p_text text,
+    p_values jsonb,
+    p_parenthesize boolean DEFAULT false
+)
+RETURNS text
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    substituted text := p_text;
+    parameter_name text;
+    parameter_value text;
+BEGIN
+    IF p_text IS NULL OR p_values IS NULL THEN
+        RETURN p_text;
+    END IF;
+
+    FOR parameter_name, parameter_value IN
+        SELECT key, value #>> '{}' FROM jsonb_each(p_values)
+    LOOP
+        substituted := REPLACE(
+            substituted,
+            '{' || parameter_name || '}',
+            CASE WHEN p_parenthesize THEN '(' || parameter_value || ')' ELSE parameter_value END
+        );
+    END LOOP;
+
+    RETURN substituted;
+END;
+$$;
+
+-- Picks a value for every variable of a question. Range variables are drawn from
+-- the seed; formula variables are calculated from the variables listed before them.
+CREATE OR REPLACE FUNCTION public.get_quiz_parameter_values(
+    p_parameters jsonb,
+    p_seed bigint,
+    p_question_id uuid
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+IMMUTABLE
+SET search_path = public
+AS $$
+DECLARE
+    parameter jsonb;
+    parameter_name text;
+    min_value numeric;
+    max_value numeric;
+    step_value numeric;
+    choice_count bigint;
+    choice_index bigint;
+    zero_index numeric;
+    formula_value double precision;
+    parameter_values jsonb := '{}'::jsonb;
+BEGIN
+    FOR parameter IN
+        SELECT value FROM jsonb_array_elements(COALESCE(p_parameters, '[]'::jsonb))
+    LOOP
+        parameter_name := parameter ->> 'name';
+
+        IF NULLIF(TRIM(parameter ->> 'formula'), '') IS NOT NULL THEN
+            formula_value := public.evaluate_math_rpn(
+                public.parse_math_expression(
+                    public.substitute_quiz_parameters(parameter ->> 'formula', parameter_values, true)
+                ),
+                '{}',
+                '{}'
+            );
+            IF formula_value IS NULL THEN
+                RAISE EXCEPTION 'Variable % could not be calculated', parameter_name;
+            END IF;
+            parameter_values := parameter_values
+                || jsonb_build_object(parameter_name, TRIM_SCALE(ROUND(formula_value::numeric, 6)));
+            CONTINUE;
+        END IF;
+
+        min_value := COALESCE((parameter ->> 'min')::numeric, 0);
+        max_value := GREATEST(COALESCE((parameter ->> 'max')::numeric, min_value), min_value);
+        step_value := COALESCE(NULLIF(ABS((parameter ->> 'step')::numeric), 0), 1);
+        choice_count := FLOOR((max_value - min_value) / step_value)::bigint + 1;
+        choice_index := ('x' || SUBSTR(MD5(p_seed::text || ':' || p_question_id::text || ':' || parameter_name), 1, 8))::bit(32)::bigint;
+
+        -- exclude_zero skips the value 0 when it is one of the choices
+        zero_index := -min_value / step_value;
+        IF COALESCE((parameter ->> 'exclude_zero')::boolean, false)
+           AND choice_count > 1
+           AND zero_index = TRUNC(zero_index)
+           AND zero_index BETWEEN 0 AND choice_count - 1 THEN
+            choice_index := choice_index % (choice_count - 1);
+            IF choice_index >= zero_index THEN
+                choice_index := choice_index + 1;
+            END IF;
+        ELSE
+            choice_index := choice_index % choice_count;
+        END IF;
+
+        parameter_values := parameter_values
+            || jsonb_build_object(parameter_name, TRIM_SCALE(min_value + choice_index * step_value));
+    END LOOP;
+
+    RETURN parameter_values;
+END;
+$$;
+
+-- The version of a question generated for one seed: prompt, choices and answer
+-- key with the variables filled in. Questions without variables are returned as is.
+CREATE OR REPLACE FUNCTION public.build_quiz_question_variant(
+    p_question public.quiz_questions,
+    p_seed bigint
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+IMMUTABLE
+SET search_path = public
+AS $$
+DECLARE
+    parameter_values jsonb;
+    variant_answer jsonb := p_question.correct_answer;
+BEGIN
+    IF jsonb_array_length(COALESCE(p_question.parameters, '[]'::jsonb)) = 0 THEN
+        RETURN jsonb_build_object(
+            'parameters', NULL,
+            'prompt', p_question.prompt,
+            'choices', p_question.choices,
+            'correct_answer', p_question.correct_answer
+        );
+    END IF;
+
+    parameter_values := public.get_quiz_parameter_values(p_question.parameters, p_seed, p_question.id);
+
+    IF p_question.question_type IN ('numeric', 'expression') THEN
+        variant_answer := to_jsonb(public.substitute_quiz_parameters(p_question.correct_answer #>> '{}', parameter_values, true));
+    ELSIF p_question.question_type = 'short_answer' AND jsonb_typeof(p_question.correct_answer) = 'array' THEN
+        variant_answer := (
+            SELECT COALESCE(jsonb_agg(public.substitute_quiz_parameters(accepted.value, parameter_values) ORDER BY accepted.ordinality), '[]'::jsonb)
+            FROM jsonb_array_elements_text(p_question.correct_answer) WITH ORDINALITY AS accepted(value, ordinality)
+        );
+    END IF;
+
+    RETURN jsonb_build_object(
+        'parameters', parameter_values,
+        'prompt', public.substitute_quiz_parameters(p_question.prompt, parameter_values),
+        'choices', (
+            SELECT COALESCE(jsonb_agg(public.substitute_quiz_parameters(choice.value, parameter_values) ORDER BY choice.ordinality), '[]'::jsonb)
+            FROM jsonb_array_elements_text(COALESCE(p_question.choices, '[]'::jsonb)) WITH ORDINALITY AS choice(value, ordinality)
+        ),
+        'correct_answer', variant_answer
+    );
+END;
+$$;
+
+-- ------------------------------
+-- STUDENT RPCs
+-- ------------------------------
+
+-- Returns the quiz and its questions without answer keys.
+CREATE OR REPLACE FUNCTION public.get_native_quiz(p_quiz_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+    quiz_record public.quizzes%ROWTYPE;
+    attempt_seed bigint := public.get_quiz_variant_seed(p_quiz_id, auth.uid());
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    IF NOT public.student_can_access_quiz(p_quiz_id, requester_id) THEN
+        RAISE EXCEPTION 'Quiz not found or not available to you';
+    END IF;
+
+    SELECT * INTO quiz_record
+    FROM public.quizzes
+    WHERE id = p_quiz_id;
+
+    IF quiz_record.quiz_mode IS DISTINCT FROM 'native' THEN
+        RAISE EXCEPTION 'This quiz is taken outside MathTuro';
+    END IF;
+
+    RETURN jsonb_build_object(
+        'quiz', jsonb_build_object(
+            'id', quiz_record.id,
+            'title', quiz_record.title,
+            'description', quiz_record.description,
+            'total_items', quiz_record.total_items,
+            'passing_score', quiz_record.passing_score,
+            'time_limit_minutes', quiz_record.time_limit_minutes,
+            'quarter', quiz_record.quarter
+        ),
+        'questions', COALESCE((
+            SELECT jsonb_agg(
+                jsonb_build_object(
+                    'id', qq.id,
+                    'order_index', qq.order_index,
+                    'question_type', qq.question_type,
+                    'prompt', variant.data ->> 'prompt',
+                    'choices', variant.data -> 'choices',
+                    'points', qq.points,
+                    'require_simplified', qq.require_simplified
+                )
+                ORDER BY qq.order_index, qq.created_at
+            )
+            FROM public.quiz_questions qq
+            CROSS JOIN LATERAL (
+                SELECT public.build_quiz_question_variant(qq, attempt_seed) AS data
+            ) AS variant
+            WHERE qq.quiz_id = p_quiz_id
+        ), '[]'::jsonb)
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.get_native_quiz(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_native_quiz(uuid) TO authenticated;
+
+-- Scores the answers ({ "<question_id>": response }) and records the submission.
+CREATE OR REPLACE FUNCTION public.submit_native_quiz(p_quiz_id uuid, p_answers jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+    quiz_record public.quizzes%ROWTYPE;
+    question_record public.quiz_questions%ROWTYPE;
+    existing_submission_id uuid;
+    submission_id uuid;
+    attempt_seed bigint := public.get_quiz_variant_seed(p_quiz_id, auth.uid());
+    variant jsonb;
+    response jsonb;
+    is_correct boolean;
+    earned integer := 0;
+    possible integer := 0;
+    graded_items jsonb := '[]'::jsonb;
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    IF NOT public.student_can_access_quiz(p_quiz_id, requester_id) THEN
+        RAISE EXCEPTION 'Quiz not found or not available to you';
+    END IF;
+
+    SELECT * INTO quiz_record
+    FROM public.quizzes
+    WHERE id = p_quiz_id;
+
+    IF quiz_record.quiz_mode IS DISTINCT FROM 'native' THEN
+        RAISE EXCEPTION 'This quiz is taken outside MathTuro';
+    END IF;
+
+    SELECT id INTO existing_submission_id
+    FROM public.quiz_submissions
+    WHERE quiz_id = p_quiz_id
+      AND user_id = requester_id
+    ORDER BY created_at DESC
+    LIMIT 1;
+
+    IF existing_submission_id IS NOT NULL AND EXISTS (
+        SELECT 1 FROM public.quiz_submissions
+        WHERE id = existing_submission_id AND is_auto_graded = true
+    ) THEN
+        RAISE EXCEPTION 'You have already completed this quiz';
+    END IF;
+
+    FOR question_record IN
+        SELECT *
+        FROM public.quiz_questions
+        WHERE quiz_id = p_quiz_id
+        ORDER BY order_index, created_at
+    LOOP
+        variant := public.build_quiz_question_variant(question_record, attempt_seed);
+        response := COALESCE(p_answers, '{}'::jsonb) -> question_record.id::text;
+        is_correct := public.is_quiz_response_correct(
+            question_record.question_type,
+            variant -> 'correct_answer',
+            question_record.tolerance,
+            response,
+            question_record.require_simplified
+        );
+
+        possible := possible + question_record.points;
+        IF is_correct THEN
+            earned := earned + question_record.points;
+        END IF;
+
+        graded_items := graded_items || jsonb_build_array(jsonb_build_object(
+            'question_id', question_record.id,
+            'parameters', variant -> 'parameters',
+            'response', response,
+            'is_correct', is_correct,
+            'points', question_record.points,
+            'points_awarded', CASE WHEN is_correct THEN question_record.points ELSE 0 END
+        ));
+    END LOOP;
+
+    IF possible = 0 THEN
+        RAISE EXCEPTION 'This quiz has no questions yet';
+    END IF;
+
+    IF existing_submission_id IS NOT NULL THEN
+        UPDATE public.quiz_submissions
+        SET student_score = earned,
+            total_items = possible,
+            answers = graded_items,
+            variant_seed = attempt_seed,
+            status = 'approved',
+            is_auto_graded = true,
+            graded_at = NOW(),
+            reviewed_at = NOW(),
+            reviewed_by = NULL,
+            teacher_comment = NULL,
+            teacher_feedback = NULL,
+            submitted_at = NOW(),
+            updated_at = NOW()
+        WHERE id = existing_submission_id
+        RETURNING id INTO submission_id;
+    ELSE
+        INSERT INTO public.quiz_submissions (
+            quiz_id, user_id, student_score, total_items, answers, variant_seed,
+            status, is_auto_graded, graded_at, reviewed_at, submitted_at
+        )
+        VALUES (
+            p_quiz_id, requester_id, earned, possible, graded_items, attempt_seed,
+            'approved', true, NOW(), NOW(), NOW()
+        )
+        RETURNING id INTO submission_id;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'submission_id', submission_id,
+        'student_score', earned,
+        'total_items', possible,
+        'passing_score', quiz_record.passing_score,
+        'results', (
+            SELECT jsonb_agg(item - 'response' - 'parameters')
+            FROM jsonb_array_elements(graded_items) AS item
+        )
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.submit_native_quiz(uuid, jsonb) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.submit_native_quiz(uuid, jsonb) TO authenticated;
+
+-- ------------------------------
+-- TEACHER RPCs
+-- ------------------------------
+
+-- Rebuilds a native attempt from its seed: the questions exactly as the student
+-- saw them, the answer key for those numbers, and the student's responses.
+CREATE OR REPLACE FUNCTION public.get_quiz_submission_review(p_submission_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+    submission_record public.quiz_submissions%ROWTYPE;
+    attempt_seed bigint;
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    SELECT * INTO submission_record
+    FROM public.quiz_submissions
+    WHERE id = p_submission_id;
+
+    IF submission_record.id IS NULL OR NOT (
+        EXISTS (
+            SELECT 1
+            FROM public.quizzes q
+            WHERE q.id = submission_record.quiz_id
+              AND q.teacher_id = requester_id
+        )
+        OR EXISTS (
+            SELECT 1
+            FROM public.users u
+            WHERE u.id = requester_id
+              AND u.role = 'admin'
+        )
+    ) THEN
+        RAISE EXCEPTION 'Submission not found or not available to you';
+    END IF;
+
+    attempt_seed := COALESCE(
+        submission_record.variant_seed,
+        public.get_quiz_variant_seed(submission_record.quiz_id, submission_record.user_id)
+    );
+
+    RETURN jsonb_build_object(
+        'submission_id', submission_record.id,
+        'variant_seed', attempt_seed,
+        'questions', COALESCE((
+            SELECT jsonb_agg(
+                jsonb_build_object(
+                    'id', qq.id,
+                    'order_index', qq.order_index,
+                    'question_type', qq.question_type,
+                    'prompt', variant.data ->> 'prompt',
+                    'choices', variant.data -> 'choices',
+                    'correct_answer', variant.data -> 'correct_answer',
+                    'tolerance', qq.tolerance,
+                    'require_simplified', qq.require_simplified,
+                    'points', qq.points,
+                    'parameters', variant.data -> 'parameters',
+                    'response', graded.item -> 'response',
+                    'is_correct', COALESCE((graded.item ->> 'is_correct')::boolean, false),
+                    'points_awarded', COALESCE((graded.item ->> 'points_awarded')::integer, 0)
+                )
+                ORDER BY qq.order_index, qq.created_at
+            )
+            FROM public.quiz_questions qq
+            CROSS JOIN LATERAL (
+                SELECT public.build_quiz_question_variant(qq, attempt_seed) AS data
+            ) AS variant
+            LEFT JOIN LATERAL (
+                SELECT item
+                FROM jsonb_array_elements(COALESCE(submission_record.answers, '[]'::jsonb)) AS item
+                WHERE item ->> 'question_id' = qq.id::text
+                LIMIT 1
+            ) AS graded ON true
+            WHERE qq.quiz_id = submission_record.quiz_id
+        ), '[]'::jsonb)
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.get_quiz_submission_review(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_quiz_submission_review(uuid) TO authenticated;
+
+-- Ensure PostgREST sees the new RPCs immediately
+NOTIFY pgrst, 'reload schema';
+
+COMMIT;
@@ -0,0 +1,640 @@
+-- Migration v16: Question bank with tags and random draws
+-- Purpose:
+-- 1) Keep reusable questions in a per-teacher bank tagged by grade level, quarter and topic.
+-- 2) Let a native quiz draw N random bank items per tag for each student.
+-- 3) Snapshot the questions of every attempt so later edits never change taken attempts.
+
+BEGIN;
+
+-- ------------------------------
+-- QUESTION BANK
+-- ------------------------------
+CREATE TABLE IF NOT EXISTS public.question_bank_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    teacher_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    grade_level_id UUID REFERENCES public.grade_levels(id) ON DELETE SET NULL,
+    quarter SMALLINT CHECK (quarter BETWEEN 1 AND 4),
+    topic TEXT,
+    question_type TEXT NOT NULL DEFAULT 'multiple_choice'
+        CHECK (question_type IN ('multiple_choice', 'true_false', 'numeric', 'short_answer', 'expression')),
+    prompt TEXT NOT NULL,
+    choices JSONB NOT NULL DEFAULT '[]'::jsonb,
+    correct_answer JSONB NOT NULL,
+    tolerance NUMERIC NOT NULL DEFAULT 0 CHECK (tolerance >= 0),
+    require_simplified BOOLEAN NOT NULL DEFAULT false,
+    parameters JSONB NOT NULL DEFAULT '[]'::jsonb CHECK (jsonb_typeof(parameters) = 'array'),
+    points INTEGER NOT NULL DEFAULT 1 CHECK (points > 0),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_question_bank_items_teacher
+    ON public.question_bank_items(teacher_id, grade_level_id, quarter);
+
+ALTER TABLE public.question_bank_items ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS teachers_manage_own_question_bank_items ON public.question_bank_items;
+CREATE POLICY teachers_manage_own_question_bank_items
+    ON public.question_bank_items
+    FOR ALL
+    USING (teacher_id = auth.uid())
+    WITH CHECK (teacher_id = auth.uid());
+
+DROP POLICY IF EXISTS admin_manage_question_bank_items ON public.question_bank_items;
+CREATE POLICY admin_manage_question_bank_items
+    ON public.question_bank_items
+    FOR ALL
+    USING (
+        EXISTS (
+            SELECT 1
+            FROM public.users u
+            WHERE u.id = auth.uid()
+              AND u.role = 'admin'
+        )
+    )
+    WITH CHECK (
+        EXISTS (
+            SELECT 1
+            FROM public.users u
+            WHERE u.id = auth.uid()
+              AND u.role = 'admin'
+        )
+    );
+
+DROP TRIGGER IF EXISTS trg_question_bank_items_updated_at ON public.question_bank_items;
+CREATE TRIGGER trg_question_bank_items_updated_at
+    BEFORE UPDATE ON public.question_bank_items
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_updated_at_column();
+
+GRANT ALL ON public.question_bank_items TO authenticated;
+
+-- Quiz questions copied from the bank remember their source
+ALTER TABLE public.quiz_questions
+    ADD COLUMN IF NOT EXISTS bank_item_id UUID REFERENCES public.question_bank_items(id) ON DELETE SET NULL;
+
+-- ------------------------------
+-- QUIZ BANK DRAWS
+-- ------------------------------
+-- Each row draws draw_count random items from the quiz owner's bank.
+-- NULL tags match any value.
+CREATE TABLE IF NOT EXISTS public.quiz_bank_draws (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    quiz_id UUID NOT NULL REFERENCES public.quizzes(id) ON DELETE CASCADE,
+    grade_level_id UUID REFERENCES public.grade_levels(id) ON DELETE SET NULL,
+    quarter SMALLINT CHECK (quarter BETWEEN 1 AND 4),
+    topic TEXT,
+    draw_count INTEGER NOT NULL DEFAULT 1 CHECK (draw_count > 0),
+    order_index INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_quiz_bank_draws_quiz
+    ON public.quiz_bank_draws(quiz_id, order_index);
+
+ALTER TABLE public.quiz_bank_draws ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS teachers_manage_own_quiz_bank_draws ON public.quiz_bank_draws;
+CREATE POLICY teachers_manage_own_quiz_bank_draws
+    ON public.quiz_bank_draws
+    FOR ALL
+    USING (
+        EXISTS (
+            SELECT 1
+            FROM public.quizzes q
+            WHERE q.id = quiz_bank_draws.quiz_id
+              AND q.teacher_id = auth.uid()
+        )
+    )
+    WITH CHECK (
+        EXISTS (
+            SELECT 1
+            FROM public.quizzes q
+            WHERE q.id = quiz_bank_draws.quiz_id
+              AND q.teacher_id = auth.uid()
+        )
+    );
+
+DROP POLICY IF EXISTS admin_manage_quiz_bank_draws ON public.quiz_bank_draws;
+CREATE POLICY admin_manage_quiz_bank_draws
+    ON public.quiz_bank_draws
+    FOR ALL
+    USING (
+        EXISTS (
+            SELECT 1
+            FROM public.users u
+            WHERE u.id = auth.uid()
+              AND u.role = 'admin'
+        )
+    )
+    WITH CHECK (
+        EXISTS (
+            SELECT 1
+            FROM public.users u
+            WHERE u.id = auth.uid()
+              AND u.role = 'admin'
+        )
+    );
+
+DROP TRIGGER IF EXISTS trg_quiz_bank_draws_updated_at ON public.quiz_bank_draws;
+CREATE TRIGGER trg_quiz_bank_draws_updated_at
+    BEFORE UPDATE ON public.quiz_bank_draws
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_updated_at_column();
+
+GRANT ALL ON public.quiz_bank_draws TO authenticated;
+
+-- ------------------------------
+-- ATTEMPT SNAPSHOTS
+-- ------------------------------
+-- The questions of a graded attempt as the student saw them, answer key included.
+-- Written by submit_native_quiz only; students cannot read it.
+CREATE TABLE IF NOT EXISTS public.quiz_submission_questions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    submission_id UUID NOT NULL REFERENCES public.quiz_submissions(id) ON DELETE CASCADE,
+    question_id UUID NOT NULL,
+    bank_item_id UUID REFERENCES public.question_bank_items(id) ON DELETE SET NULL,
+    order_index INTEGER NOT NULL DEFAULT 0,
+    question_type TEXT NOT NULL,
+    prompt TEXT NOT NULL,
+    choices JSONB NOT NULL DEFAULT '[]'::jsonb,
+    correct_answer JSONB,
+    tolerance NUMERIC NOT NULL DEFAULT 0,
+    require_simplified BOOLEAN NOT NULL DEFAULT false,
+    parameters JSONB,
+    points INTEGER NOT NULL DEFAULT 1,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_quiz_submission_questions_submission
+    ON public.quiz_submission_questions(submission_id, order_index);
+
+ALTER TABLE public.quiz_submission_questions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS teachers_view_own_quiz_submission_questions ON public.quiz_submission_questions;
+CREATE POLICY teachers_view_own_quiz_submission_questions
+    ON public.quiz_submission_questions
+    FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1
+            FROM public.quiz_submissions s
+            JOIN public.quizzes q ON q.id = s.quiz_id
+            WHERE s.id = quiz_submission_questions.submission_id
+              AND q.teacher_id = auth.uid()
+        )
+    );
+
+DROP POLICY IF EXISTS admin_view_quiz_submission_questions ON public.quiz_submission_questions;
+CREATE POLICY admin_view_quiz_submission_questions
+    ON public.quiz_submission_questions
+    FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1
+            FROM public.users u
+            WHERE u.id = auth.uid()
+              AND u.role = 'admin'
+        )
+    );
+
+GRANT SELECT ON public.quiz_submission_questions TO authenticated;
+
+-- ------------------------------
+-- ATTEMPT QUESTIONS
+-- ------------------------------
+
+-- The questions of one attempt: the quiz's own questions followed by the bank
+-- items drawn for this seed. An item is drawn at most once per attempt.
+CREATE OR REPLACE FUNCTION public.get_quiz_attempt_questions(p_quiz_id uuid, p_seed bigint)
+RETURNS SETOF public.quiz_questions
+LANGUAGE plpgsql
+STABLE
+SET search_path = public
+AS $$
+DECLARE
+    quiz_teacher_id uuid;
+    draw_record public.quiz_bank_draws%ROWTYPE;
+    item_record public.question_bank_items%ROWTYPE;
+    drawn_question public.quiz_questions%ROWTYPE;
+    drawn_ids uuid[] := '{}';
+    next_order integer;
+BEGIN
+    RETURN QUERY
+    SELECT *
+    FROM public.quiz_questions
+    WHERE quiz_id = p_quiz_id;
+
+    SELECT teacher_id INTO quiz_teacher_id
+    FROM public.quizzes
+    WHERE id = p_quiz_id;
+
+    SELECT COALESCE(MAX(order_index), -1) + 1 INTO next_order
+    FROM public.quiz_questions
+    WHERE quiz_id = p_quiz_id;
+
+    FOR draw_record IN
+        SELECT *
+        FROM public.quiz_bank_draws
+        WHERE quiz_id = p_quiz_id
+        ORDER BY order_index, created_at
+    LOOP
+        FOR item_record IN
+            SELECT item.*
+            FROM public.question_bank_items item
+            WHERE item.teacher_id = quiz_teacher_id
+              AND (draw_record.grade_level_id IS NULL OR item.grade_level_id = draw_record.grade_level_id)
+              AND (draw_record.quarter IS NULL OR item.quarter = draw_record.quarter)
+              AND (
+                  NULLIF(TRIM(draw_record.topic), '') IS NULL
+                  OR LOWER(TRIM(item.topic)) = LOWER(TRIM(draw_record.topic))
+              )
+              AND NOT (item.id = ANY(drawn_ids))
+            ORDER BY MD5(p_seed::text || ':' || draw_record.id::text || ':' || item.id::text)
+            LIMIT draw_record.draw_count
+        LOOP
+            drawn_ids := drawn_ids || item_record.id;
+            drawn_question := jsonb_populate_record(
+                NULL::public.quiz_questions,
+                to_jsonb(item_record) || jsonb_build_object(
+                    'quiz_id', p_quiz_id,
+                    'order_index', next_order,
+                    'bank_item_id', item_record.id
+                )
+            );
+            next_order := next_order + 1;
+            RETURN NEXT drawn_question;
+        END LOOP;
+    END LOOP;
+END;
+$$;
+
+-- ------------------------------
+-- STUDENT RPCs
+-- ------------------------------
+
+-- Returns the quiz and its questions without answer keys.
+CREATE OR REPLACE FUNCTION public.get_native_quiz(p_quiz_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+    quiz_record public.quizzes%ROWTYPE;
+    attempt_seed bigint := public.get_quiz_variant_seed(p_quiz_id, auth.uid());
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    IF NOT public.student_can_access_quiz(p_quiz_id, requester_id) THEN
+        RAISE EXCEPTION 'Quiz not found or not available to you';
+    END IF;
+
+    SELECT * INTO quiz_record
+    FROM public.quizzes
+    WHERE id = p_quiz_id;
+
+    IF quiz_record.quiz_mode IS DISTINCT FROM 'native' THEN
+        RAISE EXCEPTION 'This quiz is taken outside MathTuro';
+    END IF;
+
+    RETURN jsonb_build_object(
+        'quiz', jsonb_build_object(
+            'id', quiz_record.id,
+            'title', quiz_record.title,
+            'description', quiz_record.description,
+            'total_items', quiz_record.total_items,
+            'passing_score', quiz_record.passing_score,
+            'time_limit_minutes', quiz_record.time_limit_minutes,
+            'quarter', quiz_record.quarter
+        ),
+        'questions', COALESCE((
+            SELECT jsonb_agg(
+                jsonb_build_object(
+                    'id', qq.id,
+                    'order_index', qq.order_index,
+                    'question_type', qq.question_type,
+                    'prompt', variant.data ->> 'prompt',
+                    'choices', variant.data -> 'choices',
+                    'points', qq.points,
+                    'require_simplified', qq.require_simplified
+                )
+                ORDER BY qq.order_index, qq.created_at
+            )
+            FROM public.get_quiz_attempt_questions(p_quiz_id, attempt_seed) qq
+            CROSS JOIN LATERAL (
+                SELECT public.build_quiz_question_variant(qq, attempt_seed) AS data
+            ) AS variant
+        ), '[]'::jsonb)
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.get_native_quiz(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_native_quiz(uuid) TO authenticated;
+
+-- Scores the answers ({ "<question_id>": response }) and records the submission.
+CREATE OR REPLACE FUNCTION public.submit_native_quiz(p_quiz_id uuid, p_answers jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+    quiz_record public.quizzes%ROWTYPE;
+    question_record public.quiz_questions%ROWTYPE;
+    existing_submission_id uuid;
+    attempt_submission_id uuid;
+    attempt_seed bigint := public.get_quiz_variant_seed(p_quiz_id, auth.uid());
+    variant jsonb;
+    response jsonb;
+    is_correct boolean;
+    earned integer := 0;
+    possible integer := 0;
+    graded_items jsonb := '[]'::jsonb;
+    snapshots jsonb := '[]'::jsonb;
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    IF NOT public.student_can_access_quiz(p_quiz_id, requester_id) THEN
+        RAISE EXCEPTION 'Quiz not found or not available to you';
+    END IF;
+
+    SELECT * INTO quiz_record
+    FROM public.quizzes
+    WHERE id = p_quiz_id;
+
+    IF quiz_record.quiz_mode IS DISTINCT FROM 'native' THEN
+        RAISE EXCEPTION 'This quiz is taken outside MathTuro';
+    END IF;
+
+    SELECT id INTO existing_submission_id
+    FROM public.quiz_submissions
+    WHERE quiz_id = p_quiz_id
+      AND user_id = requester_id
+    ORDER BY created_at DESC
+    LIMIT 1;
+
+    IF existing_submission_id IS NOT NULL AND EXISTS (
+        SELECT 1 FROM public.quiz_submissions
+        WHERE id = existing_submission_id AND is_auto_graded = true
+    ) THEN
+        RAISE EXCEPTION 'You have already completed this quiz';
+    END IF;
+
+    FOR question_record IN
+        SELECT *
+        FROM public.get_quiz_attempt_questions(p_quiz_id, attempt_seed)
+        ORDER BY order_index, created_at
+    LOOP
+        variant := public.build_quiz_question_variant(question_record, attempt_seed);
+        response := COALESCE(p_answers, '{}'::jsonb) -> question_record.id::text;
+        is_correct := public.is_quiz_response_correct(
+            question_record.question_type,
+            variant -> 'correct_answer',
+            question_record.tolerance,
+            response,
+            question_record.require_simplified
+        );
+
+        possible := possible + question_record.points;
+        IF is_correct THEN
+            earned := earned + question_record.points;
+        END IF;
+
+        graded_items := graded_items || jsonb_build_array(jsonb_build_object(
+            'question_id', question_record.id,
+            'parameters', variant -> 'parameters',
+            'response', response,
+            'is_correct', is_correct,
+            'points', question_record.points,
+            'points_awarded', CASE WHEN is_correct THEN question_record.points ELSE 0 END
+        ));
+
+        snapshots := snapshots || jsonb_build_array(jsonb_build_object(
+            'question_id', question_record.id,
+            'bank_item_id', question_record.bank_item_id,
+            'order_index', jsonb_array_length(snapshots),
+            'question_type', question_record.question_type,
+            'prompt', variant ->> 'prompt',
+            'choices', variant -> 'choices',
+            'correct_answer', variant -> 'correct_answer',
+            'tolerance', question_record.tolerance,
+            'require_simplified', question_record.require_simplified,
+            'parameters', variant -> 'parameters',
+            'points', question_record.points
+        ));
+    END LOOP;
+
+    IF possible = 0 THEN
+        RAISE EXCEPTION 'This quiz has no questions yet';
+    END IF;
+
+    IF existing_submission_id IS NOT NULL THEN
+        UPDATE public.quiz_submissions
+        SET student_score = earned,
+            total_items = possible,
+            answers = graded_items,
+            variant_seed = attempt_seed,
+            status = 'approved',
+            is_auto_graded = true,
+            graded_at = NOW(),
+            reviewed_at = NOW(),
+            reviewed_by = NULL,
+            teacher_comment = NULL,
+            teacher_feedback = NULL,
+            submitted_at = NOW(),
+            updated_at = NOW()
+        WHERE id = existing_submission_id
+        RETURNING id INTO attempt_submission_id;
+    ELSE
+        INSERT INTO public.quiz_submissions (
+            quiz_id, user_id, student_score, total_items, answers, variant_seed,
+            status, is_auto_graded, graded_at, reviewed_at, submitted_at
+        )
+        VALUES (
+            p_quiz_id, requester_id, earned, possible, graded_items, attempt_seed,
+            'approved', true, NOW(), NOW(), NOW()
+        )
+        RETURNING id INTO attempt_submission_id;
+    END IF;
+
+    DELETE FROM public.quiz_submission_questions
+    WHERE submission_id = attempt_submission_id;
+
+    INSERT INTO public.quiz_submission_questions (
+        submission_id, question_id, bank_item_id, order_index, question_type, prompt,
+        choices, correct_answer, tolerance, require_simplified, parameters, points
+    )
+    SELECT
+        attempt_submission_id,
+        (snapshot ->> 'question_id')::uuid,
+        (snapshot ->> 'bank_item_id')::uuid,
+        (snapshot ->> 'order_index')::integer,
+        snapshot ->> 'question_type',
+        snapshot ->> 'prompt',
+        COALESCE(snapshot -> 'choices', '[]'::jsonb),
+        snapshot -> 'correct_answer',
+        COALESCE((snapshot ->> 'tolerance')::numeric, 0),
+        COALESCE((snapshot ->> 'require_simplified')::boolean, false),
+        NULLIF(snapshot -> 'parameters', 'null'::jsonb),
+        (snapshot ->> 'points')::integer
+    FROM jsonb_array_elements(snapshots) AS snapshot;
+
+    RETURN jsonb_build_object(
+        'submission_id', attempt_submission_id,
+        'student_score', earned,
+        'total_items', possible,
+        'passing_score', quiz_record.passing_score,
+        'results', (
+            SELECT jsonb_agg(item - 'response' - 'parameters')
+            FROM jsonb_array_elements(graded_items) AS item
+        )
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.submit_native_quiz(uuid, jsonb) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.submit_native_quiz(uuid, jsonb) TO authenticated;
+
+-- ------------------------------
+-- TEACHER RPCs
+-- ------------------------------
+
+-- Returns a native attempt as the student saw it: the snapshot taken at submit
+-- time, or for attempts graded before v16, the questions rebuilt from the seed.
+CREATE OR REPLACE FUNCTION public.get_quiz_submission_review(p_submission_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+    submission_record public.quiz_submissions%ROWTYPE;
+    attempt_seed bigint;
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    SELECT * INTO submission_record
+    FROM public.quiz_submissions
+    WHERE id = p_submission_id;
+
+    IF submission_record.id IS NULL OR NOT (
+        EXISTS (
+            SELECT 1
+            FROM public.quizzes q
+            WHERE q.id = submission_record.quiz_id
+              AND q.teacher_id = requester_id
+        )
+        OR EXISTS (
+            SELECT 1
+            FROM public.users u
+            WHERE u.id = requester_id
+              AND u.role = 'admin'
+        )
+    ) THEN
+        RAISE EXCEPTION 'Submission not found or not available to you';
+    END IF;
+
+    attempt_seed := COALESCE(
+        submission_record.variant_seed,
+        public.get_quiz_variant_seed(submission_record.quiz_id, submission_record.user_id)
+    );
+
+    IF EXISTS (
+        SELECT 1
+        FROM public.quiz_submission_questions sq
+        WHERE sq.submission_id = submission_record.id
+    ) THEN
+        RETURN jsonb_build_object(
+            'submission_id', submission_record.id,
+            'variant_seed', attempt_seed,
+            'questions', COALESCE((
+                SELECT jsonb_agg(
+                    jsonb_build_object(
+                        'id', sq.question_id,
+                        'bank_item_id', sq.bank_item_id,
+                        'order_index', sq.order_index,
+                        'question_type', sq.question_type,
+                        'prompt', sq.prompt,
+                        'choices', sq.choices,
+                        'correct_answer', sq.correct_answer,
+                        'tolerance', sq.tolerance,
+                        'require_simplified', sq.require_simplified,
+                        'points', sq.points,
+                        'parameters', sq.parameters,
+                        'response', graded.item -> 'response',
+                        'is_correct', COALESCE((graded.item ->> 'is_correct')::boolean, false),
+                        'points_awarded', COALESCE((graded.item ->> 'points_awarded')::integer, 0)
+                    )
+                    ORDER BY sq.order_index
+                )
+                FROM public.quiz_submission_questions sq
+                LEFT JOIN LATERAL (
+                    SELECT item
+                    FROM jsonb_array_elements(COALESCE(submission_record.answers, '[]'::jsonb)) AS item
+                    WHERE item ->> 'question_id' = sq.question_id::text
+                    LIMIT 1
+                ) AS graded ON true
+                WHERE sq.submission_id = submission_record.id
+            ), '[]'::jsonb)
+        );
+    END IF;
+
+    RETURN jsonb_build_object(
+        'submission_id', submission_record.id,
+        'variant_seed', attempt_seed,
+        'questions', COALESCE((
+            SELECT jsonb_agg(
+                jsonb_build_object(
+                    'id', qq.id,
+                    'order_index', qq.order_index,
+                    'question_type', qq.question_type,
+                    'prompt', variant.data ->> 'prompt',
+                    'choices', variant.data -> 'choices',
+                    'correct_answer', variant.data -> 'correct_answer',
+                    'tolerance', qq.tolerance,
+                    'require_simplified', qq.require_simplified,
+                    'points', qq.points,
+                    'parameters', variant.data -> 'parameters',
+                    'response', graded.item -> 'response',
+                    'is_correct', COALESCE((graded.item ->> 'is_correct')::boolean, false),
+                    'points_awarded', COALESCE((graded.item ->> 'points_awarded')::integer, 0)
+                )
+                ORDER BY qq.order_index, qq.created_at
+            )
+            FROM public.quiz_questions qq
+            CROSS JOIN LATERAL (
+                SELECT public.build_quiz_question_variant(qq, attempt_seed) AS data
+            ) AS variant
+            LEFT JOIN LATERAL (
+                SELECT item
+                FROM jsonb_array_elements(COALESCE(submission_record.answers, '[]'::jsonb)) AS item
+                WHERE item ->> 'question_id' = qq.id::text
+                LIMIT 1
+            ) AS graded ON true
+            WHERE qq.quiz_id = submission_record.quiz_id
+        ), '[]'::jsonb)
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.get_quiz_submission_review(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_quiz_submission_review(uuid) TO authenticated;
+
+-- Ensure PostgREST sees the new tables and RPCs immediately
+NOTIFY pgrst, 'reload schema';
+
+COMMIT;
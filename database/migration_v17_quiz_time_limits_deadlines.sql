@@ -0,0 +1,842 @@
+-- Migration v17: Enforce quiz time limits and deadlines
+-- Purpose:
+-- 1) Record native quiz attempts with a server start time and expiry (quizzes.time_limit_minutes).
+-- 2) Auto-submit expired attempts with the answers saved before time ran out.
+-- 3) Reject submissions after quizzes.deadline, or flag them late when the quiz allows it.
+-- 4) Let teachers grant per-student deadline extensions.
+
+BEGIN;
+
+-- ------------------------------
+-- COLUMNS
+-- ------------------------------
+ALTER TABLE public.quizzes
+    ADD COLUMN IF NOT EXISTS allow_late_submissions BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE public.quiz_submissions
+    ADD COLUMN IF NOT EXISTS is_late BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN IF NOT EXISTS started_at TIMESTAMPTZ;
+
+-- ------------------------------
+-- DEADLINE EXTENSIONS
+-- ------------------------------
+CREATE TABLE IF NOT EXISTS public.quiz_deadline_extensions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    quiz_id UUID NOT NULL REFERENCES public.quizzes(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    deadline TIMESTAMPTZ NOT NULL,
+    reason TEXT,
+    granted_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (quiz_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_quiz_deadline_extensions_user
+    ON public.quiz_deadline_extensions(user_id);
+
+ALTER TABLE public.quiz_deadline_extensions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS students_view_own_quiz_deadline_extensions ON public.quiz_deadline_extensions;
+CREATE POLICY students_view_own_quiz_deadline_extensions
+    ON public.quiz_deadline_extensions
+    FOR SELECT
+    USING (user_id = auth.uid());
+
+DROP POLICY IF EXISTS teachers_manage_own_quiz_deadline_extensions ON public.quiz_deadline_extensions;
+CREATE POLICY teachers_manage_own_quiz_deadline_extensions
+    ON public.quiz_deadline_extensions
+    FOR ALL
+    USING (
+        EXISTS (
+            SELECT 1
+            FROM public.quizzes q
+            WHERE q.id = quiz_deadline_extensions.quiz_id
+              AND q.teacher_id = auth.uid()
+        )
+    )
+    WITH CHECK (
+        EXISTS (
+            SELECT 1
+            FROM public.quizzes q
+            WHERE q.id = quiz_deadline_extensions.quiz_id
+              AND q.teacher_id = auth.uid()
+        )
+    );
+
+DROP POLICY IF EXISTS admin_manage_quiz_deadline_extensions ON public.quiz_deadline_extensions;
+CREATE POLICY admin_manage_quiz_deadline_extensions
+    ON public.quiz_deadline_extensions
+    FOR ALL
+    USING (
+        EXISTS (
+            SELECT 1
+            FROM public.users u
+            WHERE u.id = auth.uid()
+              AND u.role = 'admin'
+        )
+    )
+    WITH CHECK (
+        EXISTS (
+            SELECT 1
+            FROM public.users u
+            WHERE u.id = auth.uid()
+              AND u.role = 'admin'
+        )
+    );
+
+DROP TRIGGER IF EXISTS trg_quiz_deadline_extensions_updated_at ON public.quiz_deadline_extensions;
+CREATE TRIGGER trg_quiz_deadline_extensions_updated_at
+    BEFORE UPDATE ON public.quiz_deadline_extensions
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_updated_at_column();
+
+GRANT ALL ON public.quiz_deadline_extensions TO authenticated;
+
+-- ------------------------------
+-- QUIZ ATTEMPTS
+-- ------------------------------
+-- One row per started native attempt. Written only by the quiz RPCs.
+CREATE TABLE IF NOT EXISTS public.quiz_attempts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    quiz_id UUID NOT NULL REFERENCES public.quizzes(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ,
+    saved_answers JSONB NOT NULL DEFAULT '{}'::jsonb,
+    submitted_at TIMESTAMPTZ,
+    is_auto_submitted BOOLEAN NOT NULL DEFAULT false,
+    submission_id UUID REFERENCES public.quiz_submissions(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- A student has at most one open attempt per quiz
+CREATE UNIQUE INDEX IF NOT EXISTS idx_quiz_attempts_open
+    ON public.quiz_attempts(quiz_id, user_id)
+    WHERE submitted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_quiz_attempts_expires_at
+    ON public.quiz_attempts(expires_at)
+    WHERE submitted_at IS NULL;
+
+ALTER TABLE public.quiz_attempts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS students_view_own_quiz_attempts ON public.quiz_attempts;
+CREATE POLICY students_view_own_quiz_attempts
+    ON public.quiz_attempts
+    FOR SELECT
+    USING (user_id = auth.uid());
+
+DROP POLICY IF EXISTS teachers_view_own_quiz_attempts ON public.quiz_attempts;
+CREATE POLICY teachers_view_own_quiz_attempts
+    ON public.quiz_attempts
+    FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1
+            FROM public.quizzes q
+            WHERE q.id = quiz_attempts.quiz_id
+              AND q.teacher_id = auth.uid()
+        )
+    );
+
+DROP POLICY IF EXISTS admin_view_quiz_attempts ON public.quiz_attempts;
+CREATE POLICY admin_view_quiz_attempts
+    ON public.quiz_attempts
+    FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1
+            FROM public.users u
+            WHERE u.id = auth.uid()
+              AND u.role = 'admin'
+        )
+    );
+
+DROP TRIGGER IF EXISTS trg_quiz_attempts_updated_at ON public.quiz_attempts;
+CREATE TRIGGER trg_quiz_attempts_updated_at
+    BEFORE UPDATE ON public.quiz_attempts
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_updated_at_column();
+
+GRANT SELECT ON public.quiz_attempts TO authenticated;
+
+-- ------------------------------
+-- DEADLINE HELPERS
+-- ------------------------------
+
+-- The deadline that applies to one student: their extension, or the quiz deadline.
+-- Internal (it takes any student id); clients call get_my_quiz_deadline.
+CREATE OR REPLACE FUNCTION public.get_quiz_deadline(p_quiz_id uuid, p_user_id uuid)
+RETURNS timestamptz
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT COALESCE(
+        (
+            SELECT e.deadline
+            FROM public.quiz_deadline_extensions e
+            WHERE e.quiz_id = p_quiz_id
+              AND e.user_id = p_user_id
+        ),
+        (
+            SELECT q.deadline
+            FROM public.quizzes q
+            WHERE q.id = p_quiz_id
+        )
+    );
+$$;
+
+REVOKE ALL ON FUNCTION public.get_quiz_deadline(uuid, uuid) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.get_quiz_deadline(uuid, uuid) FROM authenticated;
+
+-- The deadline that applies to the signed-in student.
+CREATE OR REPLACE FUNCTION public.get_my_quiz_deadline(p_quiz_id uuid)
+RETURNS timestamptz
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT public.get_quiz_deadline(p_quiz_id, auth.uid());
+$$;
+
+REVOKE ALL ON FUNCTION public.get_my_quiz_deadline(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_my_quiz_deadline(uuid) TO authenticated;
+
+-- Answers sent this long after an attempt expires are still accepted, to allow for
+-- the network delay of the player's own auto-submit.
+CREATE OR REPLACE FUNCTION public.get_quiz_attempt_grace_period()
+RETURNS interval
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT INTERVAL '30 seconds';
+$$;
+
+-- Checks direct submission writes by students (external quizzes).
+-- RPCs such as submit_native_quiz run as the function owner and apply their own checks.
+CREATE OR REPLACE FUNCTION public.enforce_quiz_submission_deadline()
+RETURNS trigger
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+    quiz_record public.quizzes%ROWTYPE;
+    effective_deadline timestamptz;
+BEGIN
+    IF NEW.quiz_id IS NULL
+       OR current_user NOT IN ('authenticated', 'anon')
+       OR auth.uid() IS DISTINCT FROM NEW.user_id THEN
+        RETURN NEW;
+    END IF;
+
+    -- Any change to a native row, not only a new score (see also the v13 guard)
+    IF public.is_native_quiz(NEW.quiz_id) THEN
+        RAISE EXCEPTION 'In-app quizzes are submitted from the quiz player';
+    END IF;
+
+    IF TG_OP = 'UPDATE'
+       AND NEW.student_score IS NOT DISTINCT FROM OLD.student_score
+       AND NEW.total_items IS NOT DISTINCT FROM OLD.total_items
+       AND NEW.screenshot_url IS NOT DISTINCT FROM OLD.screenshot_url THEN
+        NEW.is_late := OLD.is_late;
+        RETURN NEW;
+    END IF;
+
+    SELECT * INTO quiz_record
+    FROM public.quizzes
+    WHERE id = NEW.quiz_id;
+
+    -- The server clock decides the submission time, not the browser
+    NEW.submitted_at := NOW();
+    effective_deadline := public.get_my_quiz_deadline(NEW.quiz_id);
+    NEW.is_late := effective_deadline IS NOT NULL AND NEW.submitted_at > effective_deadline;
+
+    IF NEW.is_late AND NOT quiz_record.allow_late_submissions THEN
+        RAISE EXCEPTION 'The deadline for this quiz has passed';
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_quiz_submissions_deadline ON public.quiz_submissions;
+CREATE TRIGGER trg_quiz_submissions_deadline
+    BEFORE INSERT OR UPDATE ON public.quiz_submissions
+    FOR EACH ROW
+    EXECUTE FUNCTION public.enforce_quiz_submission_deadline();
+
+-- Re-flags submissions when a quiz deadline or a student's extension changes.
+-- Rejected rows are skipped: any update sends them back to pending (handle_submission_update),
+-- and the student's resubmission is checked again anyway.
+CREATE OR REPLACE FUNCTION public.sync_quiz_submission_late_flags()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    target_quiz_id uuid;
+    target_user_id uuid;
+BEGIN
+    IF TG_TABLE_NAME = 'quizzes' THEN
+        target_quiz_id := NEW.id;
+    ELSIF TG_OP = 'DELETE' THEN
+        target_quiz_id := OLD.quiz_id;
+        target_user_id := OLD.user_id;
+    ELSE
+        target_quiz_id := NEW.quiz_id;
+        target_user_id := NEW.user_id;
+    END IF;
+
+    UPDATE public.quiz_submissions s
+    SET is_late = flags.is_late
+    FROM (
+        SELECT
+            sub.id,
+            COALESCE(sub.submitted_at > public.get_quiz_deadline(sub.quiz_id, sub.user_id), false) AS is_late
+        FROM public.quiz_submissions sub
+        WHERE sub.quiz_id = target_quiz_id
+          AND (target_user_id IS NULL OR sub.user_id = target_user_id)
+          AND sub.status IS DISTINCT FROM 'rejected'
+    ) AS flags
+    WHERE s.id = flags.id
+      AND s.is_late IS DISTINCT FROM flags.is_late;
+
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_quiz_deadline_extensions_sync_late ON public.quiz_deadline_extensions;
+CREATE TRIGGER trg_quiz_deadline_extensions_sync_late
+    AFTER INSERT OR UPDATE OR DELETE ON public.quiz_deadline_extensions
+    FOR EACH ROW
+    EXECUTE FUNCTION public.sync_quiz_submission_late_flags();
+
+DROP TRIGGER IF EXISTS trg_quizzes_sync_late ON public.quizzes;
+CREATE TRIGGER trg_quizzes_sync_late
+    AFTER UPDATE OF deadline ON public.quizzes
+    FOR EACH ROW
+    WHEN (OLD.deadline IS DISTINCT FROM NEW.deadline)
+    EXECUTE FUNCTION public.sync_quiz_submission_late_flags();
+
+-- ------------------------------
+-- GRADING
+-- ------------------------------
+
+-- Scores an open attempt and records the submission. Internal: called by
+-- submit_native_quiz and finalize_expired_quiz_attempts, never by clients.
+CREATE OR REPLACE FUNCTION public.grade_native_quiz_attempt(
+    p_attempt_id uuid,
+    p_answers jsonb,
+    p_auto_submitted boolean DEFAULT false
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+    attempt_record public.quiz_attempts%ROWTYPE;
+    quiz_record public.quizzes%ROWTYPE;
+    question_record public.quiz_questions%ROWTYPE;
+    existing_submission_id uuid;
+    attempt_submission_id uuid;
+    attempt_seed bigint;
+    submitted_time timestamptz;
+    effective_deadline timestamptz;
+    late_submission boolean;
+    variant jsonb;
+    response jsonb;
+    is_correct boolean;
+    earned integer := 0;
+    possible integer := 0;
+    graded_items jsonb := '[]'::jsonb;
+    snapshots jsonb := '[]'::jsonb;
+BEGIN
+    SELECT * INTO attempt_record
+    FROM public.quiz_attempts
+    WHERE id = p_attempt_id
+    FOR UPDATE;
+
+    IF attempt_record.id IS NULL OR attempt_record.submitted_at IS NOT NULL THEN
+        RAISE EXCEPTION 'This attempt has already been submitted';
+    END IF;
+
+    SELECT * INTO quiz_record
+    FROM public.quizzes
+    WHERE id = attempt_record.quiz_id;
+
+    attempt_seed := public.get_quiz_variant_seed(attempt_record.quiz_id, attempt_record.user_id);
+
+    -- An attempt graded after it expired counts as submitted when time ran out
+    submitted_time := LEAST(NOW(), COALESCE(attempt_record.expires_at, NOW()));
+    effective_deadline := public.get_quiz_deadline(attempt_record.quiz_id, attempt_record.user_id);
+    late_submission := effective_deadline IS NOT NULL AND submitted_time > effective_deadline;
+
+    SELECT id INTO existing_submission_id
+    FROM public.quiz_submissions
+    WHERE quiz_id = attempt_record.quiz_id
+      AND user_id = attempt_record.user_id
+    ORDER BY created_at DESC
+    LIMIT 1;
+
+    FOR question_record IN
+        SELECT *
+        FROM public.get_quiz_attempt_questions(attempt_record.quiz_id, attempt_seed)
+        ORDER BY order_index, created_at
+    LOOP
+        variant := public.build_quiz_question_variant(question_record, attempt_seed);
+        response := COALESCE(p_answers, '{}'::jsonb) -> question_record.id::text;
+        is_correct := public.is_quiz_response_correct(
+            question_record.question_type,
+            variant -> 'correct_answer',
+            question_record.tolerance,
+            response,
+            question_record.require_simplified
+        );
+
+        possible := possible + question_record.points;
+        IF is_correct THEN
+            earned := earned + question_record.points;
+        END IF;
+
+        graded_items := graded_items || jsonb_build_array(jsonb_build_object(
+            'question_id', question_record.id,
+            'parameters', variant -> 'parameters',
+            'response', response,
+            'is_correct', is_correct,
+            'points', question_record.points,
+            'points_awarded', CASE WHEN is_correct THEN question_record.points ELSE 0 END
+        ));
+
+        snapshots := snapshots || jsonb_build_array(jsonb_build_object(
+            'question_id', question_record.id,
+            'bank_item_id', question_record.bank_item_id,
+            'order_index', jsonb_array_length(snapshots),
+            'question_type', question_record.question_type,
+            'prompt', variant ->> 'prompt',
+            'choices', variant -> 'choices',
+            'correct_answer', variant -> 'correct_answer',
+            'tolerance', question_record.tolerance,
+            'require_simplified', question_record.require_simplified,
+            'parameters', variant -> 'parameters',
+            'points', question_record.points
+        ));
+    END LOOP;
+
+    IF possible = 0 THEN
+        RAISE EXCEPTION 'This quiz has no questions yet';
+    END IF;
+
+    IF existing_submission_id IS NOT NULL THEN
+        UPDATE public.quiz_submissions
+        SET student_score = earned,
+            total_items = possible,
+            answers = graded_items,
+            variant_seed = attempt_seed,
+            status = 'approved',
+            is_auto_graded = true,
+            is_late = late_submission,
+            started_at = attempt_record.started_at,
+            graded_at = NOW(),
+            reviewed_at = NOW(),
+            reviewed_by = NULL,
+            teacher_comment = NULL,
+            teacher_feedback = NULL,
+            submitted_at = submitted_time,
+            updated_at = NOW()
+        WHERE id = existing_submission_id
+        RETURNING id INTO attempt_submission_id;
+    ELSE
+        INSERT INTO public.quiz_submissions (
+            quiz_id, user_id, student_score, total_items, answers, variant_seed,
+            status, is_auto_graded, is_late, started_at, graded_at, reviewed_at, submitted_at
+        )
+        VALUES (
+            attempt_record.quiz_id, attempt_record.user_id, earned, possible, graded_items, attempt_seed,
+            'approved', true, late_submission, attempt_record.started_at, NOW(), NOW(), submitted_time
+        )
+        RETURNING id INTO attempt_submission_id;
+    END IF;
+
+    DELETE FROM public.quiz_submission_questions
+    WHERE submission_id = attempt_submission_id;
+
+    INSERT INTO public.quiz_submission_questions (
+        submission_id, question_id, bank_item_id, order_index, question_type, prompt,
+        choices, correct_answer, tolerance, require_simplified, parameters, points
+    )
+    SELECT
+        attempt_submission_id,
+        (snapshot ->> 'question_id')::uuid,
+        (snapshot ->> 'bank_item_id')::uuid,
+        (snapshot ->> 'order_index')::integer,
+        snapshot ->> 'question_type',
+        snapshot ->> 'prompt',
+        COALESCE(snapshot -> 'choices', '[]'::jsonb),
+        snapshot -> 'correct_answer',
+        COALESCE((snapshot ->> 'tolerance')::numeric, 0),
+        COALESCE((snapshot ->> 'require_simplified')::boolean, false),
+        NULLIF(snapshot -> 'parameters', 'null'::jsonb),
+        (snapshot ->> 'points')::integer
+    FROM jsonb_array_elements(snapshots) AS snapshot;
+
+    UPDATE public.quiz_attempts
+    SET submitted_at = submitted_time,
+        saved_answers = COALESCE(p_answers, '{}'::jsonb),
+        is_auto_submitted = p_auto_submitted,
+        submission_id = attempt_submission_id
+    WHERE id = attempt_record.id;
+
+    RETURN jsonb_build_object(
+        'submission_id', attempt_submission_id,
+        'student_score', earned,
+        'total_items', possible,
+        'passing_score', quiz_record.passing_score,
+        'is_late', late_submission,
+        'auto_submitted', p_auto_submitted,
+        'results', (
+            SELECT jsonb_agg(item - 'response' - 'parameters')
+            FROM jsonb_array_elements(graded_items) AS item
+        )
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.grade_native_quiz_attempt(uuid, jsonb, boolean) FROM PUBLIC;
+
+-- Auto-submits attempts whose time ran out, with the answers saved before expiry.
+-- Students finalize their own attempts, teachers those of their quizzes, admins any.
+CREATE OR REPLACE FUNCTION public.finalize_expired_quiz_attempts(p_quiz_id uuid DEFAULT NULL)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+    requester_is_admin boolean;
+    attempt_record public.quiz_attempts%ROWTYPE;
+    finalized integer := 0;
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    requester_is_admin := EXISTS (
+        SELECT 1
+        FROM public.users u
+        WHERE u.id = requester_id
+          AND u.role = 'admin'
+    );
+
+    FOR attempt_record IN
+        SELECT a.*
+        FROM public.quiz_attempts a
+        JOIN public.quizzes q ON q.id = a.quiz_id
+        WHERE a.submitted_at IS NULL
+          AND a.expires_at + public.get_quiz_attempt_grace_period() < NOW()
+          AND (p_quiz_id IS NULL OR a.quiz_id = p_quiz_id)
+          AND (a.user_id = requester_id OR q.teacher_id = requester_id OR requester_is_admin)
+        ORDER BY a.expires_at
+    LOOP
+        BEGIN
+            PERFORM public.grade_native_quiz_attempt(attempt_record.id, attempt_record.saved_answers, true);
+            finalized := finalized + 1;
+        EXCEPTION WHEN OTHERS THEN
+            RAISE WARNING 'Could not auto-submit quiz attempt %: %', attempt_record.id, SQLERRM;
+        END;
+    END LOOP;
+
+    RETURN finalized;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.finalize_expired_quiz_attempts(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.finalize_expired_quiz_attempts(uuid) TO authenticated;
+
+-- ------------------------------
+-- STUDENT RPCs
+-- ------------------------------
+
+-- Starts (or resumes) the student's attempt and returns its timing.
+CREATE OR REPLACE FUNCTION public.start_native_quiz(p_quiz_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+    quiz_record public.quizzes%ROWTYPE;
+    attempt_record public.quiz_attempts%ROWTYPE;
+    effective_deadline timestamptz;
+    attempt_expires_at timestamptz;
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    IF NOT public.student_can_access_quiz(p_quiz_id, requester_id) THEN
+        RAISE EXCEPTION 'Quiz not found or not available to you';
+    END IF;
+
+    SELECT * INTO quiz_record
+    FROM public.quizzes
+    WHERE id = p_quiz_id;
+
+    IF quiz_record.quiz_mode IS DISTINCT FROM 'native' THEN
+        RAISE EXCEPTION 'This quiz is taken outside MathTuro';
+    END IF;
+
+    PERFORM public.finalize_expired_quiz_attempts(p_quiz_id);
+
+    SELECT * INTO attempt_record
+    FROM public.quiz_attempts
+    WHERE quiz_id = p_quiz_id
+      AND user_id = requester_id
+      AND submitted_at IS NULL;
+
+    IF attempt_record.id IS NULL THEN
+        IF EXISTS (
+            SELECT 1
+            FROM public.quiz_submissions
+            WHERE quiz_id = p_quiz_id
+              AND user_id = requester_id
+              AND is_auto_graded = true
+        ) THEN
+            RAISE EXCEPTION 'You have already completed this quiz';
+        END IF;
+
+        effective_deadline := public.get_quiz_deadline(p_quiz_id, requester_id);
+
+        IF effective_deadline IS NOT NULL
+           AND NOW() > effective_deadline
+           AND NOT quiz_record.allow_late_submissions THEN
+            RAISE EXCEPTION 'The deadline for this quiz has passed';
+        END IF;
+
+        IF COALESCE(quiz_record.time_limit_minutes, 0) > 0 THEN
+            attempt_expires_at := NOW() + make_interval(mins => quiz_record.time_limit_minutes);
+        END IF;
+
+        -- Without late submissions the timer also stops at the deadline
+        IF effective_deadline IS NOT NULL
+           AND NOT quiz_record.allow_late_submissions
+           AND (attempt_expires_at IS NULL OR effective_deadline < attempt_expires_at) THEN
+            attempt_expires_at := effective_deadline;
+        END IF;
+
+        INSERT INTO public.quiz_attempts (quiz_id, user_id, expires_at)
+        VALUES (p_quiz_id, requester_id, attempt_expires_at)
+        ON CONFLICT (quiz_id, user_id) WHERE submitted_at IS NULL DO NOTHING;
+
+        SELECT * INTO attempt_record
+        FROM public.quiz_attempts
+        WHERE quiz_id = p_quiz_id
+          AND user_id = requester_id
+          AND submitted_at IS NULL;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'id', attempt_record.id,
+        'started_at', attempt_record.started_at,
+        'expires_at', attempt_record.expires_at,
+        'saved_answers', attempt_record.saved_answers,
+        'server_time', NOW()
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.start_native_quiz(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.start_native_quiz(uuid) TO authenticated;
+
+-- Returns the quiz, the open attempt and (once started) its questions without answer keys.
+CREATE OR REPLACE FUNCTION public.get_native_quiz(p_quiz_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+    quiz_record public.quizzes%ROWTYPE;
+    attempt_record public.quiz_attempts%ROWTYPE;
+    attempt_seed bigint := public.get_quiz_variant_seed(p_quiz_id, auth.uid());
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    IF NOT public.student_can_access_quiz(p_quiz_id, requester_id) THEN
+        RAISE EXCEPTION 'Quiz not found or not available to you';
+    END IF;
+
+    SELECT * INTO quiz_record
+    FROM public.quizzes
+    WHERE id = p_quiz_id;
+
+    IF quiz_record.quiz_mode IS DISTINCT FROM 'native' THEN
+        RAISE EXCEPTION 'This quiz is taken outside MathTuro';
+    END IF;
+
+    SELECT * INTO attempt_record
+    FROM public.quiz_attempts
+    WHERE quiz_id = p_quiz_id
+      AND user_id = requester_id
+      AND submitted_at IS NULL;
+
+    RETURN jsonb_build_object(
+        'quiz', jsonb_build_object(
+            'id', quiz_record.id,
+            'title', quiz_record.title,
+            'description', quiz_record.description,
+            'total_items', quiz_record.total_items,
+            'passing_score', quiz_record.passing_score,
+            'time_limit_minutes', quiz_record.time_limit_minutes,
+            'deadline', public.get_quiz_deadline(p_quiz_id, requester_id),
+            'allow_late_submissions', quiz_record.allow_late_submissions,
+            'quarter', quiz_record.quarter
+        ),
+        'attempt', CASE WHEN attempt_record.id IS NULL THEN NULL ELSE jsonb_build_object(
+            'id', attempt_record.id,
+            'started_at', attempt_record.started_at,
+            'expires_at', attempt_record.expires_at,
+            'saved_answers', attempt_record.saved_answers,
+            'server_time', NOW()
+        ) END,
+        'questions', CASE WHEN attempt_record.id IS NULL THEN '[]'::jsonb ELSE COALESCE((
+            SELECT jsonb_agg(
+                jsonb_build_object(
+                    'id', qq.id,
+                    'order_index', qq.order_index,
+                    'question_type', qq.question_type,
+                    'prompt', variant.data ->> 'prompt',
+                    'choices', variant.data -> 'choices',
+                    'points', qq.points,
+                    'require_simplified', qq.require_simplified
+                )
+                ORDER BY qq.order_index, qq.created_at
+            )
+            FROM public.get_quiz_attempt_questions(p_quiz_id, attempt_seed) qq
+            CROSS JOIN LATERAL (
+                SELECT public.build_quiz_question_variant(qq, attempt_seed) AS data
+            ) AS variant
+        ), '[]'::jsonb) END
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.get_native_quiz(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_native_quiz(uuid) TO authenticated;
+
+-- Saves the answers of the open attempt so they count if time runs out.
+CREATE OR REPLACE FUNCTION public.save_native_quiz_progress(p_quiz_id uuid, p_answers jsonb)
+RETURNS boolean
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+    attempt_record public.quiz_attempts%ROWTYPE;
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    SELECT * INTO attempt_record
+    FROM public.quiz_attempts
+    WHERE quiz_id = p_quiz_id
+      AND user_id = requester_id
+      AND submitted_at IS NULL;
+
+    IF attempt_record.id IS NULL THEN
+        RAISE EXCEPTION 'This quiz has not been started';
+    END IF;
+
+    IF attempt_record.expires_at + public.get_quiz_attempt_grace_period() < NOW() THEN
+        RAISE EXCEPTION 'Time is up for this attempt';
+    END IF;
+
+    UPDATE public.quiz_attempts
+    SET saved_answers = COALESCE(p_answers, '{}'::jsonb)
+    WHERE id = attempt_record.id;
+
+    RETURN true;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.save_native_quiz_progress(uuid, jsonb) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.save_native_quiz_progress(uuid, jsonb) TO authenticated;
+
+-- Scores the answers ({ "<question_id>": response }) of the open attempt.
+-- Answers that arrive after the time limit are ignored; the attempt is graded
+-- with the answers saved before it expired.
+CREATE OR REPLACE FUNCTION public.submit_native_quiz(p_quiz_id uuid, p_answers jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+    quiz_record public.quizzes%ROWTYPE;
+    attempt_record public.quiz_attempts%ROWTYPE;
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    IF NOT public.student_can_access_quiz(p_quiz_id, requester_id) THEN
+        RAISE EXCEPTION 'Quiz not found or not available to you';
+    END IF;
+
+    SELECT * INTO quiz_record
+    FROM public.quizzes
+    WHERE id = p_quiz_id;
+
+    IF quiz_record.quiz_mode IS DISTINCT FROM 'native' THEN
+        RAISE EXCEPTION 'This quiz is taken outside MathTuro';
+    END IF;
+
+    SELECT * INTO attempt_record
+    FROM public.quiz_attempts
+    WHERE quiz_id = p_quiz_id
+      AND user_id = requester_id
+      AND submitted_at IS NULL;
+
+    IF attempt_record.id IS NULL THEN
+        IF EXISTS (
+            SELECT 1
+            FROM public.quiz_submissions
+            WHERE quiz_id = p_quiz_id
+              AND user_id = requester_id
+              AND is_auto_graded = true
+        ) THEN
+            RAISE EXCEPTION 'You have already completed this quiz';
+        END IF;
+
+        RAISE EXCEPTION 'Start the quiz before submitting';
+    END IF;
+
+    IF attempt_record.expires_at + public.get_quiz_attempt_grace_period() < NOW() THEN
+        RETURN public.grade_native_quiz_attempt(attempt_record.id, attempt_record.saved_answers, true);
+    END IF;
+
+    RETURN public.grade_native_quiz_attempt(attempt_record.id, p_answers, false);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.submit_native_quiz(uuid, jsonb) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.submit_native_quiz(uuid, jsonb) TO authenticated;
+
+-- Ensure PostgREST sees the new tables and RPCs immediately
+NOTIFY pgrst, 'reload schema';
+
+COMMIT;
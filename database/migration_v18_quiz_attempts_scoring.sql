@@ -0,0 +1,538 @@
+-- Migration v18: Multiple quiz attempts with a scoring rule
+-- Purpose:
+-- 1) Let quizzes allow several attempts (quizzes.max_attempts, 0 = unlimited).
+-- 2) Keep every attempt as its own quiz_submissions row, numbered by attempt_number.
+-- 3) Choose which attempt counts (quizzes.scoring_rule: highest, latest or average).
+-- 4) Give each native attempt its own question variant (seed includes the attempt number).
+
+BEGIN;
+
+-- ------------------------------
+-- COLUMNS
+-- ------------------------------
+ALTER TABLE public.quizzes
+    ADD COLUMN IF NOT EXISTS max_attempts INTEGER NOT NULL DEFAULT 1,
+    ADD COLUMN IF NOT EXISTS scoring_rule TEXT NOT NULL DEFAULT 'highest';
+
+ALTER TABLE public.quizzes
+    DROP CONSTRAINT IF EXISTS quizzes_max_attempts_check;
+ALTER TABLE public.quizzes
+    ADD CONSTRAINT quizzes_max_attempts_check CHECK (max_attempts >= 0);
+
+ALTER TABLE public.quizzes
+    DROP CONSTRAINT IF EXISTS quizzes_scoring_rule_check;
+ALTER TABLE public.quizzes
+    ADD CONSTRAINT quizzes_scoring_rule_check CHECK (scoring_rule IN ('highest', 'latest', 'average'));
+
+ALTER TABLE public.quiz_submissions
+    ADD COLUMN IF NOT EXISTS attempt_number INTEGER;
+
+-- Number existing rows in submission order: per quiz (whatever the lesson, as the unique
+-- index below), or per lesson for rows without a quiz
+UPDATE public.quiz_submissions s
+SET attempt_number = numbered.attempt_number
+FROM (
+    SELECT
+        id,
+        ROW_NUMBER() OVER (
+            PARTITION BY user_id, quiz_id, CASE WHEN quiz_id IS NULL THEN lesson_id END
+            ORDER BY submitted_at NULLS LAST, created_at, id
+        ) AS attempt_number
+    FROM public.quiz_submissions
+) AS numbered
+WHERE s.id = numbered.id
+  AND s.attempt_number IS NULL;
+
+ALTER TABLE public.quiz_submissions
+    ALTER COLUMN attempt_number SET NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_quiz_submissions_quiz_user_attempt
+    ON public.quiz_submissions(quiz_id, user_id, attempt_number)
+    WHERE quiz_id IS NOT NULL;
+
+ALTER TABLE public.quiz_attempts
+    ADD COLUMN IF NOT EXISTS attempt_number INTEGER NOT NULL DEFAULT 1;
+
+-- ------------------------------
+-- ATTEMPT HELPERS
+-- ------------------------------
+
+-- Attempt 1 keeps the v15 seed, so attempts graded before this migration review the same.
+CREATE OR REPLACE FUNCTION public.get_quiz_variant_seed(p_quiz_id uuid, p_student_id uuid, p_attempt_number integer)
+RETURNS bigint
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE
+        WHEN COALESCE(p_attempt_number, 1) <= 1 THEN public.get_quiz_variant_seed(p_quiz_id, p_student_id)
+        ELSE ('x' || SUBSTR(MD5(p_quiz_id::text || ':' || p_student_id::text || ':' || p_attempt_number::text), 1, 8))::bit(32)::bigint
+    END;
+$$;
+
+-- Attempts that count toward quizzes.max_attempts. Rejected submissions do not.
+CREATE OR REPLACE FUNCTION public.get_quiz_attempts_used(p_quiz_id uuid, p_user_id uuid)
+RETURNS integer
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT COUNT(*)::integer
+    FROM public.quiz_submissions
+    WHERE quiz_id = p_quiz_id
+      AND user_id = p_user_id
+      AND status IS DISTINCT FROM 'rejected';
+$$;
+
+REVOKE ALL ON FUNCTION public.get_quiz_attempts_used(uuid, uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_quiz_attempts_used(uuid, uuid) TO authenticated;
+
+-- Numbers new submissions and enforces max_attempts for direct student writes.
+-- Native attempts are checked by start_native_quiz and keep the number of their quiz_attempts row.
+CREATE OR REPLACE FUNCTION public.assign_quiz_submission_attempt()
+RETURNS trigger
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+    is_student_write boolean := current_user IN ('authenticated', 'anon');
+    quiz_max_attempts integer;
+BEGIN
+    IF TG_OP = 'UPDATE' THEN
+        IF is_student_write THEN
+            NEW.attempt_number := OLD.attempt_number;
+        END IF;
+        RETURN NEW;
+    END IF;
+
+    IF NEW.attempt_number IS NULL OR is_student_write THEN
+        SELECT COALESCE(MAX(attempt_number), 0) + 1 INTO NEW.attempt_number
+        FROM public.quiz_submissions
+        WHERE user_id = NEW.user_id
+          AND quiz_id IS NOT DISTINCT FROM NEW.quiz_id
+          AND (NEW.quiz_id IS NOT NULL OR lesson_id IS NOT DISTINCT FROM NEW.lesson_id);
+    END IF;
+
+    IF is_student_write AND NEW.quiz_id IS NOT NULL THEN
+        SELECT max_attempts INTO quiz_max_attempts
+        FROM public.quizzes
+        WHERE id = NEW.quiz_id;
+
+        IF quiz_max_attempts > 0
+           AND public.get_quiz_attempts_used(NEW.quiz_id, NEW.user_id) >= quiz_max_attempts THEN
+            IF quiz_max_attempts = 1 THEN
+                RAISE EXCEPTION 'You have already submitted this quiz';
+            END IF;
+            RAISE EXCEPTION 'You have used all % attempts for this quiz', quiz_max_attempts;
+        END IF;
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_quiz_submissions_attempt ON public.quiz_submissions;
+CREATE TRIGGER trg_quiz_submissions_attempt
+    BEFORE INSERT OR UPDATE ON public.quiz_submissions
+    FOR EACH ROW
+    EXECUTE FUNCTION public.assign_quiz_submission_attempt();
+
+-- ------------------------------
+-- GRADING
+-- ------------------------------
+
+-- Scores an open attempt and records it as a new submission row. Internal: called by
+-- submit_native_quiz and finalize_expired_quiz_attempts, never by clients.
+CREATE OR REPLACE FUNCTION public.grade_native_quiz_attempt(
+    p_attempt_id uuid,
+    p_answers jsonb,
+    p_auto_submitted boolean DEFAULT false
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+    attempt_record public.quiz_attempts%ROWTYPE;
+    quiz_record public.quizzes%ROWTYPE;
+    question_record public.quiz_questions%ROWTYPE;
+    attempt_submission_id uuid;
+    attempt_seed bigint;
+    submitted_time timestamptz;
+    effective_deadline timestamptz;
+    late_submission boolean;
+    variant jsonb;
+    response jsonb;
+    is_correct boolean;
+    earned integer := 0;
+    possible integer := 0;
+    graded_items jsonb := '[]'::jsonb;
+    snapshots jsonb := '[]'::jsonb;
+BEGIN
+    SELECT * INTO attempt_record
+    FROM public.quiz_attempts
+    WHERE id = p_attempt_id
+    FOR UPDATE;
+
+    IF attempt_record.id IS NULL OR attempt_record.submitted_at IS NOT NULL THEN
+        RAISE EXCEPTION 'This attempt has already been submitted';
+    END IF;
+
+    SELECT * INTO quiz_record
+    FROM public.quizzes
+    WHERE id = attempt_record.quiz_id;
+
+    attempt_seed := public.get_quiz_variant_seed(attempt_record.quiz_id, attempt_record.user_id, attempt_record.attempt_number);
+
+    -- An attempt graded after it expired counts as submitted when time ran out
+    submitted_time := LEAST(NOW(), COALESCE(attempt_record.expires_at, NOW()));
+    effective_deadline := public.get_quiz_deadline(attempt_record.quiz_id, attempt_record.user_id);
+    late_submission := effective_deadline IS NOT NULL AND submitted_time > effective_deadline;
+
+    FOR question_record IN
+        SELECT *
+        FROM public.get_quiz_attempt_questions(attempt_record.quiz_id, attempt_seed)
+        ORDER BY order_index, created_at
+    LOOP
+        variant := public.build_quiz_question_variant(question_record, attempt_seed);
+        response := COALESCE(p_answers, '{}'::jsonb) -> question_record.id::text;
+        is_correct := public.is_quiz_response_correct(
+            question_record.question_type,
+            variant -> 'correct_answer',
+            question_record.tolerance,
+            response,
+            question_record.require_simplified
+        );
+
+        possible := possible + question_record.points;
+        IF is_correct THEN
+            earned := earned + question_record.points;
+        END IF;
+
+        graded_items := graded_items || jsonb_build_array(jsonb_build_object(
+            'question_id', question_record.id,
+            'parameters', variant -> 'parameters',
+            'response', response,
+            'is_correct', is_correct,
+            'points', question_record.points,
+            'points_awarded', CASE WHEN is_correct THEN question_record.points ELSE 0 END
+        ));
+
+        snapshots := snapshots || jsonb_build_array(jsonb_build_object(
+            'question_id', question_record.id,
+            'bank_item_id', question_record.bank_item_id,
+            'order_index', jsonb_array_length(snapshots),
+            'question_type', question_record.question_type,
+            'prompt', variant ->> 'prompt',
+            'choices', variant -> 'choices',
+            'correct_answer', variant -> 'correct_answer',
+            'tolerance', question_record.tolerance,
+            'require_simplified', question_record.require_simplified,
+            'parameters', variant -> 'parameters',
+            'points', question_record.points
+        ));
+    END LOOP;
+
+    IF possible = 0 THEN
+        RAISE EXCEPTION 'This quiz has no questions yet';
+    END IF;
+
+    -- Every attempt is its own row; earlier attempts stay as history
+    INSERT INTO public.quiz_submissions (
+        quiz_id, user_id, attempt_number, student_score, total_items, answers, variant_seed,
+        status, is_auto_graded, is_late, started_at, graded_at, reviewed_at, submitted_at
+    )
+    VALUES (
+        attempt_record.quiz_id, attempt_record.user_id, attempt_record.attempt_number, earned, possible, graded_items, attempt_seed,
+        'approved', true, late_submission, attempt_record.started_at, NOW(), NOW(), submitted_time
+    )
+    RETURNING id INTO attempt_submission_id;
+
+    INSERT INTO public.quiz_submission_questions (
+        submission_id, question_id, bank_item_id, order_index, question_type, prompt,
+        choices, correct_answer, tolerance, require_simplified, parameters, points
+    )
+    SELECT
+        attempt_submission_id,
+        (snapshot ->> 'question_id')::uuid,
+        (snapshot ->> 'bank_item_id')::uuid,
+        (snapshot ->> 'order_index')::integer,
+        snapshot ->> 'question_type',
+        snapshot ->> 'prompt',
+        COALESCE(snapshot -> 'choices', '[]'::jsonb),
+        snapshot -> 'correct_answer',
+        COALESCE((snapshot ->> 'tolerance')::numeric, 0),
+        COALESCE((snapshot ->> 'require_simplified')::boolean, false),
+        NULLIF(snapshot -> 'parameters', 'null'::jsonb),
+        (snapshot ->> 'points')::integer
+    FROM jsonb_array_elements(snapshots) AS snapshot;
+
+    UPDATE public.quiz_attempts
+    SET submitted_at = submitted_time,
+        saved_answers = COALESCE(p_answers, '{}'::jsonb),
+        is_auto_submitted = p_auto_submitted,
+        submission_id = attempt_submission_id
+    WHERE id = attempt_record.id;
+
+    RETURN jsonb_build_object(
+        'submission_id', attempt_submission_id,
+        'attempt_number', attempt_record.attempt_number,
+        'student_score', earned,
+        'total_items', possible,
+        'passing_score', quiz_record.passing_score,
+        'is_late', late_submission,
+        'auto_submitted', p_auto_submitted,
+        'results', (
+            SELECT jsonb_agg(item - 'response' - 'parameters')
+            FROM jsonb_array_elements(graded_items) AS item
+        )
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.grade_native_quiz_attempt(uuid, jsonb, boolean) FROM PUBLIC;
+
+-- ------------------------------
+-- STUDENT RPCs
+-- ------------------------------
+
+-- Starts (or resumes) the student's attempt and returns its timing.
+CREATE OR REPLACE FUNCTION public.start_native_quiz(p_quiz_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+    quiz_record public.quizzes%ROWTYPE;
+    attempt_record public.quiz_attempts%ROWTYPE;
+    effective_deadline timestamptz;
+    attempt_expires_at timestamptz;
+    attempts_used integer;
+    next_attempt_number integer;
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    IF NOT public.student_can_access_quiz(p_quiz_id, requester_id) THEN
+        RAISE EXCEPTION 'Quiz not found or not available to you';
+    END IF;
+
+    SELECT * INTO quiz_record
+    FROM public.quizzes
+    WHERE id = p_quiz_id;
+
+    IF quiz_record.quiz_mode IS DISTINCT FROM 'native' THEN
+        RAISE EXCEPTION 'This quiz is taken outside MathTuro';
+    END IF;
+
+    PERFORM public.finalize_expired_quiz_attempts(p_quiz_id);
+
+    SELECT * INTO attempt_record
+    FROM public.quiz_attempts
+    WHERE quiz_id = p_quiz_id
+      AND user_id = requester_id
+      AND submitted_at IS NULL;
+
+    IF attempt_record.id IS NULL THEN
+        attempts_used := public.get_quiz_attempts_used(p_quiz_id, requester_id);
+
+        IF quiz_record.max_attempts > 0 AND attempts_used >= quiz_record.max_attempts THEN
+            IF quiz_record.max_attempts = 1 THEN
+                RAISE EXCEPTION 'You have already completed this quiz';
+            END IF;
+            RAISE EXCEPTION 'You have used all % attempts for this quiz', quiz_record.max_attempts;
+        END IF;
+
+        SELECT COALESCE(MAX(attempt_number), 0) + 1 INTO next_attempt_number
+        FROM public.quiz_submissions
+        WHERE quiz_id = p_quiz_id
+          AND user_id = requester_id;
+
+        effective_deadline := public.get_quiz_deadline(p_quiz_id, requester_id);
+
+        IF effective_deadline IS NOT NULL
+           AND NOW() > effective_deadline
+           AND NOT quiz_record.allow_late_submissions THEN
+            RAISE EXCEPTION 'The deadline for this quiz has passed';
+        END IF;
+
+        IF COALESCE(quiz_record.time_limit_minutes, 0) > 0 THEN
+            attempt_expires_at := NOW() + make_interval(mins => quiz_record.time_limit_minutes);
+        END IF;
+
+        -- Without late submissions the timer also stops at the deadline
+        IF effective_deadline IS NOT NULL
+           AND NOT quiz_record.allow_late_submissions
+           AND (attempt_expires_at IS NULL OR effective_deadline < attempt_expires_at) THEN
+            attempt_expires_at := effective_deadline;
+        END IF;
+
+        INSERT INTO public.quiz_attempts (quiz_id, user_id, attempt_number, expires_at)
+        VALUES (p_quiz_id, requester_id, next_attempt_number, attempt_expires_at)
+        ON CONFLICT (quiz_id, user_id) WHERE submitted_at IS NULL DO NOTHING;
+
+        SELECT * INTO attempt_record
+        FROM public.quiz_attempts
+        WHERE quiz_id = p_quiz_id
+          AND user_id = requester_id
+          AND submitted_at IS NULL;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'id', attempt_record.id,
+        'attempt_number', attempt_record.attempt_number,
+        'started_at', attempt_record.started_at,
+        'expires_at', attempt_record.expires_at,
+        'saved_answers', attempt_record.saved_answers,
+        'server_time', NOW()
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.start_native_quiz(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.start_native_quiz(uuid) TO authenticated;
+
+-- Returns the quiz with the student's attempt count, the open attempt and
+-- (once started) its questions without answer keys.
+CREATE OR REPLACE FUNCTION public.get_native_quiz(p_quiz_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+    quiz_record public.quizzes%ROWTYPE;
+    attempt_record public.quiz_attempts%ROWTYPE;
+    attempt_seed bigint;
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    IF NOT public.student_can_access_quiz(p_quiz_id, requester_id) THEN
+        RAISE EXCEPTION 'Quiz not found or not available to you';
+    END IF;
+
+    SELECT * INTO quiz_record
+    FROM public.quizzes
+    WHERE id = p_quiz_id;
+
+    IF quiz_record.quiz_mode IS DISTINCT FROM 'native' THEN
+        RAISE EXCEPTION 'This quiz is taken outside MathTuro';
+    END IF;
+
+    SELECT * INTO attempt_record
+    FROM public.quiz_attempts
+    WHERE quiz_id = p_quiz_id
+      AND user_id = requester_id
+      AND submitted_at IS NULL;
+
+    attempt_seed := public.get_quiz_variant_seed(p_quiz_id, requester_id, COALESCE(attempt_record.attempt_number, 1));
+
+    RETURN jsonb_build_object(
+        'quiz', jsonb_build_object(
+            'id', quiz_record.id,
+            'title', quiz_record.title,
+            'description', quiz_record.description,
+            'total_items', quiz_record.total_items,
+            'passing_score', quiz_record.passing_score,
+            'time_limit_minutes', quiz_record.time_limit_minutes,
+            'deadline', public.get_quiz_deadline(p_quiz_id, requester_id),
+            'allow_late_submissions', quiz_record.allow_late_submissions,
+            'max_attempts', quiz_record.max_attempts,
+            'scoring_rule', quiz_record.scoring_rule,
+            'attempts_used', public.get_quiz_attempts_used(p_quiz_id, requester_id),
+            'quarter', quiz_record.quarter
+        ),
+        'attempt', CASE WHEN attempt_record.id IS NULL THEN NULL ELSE jsonb_build_object(
+            'id', attempt_record.id,
+            'attempt_number', attempt_record.attempt_number,
+            'started_at', attempt_record.started_at,
+            'expires_at', attempt_record.expires_at,
+            'saved_answers', attempt_record.saved_answers,
+            'server_time', NOW()
+        ) END,
+        'questions', CASE WHEN attempt_record.id IS NULL THEN '[]'::jsonb ELSE COALESCE((
+            SELECT jsonb_agg(
+                jsonb_build_object(
+                    'id', qq.id,
+                    'order_index', qq.order_index,
+                    'question_type', qq.question_type,
+                    'prompt', variant.data ->> 'prompt',
+                    'choices', variant.data -> 'choices',
+                    'points', qq.points,
+                    'require_simplified', qq.require_simplified
+                )
+                ORDER BY qq.order_index, qq.created_at
+            )
+            FROM public.get_quiz_attempt_questions(p_quiz_id, attempt_seed) qq
+            CROSS JOIN LATERAL (
+                SELECT public.build_quiz_question_variant(qq, attempt_seed) AS data
+            ) AS variant
+        ), '[]'::jsonb) END
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.get_native_quiz(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_native_quiz(uuid) TO authenticated;
+
+-- Scores the answers ({ "<question_id>": response }) of the open attempt.
+-- Answers that arrive after the time limit are ignored; the attempt is graded
+-- with the answers saved before it expired.
+CREATE OR REPLACE FUNCTION public.submit_native_quiz(p_quiz_id uuid, p_answers jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+    quiz_record public.quizzes%ROWTYPE;
+    attempt_record public.quiz_attempts%ROWTYPE;
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    IF NOT public.student_can_access_quiz(p_quiz_id, requester_id) THEN
+        RAISE EXCEPTION 'Quiz not found or not available to you';
+    END IF;
+
+    SELECT * INTO quiz_record
+    FROM public.quizzes
+    WHERE id = p_quiz_id;
+
+    IF quiz_record.quiz_mode IS DISTINCT FROM 'native' THEN
+        RAISE EXCEPTION 'This quiz is taken outside MathTuro';
+    END IF;
+
+    SELECT * INTO attempt_record
+    FROM public.quiz_attempts
+    WHERE quiz_id = p_quiz_id
+      AND user_id = requester_id
+      AND submitted_at IS NULL;
+
+    IF attempt_record.id IS NULL THEN
+        RAISE EXCEPTION 'Start the quiz before submitting';
+    END IF;
+
+    IF attempt_record.expires_at + public.get_quiz_attempt_grace_period() < NOW() THEN
+        RETURN public.grade_native_quiz_attempt(attempt_record.id, attempt_record.saved_answers, true);
+    END IF;
+
+    RETURN public.grade_native_quiz_attempt(attempt_record.id, p_answers, false);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.submit_native_quiz(uuid, jsonb) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.submit_native_quiz(uuid, jsonb) TO authenticated;
+
+-- Ensure PostgREST sees the new columns and RPCs immediately
+NOTIFY pgrst, 'reload schema';
+
+COMMIT;
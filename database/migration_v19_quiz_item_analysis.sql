@@ -0,0 +1,401 @@
+-- Migration v19: Item analysis for native quizzes
+-- Purpose:
+-- 1) Record the seconds a student spends on each question (quiz_attempts.item_times,
+--    copied to quiz_submissions.item_times when the attempt is graded).
+-- 2) Accept those times from the quiz player in save_native_quiz_progress and submit_native_quiz.
+-- 3) Return the saved times with the open attempt so a resumed quiz keeps counting.
+-- Difficulty, discrimination and distractor rates are computed in the teacher reports
+-- from quiz_submissions.answers and the quiz_submission_questions snapshots.
+
+BEGIN;
+
+-- ------------------------------
+-- COLUMNS
+-- ------------------------------
+ALTER TABLE public.quiz_attempts
+    ADD COLUMN IF NOT EXISTS item_times JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+ALTER TABLE public.quiz_submissions
+    ADD COLUMN IF NOT EXISTS item_times JSONB;
+
+-- ------------------------------
+-- TIMING HELPERS
+-- ------------------------------
+
+-- Keeps { "<question_id>": seconds } entries with a uuid key and a number between
+-- 0 and 24 hours, rounded to tenths. Returns NULL when nothing usable was sent.
+CREATE OR REPLACE FUNCTION public.sanitize_quiz_item_times(p_item_times jsonb)
+RETURNS jsonb
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT jsonb_object_agg(entry.key, ROUND((entry.value #>> '{}')::numeric, 1))
+    FROM jsonb_each(CASE WHEN jsonb_typeof(p_item_times) = 'object' THEN p_item_times ELSE '{}'::jsonb END) AS entry
+    WHERE entry.key ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$'
+      AND jsonb_typeof(entry.value) = 'number'
+      AND (entry.value #>> '{}')::numeric BETWEEN 0 AND 86400;
+$$;
+
+-- ------------------------------
+-- GRADING
+-- ------------------------------
+
+-- Scores an open attempt and records it as a new submission row. Internal: called by
+-- submit_native_quiz and finalize_expired_quiz_attempts, never by clients.
+CREATE OR REPLACE FUNCTION public.grade_native_quiz_attempt(
+    p_attempt_id uuid,
+    p_answers jsonb,
+    p_auto_submitted boolean DEFAULT false
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+    attempt_record public.quiz_attempts%ROWTYPE;
+    quiz_record public.quizzes%ROWTYPE;
+    question_record public.quiz_questions%ROWTYPE;
+    attempt_submission_id uuid;
+    attempt_seed bigint;
+    submitted_time timestamptz;
+    effective_deadline timestamptz;
+    late_submission boolean;
+    variant jsonb;
+    response jsonb;
+    is_correct boolean;
+    earned integer := 0;
+    possible integer := 0;
+    graded_items jsonb := '[]'::jsonb;
+    snapshots jsonb := '[]'::jsonb;
+BEGIN
+    SELECT * INTO attempt_record
+    FROM public.quiz_attempts
+    WHERE id = p_attempt_id
+    FOR UPDATE;
+
+    IF attempt_record.id IS NULL OR attempt_record.submitted_at IS NOT NULL THEN
+        RAISE EXCEPTION 'This attempt has already been submitted';
+    END IF;
+
+    SELECT * INTO quiz_record
+    FROM public.quizzes
+    WHERE id = attempt_record.quiz_id;
+
+    attempt_seed := public.get_quiz_variant_seed(attempt_record.quiz_id, attempt_record.user_id, attempt_record.attempt_number);
+
+    -- An attempt graded after it expired counts as submitted when time ran out
+    submitted_time := LEAST(NOW(), COALESCE(attempt_record.expires_at, NOW()));
+    effective_deadline := public.get_quiz_deadline(attempt_record.quiz_id, attempt_record.user_id);
+    late_submission := effective_deadline IS NOT NULL AND submitted_time > effective_deadline;
+
+    FOR question_record IN
+        SELECT *
+        FROM public.get_quiz_attempt_questions(attempt_record.quiz_id, attempt_seed)
+        ORDER BY order_index, created_at
+    LOOP
+        variant := public.build_quiz_question_variant(question_record, attempt_seed);
+        response := COALESCE(p_answers, '{}'::jsonb) -> question_record.id::text;
+        is_correct := public.is_quiz_response_correct(
+            question_record.question_type,
+            variant -> 'correct_answer',
+            question_record.tolerance,
+            response,
+            question_record.require_simplified
+        );
+
+        possible := possible + question_record.points;
+        IF is_correct THEN
+            earned := earned + question_record.points;
+        END IF;
+
+        graded_items := graded_items || jsonb_build_array(jsonb_build_object(
+            'question_id', question_record.id,
+            'parameters', variant -> 'parameters',
+            'response', response,
+            'is_correct', is_correct,
+            'points', question_record.points,
+            'points_awarded', CASE WHEN is_correct THEN question_record.points ELSE 0 END
+        ));
+
+        snapshots := snapshots || jsonb_build_array(jsonb_build_object(
+            'question_id', question_record.id,
+            'bank_item_id', question_record.bank_item_id,
+            'order_index', jsonb_array_length(snapshots),
+            'question_type', question_record.question_type,
+            'prompt', variant ->> 'prompt',
+            'choices', variant -> 'choices',
+            'correct_answer', variant -> 'correct_answer',
+            'tolerance', question_record.tolerance,
+            'require_simplified', question_record.require_simplified,
+            'parameters', variant -> 'parameters',
+            'points', question_record.points
+        ));
+    END LOOP;
+
+    IF possible = 0 THEN
+        RAISE EXCEPTION 'This quiz has no questions yet';
+    END IF;
+
+    -- Every attempt is its own row; earlier attempts stay as history
+    INSERT INTO public.quiz_submissions (
+        quiz_id, user_id, attempt_number, student_score, total_items, answers, item_times, variant_seed,
+        status, is_auto_graded, is_late, started_at, graded_at, reviewed_at, submitted_at
+    )
+    VALUES (
+        attempt_record.quiz_id, attempt_record.user_id, attempt_record.attempt_number, earned, possible, graded_items, attempt_record.item_times, attempt_seed,
+        'approved', true, late_submission, attempt_record.started_at, NOW(), NOW(), submitted_time
+    )
+    RETURNING id INTO attempt_submission_id;
+
+    INSERT INTO public.quiz_submission_questions (
+        submission_id, question_id, bank_item_id, order_index, question_type, prompt,
+        choices, correct_answer, tolerance, require_simplified, parameters, points
+    )
+    SELECT
+        attempt_submission_id,
+        (snapshot ->> 'question_id')::uuid,
+        (snapshot ->> 'bank_item_id')::uuid,
+        (snapshot ->> 'order_index')::integer,
+        snapshot ->> 'question_type',
+        snapshot ->> 'prompt',
+        COALESCE(snapshot -> 'choices', '[]'::jsonb),
+        snapshot -> 'correct_answer',
+        COALESCE((snapshot ->> 'tolerance')::numeric, 0),
+        COALESCE((snapshot ->> 'require_simplified')::boolean, false),
+        NULLIF(snapshot -> 'parameters', 'null'::jsonb),
+        (snapshot ->> 'points')::integer
+    FROM jsonb_array_elements(snapshots) AS snapshot;
+
+    UPDATE public.quiz_attempts
+    SET submitted_at = submitted_time,
+        saved_answers = COALESCE(p_answers, '{}'::jsonb),
+        is_auto_submitted = p_auto_submitted,
+        submission_id = attempt_submission_id
+    WHERE id = attempt_record.id;
+
+    RETURN jsonb_build_object(
+        'submission_id', attempt_submission_id,
+        'attempt_number', attempt_record.attempt_number,
+        'student_score', earned,
+        'total_items', possible,
+        'passing_score', quiz_record.passing_score,
+        'is_late', late_submission,
+        'auto_submitted', p_auto_submitted,
+        'results', (
+            SELECT jsonb_agg(item - 'response' - 'parameters')
+            FROM jsonb_array_elements(graded_items) AS item
+        )
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.grade_native_quiz_attempt(uuid, jsonb, boolean) FROM PUBLIC;
+
+-- ------------------------------
+-- STUDENT RPCs
+-- ------------------------------
+
+-- Returns the quiz with the student's attempt count, the open attempt and
+-- (once started) its questions without answer keys.
+CREATE OR REPLACE FUNCTION public.get_native_quiz(p_quiz_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+    quiz_record public.quizzes%ROWTYPE;
+    attempt_record public.quiz_attempts%ROWTYPE;
+    attempt_seed bigint;
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    IF NOT public.student_can_access_quiz(p_quiz_id, requester_id) THEN
+        RAISE EXCEPTION 'Quiz not found or not available to you';
+    END IF;
+
+    SELECT * INTO quiz_record
+    FROM public.quizzes
+    WHERE id = p_quiz_id;
+
+    IF quiz_record.quiz_mode IS DISTINCT FROM 'native' THEN
+        RAISE EXCEPTION 'This quiz is taken outside MathTuro';
+    END IF;
+
+    SELECT * INTO attempt_record
+    FROM public.quiz_attempts
+    WHERE quiz_id = p_quiz_id
+      AND user_id = requester_id
+      AND submitted_at IS NULL;
+
+    attempt_seed := public.get_quiz_variant_seed(p_quiz_id, requester_id, COALESCE(attempt_record.attempt_number, 1));
+
+    RETURN jsonb_build_object(
+        'quiz', jsonb_build_object(
+            'id', quiz_record.id,
+            'title', quiz_record.title,
+            'description', quiz_record.description,
+            'total_items', quiz_record.total_items,
+            'passing_score', quiz_record.passing_score,
+            'time_limit_minutes', quiz_record.time_limit_minutes,
+            'deadline', public.get_quiz_deadline(p_quiz_id, requester_id),
+            'allow_late_submissions', quiz_record.allow_late_submissions,
+            'max_attempts', quiz_record.max_attempts,
+            'scoring_rule', quiz_record.scoring_rule,
+            'attempts_used', public.get_quiz_attempts_used(p_quiz_id, requester_id),
+            'quarter', quiz_record.quarter
+        ),
+        'attempt', CASE WHEN attempt_record.id IS NULL THEN NULL ELSE jsonb_build_object(
+            'id', attempt_record.id,
+            'attempt_number', attempt_record.attempt_number,
+            'started_at', attempt_record.started_at,
+            'expires_at', attempt_record.expires_at,
+            'saved_answers', attempt_record.saved_answers,
+            'item_times', attempt_record.item_times,
+            'server_time', NOW()
+        ) END,
+        'questions', CASE WHEN attempt_record.id IS NULL THEN '[]'::jsonb ELSE COALESCE((
+            SELECT jsonb_agg(
+                jsonb_build_object(
+                    'id', qq.id,
+                    'order_index', qq.order_index,
+                    'question_type', qq.question_type,
+                    'prompt', variant.data ->> 'prompt',
+                    'choices', variant.data -> 'choices',
+                    'points', qq.points,
+                    'require_simplified', qq.require_simplified
+                )
+                ORDER BY qq.order_index, qq.created_at
+            )
+            FROM public.get_quiz_attempt_questions(p_quiz_id, attempt_seed) qq
+            CROSS JOIN LATERAL (
+                SELECT public.build_quiz_question_variant(qq, attempt_seed) AS data
+            ) AS variant
+        ), '[]'::jsonb) END
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.get_native_quiz(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_native_quiz(uuid) TO authenticated;
+
+-- The two-argument versions are replaced by ones that also take the item times
+DROP FUNCTION IF EXISTS public.save_native_quiz_progress(uuid, jsonb);
+DROP FUNCTION IF EXISTS public.submit_native_quiz(uuid, jsonb);
+
+-- Saves the answers of the open attempt so they count if time runs out, along with
+-- the seconds spent on each question so far.
+CREATE OR REPLACE FUNCTION public.save_native_quiz_progress(
+    p_quiz_id uuid,
+    p_answers jsonb,
+    p_item_times jsonb DEFAULT NULL
+)
+RETURNS boolean
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+    attempt_record public.quiz_attempts%ROWTYPE;
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    SELECT * INTO attempt_record
+    FROM public.quiz_attempts
+    WHERE quiz_id = p_quiz_id
+      AND user_id = requester_id
+      AND submitted_at IS NULL;
+
+    IF attempt_record.id IS NULL THEN
+        RAISE EXCEPTION 'This quiz has not been started';
+    END IF;
+
+    IF attempt_record.expires_at + public.get_quiz_attempt_grace_period() < NOW() THEN
+        RAISE EXCEPTION 'Time is up for this attempt';
+    END IF;
+
+    UPDATE public.quiz_attempts
+    SET saved_answers = COALESCE(p_answers, '{}'::jsonb),
+        item_times = COALESCE(public.sanitize_quiz_item_times(p_item_times), item_times)
+    WHERE id = attempt_record.id;
+
+    RETURN true;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.save_native_quiz_progress(uuid, jsonb, jsonb) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.save_native_quiz_progress(uuid, jsonb, jsonb) TO authenticated;
+
+-- Scores the answers ({ "<question_id>": response }) of the open attempt.
+-- Answers that arrive after the time limit are ignored; the attempt is graded
+-- with the answers saved before it expired.
+CREATE OR REPLACE FUNCTION public.submit_native_quiz(
+    p_quiz_id uuid,
+    p_answers jsonb,
+    p_item_times jsonb DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+    quiz_record public.quizzes%ROWTYPE;
+    attempt_record public.quiz_attempts%ROWTYPE;
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    IF NOT public.student_can_access_quiz(p_quiz_id, requester_id) THEN
+        RAISE EXCEPTION 'Quiz not found or not available to you';
+    END IF;
+
+    SELECT * INTO quiz_record
+    FROM public.quizzes
+    WHERE id = p_quiz_id;
+
+    IF quiz_record.quiz_mode IS DISTINCT FROM 'native' THEN
+        RAISE EXCEPTION 'This quiz is taken outside MathTuro';
+    END IF;
+
+    SELECT * INTO attempt_record
+    FROM public.quiz_attempts
+    WHERE quiz_id = p_quiz_id
+      AND user_id = requester_id
+      AND submitted_at IS NULL;
+
+    IF attempt_record.id IS NULL THEN
+        RAISE EXCEPTION 'Start the quiz before submitting';
+    END IF;
+
+    -- Times are kept even when late answers are ignored; they only feed item analysis
+    IF p_item_times IS NOT NULL THEN
+        UPDATE public.quiz_attempts
+        SET item_times = COALESCE(public.sanitize_quiz_item_times(p_item_times), item_times)
+        WHERE id = attempt_record.id;
+    END IF;
+
+    IF attempt_record.expires_at + public.get_quiz_attempt_grace_period() < NOW() THEN
+        RETURN public.grade_native_quiz_attempt(attempt_record.id, attempt_record.saved_answers, true);
+    END IF;
+
+    RETURN public.grade_native_quiz_attempt(attempt_record.id, p_answers, false);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.submit_native_quiz(uuid, jsonb, jsonb) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.submit_native_quiz(uuid, jsonb, jsonb) TO authenticated;
+
+-- Ensure PostgREST sees the new columns and RPCs immediately
+NOTIFY pgrst, 'reload schema';
+
+COMMIT;
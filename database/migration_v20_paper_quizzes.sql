@@ -0,0 +1,210 @@
+-- Migration v20: Paper quizzes
+-- Purpose:
+-- 1) Mark submissions whose score was typed in from a paper quiz (quiz_submissions.is_paper)
+--    and the printed version the student took (paper_version: A, B, C).
+-- 2) Let the quiz's teacher (or an admin) save paper scores for a whole section in one call.
+-- 3) Keep paper scores out of the late-submission flags.
+
+BEGIN;
+
+-- ------------------------------
+-- COLUMNS
+-- ------------------------------
+ALTER TABLE public.quiz_submissions
+    ADD COLUMN IF NOT EXISTS is_paper BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN IF NOT EXISTS paper_version TEXT;
+
+ALTER TABLE public.quiz_submissions
+    DROP CONSTRAINT IF EXISTS quiz_submissions_paper_version_check;
+ALTER TABLE public.quiz_submissions
+    ADD CONSTRAINT quiz_submissions_paper_version_check CHECK (paper_version IS NULL OR paper_version ~ '^[A-Z]$');
+
+CREATE INDEX IF NOT EXISTS idx_quiz_submissions_paper
+    ON public.quiz_submissions(quiz_id, user_id)
+    WHERE is_paper;
+
+-- ------------------------------
+-- LATE FLAGS
+-- ------------------------------
+
+-- Re-flags submissions when a quiz deadline or a student's extension changes.
+-- Paper scores are never late: the date they were typed in is not when the quiz was taken.
+-- Rejected rows are skipped: any update sends them back to pending (handle_submission_update),
+-- and the student's resubmission is checked again anyway.
+CREATE OR REPLACE FUNCTION public.sync_quiz_submission_late_flags()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    target_quiz_id uuid;
+    target_user_id uuid;
+BEGIN
+    IF TG_TABLE_NAME = 'quizzes' THEN
+        target_quiz_id := NEW.id;
+    ELSIF TG_OP = 'DELETE' THEN
+        target_quiz_id := OLD.quiz_id;
+        target_user_id := OLD.user_id;
+    ELSE
+        target_quiz_id := NEW.quiz_id;
+        target_user_id := NEW.user_id;
+    END IF;
+
+    UPDATE public.quiz_submissions s
+    SET is_late = flags.is_late
+    FROM (
+        SELECT
+            sub.id,
+            COALESCE(sub.submitted_at > public.get_quiz_deadline(sub.quiz_id, sub.user_id), false) AS is_late
+        FROM public.quiz_submissions sub
+        WHERE sub.quiz_id = target_quiz_id
+          AND (target_user_id IS NULL OR sub.user_id = target_user_id)
+          AND sub.status IS DISTINCT FROM 'rejected'
+          AND NOT sub.is_paper
+    ) AS flags
+    WHERE s.id = flags.id
+      AND s.is_late IS DISTINCT FROM flags.is_late;
+
+    RETURN NULL;
+END;
+$$;
+
+-- ------------------------------
+-- TEACHER RPCs
+-- ------------------------------
+
+-- Saves paper scores: p_scores is [{ "user_id", "score", "version" }].
+-- A student keeps one paper row per quiz; entering a score again updates it and
+-- a null score removes it. Students outside the quiz's section or grade level, and new
+-- paper rows past max_attempts, are rejected. Returns the number of rows written or removed.
+CREATE OR REPLACE FUNCTION public.save_paper_quiz_scores(p_quiz_id uuid, p_scores jsonb)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+    quiz_record public.quizzes%ROWTYPE;
+    entry jsonb;
+    entry_user_id uuid;
+    entry_score integer;
+    entry_version text;
+    paper_submission_id uuid;
+    saved integer := 0;
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    SELECT * INTO quiz_record
+    FROM public.quizzes
+    WHERE id = p_quiz_id;
+
+    IF quiz_record.id IS NULL OR NOT (
+        quiz_record.teacher_id = requester_id
+        OR EXISTS (
+            SELECT 1
+            FROM public.users u
+            WHERE u.id = requester_id
+              AND u.role = 'admin'
+        )
+    ) THEN
+        RAISE EXCEPTION 'Quiz not found or not available to you';
+    END IF;
+
+    IF COALESCE(quiz_record.total_items, 0) < 1 THEN
+        RAISE EXCEPTION 'Set the number of items of this quiz before entering scores';
+    END IF;
+
+    IF jsonb_typeof(p_scores) IS DISTINCT FROM 'array' THEN
+        RAISE EXCEPTION 'Scores must be a list';
+    END IF;
+
+    FOR entry IN SELECT * FROM jsonb_array_elements(p_scores)
+    LOOP
+        entry_user_id := (entry ->> 'user_id')::uuid;
+        entry_version := NULLIF(UPPER(TRIM(entry ->> 'version')), '');
+
+        -- Same students the score grid lists: the quiz's section, or its grade level's sections
+        IF NOT EXISTS (
+            SELECT 1
+            FROM public.users u
+            WHERE u.id = entry_user_id
+              AND u.role = 'student'
+              AND (quiz_record.section_id IS NULL OR u.section_id = quiz_record.section_id)
+              AND (quiz_record.grade_level_id IS NULL OR u.grade_level_id = quiz_record.grade_level_id)
+        ) THEN
+            RAISE EXCEPTION 'Student % is not in this quiz''s section or grade level', entry_user_id;
+        END IF;
+
+        SELECT s.id INTO paper_submission_id
+        FROM public.quiz_submissions s
+        WHERE s.quiz_id = p_quiz_id
+          AND s.user_id = entry_user_id
+          AND s.is_paper
+        ORDER BY s.attempt_number DESC
+        LIMIT 1;
+
+        IF entry -> 'score' IS NULL OR jsonb_typeof(entry -> 'score') = 'null' THEN
+            IF paper_submission_id IS NOT NULL THEN
+                DELETE FROM public.quiz_submissions WHERE id = paper_submission_id;
+                saved := saved + 1;
+            END IF;
+            CONTINUE;
+        END IF;
+
+        IF jsonb_typeof(entry -> 'score') <> 'number'
+           OR (entry ->> 'score')::numeric <> TRUNC((entry ->> 'score')::numeric) THEN
+            RAISE EXCEPTION 'Scores must be whole numbers';
+        END IF;
+
+        entry_score := (entry ->> 'score')::integer;
+        IF entry_score < 0 OR entry_score > quiz_record.total_items THEN
+            RAISE EXCEPTION 'Scores must be between 0 and %', quiz_record.total_items;
+        END IF;
+
+        IF paper_submission_id IS NULL THEN
+            IF quiz_record.max_attempts > 0
+               AND public.get_quiz_attempts_used(p_quiz_id, entry_user_id) >= quiz_record.max_attempts THEN
+                IF quiz_record.max_attempts = 1 THEN
+                    RAISE EXCEPTION 'Student % has already submitted this quiz', entry_user_id;
+                END IF;
+                RAISE EXCEPTION 'Student % has used all % attempts for this quiz', entry_user_id, quiz_record.max_attempts;
+            END IF;
+
+            INSERT INTO public.quiz_submissions (
+                quiz_id, user_id, student_score, total_items, status, is_paper, paper_version,
+                is_auto_graded, reviewed_by, reviewed_at, graded_at, submitted_at
+            )
+            VALUES (
+                p_quiz_id, entry_user_id, entry_score, quiz_record.total_items, 'approved', true, entry_version,
+                false, requester_id, NOW(), NOW(), NOW()
+            );
+        ELSE
+            UPDATE public.quiz_submissions
+            SET student_score = entry_score,
+                total_items = quiz_record.total_items,
+                paper_version = entry_version,
+                status = 'approved',
+                reviewed_by = requester_id,
+                reviewed_at = NOW(),
+                graded_at = NOW()
+            WHERE id = paper_submission_id;
+        END IF;
+
+        saved := saved + 1;
+    END LOOP;
+
+    RETURN saved;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.save_paper_quiz_scores(uuid, jsonb) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.save_paper_quiz_scores(uuid, jsonb) TO authenticated;
+
+-- Ensure PostgREST sees the new columns and RPCs immediately
+NOTIFY pgrst, 'reload schema';
+
+COMMIT;
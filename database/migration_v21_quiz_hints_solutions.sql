@@ -0,0 +1,582 @@
+-- Migration v21: Quiz hints and worked solutions
+-- Purpose:
+-- 1) Let each quiz question (and question bank item) carry progressive hints and a
+--    step-by-step worked solution (hints, solution).
+-- 2) Let a quiz allow hints (allow_hints, meant for practice quizzes) with a score penalty per
+--    hint revealed (hint_penalty_percent, a share of the question's points).
+-- 3) Record the hints and solutions each attempt revealed (quiz_attempts.hint_usage, copied to
+--    quiz_submissions.hint_usage) and apply the penalties when the attempt is graded.
+-- 4) Show hint use, and points awarded with decimals, in the teacher's submission review.
+
+BEGIN;
+
+-- ------------------------------
+-- COLUMNS
+-- ------------------------------
+ALTER TABLE public.quiz_questions
+    ADD COLUMN IF NOT EXISTS hints JSONB NOT NULL DEFAULT '[]'::jsonb,
+    ADD COLUMN IF NOT EXISTS solution TEXT;
+
+ALTER TABLE public.question_bank_items
+    ADD COLUMN IF NOT EXISTS hints JSONB NOT NULL DEFAULT '[]'::jsonb,
+    ADD COLUMN IF NOT EXISTS solution TEXT;
+
+ALTER TABLE public.quiz_questions
+    DROP CONSTRAINT IF EXISTS quiz_questions_hints_check;
+ALTER TABLE public.quiz_questions
+    ADD CONSTRAINT quiz_questions_hints_check CHECK (jsonb_typeof(hints) = 'array');
+
+ALTER TABLE public.question_bank_items
+    DROP CONSTRAINT IF EXISTS question_bank_items_hints_check;
+ALTER TABLE public.question_bank_items
+    ADD CONSTRAINT question_bank_items_hints_check CHECK (jsonb_typeof(hints) = 'array');
+
+ALTER TABLE public.quizzes
+    ADD COLUMN IF NOT EXISTS allow_hints BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN IF NOT EXISTS hint_penalty_percent INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE public.quizzes
+    DROP CONSTRAINT IF EXISTS quizzes_hint_penalty_percent_check;
+ALTER TABLE public.quizzes
+    ADD CONSTRAINT quizzes_hint_penalty_percent_check CHECK (hint_penalty_percent BETWEEN 0 AND 100);
+
+-- { "<question_id>": { "hints": <number revealed>, "solution": true } }
+ALTER TABLE public.quiz_attempts
+    ADD COLUMN IF NOT EXISTS hint_usage JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+ALTER TABLE public.quiz_submissions
+    ADD COLUMN IF NOT EXISTS hint_usage JSONB;
+
+-- ------------------------------
+-- HELPERS
+-- ------------------------------
+
+-- Returns what the player may show of a question's help: the number of hints, whether
+-- it has a solution, and the hints and solution already revealed (p_usage is the
+-- question's hint_usage entry), with the attempt's variable values filled in.
+CREATE OR REPLACE FUNCTION public.build_quiz_question_help(
+    p_question public.quiz_questions,
+    p_parameters jsonb,
+    p_usage jsonb
+)
+RETURNS jsonb
+LANGUAGE sql
+IMMUTABLE
+SET search_path = public
+AS $$
+    SELECT jsonb_build_object(
+        'hint_count', jsonb_array_length(COALESCE(p_question.hints, '[]'::jsonb)),
+        'has_solution', NULLIF(TRIM(p_question.solution), '') IS NOT NULL,
+        'hints', COALESCE((
+            SELECT jsonb_agg(public.substitute_quiz_parameters(hint.value, input.parameter_values) ORDER BY hint.ordinality)
+            FROM jsonb_array_elements_text(COALESCE(p_question.hints, '[]'::jsonb)) WITH ORDINALITY AS hint(value, ordinality)
+            WHERE hint.ordinality <= COALESCE((p_usage ->> 'hints')::integer, 0)
+        ), '[]'::jsonb),
+        'solution', CASE WHEN COALESCE((p_usage ->> 'solution')::boolean, false)
+            THEN public.substitute_quiz_parameters(p_question.solution, input.parameter_values)
+        END
+    )
+    -- Questions without variables have a JSON null as their parameters
+    FROM (SELECT COALESCE(NULLIF(p_parameters, 'null'::jsonb), '{}'::jsonb) AS parameter_values) AS input;
+$$;
+
+REVOKE ALL ON FUNCTION public.build_quiz_question_help(public.quiz_questions, jsonb, jsonb) FROM PUBLIC;
+
+-- ------------------------------
+-- GRADING
+-- ------------------------------
+
+-- Scores an open attempt and records it as a new submission row. Internal: called by
+-- submit_native_quiz and finalize_expired_quiz_attempts, never by clients.
+-- Correct answers lose the hint penalty for every hint the attempt revealed.
+CREATE OR REPLACE FUNCTION public.grade_native_quiz_attempt(
+    p_attempt_id uuid,
+    p_answers jsonb,
+    p_auto_submitted boolean DEFAULT false
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+    attempt_record public.quiz_attempts%ROWTYPE;
+    quiz_record public.quizzes%ROWTYPE;
+    question_record public.quiz_questions%ROWTYPE;
+    attempt_submission_id uuid;
+    attempt_seed bigint;
+    submitted_time timestamptz;
+    effective_deadline timestamptz;
+    late_submission boolean;
+    variant jsonb;
+    response jsonb;
+    is_correct boolean;
+    hint_entry jsonb;
+    hints_used integer;
+    solution_viewed boolean;
+    awarded numeric;
+    earned numeric := 0;
+    possible integer := 0;
+    graded_items jsonb := '[]'::jsonb;
+    snapshots jsonb := '[]'::jsonb;
+BEGIN
+    SELECT * INTO attempt_record
+    FROM public.quiz_attempts
+    WHERE id = p_attempt_id
+    FOR UPDATE;
+
+    IF attempt_record.id IS NULL OR attempt_record.submitted_at IS NOT NULL THEN
+        RAISE EXCEPTION 'This attempt has already been submitted';
+    END IF;
+
+    SELECT * INTO quiz_record
+    FROM public.quizzes
+    WHERE id = attempt_record.quiz_id;
+
+    attempt_seed := public.get_quiz_variant_seed(attempt_record.quiz_id, attempt_record.user_id, attempt_record.attempt_number);
+
+    -- An attempt graded after it expired counts as submitted when time ran out
+    submitted_time := LEAST(NOW(), COALESCE(attempt_record.expires_at, NOW()));
+    effective_deadline := public.get_quiz_deadline(attempt_record.quiz_id, attempt_record.user_id);
+    late_submission := effective_deadline IS NOT NULL AND submitted_time > effective_deadline;
+
+    FOR question_record IN
+        SELECT *
+        FROM public.get_quiz_attempt_questions(attempt_record.quiz_id, attempt_seed)
+        ORDER BY order_index, created_at
+    LOOP
+        variant := public.build_quiz_question_variant(question_record, attempt_seed);
+        response := COALESCE(p_answers, '{}'::jsonb) -> question_record.id::text;
+        is_correct := public.is_quiz_response_correct(
+            question_record.question_type,
+            variant -> 'correct_answer',
+            question_record.tolerance,
+            response,
+            question_record.require_simplified
+        );
+
+        hint_entry := COALESCE(attempt_record.hint_usage -> question_record.id::text, '{}'::jsonb);
+        hints_used := COALESCE((hint_entry ->> 'hints')::integer, 0);
+        solution_viewed := COALESCE((hint_entry ->> 'solution')::boolean, false);
+
+        -- Each hint costs the quiz's penalty share of the question; a viewed solution leaves nothing
+        awarded := CASE
+            WHEN NOT is_correct OR solution_viewed THEN 0
+            ELSE ROUND(GREATEST(question_record.points * (100 - quiz_record.hint_penalty_percent * hints_used) / 100.0, 0), 2)
+        END;
+
+        possible := possible + question_record.points;
+        earned := earned + awarded;
+
+        graded_items := graded_items || jsonb_build_array(jsonb_build_object(
+            'question_id', question_record.id,
+            'parameters', variant -> 'parameters',
+            'response', response,
+            'is_correct', is_correct,
+            'points', question_record.points,
+            'points_awarded', awarded,
+            'hints_used', hints_used,
+            'solution_viewed', solution_viewed
+        ));
+
+        snapshots := snapshots || jsonb_build_array(jsonb_build_object(
+            'question_id', question_record.id,
+            'bank_item_id', question_record.bank_item_id,
+            'order_index', jsonb_array_length(snapshots),
+            'question_type', question_record.question_type,
+            'prompt', variant ->> 'prompt',
+            'choices', variant -> 'choices',
+            'correct_answer', variant -> 'correct_answer',
+            'tolerance', question_record.tolerance,
+            'require_simplified', question_record.require_simplified,
+            'parameters', variant -> 'parameters',
+            'points', question_record.points
+        ));
+    END LOOP;
+
+    IF possible = 0 THEN
+        RAISE EXCEPTION 'This quiz has no questions yet';
+    END IF;
+
+    -- Every attempt is its own row; earlier attempts stay as history
+    INSERT INTO public.quiz_submissions (
+        quiz_id, user_id, attempt_number, student_score, total_items, answers, item_times, hint_usage, variant_seed,
+        status, is_auto_graded, is_late, started_at, graded_at, reviewed_at, submitted_at
+    )
+    VALUES (
+        attempt_record.quiz_id, attempt_record.user_id, attempt_record.attempt_number, ROUND(earned)::integer, possible, graded_items, attempt_record.item_times, NULLIF(attempt_record.hint_usage, '{}'::jsonb), attempt_seed,
+        'approved', true, late_submission, attempt_record.started_at, NOW(), NOW(), submitted_time
+    )
+    RETURNING id INTO attempt_submission_id;
+
+    INSERT INTO public.quiz_submission_questions (
+        submission_id, question_id, bank_item_id, order_index, question_type, prompt,
+        choices, correct_answer, tolerance, require_simplified, parameters, points
+    )
+    SELECT
+        attempt_submission_id,
+        (snapshot ->> 'question_id')::uuid,
+        (snapshot ->> 'bank_item_id')::uuid,
+        (snapshot ->> 'order_index')::integer,
+        snapshot ->> 'question_type',
+        snapshot ->> 'prompt',
+        COALESCE(snapshot -> 'choices', '[]'::jsonb),
+        snapshot -> 'correct_answer',
+        COALESCE((snapshot ->> 'tolerance')::numeric, 0),
+        COALESCE((snapshot ->> 'require_simplified')::boolean, false),
+        NULLIF(snapshot -> 'parameters', 'null'::jsonb),
+        (snapshot ->> 'points')::integer
+    FROM jsonb_array_elements(snapshots) AS snapshot;
+
+    UPDATE public.quiz_attempts
+    SET submitted_at = submitted_time,
+        saved_answers = COALESCE(p_answers, '{}'::jsonb),
+        is_auto_submitted = p_auto_submitted,
+        submission_id = attempt_submission_id
+    WHERE id = attempt_record.id;
+
+    RETURN jsonb_build_object(
+        'submission_id', attempt_submission_id,
+        'attempt_number', attempt_record.attempt_number,
+        'student_score', ROUND(earned)::integer,
+        'total_items', possible,
+        'passing_score', quiz_record.passing_score,
+        'is_late', late_submission,
+        'auto_submitted', p_auto_submitted,
+        'results', (
+            SELECT jsonb_agg(item - 'response' - 'parameters')
+            FROM jsonb_array_elements(graded_items) AS item
+        )
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.grade_native_quiz_attempt(uuid, jsonb, boolean) FROM PUBLIC;
+
+-- ------------------------------
+-- STUDENT RPCs
+-- ------------------------------
+
+-- Returns the quiz with the student's attempt count, the open attempt and
+-- (once started) its questions without answer keys. Hint counts, and the hints and
+-- solutions already revealed, are included when the quiz allows hints.
+CREATE OR REPLACE FUNCTION public.get_native_quiz(p_quiz_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+    quiz_record public.quizzes%ROWTYPE;
+    attempt_record public.quiz_attempts%ROWTYPE;
+    attempt_seed bigint;
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    IF NOT public.student_can_access_quiz(p_quiz_id, requester_id) THEN
+        RAISE EXCEPTION 'Quiz not found or not available to you';
+    END IF;
+
+    SELECT * INTO quiz_record
+    FROM public.quizzes
+    WHERE id = p_quiz_id;
+
+    IF quiz_record.quiz_mode IS DISTINCT FROM 'native' THEN
+        RAISE EXCEPTION 'This quiz is taken outside MathTuro';
+    END IF;
+
+    SELECT * INTO attempt_record
+    FROM public.quiz_attempts
+    WHERE quiz_id = p_quiz_id
+      AND user_id = requester_id
+      AND submitted_at IS NULL;
+
+    attempt_seed := public.get_quiz_variant_seed(p_quiz_id, requester_id, COALESCE(attempt_record.attempt_number, 1));
+
+    RETURN jsonb_build_object(
+        'quiz', jsonb_build_object(
+            'id', quiz_record.id,
+            'title', quiz_record.title,
+            'description', quiz_record.description,
+            'total_items', quiz_record.total_items,
+            'passing_score', quiz_record.passing_score,
+            'time_limit_minutes', quiz_record.time_limit_minutes,
+            'deadline', public.get_quiz_deadline(p_quiz_id, requester_id),
+            'allow_late_submissions', quiz_record.allow_late_submissions,
+            'max_attempts', quiz_record.max_attempts,
+            'scoring_rule', quiz_record.scoring_rule,
+            'allow_hints', quiz_record.allow_hints,
+            'hint_penalty_percent', quiz_record.hint_penalty_percent,
+            'attempts_used', public.get_quiz_attempts_used(p_quiz_id, requester_id),
+            'quarter', quiz_record.quarter
+        ),
+        'attempt', CASE WHEN attempt_record.id IS NULL THEN NULL ELSE jsonb_build_object(
+            'id', attempt_record.id,
+            'attempt_number', attempt_record.attempt_number,
+            'started_at', attempt_record.started_at,
+            'expires_at', attempt_record.expires_at,
+            'saved_answers', attempt_record.saved_answers,
+            'item_times', attempt_record.item_times,
+            'hint_usage', attempt_record.hint_usage,
+            'server_time', NOW()
+        ) END,
+        'questions', CASE WHEN attempt_record.id IS NULL THEN '[]'::jsonb ELSE COALESCE((
+            SELECT jsonb_agg(
+                jsonb_build_object(
+                    'id', qq.id,
+                    'order_index', qq.order_index,
+                    'question_type', qq.question_type,
+                    'prompt', variant.data ->> 'prompt',
+                    'choices', variant.data -> 'choices',
+                    'points', qq.points,
+                    'require_simplified', qq.require_simplified
+                ) || CASE WHEN quiz_record.allow_hints THEN public.build_quiz_question_help(
+                    qq,
+                    variant.data -> 'parameters',
+                    attempt_record.hint_usage -> qq.id::text
+                ) ELSE '{}'::jsonb END
+                ORDER BY qq.order_index, qq.created_at
+            )
+            FROM public.get_quiz_attempt_questions(p_quiz_id, attempt_seed) qq
+            CROSS JOIN LATERAL (
+                SELECT public.build_quiz_question_variant(qq, attempt_seed) AS data
+            ) AS variant
+        ), '[]'::jsonb) END
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.get_native_quiz(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_native_quiz(uuid) TO authenticated;
+-- Reveals the next hint of a question in the student's open attempt, or its worked
+-- solution when p_solution is set. The reveal is recorded on the attempt and the
+-- penalty applies when the attempt is graded. Returns the question's help as in
+-- get_native_quiz.
+CREATE OR REPLACE FUNCTION public.reveal_quiz_question_help(
+    p_quiz_id uuid,
+    p_question_id uuid,
+    p_solution boolean DEFAULT false
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+    quiz_record public.quizzes%ROWTYPE;
+    attempt_record public.quiz_attempts%ROWTYPE;
+    question_record public.quiz_questions%ROWTYPE;
+    attempt_seed bigint;
+    usage_entry jsonb;
+    hints_used integer;
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    SELECT * INTO quiz_record
+    FROM public.quizzes
+    WHERE id = p_quiz_id;
+
+    IF NOT COALESCE(quiz_record.allow_hints, false) THEN
+        RAISE EXCEPTION 'Hints are not available for this quiz';
+    END IF;
+
+    SELECT * INTO attempt_record
+    FROM public.quiz_attempts
+    WHERE quiz_id = p_quiz_id
+      AND user_id = requester_id
+      AND submitted_at IS NULL
+    FOR UPDATE;
+
+    IF attempt_record.id IS NULL THEN
+        RAISE EXCEPTION 'This quiz has not been started';
+    END IF;
+
+    IF attempt_record.expires_at < NOW() THEN
+        RAISE EXCEPTION 'Time is up for this attempt';
+    END IF;
+
+    attempt_seed := public.get_quiz_variant_seed(p_quiz_id, requester_id, attempt_record.attempt_number);
+
+    SELECT * INTO question_record
+    FROM public.get_quiz_attempt_questions(p_quiz_id, attempt_seed)
+    WHERE id = p_question_id;
+
+    IF question_record.id IS NULL THEN
+        RAISE EXCEPTION 'Question not found in this attempt';
+    END IF;
+
+    usage_entry := COALESCE(attempt_record.hint_usage -> p_question_id::text, '{}'::jsonb);
+    hints_used := COALESCE((usage_entry ->> 'hints')::integer, 0);
+
+    IF p_solution THEN
+        IF NULLIF(TRIM(question_record.solution), '') IS NULL THEN
+            RAISE EXCEPTION 'This question has no worked solution';
+        END IF;
+        usage_entry := usage_entry || jsonb_build_object('solution', true);
+    ELSE
+        IF hints_used >= jsonb_array_length(question_record.hints) THEN
+            RAISE EXCEPTION 'There are no more hints for this question';
+        END IF;
+        usage_entry := usage_entry || jsonb_build_object('hints', hints_used + 1);
+    END IF;
+
+    UPDATE public.quiz_attempts
+    SET hint_usage = hint_usage || jsonb_build_object(p_question_id::text, usage_entry)
+    WHERE id = attempt_record.id;
+
+    RETURN public.build_quiz_question_help(
+        question_record,
+        public.build_quiz_question_variant(question_record, attempt_seed) -> 'parameters',
+        usage_entry
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.reveal_quiz_question_help(uuid, uuid, boolean) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.reveal_quiz_question_help(uuid, uuid, boolean) TO authenticated;
+
+-- ------------------------------
+-- TEACHER RPCs
+-- ------------------------------
+
+-- Returns a native attempt as the student saw it: the snapshot taken at submit
+-- time, or for attempts graded before v16, the questions rebuilt from the seed.
+-- Points awarded may now have decimals (hint penalties), and each question says how
+-- many hints were revealed and whether the solution was viewed.
+CREATE OR REPLACE FUNCTION public.get_quiz_submission_review(p_submission_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+    submission_record public.quiz_submissions%ROWTYPE;
+    attempt_seed bigint;
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    SELECT * INTO submission_record
+    FROM public.quiz_submissions
+    WHERE id = p_submission_id;
+
+    IF submission_record.id IS NULL OR NOT (
+        EXISTS (
+            SELECT 1
+            FROM public.quizzes q
+            WHERE q.id = submission_record.quiz_id
+              AND q.teacher_id = requester_id
+        )
+        OR EXISTS (
+            SELECT 1
+            FROM public.users u
+            WHERE u.id = requester_id
+              AND u.role = 'admin'
+        )
+    ) THEN
+        RAISE EXCEPTION 'Submission not found or not available to you';
+    END IF;
+
+    attempt_seed := COALESCE(
+        submission_record.variant_seed,
+        public.get_quiz_variant_seed(submission_record.quiz_id, submission_record.user_id)
+    );
+
+    IF EXISTS (
+        SELECT 1
+        FROM public.quiz_submission_questions sq
+        WHERE sq.submission_id = submission_record.id
+    ) THEN
+        RETURN jsonb_build_object(
+            'submission_id', submission_record.id,
+            'variant_seed', attempt_seed,
+            'questions', COALESCE((
+                SELECT jsonb_agg(
+                    jsonb_build_object(
+                        'id', sq.question_id,
+                        'bank_item_id', sq.bank_item_id,
+                        'order_index', sq.order_index,
+                        'question_type', sq.question_type,
+                        'prompt', sq.prompt,
+                        'choices', sq.choices,
+                        'correct_answer', sq.correct_answer,
+                        'tolerance', sq.tolerance,
+                        'require_simplified', sq.require_simplified,
+                        'points', sq.points,
+                        'parameters', sq.parameters,
+                        'response', graded.item -> 'response',
+                        'is_correct', COALESCE((graded.item ->> 'is_correct')::boolean, false),
+                        'points_awarded', COALESCE((graded.item ->> 'points_awarded')::numeric, 0),
+                        'hints_used', COALESCE((graded.item ->> 'hints_used')::integer, 0),
+                        'solution_viewed', COALESCE((graded.item ->> 'solution_viewed')::boolean, false)
+                    )
+                    ORDER BY sq.order_index
+                )
+                FROM public.quiz_submission_questions sq
+                LEFT JOIN LATERAL (
+                    SELECT item
+                    FROM jsonb_array_elements(COALESCE(submission_record.answers, '[]'::jsonb)) AS item
+                    WHERE item ->> 'question_id' = sq.question_id::text
+                    LIMIT 1
+                ) AS graded ON true
+                WHERE sq.submission_id = submission_record.id
+            ), '[]'::jsonb)
+        );
+    END IF;
+
+    RETURN jsonb_build_object(
+        'submission_id', submission_record.id,
+        'variant_seed', attempt_seed,
+        'questions', COALESCE((
+            SELECT jsonb_agg(
+                jsonb_build_object(
+                    'id', qq.id,
+                    'order_index', qq.order_index,
+                    'question_type', qq.question_type,
+                    'prompt', variant.data ->> 'prompt',
+                    'choices', variant.data -> 'choices',
+                    'correct_answer', variant.data -> 'correct_answer',
+                    'tolerance', qq.tolerance,
+                    'require_simplified', qq.require_simplified,
+                    'points', qq.points,
+                    'parameters', variant.data -> 'parameters',
+                    'response', graded.item -> 'response',
+                    'is_correct', COALESCE((graded.item ->> 'is_correct')::boolean, false),
+                    'points_awarded', COALESCE((graded.item ->> 'points_awarded')::numeric, 0),
+                    'hints_used', COALESCE((graded.item ->> 'hints_used')::integer, 0),
+                    'solution_viewed', COALESCE((graded.item ->> 'solution_viewed')::boolean, false)
+                )
+                ORDER BY qq.order_index, qq.created_at
+            )
+            FROM public.quiz_questions qq
+            CROSS JOIN LATERAL (
+                SELECT public.build_quiz_question_variant(qq, attempt_seed) AS data
+            ) AS variant
+            LEFT JOIN LATERAL (
+                SELECT item
+                FROM jsonb_array_elements(COALESCE(submission_record.answers, '[]'::jsonb)) AS item
+                WHERE item ->> 'question_id' = qq.id::text
+                LIMIT 1
+            ) AS graded ON true
+            WHERE qq.quiz_id = submission_record.quiz_id
+        ), '[]'::jsonb)
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.get_quiz_submission_review(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_quiz_submission_review(uuid) TO authenticated;
+
+-- Ensure PostgREST sees the new columns and RPCs immediately
+NOTIFY pgrst, 'reload schema';
+
+COMMIT;
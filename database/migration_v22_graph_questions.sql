@@ -0,0 +1,676 @@
+-- Migration v22: Graphing and coordinate geometry questions
+-- Purpose:
+-- 1) Add three question types answered on a coordinate grid: plot_points (plot the
+--    answer points), graph_line (place two points to draw a line) and drag_shape (move
+--    a shape's vertices to their target position).
+-- 2) Store each graph question's grid (x and y range, snap step) and, for drag_shape,
+--    the starting shape in graph_settings, on questions, bank items and attempt snapshots.
+-- 3) Grade graph answers in the database: points must match the answer key within the
+--    question's tolerance, and a drawn line must pass through the key points.
+-- 4) Send graph_settings to the quiz player and the teacher's submission review.
+
+BEGIN;
+
+-- ------------------------------
+-- COLUMNS
+-- ------------------------------
+ALTER TABLE public.quiz_questions
+    DROP CONSTRAINT IF EXISTS quiz_questions_question_type_check;
+ALTER TABLE public.quiz_questions
+    ADD CONSTRAINT quiz_questions_question_type_check
+    CHECK (question_type IN (
+        'multiple_choice', 'true_false', 'numeric', 'short_answer', 'expression',
+        'plot_points', 'graph_line', 'drag_shape'
+    ));
+
+ALTER TABLE public.question_bank_items
+    DROP CONSTRAINT IF EXISTS question_bank_items_question_type_check;
+ALTER TABLE public.question_bank_items
+    ADD CONSTRAINT question_bank_items_question_type_check
+    CHECK (question_type IN (
+        'multiple_choice', 'true_false', 'numeric', 'short_answer', 'expression',
+        'plot_points', 'graph_line', 'drag_shape'
+    ));
+
+-- { "x_min": -5, "x_max": 5, "y_min": -5, "y_max": 5, "step": 1, "shape": [[0, 0], [2, 0], [0, 2]] }
+ALTER TABLE public.quiz_questions
+    ADD COLUMN IF NOT EXISTS graph_settings JSONB;
+
+ALTER TABLE public.question_bank_items
+    ADD COLUMN IF NOT EXISTS graph_settings JSONB;
+
+ALTER TABLE public.quiz_submission_questions
+    ADD COLUMN IF NOT EXISTS graph_settings JSONB;
+
+ALTER TABLE public.quiz_questions
+    DROP CONSTRAINT IF EXISTS quiz_questions_graph_settings_check;
+ALTER TABLE public.quiz_questions
+    ADD CONSTRAINT quiz_questions_graph_settings_check
+    CHECK (graph_settings IS NULL OR jsonb_typeof(graph_settings) = 'object');
+
+ALTER TABLE public.question_bank_items
+    DROP CONSTRAINT IF EXISTS question_bank_items_graph_settings_check;
+ALTER TABLE public.question_bank_items
+    ADD CONSTRAINT question_bank_items_graph_settings_check
+    CHECK (graph_settings IS NULL OR jsonb_typeof(graph_settings) = 'object');
+
+-- ------------------------------
+-- GRAPH GRADING
+-- ------------------------------
+
+-- True when the value is a non-empty list of [x, y] number pairs.
+CREATE OR REPLACE FUNCTION public.is_graph_point_list(p_value jsonb)
+RETURNS boolean
+LANGUAGE plpgsql
+IMMUTABLE
+SET search_path = public
+AS $$
+DECLARE
+    point jsonb;
+BEGIN
+    IF p_value IS NULL OR jsonb_typeof(p_value) <> 'array' OR jsonb_array_length(p_value) = 0 THEN
+        RETURN false;
+    END IF;
+
+    FOR point IN SELECT value FROM jsonb_array_elements(p_value)
+    LOOP
+        IF jsonb_typeof(point) <> 'array' OR jsonb_array_length(point) <> 2
+           OR jsonb_typeof(point -> 0) <> 'number' OR jsonb_typeof(point -> 1) <> 'number' THEN
+            RETURN false;
+        END IF;
+    END LOOP;
+
+    RETURN true;
+END;
+$$;
+
+-- Distance between two [x, y] points.
+CREATE OR REPLACE FUNCTION public.get_graph_point_distance(p_a jsonb, p_b jsonb)
+RETURNS numeric
+LANGUAGE sql
+IMMUTABLE
+SET search_path = public
+AS $$
+    SELECT SQRT(
+        POWER((p_a ->> 0)::numeric - (p_b ->> 0)::numeric, 2)
+        + POWER((p_a ->> 1)::numeric - (p_b ->> 1)::numeric, 2)
+    );
+$$;
+
+-- Decides whether a graph answer earns the question's points.
+-- plot_points and drag_shape: the same number of points, each matching a different
+-- answer key point within the tolerance (in grid units).
+-- graph_line: two different points whose line passes within the tolerance of both
+-- answer key points.
+CREATE OR REPLACE FUNCTION public.is_graph_response_correct(
+    p_question_type text,
+    p_correct_answer jsonb,
+    p_tolerance numeric,
+    p_response_text text
+)
+RETURNS boolean
+LANGUAGE plpgsql
+IMMUTABLE
+SET search_path = public
+AS $$
+DECLARE
+    response_points jsonb;
+    -- A little slack absorbs rounding of fractional grid steps
+    allowed numeric := COALESCE(p_tolerance, 0) + 0.000001;
+    key_point jsonb;
+    used_indexes integer[] := '{}';
+    matched_index integer;
+    candidate_index integer;
+    x1 numeric;
+    y1 numeric;
+    dx numeric;
+    dy numeric;
+    line_length numeric;
+BEGIN
+    BEGIN
+        response_points := p_response_text::jsonb;
+    EXCEPTION WHEN others THEN
+        RETURN false;
+    END;
+
+    IF NOT public.is_graph_point_list(response_points) OR NOT public.is_graph_point_list(p_correct_answer) THEN
+        RETURN false;
+    END IF;
+
+    IF p_question_type IN ('plot_points', 'drag_shape') THEN
+        IF jsonb_array_length(response_points) <> jsonb_array_length(p_correct_answer) THEN
+            RETURN false;
+        END IF;
+
+        FOR key_point IN SELECT value FROM jsonb_array_elements(p_correct_answer)
+        LOOP
+            matched_index := NULL;
+            FOR candidate_index IN 0 .. jsonb_array_length(response_points) - 1
+            LOOP
+                IF NOT (candidate_index = ANY(used_indexes))
+                   AND public.get_graph_point_distance(key_point, response_points -> candidate_index) <= allowed THEN
+                    matched_index := candidate_index;
+                    EXIT;
+                END IF;
+            END LOOP;
+
+            IF matched_index IS NULL THEN
+                RETURN false;
+            END IF;
+            used_indexes := used_indexes || matched_index;
+        END LOOP;
+
+        RETURN true;
+    END IF;
+
+    IF p_question_type = 'graph_line' THEN
+        IF jsonb_array_length(response_points) <> 2 THEN
+            RETURN false;
+        END IF;
+
+        x1 := (response_points #>> '{0,0}')::numeric;
+        y1 := (response_points #>> '{0,1}')::numeric;
+        dx := (response_points #>> '{1,0}')::numeric - x1;
+        dy := (response_points #>> '{1,1}')::numeric - y1;
+        line_length := SQRT(dx * dx + dy * dy);
+
+        IF line_length = 0 THEN
+            RETURN false;
+        END IF;
+
+        -- Distance from every key point to the student's line
+        RETURN NOT EXISTS (
+            SELECT 1
+            FROM jsonb_array_elements(p_correct_answer) AS answer_key(value)
+            WHERE ABS(dx * (y1 - (answer_key.value ->> 1)::numeric) - dy * (x1 - (answer_key.value ->> 0)::numeric)) / line_length > allowed
+        );
+    END IF;
+
+    RETURN false;
+END;
+$$;
+
+-- Decide whether one response earns the question's points.
+-- Graph questions are checked by is_graph_response_correct.
+CREATE OR REPLACE FUNCTION public.is_quiz_response_correct(
+    p_question_type text,
+    p_correct_answer jsonb,
+    p_tolerance numeric,
+    p_response jsonb,
+    p_require_simplified boolean DEFAULT false
+)
+RETURNS boolean
+LANGUAGE plpgsql
+IMMUTABLE
+SET search_path = public
+AS $$
+DECLARE
+    response_text text := NULLIF(TRIM(p_response #>> '{}'), '');
+BEGIN
+    IF response_text IS NULL THEN
+        RETURN false;
+    END IF;
+
+    IF p_question_type = 'multiple_choice' THEN
+        RETURN response_text = (p_correct_answer #>> '{}');
+    END IF;
+
+    IF p_question_type = 'true_false' THEN
+        RETURN LOWER(response_text) = LOWER(p_correct_answer #>> '{}');
+    END IF;
+
+    -- Numeric answers may be typed as fractions or expressions ("1/2" for 0.5)
+    IF p_question_type = 'numeric' THEN
+        RETURN public.check_math_answer(
+            p_correct_answer #>> '{}',
+            REPLACE(response_text, ',', ''),
+            p_tolerance,
+            p_require_simplified
+        ) = 'correct';
+    END IF;
+
+    IF p_question_type = 'expression' THEN
+        RETURN public.check_math_answer(
+            p_correct_answer #>> '{}',
+            response_text,
+            p_tolerance,
+            p_require_simplified
+        ) = 'correct';
+    END IF;
+
+    IF p_question_type = 'short_answer' THEN
+        RETURN EXISTS (
+            SELECT 1
+            FROM jsonb_array_elements_text(
+                CASE WHEN jsonb_typeof(p_correct_answer) = 'array'
+                     THEN p_correct_answer
+                     ELSE jsonb_build_array(p_correct_answer)
+                END
+            ) AS accepted(value)
+            WHERE LOWER(REGEXP_REPLACE(TRIM(accepted.value), '\s+', ' ', 'g'))
+                = LOWER(REGEXP_REPLACE(response_text, '\s+', ' ', 'g'))
+        );
+    END IF;
+
+    -- Graph answers are lists of [x, y] points sent as JSON text
+    IF p_question_type IN ('plot_points', 'graph_line', 'drag_shape') THEN
+        RETURN public.is_graph_response_correct(p_question_type, p_correct_answer, p_tolerance, response_text);
+    END IF;
+
+    RETURN false;
+END;
+$$;
+
+-- ------------------------------
+-- GRADING
+-- ------------------------------
+
+-- Scores an open attempt and records it as a new submission row. Internal: called by
+-- submit_native_quiz and finalize_expired_quiz_attempts, never by clients.
+-- The snapshot of each question now keeps its graph_settings.
+CREATE OR REPLACE FUNCTION public.grade_native_quiz_attempt(
+    p_attempt_id uuid,
+    p_answers jsonb,
+    p_auto_submitted boolean DEFAULT false
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+    attempt_record public.quiz_attempts%ROWTYPE;
+    quiz_record public.quizzes%ROWTYPE;
+    question_record public.quiz_questions%ROWTYPE;
+    attempt_submission_id uuid;
+    attempt_seed bigint;
+    submitted_time timestamptz;
+    effective_deadline timestamptz;
+    late_submission boolean;
+    variant jsonb;
+    response jsonb;
+    is_correct boolean;
+    hint_entry jsonb;
+    hints_used integer;
+    solution_viewed boolean;
+    awarded numeric;
+    earned numeric := 0;
+    possible integer := 0;
+    graded_items jsonb := '[]'::jsonb;
+    snapshots jsonb := '[]'::jsonb;
+BEGIN
+    SELECT * INTO attempt_record
+    FROM public.quiz_attempts
+    WHERE id = p_attempt_id
+    FOR UPDATE;
+
+    IF attempt_record.id IS NULL OR attempt_record.submitted_at IS NOT NULL THEN
+        RAISE EXCEPTION 'This attempt has already been submitted';
+    END IF;
+
+    SELECT * INTO quiz_record
+    FROM public.quizzes
+    WHERE id = attempt_record.quiz_id;
+
+    attempt_seed := public.get_quiz_variant_seed(attempt_record.quiz_id, attempt_record.user_id, attempt_record.attempt_number);
+
+    -- An attempt graded after it expired counts as submitted when time ran out
+    submitted_time := LEAST(NOW(), COALESCE(attempt_record.expires_at, NOW()));
+    effective_deadline := public.get_quiz_deadline(attempt_record.quiz_id, attempt_record.user_id);
+    late_submission := effective_deadline IS NOT NULL AND submitted_time > effective_deadline;
+
+    FOR question_record IN
+        SELECT *
+        FROM public.get_quiz_attempt_questions(attempt_record.quiz_id, attempt_seed)
+        ORDER BY order_index, created_at
+    LOOP
+        variant := public.build_quiz_question_variant(question_record, attempt_seed);
+        response := COALESCE(p_answers, '{}'::jsonb) -> question_record.id::text;
+        is_correct := public.is_quiz_response_correct(
+            question_record.question_type,
+            variant -> 'correct_answer',
+            question_record.tolerance,
+            response,
+            question_record.require_simplified
+        );
+
+        hint_entry := COALESCE(attempt_record.hint_usage -> question_record.id::text, '{}'::jsonb);
+        hints_used := COALESCE((hint_entry ->> 'hints')::integer, 0);
+        solution_viewed := COALESCE((hint_entry ->> 'solution')::boolean, false);
+
+        -- Each hint costs the quiz's penalty share of the question; a viewed solution leaves nothing
+        awarded := CASE
+            WHEN NOT is_correct OR solution_viewed THEN 0
+            ELSE ROUND(GREATEST(question_record.points * (100 - quiz_record.hint_penalty_percent * hints_used) / 100.0, 0), 2)
+        END;
+
+        possible := possible + question_record.points;
+        earned := earned + awarded;
+
+        graded_items := graded_items || jsonb_build_array(jsonb_build_object(
+            'question_id', question_record.id,
+            'parameters', variant -> 'parameters',
+            'response', response,
+            'is_correct', is_correct,
+            'points', question_record.points,
+            'points_awarded', awarded,
+            'hints_used', hints_used,
+            'solution_viewed', solution_viewed
+        ));
+
+        snapshots := snapshots || jsonb_build_array(jsonb_build_object(
+            'question_id', question_record.id,
+            'bank_item_id', question_record.bank_item_id,
+            'order_index', jsonb_array_length(snapshots),
+            'question_type', question_record.question_type,
+            'prompt', variant ->> 'prompt',
+            'choices', variant -> 'choices',
+            'correct_answer', variant -> 'correct_answer',
+            'tolerance', question_record.tolerance,
+            'require_simplified', question_record.require_simplified,
+            'parameters', variant -> 'parameters',
+            'graph_settings', question_record.graph_settings,
+            'points', question_record.points
+        ));
+    END LOOP;
+
+    IF possible = 0 THEN
+        RAISE EXCEPTION 'This quiz has no questions yet';
+    END IF;
+
+    -- Every attempt is its own row; earlier attempts stay as history
+    INSERT INTO public.quiz_submissions (
+        quiz_id, user_id, attempt_number, student_score, total_items, answers, item_times, hint_usage, variant_seed,
+        status, is_auto_graded, is_late, started_at, graded_at, reviewed_at, submitted_at
+    )
+    VALUES (
+        attempt_record.quiz_id, attempt_record.user_id, attempt_record.attempt_number, ROUND(earned)::integer, possible, graded_items, attempt_record.item_times, NULLIF(attempt_record.hint_usage, '{}'::jsonb), attempt_seed,
+        'approved', true, late_submission, attempt_record.started_at, NOW(), NOW(), submitted_time
+    )
+    RETURNING id INTO attempt_submission_id;
+
+    INSERT INTO public.quiz_submission_questions (
+        submission_id, question_id, bank_item_id, order_index, question_type, prompt,
+        choices, correct_answer, tolerance, require_simplified, parameters, graph_settings, points
+    )
+    SELECT
+        attempt_submission_id,
+        (snapshot ->> 'question_id')::uuid,
+        (snapshot ->> 'bank_item_id')::uuid,
+        (snapshot ->> 'order_index')::integer,
+        snapshot ->> 'question_type',
+        snapshot ->> 'prompt',
+        COALESCE(snapshot -> 'choices', '[]'::jsonb),
+        snapshot -> 'correct_answer',
+        COALESCE((snapshot ->> 'tolerance')::numeric, 0),
+        COALESCE((snapshot ->> 'require_simplified')::boolean, false),
+        NULLIF(snapshot -> 'parameters', 'null'::jsonb),
+        NULLIF(snapshot -> 'graph_settings', 'null'::jsonb),
+        (snapshot ->> 'points')::integer
+    FROM jsonb_array_elements(snapshots) AS snapshot;
+
+    UPDATE public.quiz_attempts
+    SET submitted_at = submitted_time,
+        saved_answers = COALESCE(p_answers, '{}'::jsonb),
+        is_auto_submitted = p_auto_submitted,
+        submission_id = attempt_submission_id
+    WHERE id = attempt_record.id;
+
+    RETURN jsonb_build_object(
+        'submission_id', attempt_submission_id,
+        'attempt_number', attempt_record.attempt_number,
+        'student_score', ROUND(earned)::integer,
+        'total_items', possible,
+        'passing_score', quiz_record.passing_score,
+        'is_late', late_submission,
+        'auto_submitted', p_auto_submitted,
+        'results', (
+            SELECT jsonb_agg(item - 'response' - 'parameters')
+            FROM jsonb_array_elements(graded_items) AS item
+        )
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.grade_native_quiz_attempt(uuid, jsonb, boolean) FROM PUBLIC;
+
+-- ------------------------------
+-- STUDENT RPCs
+-- ------------------------------
+
+-- Returns the quiz with the student's attempt count, the open attempt and
+-- (once started) its questions without answer keys. Graph questions include
+-- their grid and starting shape (graph_settings).
+CREATE OR REPLACE FUNCTION public.get_native_quiz(p_quiz_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+    quiz_record public.quizzes%ROWTYPE;
+    attempt_record public.quiz_attempts%ROWTYPE;
+    attempt_seed bigint;
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    IF NOT public.student_can_access_quiz(p_quiz_id, requester_id) THEN
+        RAISE EXCEPTION 'Quiz not found or not available to you';
+    END IF;
+
+    SELECT * INTO quiz_record
+    FROM public.quizzes
+    WHERE id = p_quiz_id;
+
+    IF quiz_record.quiz_mode IS DISTINCT FROM 'native' THEN
+        RAISE EXCEPTION 'This quiz is taken outside MathTuro';
+    END IF;
+
+    SELECT * INTO attempt_record
+    FROM public.quiz_attempts
+    WHERE quiz_id = p_quiz_id
+      AND user_id = requester_id
+      AND submitted_at IS NULL;
+
+    attempt_seed := public.get_quiz_variant_seed(p_quiz_id, requester_id, COALESCE(attempt_record.attempt_number, 1));
+
+    RETURN jsonb_build_object(
+        'quiz', jsonb_build_object(
+            'id', quiz_record.id,
+            'title', quiz_record.title,
+            'description', quiz_record.description,
+            'total_items', quiz_record.total_items,
+            'passing_score', quiz_record.passing_score,
+            'time_limit_minutes', quiz_record.time_limit_minutes,
+            'deadline', public.get_quiz_deadline(p_quiz_id, requester_id),
+            'allow_late_submissions', quiz_record.allow_late_submissions,
+            'max_attempts', quiz_record.max_attempts,
+            'scoring_rule', quiz_record.scoring_rule,
+            'allow_hints', quiz_record.allow_hints,
+            'hint_penalty_percent', quiz_record.hint_penalty_percent,
+            'attempts_used', public.get_quiz_attempts_used(p_quiz_id, requester_id),
+            'quarter', quiz_record.quarter
+        ),
+        'attempt', CASE WHEN attempt_record.id IS NULL THEN NULL ELSE jsonb_build_object(
+            'id', attempt_record.id,
+            'attempt_number', attempt_record.attempt_number,
+            'started_at', attempt_record.started_at,
+            'expires_at', attempt_record.expires_at,
+            'saved_answers', attempt_record.saved_answers,
+            'item_times', attempt_record.item_times,
+            'hint_usage', attempt_record.hint_usage,
+            'server_time', NOW()
+        ) END,
+        'questions', CASE WHEN attempt_record.id IS NULL THEN '[]'::jsonb ELSE COALESCE((
+            SELECT jsonb_agg(
+                jsonb_build_object(
+                    'id', qq.id,
+                    'order_index', qq.order_index,
+                    'question_type', qq.question_type,
+                    'prompt', variant.data ->> 'prompt',
+                    'choices', variant.data -> 'choices',
+                    'graph_settings', qq.graph_settings,
+                    'points', qq.points,
+                    'require_simplified', qq.require_simplified
+                ) || CASE WHEN quiz_record.allow_hints THEN public.build_quiz_question_help(
+                    qq,
+                    variant.data -> 'parameters',
+                    attempt_record.hint_usage -> qq.id::text
+                ) ELSE '{}'::jsonb END
+                ORDER BY qq.order_index, qq.created_at
+            )
+            FROM public.get_quiz_attempt_questions(p_quiz_id, attempt_seed) qq
+            CROSS JOIN LATERAL (
+                SELECT public.build_quiz_question_variant(qq, attempt_seed) AS data
+            ) AS variant
+        ), '[]'::jsonb) END
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.get_native_quiz(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_native_quiz(uuid) TO authenticated;
+
+-- ------------------------------
+-- TEACHER RPCs
+-- ------------------------------
+
+-- Returns a native attempt as the student saw it: the snapshot taken at submit
+-- time, or for attempts graded before v16, the questions rebuilt from the seed.
+-- Graph questions include graph_settings so the review can draw the grid.
+CREATE OR REPLACE FUNCTION public.get_quiz_submission_review(p_submission_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+    submission_record public.quiz_submissions%ROWTYPE;
+    attempt_seed bigint;
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    SELECT * INTO submission_record
+    FROM public.quiz_submissions
+    WHERE id = p_submission_id;
+
+    IF submission_record.id IS NULL OR NOT (
+        EXISTS (
+            SELECT 1
+            FROM public.quizzes q
+            WHERE q.id = submission_record.quiz_id
+              AND q.teacher_id = requester_id
+        )
+        OR EXISTS (
+            SELECT 1
+            FROM public.users u
+            WHERE u.id = requester_id
+              AND u.role = 'admin'
+        )
+    ) THEN
+        RAISE EXCEPTION 'Submission not found or not available to you';
+    END IF;
+
+    attempt_seed := COALESCE(
+        submission_record.variant_seed,
+        public.get_quiz_variant_seed(submission_record.quiz_id, submission_record.user_id)
+    );
+
+    IF EXISTS (
+        SELECT 1
+        FROM public.quiz_submission_questions sq
+        WHERE sq.submission_id = submission_record.id
+    ) THEN
+        RETURN jsonb_build_object(
+            'submission_id', submission_record.id,
+            'variant_seed', attempt_seed,
+            'questions', COALESCE((
+                SELECT jsonb_agg(
+                    jsonb_build_object(
+                        'id', sq.question_id,
+                        'bank_item_id', sq.bank_item_id,
+                        'order_index', sq.order_index,
+                        'question_type', sq.question_type,
+                        'prompt', sq.prompt,
+                        'choices', sq.choices,
+                        'graph_settings', sq.graph_settings,
+                        'correct_answer', sq.correct_answer,
+                        'tolerance', sq.tolerance,
+                        'require_simplified', sq.require_simplified,
+                        'points', sq.points,
+                        'parameters', sq.parameters,
+                        'response', graded.item -> 'response',
+                        'is_correct', COALESCE((graded.item ->> 'is_correct')::boolean, false),
+                        'points_awarded', COALESCE((graded.item ->> 'points_awarded')::numeric, 0),
+                        'hints_used', COALESCE((graded.item ->> 'hints_used')::integer, 0),
+                        'solution_viewed', COALESCE((graded.item ->> 'solution_viewed')::boolean, false)
+                    )
+                    ORDER BY sq.order_index
+                )
+                FROM public.quiz_submission_questions sq
+                LEFT JOIN LATERAL (
+                    SELECT item
+                    FROM jsonb_array_elements(COALESCE(submission_record.answers, '[]'::jsonb)) AS item
+                    WHERE item ->> 'question_id' = sq.question_id::text
+                    LIMIT 1
+                ) AS graded ON true
+                WHERE sq.submission_id = submission_record.id
+            ), '[]'::jsonb)
+        );
+    END IF;
+
+    RETURN jsonb_build_object(
+        'submission_id', submission_record.id,
+        'variant_seed', attempt_seed,
+        'questions', COALESCE((
+            SELECT jsonb_agg(
+                jsonb_build_object(
+                    'id', qq.id,
+                    'order_index', qq.order_index,
+                    'question_type', qq.question_type,
+                    'prompt', variant.data ->> 'prompt',
+                    'choices', variant.data -> 'choices',
+                    'graph_settings', qq.graph_settings,
+                    'correct_answer', variant.data -> 'correct_answer',
+                    'tolerance', qq.tolerance,
+                    'require_simplified', qq.require_simplified,
+                    'points', qq.points,
+                    'parameters', variant.data -> 'parameters',
+                    'response', graded.item -> 'response',
+                    'is_correct', COALESCE((graded.item ->> 'is_correct')::boolean, false),
+                    'points_awarded', COALESCE((graded.item ->> 'points_awarded')::numeric, 0),
+                    'hints_used', COALESCE((graded.item ->> 'hints_used')::integer, 0),
+                    'solution_viewed', COALESCE((graded.item ->> 'solution_viewed')::boolean, false)
+                )
+                ORDER BY qq.order_index, qq.created_at
+            )
+            FROM public.quiz_questions qq
+            CROSS JOIN LATERAL (
+                SELECT public.build_quiz_question_variant(qq, attempt_seed) AS data
+            ) AS variant
+            LEFT JOIN LATERAL (
+                SELECT item
+                FROM jsonb_array_elements(COALESCE(submission_record.answers, '[]'::jsonb)) AS item
+                WHERE item ->> 'question_id' = qq.id::text
+                LIMIT 1
+            ) AS graded ON true
+            WHERE qq.quiz_id = submission_record.quiz_id
+        ), '[]'::jsonb)
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.get_quiz_submission_review(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_quiz_submission_review(uuid) TO authenticated;
+
+-- Ensure PostgREST sees the new columns and RPCs immediately
+NOTIFY pgrst, 'reload schema';
+
+COMMIT;
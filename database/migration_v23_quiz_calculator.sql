@@ -0,0 +1,126 @@
+-- Migration v23: Quiz calculator setting
+-- Purpose:
+-- 1) Let a quiz allow the scientific calculator, only the basic calculator, or no calculator
+--    during attempts (quizzes.calculator_mode).
+-- 2) Send calculator_mode to the quiz player.
+
+BEGIN;
+
+-- ------------------------------
+-- COLUMNS
+-- ------------------------------
+-- none, basic, or scientific (which includes the function grapher)
+ALTER TABLE public.quizzes
+    ADD COLUMN IF NOT EXISTS calculator_mode TEXT NOT NULL DEFAULT 'scientific';
+
+ALTER TABLE public.quizzes
+    DROP CONSTRAINT IF EXISTS quizzes_calculator_mode_check;
+ALTER TABLE public.quizzes
+    ADD CONSTRAINT quizzes_calculator_mode_check CHECK (calculator_mode IN ('none', 'basic', 'scientific'));
+
+-- ------------------------------
+-- STUDENT RPCs
+-- ------------------------------
+
+-- Returns the quiz with the student's attempt count, the open attempt and
+-- (once started) its questions without answer keys. The quiz now includes
+-- calculator_mode so the player can offer the allowed calculator.
+CREATE OR REPLACE FUNCTION public.get_native_quiz(p_quiz_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+    quiz_record public.quizzes%ROWTYPE;
+    attempt_record public.quiz_attempts%ROWTYPE;
+    attempt_seed bigint;
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    IF NOT public.student_can_access_quiz(p_quiz_id, requester_id) THEN
+        RAISE EXCEPTION 'Quiz not found or not available to you';
+    END IF;
+
+    SELECT * INTO quiz_record
+    FROM public.quizzes
+    WHERE id = p_quiz_id;
+
+    IF quiz_record.quiz_mode IS DISTINCT FROM 'native' THEN
+        RAISE EXCEPTION 'This quiz is taken outside MathTuro';
+    END IF;
+
+    SELECT * INTO attempt_record
+    FROM public.quiz_attempts
+    WHERE quiz_id = p_quiz_id
+      AND user_id = requester_id
+      AND submitted_at IS NULL;
+
+    attempt_seed := public.get_quiz_variant_seed(p_quiz_id, requester_id, COALESCE(attempt_record.attempt_number, 1));
+
+    RETURN jsonb_build_object(
+        'quiz', jsonb_build_object(
+            'id', quiz_record.id,
+            'title', quiz_record.title,
+            'description', quiz_record.description,
+            'total_items', quiz_record.total_items,
+            'passing_score', quiz_record.passing_score,
+            'time_limit_minutes', quiz_record.time_limit_minutes,
+            'deadline', public.get_quiz_deadline(p_quiz_id, requester_id),
+            'allow_late_submissions', quiz_record.allow_late_submissions,
+            'max_attempts', quiz_record.max_attempts,
+            'scoring_rule', quiz_record.scoring_rule,
+            'allow_hints', quiz_record.allow_hints,
+            'hint_penalty_percent', quiz_record.hint_penalty_percent,
+            'calculator_mode', quiz_record.calculator_mode,
+            'attempts_used', public.get_quiz_attempts_used(p_quiz_id, requester_id),
+            'quarter', quiz_record.quarter
+        ),
+        'attempt', CASE WHEN attempt_record.id IS NULL THEN NULL ELSE jsonb_build_object(
+            'id', attempt_record.id,
+            'attempt_number', attempt_record.attempt_number,
+            'started_at', attempt_record.started_at,
+            'expires_at', attempt_record.expires_at,
+            'saved_answers', attempt_record.saved_answers,
+            'item_times', attempt_record.item_times,
+            'hint_usage', attempt_record.hint_usage,
+            'server_time', NOW()
+        ) END,
+        'questions', CASE WHEN attempt_record.id IS NULL THEN '[]'::jsonb ELSE COALESCE((
+            SELECT jsonb_agg(
+                jsonb_build_object(
+                    'id', qq.id,
+                    'order_index', qq.order_index,
+                    'question_type', qq.question_type,
+                    'prompt', variant.data ->> 'prompt',
+                    'choices', variant.data -> 'choices',
+                    'graph_settings', qq.graph_settings,
+                    'points', qq.points,
+                    'require_simplified', qq.require_simplified
+                ) || CASE WHEN quiz_record.allow_hints THEN public.build_quiz_question_help(
+                    qq,
+                    variant.data -> 'parameters',
+                    attempt_record.hint_usage -> qq.id::text
+                ) ELSE '{}'::jsonb END
+                ORDER BY qq.order_index, qq.created_at
+            )
+            FROM public.get_quiz_attempt_questions(p_quiz_id, attempt_seed) qq
+            CROSS JOIN LATERAL (
+                SELECT public.build_quiz_question_variant(qq, attempt_seed) AS data
+            ) AS variant
+        ), '[]'::jsonb) END
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.get_native_quiz(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_native_quiz(uuid) TO authenticated;
+
+-- Ensure PostgREST sees the new columns and RPCs immediately
+NOTIFY pgrst, 'reload schema';
+
+COMMIT;
@@ -0,0 +1,134 @@
+-- Migration v24: Screenshot proof hashes
+-- Purpose:
+-- 1) Keep a perceptual hash of each score screenshot (quiz_screenshot_hashes) so the
+--    submissions page can flag the same picture sent by different students or for
+--    different quizzes.
+-- 2) Let the reviewing teacher (or an admin) save hashes computed in the browser.
+--
+-- Hashes live in their own table instead of a quiz_submissions column: any update of a
+-- rejected submission sends it back to pending (handle_submission_update), and students
+-- can update their own rows, so they could overwrite a column there.
+
+BEGIN;
+
+-- ------------------------------
+-- TABLES
+-- ------------------------------
+-- image_hash is a 64-bit difference hash (16 hex digits) of screenshot_url.
+-- A hash only counts while screenshot_url still matches the submission; a
+-- resubmitted screenshot is hashed again.
+CREATE TABLE IF NOT EXISTS public.quiz_screenshot_hashes (
+    submission_id UUID PRIMARY KEY REFERENCES public.quiz_submissions(id) ON DELETE CASCADE,
+    screenshot_url TEXT NOT NULL,
+    image_hash TEXT NOT NULL CHECK (image_hash ~ '^[0-9a-f]{16}$'),
+    hashed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE public.quiz_screenshot_hashes ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS teachers_view_own_quiz_screenshot_hashes ON public.quiz_screenshot_hashes;
+CREATE POLICY teachers_view_own_quiz_screenshot_hashes
+    ON public.quiz_screenshot_hashes
+    FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1
+            FROM public.quiz_submissions s
+            LEFT JOIN public.quizzes q ON q.id = s.quiz_id
+            LEFT JOIN public.modules m ON m.id = s.module_id
+            WHERE s.id = quiz_screenshot_hashes.submission_id
+              AND (q.teacher_id = auth.uid() OR m.teacher_id = auth.uid())
+        )
+    );
+
+DROP POLICY IF EXISTS admin_view_quiz_screenshot_hashes ON public.quiz_screenshot_hashes;
+CREATE POLICY admin_view_quiz_screenshot_hashes
+    ON public.quiz_screenshot_hashes
+    FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1
+            FROM public.users u
+            WHERE u.id = auth.uid()
+              AND u.role = 'admin'
+        )
+    );
+
+GRANT SELECT ON public.quiz_screenshot_hashes TO authenticated;
+
+-- ------------------------------
+-- TEACHER RPCs
+-- ------------------------------
+
+-- Saves screenshot hashes: p_hashes is [{ "submission_id", "screenshot_url", "hash" }].
+-- Entries for submissions the requester cannot review, or whose screenshot has
+-- changed since it was hashed, are skipped. Returns the number of hashes saved.
+CREATE OR REPLACE FUNCTION public.save_quiz_screenshot_hashes(p_hashes jsonb)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+    requester_is_admin boolean;
+    entry jsonb;
+    entry_hash text;
+    saved integer := 0;
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    IF jsonb_typeof(p_hashes) IS DISTINCT FROM 'array' THEN
+        RAISE EXCEPTION 'Hashes must be a list';
+    END IF;
+
+    requester_is_admin := EXISTS (
+        SELECT 1
+        FROM public.users u
+        WHERE u.id = requester_id
+          AND u.role = 'admin'
+    );
+
+    FOR entry IN SELECT * FROM jsonb_array_elements(p_hashes)
+    LOOP
+        entry_hash := LOWER(TRIM(entry ->> 'hash'));
+
+        IF entry_hash IS NULL OR entry_hash !~ '^[0-9a-f]{16}$' THEN
+            RAISE EXCEPTION 'Screenshot hashes must be 16 hexadecimal digits';
+        END IF;
+
+        IF NOT EXISTS (
+            SELECT 1
+            FROM public.quiz_submissions s
+            LEFT JOIN public.quizzes q ON q.id = s.quiz_id
+            LEFT JOIN public.modules m ON m.id = s.module_id
+            WHERE s.id = (entry ->> 'submission_id')::uuid
+              AND s.screenshot_url = entry ->> 'screenshot_url'
+              AND (requester_is_admin OR q.teacher_id = requester_id OR m.teacher_id = requester_id)
+        ) THEN
+            CONTINUE;
+        END IF;
+
+        INSERT INTO public.quiz_screenshot_hashes (submission_id, screenshot_url, image_hash, hashed_at)
+        VALUES ((entry ->> 'submission_id')::uuid, entry ->> 'screenshot_url', entry_hash, NOW())
+        ON CONFLICT (submission_id) DO UPDATE
+        SET screenshot_url = EXCLUDED.screenshot_url,
+            image_hash = EXCLUDED.image_hash,
+            hashed_at = EXCLUDED.hashed_at;
+
+        saved := saved + 1;
+    END LOOP;
+
+    RETURN saved;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.save_quiz_screenshot_hashes(jsonb) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.save_quiz_screenshot_hashes(jsonb) TO authenticated;
+
+-- Ensure PostgREST sees the new table and RPC immediately
+NOTIFY pgrst, 'reload schema';
+
+COMMIT;
@@ -0,0 +1,171 @@
+-- Migration v25: Feedback comment library
+-- Purpose:
+-- 1) Let teachers save comments they give often ("Show your solution") and insert them
+--    when reviewing (feedback_comments).
+-- 2) Optionally share a comment with the other teachers of a grade level the owner teaches.
+-- 3) Count how often each comment is used.
+
+BEGIN;
+
+-- ------------------------------
+-- TABLES
+-- ------------------------------
+-- shared_grade_level_id is NULL for private comments. Shared comments are read-only
+-- for the other teachers with a section in that grade level.
+CREATE TABLE IF NOT EXISTS public.feedback_comments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    teacher_id UUID NOT NULL DEFAULT auth.uid() REFERENCES public.users(id) ON DELETE CASCADE,
+    body TEXT NOT NULL CHECK (LENGTH(TRIM(body)) BETWEEN 1 AND 1000),
+    shared_grade_level_id UUID REFERENCES public.grade_levels(id) ON DELETE SET NULL,
+    usage_count INTEGER NOT NULL DEFAULT 0,
+    last_used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_feedback_comments_teacher
+    ON public.feedback_comments(teacher_id);
+
+CREATE INDEX IF NOT EXISTS idx_feedback_comments_shared
+    ON public.feedback_comments(shared_grade_level_id)
+    WHERE shared_grade_level_id IS NOT NULL;
+
+-- ------------------------------
+-- HELPERS
+-- ------------------------------
+
+-- True when the teacher has an active section in the grade level.
+CREATE OR REPLACE FUNCTION public.teacher_teaches_grade_level(p_teacher_id uuid, p_grade_level_id uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT EXISTS (
+        SELECT 1
+        FROM public.sections s
+        WHERE s.teacher_id = p_teacher_id
+          AND s.grade_level_id = p_grade_level_id
+          AND COALESCE(s.is_active, true)
+    );
+$$;
+
+REVOKE ALL ON FUNCTION public.teacher_teaches_grade_level(uuid, uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.teacher_teaches_grade_level(uuid, uuid) TO authenticated;
+
+-- ------------------------------
+-- RLS
+-- ------------------------------
+ALTER TABLE public.feedback_comments ENABLE ROW LEVEL SECURITY;
+
+-- Owners can only share with a grade level they teach
+DROP POLICY IF EXISTS teachers_manage_own_feedback_comments ON public.feedback_comments;
+CREATE POLICY teachers_manage_own_feedback_comments
+    ON public.feedback_comments
+    FOR ALL
+    USING (teacher_id = auth.uid())
+    WITH CHECK (
+        teacher_id = auth.uid()
+        AND (
+            shared_grade_level_id IS NULL
+            OR public.teacher_teaches_grade_level(auth.uid(), shared_grade_level_id)
+        )
+    );
+
+DROP POLICY IF EXISTS teachers_view_shared_feedback_comments ON public.feedback_comments;
+CREATE POLICY teachers_view_shared_feedback_comments
+    ON public.feedback_comments
+    FOR SELECT
+    USING (
+        shared_grade_level_id IS NOT NULL
+        AND public.teacher_teaches_grade_level(auth.uid(), shared_grade_level_id)
+    );
+
+DROP POLICY IF EXISTS admin_manage_feedback_comments ON public.feedback_comments;
+CREATE POLICY admin_manage_feedback_comments
+    ON public.feedback_comments
+    FOR ALL
+    USING (
+        EXISTS (
+            SELECT 1
+            FROM public.users u
+            WHERE u.id = auth.uid()
+              AND u.role = 'admin'
+        )
+    )
+    WITH CHECK (
+        EXISTS (
+            SELECT 1
+            FROM public.users u
+            WHERE u.id = auth.uid()
+              AND u.role = 'admin'
+        )
+    );
+
+DROP TRIGGER IF EXISTS trg_feedback_comments_updated_at ON public.feedback_comments;
+CREATE TRIGGER trg_feedback_comments_updated_at
+    BEFORE UPDATE ON public.feedback_comments
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_updated_at_column();
+
+GRANT ALL ON public.feedback_comments TO authenticated;
+
+-- ------------------------------
+-- TEACHER RPCs
+-- ------------------------------
+
+-- Counts one use of a comment. Teachers using a shared comment cannot update the
+-- owner's row directly, so the count goes through this function.
+-- Returns the new usage count.
+CREATE OR REPLACE FUNCTION public.record_feedback_comment_use(p_comment_id uuid)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+    comment_record public.feedback_comments%ROWTYPE;
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    SELECT * INTO comment_record
+    FROM public.feedback_comments
+    WHERE id = p_comment_id;
+
+    IF comment_record.id IS NULL OR NOT (
+        comment_record.teacher_id = requester_id
+        OR (
+            comment_record.shared_grade_level_id IS NOT NULL
+            AND public.teacher_teaches_grade_level(requester_id, comment_record.shared_grade_level_id)
+        )
+        OR EXISTS (
+            SELECT 1
+            FROM public.users u
+            WHERE u.id = requester_id
+              AND u.role = 'admin'
+        )
+    ) THEN
+        RAISE EXCEPTION 'Comment not found or not available to you';
+    END IF;
+
+    UPDATE public.feedback_comments
+    SET usage_count = usage_count + 1,
+        last_used_at = NOW()
+    WHERE id = p_comment_id
+    RETURNING usage_count INTO comment_record.usage_count;
+
+    RETURN comment_record.usage_count;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.record_feedback_comment_use(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.record_feedback_comment_use(uuid) TO authenticated;
+
+-- Ensure PostgREST sees the new table and RPC immediately
+NOTIFY pgrst, 'reload schema';
+
+COMMIT;
@@ -0,0 +1,449 @@
+-- Migration v26: Rubric grading for performance tasks
+-- Purpose:
+-- 1) Let teachers keep rubrics (criteria x levels x points) in their own library (rubrics).
+-- 2) Attach a rubric to an external quiz or to a new "assignment" quiz type: a performance
+--    task with no link or questions, where the student uploads a photo of their work.
+-- 3) Grade a submission criterion by criterion (grade_quiz_submission_with_rubric) and keep
+--    the filled rubric on the submission (quiz_submissions.rubric_scores) for the student.
+-- 4) Keep quizzes.total_items equal to the rubric's highest score, also after the rubric is edited.
+--
+-- Rubric-graded submissions carry no self-reported score: the teacher's rubric total
+-- becomes student_score, and total_items becomes the rubric's maximum.
+
+BEGIN;
+
+-- ------------------------------
+-- RUBRICS
+-- ------------------------------
+-- levels are the column headings, best first: ["Excellent", "Proficient", ...].
+-- criteria are the rows: [{ "name", "description", "points": [per level], "descriptors": [per level] }].
+CREATE TABLE IF NOT EXISTS public.rubrics (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    teacher_id UUID NOT NULL DEFAULT auth.uid() REFERENCES public.users(id) ON DELETE CASCADE,
+    title TEXT NOT NULL CHECK (LENGTH(TRIM(title)) BETWEEN 1 AND 200),
+    description TEXT,
+    levels JSONB NOT NULL CHECK (
+        jsonb_typeof(levels) = 'array'
+        AND jsonb_array_length(levels) BETWEEN 2 AND 6
+    ),
+    criteria JSONB NOT NULL CHECK (
+        jsonb_typeof(criteria) = 'array'
+        AND jsonb_array_length(criteria) BETWEEN 1 AND 20
+    ),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rubrics_teacher
+    ON public.rubrics(teacher_id);
+
+-- ------------------------------
+-- QUIZZES: rubric and assignment mode
+-- ------------------------------
+-- A rubric in use cannot be deleted; detach it from its quizzes first.
+ALTER TABLE public.quizzes
+    ADD COLUMN IF NOT EXISTS rubric_id UUID REFERENCES public.rubrics(id) ON DELETE RESTRICT;
+
+CREATE INDEX IF NOT EXISTS idx_quizzes_rubric
+    ON public.quizzes(rubric_id)
+    WHERE rubric_id IS NOT NULL;
+
+ALTER TABLE public.quizzes
+    DROP CONSTRAINT IF EXISTS quizzes_quiz_mode_check;
+
+ALTER TABLE public.quizzes
+    ADD CONSTRAINT quizzes_quiz_mode_check CHECK (quiz_mode IN ('external', 'native', 'assignment'));
+
+ALTER TABLE public.quizzes
+    DROP CONSTRAINT IF EXISTS quizzes_quiz_url_required_check;
+
+ALTER TABLE public.quizzes
+    ADD CONSTRAINT quizzes_quiz_url_required_check
+    CHECK (quiz_mode <> 'external' OR NULLIF(TRIM(quiz_url), '') IS NOT NULL);
+
+-- Native quizzes are scored by their questions
+ALTER TABLE public.quizzes
+    DROP CONSTRAINT IF EXISTS quizzes_rubric_mode_check;
+
+ALTER TABLE public.quizzes
+    ADD CONSTRAINT quizzes_rubric_mode_check
+    CHECK (rubric_id IS NULL OR quiz_mode <> 'native');
+
+-- ------------------------------
+-- HELPERS
+-- ------------------------------
+
+-- Highest possible rubric score: the best points of every criterion added up.
+CREATE OR REPLACE FUNCTION public.get_rubric_max_points(p_criteria jsonb)
+RETURNS integer
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT COALESCE(SUM(best.points), 0)::integer
+    FROM jsonb_array_elements(p_criteria) AS criterion
+    CROSS JOIN LATERAL (
+        SELECT MAX(value::integer) AS points
+        FROM jsonb_array_elements_text(criterion -> 'points')
+    ) AS best;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_rubric_max_points(jsonb) TO authenticated;
+
+-- Every criterion needs one whole, non-negative number of points per level,
+-- or grading would look up a missing cell.
+CREATE OR REPLACE FUNCTION public.rubric_points_are_valid(p_levels jsonb, p_criteria jsonb)
+RETURNS boolean
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE
+        WHEN jsonb_typeof(p_levels) IS DISTINCT FROM 'array'
+             OR jsonb_typeof(p_criteria) IS DISTINCT FROM 'array' THEN false
+        ELSE NOT EXISTS (
+            SELECT 1
+            FROM jsonb_array_elements(p_criteria) AS criterion
+            WHERE CASE
+                WHEN jsonb_typeof(criterion -> 'points') IS DISTINCT FROM 'array' THEN true
+                WHEN jsonb_array_length(criterion -> 'points') <> jsonb_array_length(p_levels) THEN true
+                ELSE EXISTS (
+                    SELECT 1
+                    FROM jsonb_array_elements(criterion -> 'points') AS cell
+                    WHERE CASE
+                        WHEN jsonb_typeof(cell) <> 'number' THEN true
+                        ELSE cell::text::numeric < 0 OR cell::text::numeric <> TRUNC(cell::text::numeric)
+                    END
+                )
+            END
+        )
+    END;
+$$;
+
+ALTER TABLE public.rubrics
+    DROP CONSTRAINT IF EXISTS rubrics_points_check;
+
+ALTER TABLE public.rubrics
+    ADD CONSTRAINT rubrics_points_check CHECK (public.rubric_points_are_valid(levels, criteria));
+
+-- Teachers can only attach their own rubrics; admins can attach any.
+-- Checked when the rubric changes, so editing an admin-attached quiz still works.
+CREATE OR REPLACE FUNCTION public.check_quiz_rubric_owner()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF NEW.rubric_id IS NULL
+       OR auth.uid() IS NULL
+       OR (TG_OP = 'UPDATE' AND NEW.rubric_id IS NOT DISTINCT FROM OLD.rubric_id) THEN
+        RETURN NEW;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM public.rubrics r
+        WHERE r.id = NEW.rubric_id
+          AND r.teacher_id = auth.uid()
+    ) AND NOT EXISTS (
+        SELECT 1
+        FROM public.users u
+        WHERE u.id = auth.uid()
+          AND u.role = 'admin'
+    ) THEN
+        RAISE EXCEPTION 'Rubric not found or not available to you';
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_quizzes_rubric_owner ON public.quizzes;
+CREATE TRIGGER trg_quizzes_rubric_owner
+    BEFORE INSERT OR UPDATE OF rubric_id ON public.quizzes
+    FOR EACH ROW
+    EXECUTE FUNCTION public.check_quiz_rubric_owner();
+
+CREATE OR REPLACE FUNCTION public.set_quiz_rubric_total_items()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF NEW.rubric_id IS NOT NULL THEN
+        SELECT public.get_rubric_max_points(r.criteria) INTO NEW.total_items
+        FROM public.rubrics r
+        WHERE r.id = NEW.rubric_id;
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_quizzes_rubric_total_items ON public.quizzes;
+CREATE TRIGGER trg_quizzes_rubric_total_items
+    BEFORE INSERT OR UPDATE OF rubric_id, total_items ON public.quizzes
+    FOR EACH ROW
+    EXECUTE FUNCTION public.set_quiz_rubric_total_items();
+
+-- Submissions graded before the edit keep the rubric they were graded with (rubric_scores)
+CREATE OR REPLACE FUNCTION public.sync_rubric_quiz_total_items()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    UPDATE public.quizzes
+    SET total_items = public.get_rubric_max_points(NEW.criteria)
+    WHERE rubric_id = NEW.id
+      AND total_items IS DISTINCT FROM public.get_rubric_max_points(NEW.criteria);
+
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_rubrics_sync_quiz_total_items ON public.rubrics;
+CREATE TRIGGER trg_rubrics_sync_quiz_total_items
+    AFTER UPDATE OF criteria ON public.rubrics
+    FOR EACH ROW
+    EXECUTE FUNCTION public.sync_rubric_quiz_total_items();
+
+-- ------------------------------
+-- QUIZ SUBMISSIONS: filled rubric
+-- ------------------------------
+-- Snapshot of the rubric as graded, so later edits to the rubric do not change old grades:
+-- { "rubric_id", "title", "levels", "criteria", "selections": [level index per criterion],
+--   "points": [per criterion], "score", "max_score" }
+ALTER TABLE public.quiz_submissions
+    ADD COLUMN IF NOT EXISTS rubric_scores JSONB;
+
+-- ------------------------------
+-- RLS
+-- ------------------------------
+ALTER TABLE public.rubrics ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS teachers_manage_own_rubrics ON public.rubrics;
+CREATE POLICY teachers_manage_own_rubrics
+    ON public.rubrics
+    FOR ALL
+    USING (teacher_id = auth.uid())
+    WITH CHECK (teacher_id = auth.uid());
+
+-- Students see the rubric of a published quiz before they hand in their work
+DROP POLICY IF EXISTS students_view_quiz_rubrics ON public.rubrics;
+CREATE POLICY students_view_quiz_rubrics
+    ON public.rubrics
+    FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1
+            FROM public.quizzes q
+            WHERE q.rubric_id = rubrics.id
+              AND q.is_published = true
+        )
+    );
+
+DROP POLICY IF EXISTS admin_manage_rubrics ON public.rubrics;
+CREATE POLICY admin_manage_rubrics
+    ON public.rubrics
+    FOR ALL
+    USING (
+        EXISTS (
+            SELECT 1
+            FROM public.users u
+            WHERE u.id = auth.uid()
+              AND u.role = 'admin'
+        )
+    )
+    WITH CHECK (
+        EXISTS (
+            SELECT 1
+            FROM public.users u
+            WHERE u.id = auth.uid()
+              AND u.role = 'admin'
+        )
+    );
+
+DROP TRIGGER IF EXISTS trg_rubrics_updated_at ON public.rubrics;
+CREATE TRIGGER trg_rubrics_updated_at
+    BEFORE UPDATE ON public.rubrics
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_updated_at_column();
+
+GRANT ALL ON public.rubrics TO authenticated;
+
+-- ------------------------------
+-- STUDENT WRITES
+-- ------------------------------
+
+-- Students cannot write their own rubric grade or report a score for rubric-graded work.
+-- A graded row keeps its score if the student edits it.
+CREATE OR REPLACE FUNCTION public.protect_quiz_submission_rubric_scores()
+RETURNS trigger
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+    IF current_user NOT IN ('authenticated', 'anon')
+       OR auth.uid() IS DISTINCT FROM NEW.user_id THEN
+        RETURN NEW;
+    END IF;
+
+    IF TG_OP = 'UPDATE' AND OLD.rubric_scores IS NOT NULL THEN
+        NEW.rubric_scores := OLD.rubric_scores;
+        NEW.student_score := OLD.student_score;
+        NEW.total_items := OLD.total_items;
+        RETURN NEW;
+    END IF;
+
+    NEW.rubric_scores := NULL;
+
+    IF NEW.quiz_id IS NOT NULL AND EXISTS (
+        SELECT 1
+        FROM public.quizzes q
+        WHERE q.id = NEW.quiz_id
+          AND (q.quiz_mode = 'assignment' OR q.rubric_id IS NOT NULL)
+    ) THEN
+        NEW.student_score := NULL;
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_quiz_submissions_rubric_scores ON public.quiz_submissions;
+CREATE TRIGGER trg_quiz_submissions_rubric_scores
+    BEFORE INSERT OR UPDATE ON public.quiz_submissions
+    FOR EACH ROW
+    EXECUTE FUNCTION public.protect_quiz_submission_rubric_scores();
+
+-- ------------------------------
+-- TEACHER RPCs
+-- ------------------------------
+
+-- Grades a submission with its quiz's rubric: p_selections holds the chosen level index
+-- (0 = first column) for each criterion, in order. Points are looked up here, not taken
+-- from the browser. Pending and already graded (approved) submissions can be graded;
+-- the submission is approved. Returns the updated submission.
+CREATE OR REPLACE FUNCTION public.grade_quiz_submission_with_rubric(
+    p_submission_id uuid,
+    p_selections jsonb,
+    p_comment text DEFAULT NULL
+)
+RETURNS public.quiz_submissions
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+    submission_record public.quiz_submissions%ROWTYPE;
+    quiz_record public.quizzes%ROWTYPE;
+    rubric_record public.rubrics%ROWTYPE;
+    criterion jsonb;
+    criterion_index integer := 0;
+    level_count integer;
+    selected_level integer;
+    criterion_points jsonb := '[]'::jsonb;
+    awarded integer;
+    total_score integer := 0;
+    max_score integer;
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    SELECT * INTO submission_record
+    FROM public.quiz_submissions
+    WHERE id = p_submission_id;
+
+    SELECT * INTO quiz_record
+    FROM public.quizzes
+    WHERE id = submission_record.quiz_id;
+
+    IF submission_record.id IS NULL OR quiz_record.id IS NULL OR NOT (
+        quiz_record.teacher_id = requester_id
+        OR EXISTS (
+            SELECT 1
+            FROM public.users u
+            WHERE u.id = requester_id
+              AND u.role = 'admin'
+        )
+    ) THEN
+        RAISE EXCEPTION 'Submission not found or not available to you';
+    END IF;
+
+    -- Any update of a rejected row sends it back to pending (handle_submission_update)
+    IF submission_record.status = 'rejected' THEN
+        RAISE EXCEPTION 'Rejected submissions are graded after the student resubmits';
+    END IF;
+
+    SELECT * INTO rubric_record
+    FROM public.rubrics
+    WHERE id = quiz_record.rubric_id;
+
+    IF rubric_record.id IS NULL THEN
+        RAISE EXCEPTION 'This quiz has no rubric';
+    END IF;
+
+    level_count := jsonb_array_length(rubric_record.levels);
+    max_score := public.get_rubric_max_points(rubric_record.criteria);
+
+    IF jsonb_typeof(p_selections) IS DISTINCT FROM 'array'
+       OR jsonb_array_length(p_selections) <> jsonb_array_length(rubric_record.criteria) THEN
+        RAISE EXCEPTION 'Choose a level for every criterion';
+    END IF;
+
+    FOR criterion IN SELECT * FROM jsonb_array_elements(rubric_record.criteria)
+    LOOP
+        IF jsonb_typeof(p_selections -> criterion_index) IS DISTINCT FROM 'number' THEN
+            RAISE EXCEPTION 'Choose a level for every criterion';
+        END IF;
+
+        selected_level := (p_selections ->> criterion_index)::integer;
+        IF selected_level < 0 OR selected_level >= level_count THEN
+            RAISE EXCEPTION 'Criterion % has no level %', criterion_index + 1, selected_level + 1;
+        END IF;
+
+        awarded := (criterion -> 'points' ->> selected_level)::integer;
+        IF awarded IS NULL THEN
+            RAISE EXCEPTION 'Criterion % has no points for level %', criterion_index + 1, selected_level + 1;
+        END IF;
+
+        total_score := total_score + awarded;
+        criterion_points := criterion_points || to_jsonb(awarded);
+        criterion_index := criterion_index + 1;
+    END LOOP;
+
+    UPDATE public.quiz_submissions
+    SET rubric_scores = jsonb_build_object(
+            'rubric_id', rubric_record.id,
+            'title', rubric_record.title,
+            'levels', rubric_record.levels,
+            'criteria', rubric_record.criteria,
+            'selections', p_selections,
+            'points', criterion_points,
+            'score', total_score,
+            'max_score', max_score
+        ),
+        student_score = total_score,
+        total_items = max_score,
+        status = 'approved',
+        teacher_comment = NULLIF(TRIM(p_comment), ''),
+        reviewed_at = NOW(),
+        reviewed_by = requester_id
+    WHERE id = p_submission_id
+    RETURNING * INTO submission_record;
+
+    RETURN submission_record;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.grade_quiz_submission_with_rubric(uuid, jsonb, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.grade_quiz_submission_with_rubric(uuid, jsonb, text) TO authenticated;
+
+-- Ensure PostgREST sees the new table, columns and RPCs immediately
+NOTIFY pgrst, 'reload schema';
+
+COMMIT;
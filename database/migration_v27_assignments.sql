@@ -0,0 +1,599 @@
+-- Migration v27: Assignments with file and text answers
+-- Purpose:
+-- 1) Make "assignment" quizzes general assignments: students upload worksheets (PDF or
+--    images) and/or type an answer, as set by quizzes.assignment_response_type.
+-- 2) Keep the files in a private storage bucket (assignment-files): a student's files in
+--    their own folder, the teacher's feedback files in the student's feedback folder.
+-- 3) Late policy: on top of the deadline and allow_late_submissions (v17),
+--    quizzes.late_penalty_percent is taken off the grade of late work.
+-- 4) Teachers grade assignments with a score (grade_assignment_submission) or with their
+--    rubric (grade_quiz_submission_with_rubric), and can return feedback files.
+--    The rubric is now optional for assignments.
+--
+-- File lists (quiz_submissions.attachments and feedback_files) hold
+-- [{ "path", "name", "type", "size" }], path being the object name in assignment-files.
+
+BEGIN;
+
+-- ------------------------------
+-- QUIZZES: assignment settings
+-- ------------------------------
+ALTER TABLE public.quizzes
+    ADD COLUMN IF NOT EXISTS assignment_response_type TEXT NOT NULL DEFAULT 'file_or_text';
+
+ALTER TABLE public.quizzes
+    DROP CONSTRAINT IF EXISTS quizzes_assignment_response_type_check;
+
+ALTER TABLE public.quizzes
+    ADD CONSTRAINT quizzes_assignment_response_type_check
+    CHECK (assignment_response_type IN ('file', 'text', 'file_or_text'));
+
+-- Percent taken off when a teacher grades late work (0 = no penalty)
+ALTER TABLE public.quizzes
+    ADD COLUMN IF NOT EXISTS late_penalty_percent INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE public.quizzes
+    DROP CONSTRAINT IF EXISTS quizzes_late_penalty_percent_check;
+
+ALTER TABLE public.quizzes
+    ADD CONSTRAINT quizzes_late_penalty_percent_check
+    CHECK (late_penalty_percent BETWEEN 0 AND 100);
+
+-- ------------------------------
+-- QUIZ SUBMISSIONS: answers and feedback files
+-- ------------------------------
+ALTER TABLE public.quiz_submissions
+    ADD COLUMN IF NOT EXISTS answer_text TEXT,
+    ADD COLUMN IF NOT EXISTS attachments JSONB NOT NULL DEFAULT '[]'::jsonb,
+    ADD COLUMN IF NOT EXISTS feedback_files JSONB NOT NULL DEFAULT '[]'::jsonb,
+    -- The teacher's score before the late penalty; NULL when no penalty was taken
+    ADD COLUMN IF NOT EXISTS score_before_penalty INTEGER;
+
+ALTER TABLE public.quiz_submissions
+    DROP CONSTRAINT IF EXISTS quiz_submissions_answer_text_check;
+
+ALTER TABLE public.quiz_submissions
+    ADD CONSTRAINT quiz_submissions_answer_text_check
+    CHECK (answer_text IS NULL OR LENGTH(answer_text) <= 20000);
+
+-- ------------------------------
+-- HELPERS
+-- ------------------------------
+
+-- True when p_files is a list of at most 5 files stored under p_folder, with the types and
+-- size accepted by the assignment-files bucket.
+CREATE OR REPLACE FUNCTION public.is_valid_assignment_file_list(p_files jsonb, p_folder text)
+RETURNS boolean
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT jsonb_typeof(p_files) = 'array'
+       AND jsonb_array_length(p_files) <= 5
+       AND NOT EXISTS (
+            SELECT 1
+            FROM jsonb_array_elements(p_files) AS file
+            WHERE jsonb_typeof(file) IS DISTINCT FROM 'object'
+               OR jsonb_typeof(file -> 'path') IS DISTINCT FROM 'string'
+               OR jsonb_typeof(file -> 'name') IS DISTINCT FROM 'string'
+               OR jsonb_typeof(file -> 'size') IS DISTINCT FROM 'number'
+               OR LEFT(file ->> 'path', LENGTH(p_folder)) <> p_folder
+               OR (file ->> 'path') LIKE '%..%'
+               OR COALESCE(file ->> 'type', '') NOT IN (
+                    'application/pdf', 'image/jpeg', 'image/png', 'image/webp', 'image/gif'
+               )
+               OR (file ->> 'size')::numeric NOT BETWEEN 0 AND 10485760
+       );
+$$;
+
+GRANT EXECUTE ON FUNCTION public.is_valid_assignment_file_list(jsonb, text) TO authenticated;
+
+-- Score after the quiz's late penalty, for late submissions
+CREATE OR REPLACE FUNCTION public.apply_quiz_late_penalty(p_score integer, p_is_late boolean, p_penalty_percent integer)
+RETURNS integer
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE
+        WHEN p_is_late IS TRUE AND COALESCE(p_penalty_percent, 0) > 0
+            THEN ROUND(p_score * (100 - p_penalty_percent) / 100.0)::integer
+        ELSE p_score
+    END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.apply_quiz_late_penalty(integer, boolean, integer) TO authenticated;
+
+-- ------------------------------
+-- STUDENT WRITES
+-- ------------------------------
+
+-- Students send their own files only and cannot write feedback files or the penalty.
+-- Graded answers are kept as they were graded. Assignments need the answer their
+-- response type asks for.
+CREATE OR REPLACE FUNCTION public.check_quiz_submission_assignment_answer()
+RETURNS trigger
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+    response_type text;
+    has_text boolean;
+    has_files boolean;
+BEGIN
+    IF current_user NOT IN ('authenticated', 'anon')
+       OR auth.uid() IS DISTINCT FROM NEW.user_id THEN
+        RETURN NEW;
+    END IF;
+
+    IF TG_OP = 'UPDATE' THEN
+        NEW.feedback_files := OLD.feedback_files;
+        NEW.score_before_penalty := OLD.score_before_penalty;
+
+        IF OLD.status = 'approved' THEN
+            NEW.answer_text := OLD.answer_text;
+            NEW.attachments := OLD.attachments;
+            RETURN NEW;
+        END IF;
+    ELSE
+        NEW.feedback_files := '[]'::jsonb;
+        NEW.score_before_penalty := NULL;
+    END IF;
+
+    NEW.answer_text := NULLIF(TRIM(NEW.answer_text), '');
+    NEW.attachments := COALESCE(NEW.attachments, '[]'::jsonb);
+
+    IF NOT public.is_valid_assignment_file_list(NEW.attachments, auth.uid()::text || '/')
+       OR EXISTS (
+            SELECT 1
+            FROM jsonb_array_elements(NEW.attachments) AS file
+            WHERE (file ->> 'path') LIKE auth.uid()::text || '/feedback/%'
+       ) THEN
+        RAISE EXCEPTION 'Attach up to 5 PDF or image files of at most 10 MB each';
+    END IF;
+
+    SELECT q.assignment_response_type INTO response_type
+    FROM public.quizzes q
+    WHERE q.id = NEW.quiz_id
+      AND q.quiz_mode = 'assignment';
+
+    IF response_type IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    has_text := NEW.answer_text IS NOT NULL;
+    has_files := jsonb_array_length(NEW.attachments) > 0;
+
+    IF response_type = 'file' AND NOT has_files THEN
+        RAISE EXCEPTION 'Attach your work to submit this assignment';
+    ELSIF response_type = 'text' AND NOT has_text THEN
+        RAISE EXCEPTION 'Type your answer to submit this assignment';
+    ELSIF NOT has_text AND NOT has_files THEN
+        RAISE EXCEPTION 'Type your answer or attach your work to submit this assignment';
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_quiz_submissions_assignment_answer ON public.quiz_submissions;
+CREATE TRIGGER trg_quiz_submissions_assignment_answer
+    BEFORE INSERT OR UPDATE ON public.quiz_submissions
+    FOR EACH ROW
+    EXECUTE FUNCTION public.check_quiz_submission_assignment_answer();
+
+-- v17, now that students hand in answers and files: changing them is a resubmission too,
+-- so the server sets submitted_at and is_late again and applies the deadline.
+-- (trg_quiz_submissions_assignment_answer runs first and has already cleaned them up.)
+CREATE OR REPLACE FUNCTION public.enforce_quiz_submission_deadline()
+RETURNS trigger
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+    quiz_record public.quizzes%ROWTYPE;
+    effective_deadline timestamptz;
+BEGIN
+    IF NEW.quiz_id IS NULL
+       OR current_user NOT IN ('authenticated', 'anon')
+       OR auth.uid() IS DISTINCT FROM NEW.user_id THEN
+        RETURN NEW;
+    END IF;
+
+    -- Any change to a native row, not only a new score (see also the v13 guard)
+    IF public.is_native_quiz(NEW.quiz_id) THEN
+        RAISE EXCEPTION 'In-app quizzes are submitted from the quiz player';
+    END IF;
+
+    IF TG_OP = 'UPDATE'
+       AND NEW.student_score IS NOT DISTINCT FROM OLD.student_score
+       AND NEW.total_items IS NOT DISTINCT FROM OLD.total_items
+       AND NEW.screenshot_url IS NOT DISTINCT FROM OLD.screenshot_url
+       AND NEW.answer_text IS NOT DISTINCT FROM OLD.answer_text
+       AND NEW.attachments IS NOT DISTINCT FROM OLD.attachments THEN
+        NEW.is_late := OLD.is_late;
+        RETURN NEW;
+    END IF;
+
+    SELECT * INTO quiz_record
+    FROM public.quizzes
+    WHERE id = NEW.quiz_id;
+
+    -- The server clock decides the submission time, not the browser
+    NEW.submitted_at := NOW();
+    effective_deadline := public.get_my_quiz_deadline(NEW.quiz_id);
+    NEW.is_late := effective_deadline IS NOT NULL AND NEW.submitted_at > effective_deadline;
+
+    IF NEW.is_late AND NOT quiz_record.allow_late_submissions THEN
+        RAISE EXCEPTION 'The deadline for this quiz has passed';
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+-- v26, now that assignments can be graded without a rubric: a graded (approved)
+-- teacher-graded row keeps its score if the student edits it.
+CREATE OR REPLACE FUNCTION public.protect_quiz_submission_rubric_scores()
+RETURNS trigger
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+    teacher_graded boolean;
+BEGIN
+    IF current_user NOT IN ('authenticated', 'anon')
+       OR auth.uid() IS DISTINCT FROM NEW.user_id THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT (q.quiz_mode = 'assignment' OR q.rubric_id IS NOT NULL) INTO teacher_graded
+    FROM public.quizzes q
+    WHERE q.id = NEW.quiz_id;
+
+    teacher_graded := COALESCE(teacher_graded, false);
+
+    IF TG_OP = 'UPDATE' AND (OLD.rubric_scores IS NOT NULL OR (teacher_graded AND OLD.status = 'approved')) THEN
+        NEW.rubric_scores := OLD.rubric_scores;
+        NEW.student_score := OLD.student_score;
+        NEW.total_items := OLD.total_items;
+        RETURN NEW;
+    END IF;
+
+    NEW.rubric_scores := NULL;
+
+    IF teacher_graded THEN
+        NEW.student_score := NULL;
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+-- ------------------------------
+-- STORAGE
+-- ------------------------------
+-- Private bucket; pages read files through signed URLs.
+-- {student_id}/{quiz_id}/{file}               uploaded by the student
+-- {student_id}/feedback/{submission_id}/{file} uploaded by the teacher
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES (
+    'assignment-files',
+    'assignment-files',
+    false,
+    10485760,
+    ARRAY['application/pdf', 'image/jpeg', 'image/png', 'image/webp', 'image/gif']
+) ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS assignment_files_student_read ON storage.objects;
+CREATE POLICY assignment_files_student_read
+    ON storage.objects
+    FOR SELECT
+    USING (
+        bucket_id = 'assignment-files'
+        AND (storage.foldername(name))[1] = auth.uid()::text
+    );
+
+DROP POLICY IF EXISTS assignment_files_student_upload ON storage.objects;
+CREATE POLICY assignment_files_student_upload
+    ON storage.objects
+    FOR INSERT
+    WITH CHECK (
+        bucket_id = 'assignment-files'
+        AND (storage.foldername(name))[1] = auth.uid()::text
+        AND (storage.foldername(name))[2] IS DISTINCT FROM 'feedback'
+    );
+
+-- Teachers reach the files of submissions to their own quizzes or modules (like
+-- teachers_view_submissions): {student_id}/{quiz_id}/... through the student's submission
+-- to that quiz, {student_id}/feedback/{submission_id}/... through that submission.
+-- Admins reach every file.
+CREATE OR REPLACE FUNCTION public.can_review_assignment_file(p_name text)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT EXISTS (
+        SELECT 1
+        FROM public.users u
+        WHERE u.id = auth.uid()
+          AND u.role = 'admin'
+    )
+    OR EXISTS (
+        SELECT 1
+        FROM public.quiz_submissions s
+        LEFT JOIN public.quizzes q ON q.id = s.quiz_id
+        LEFT JOIN public.modules m ON m.id = s.module_id
+        WHERE s.user_id::text = (storage.foldername(p_name))[1]
+          AND CASE
+                WHEN (storage.foldername(p_name))[2] = 'feedback'
+                    THEN s.id::text = (storage.foldername(p_name))[3]
+                ELSE s.quiz_id::text = (storage.foldername(p_name))[2]
+              END
+          AND (q.teacher_id = auth.uid() OR m.teacher_id = auth.uid())
+    );
+$$;
+
+REVOKE ALL ON FUNCTION public.can_review_assignment_file(text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.can_review_assignment_file(text) TO authenticated;
+
+DROP POLICY IF EXISTS assignment_files_teacher_read ON storage.objects;
+CREATE POLICY assignment_files_teacher_read
+    ON storage.objects
+    FOR SELECT
+    USING (
+        bucket_id = 'assignment-files'
+        AND public.can_review_assignment_file(name)
+    );
+
+DROP POLICY IF EXISTS assignment_files_teacher_upload ON storage.objects;
+CREATE POLICY assignment_files_teacher_upload
+    ON storage.objects
+    FOR INSERT
+    WITH CHECK (
+        bucket_id = 'assignment-files'
+        AND (storage.foldername(name))[2] = 'feedback'
+        AND public.can_review_assignment_file(name)
+    );
+
+DROP POLICY IF EXISTS assignment_files_teacher_delete ON storage.objects;
+CREATE POLICY assignment_files_teacher_delete
+    ON storage.objects
+    FOR DELETE
+    USING (
+        bucket_id = 'assignment-files'
+        AND (storage.foldername(name))[2] = 'feedback'
+        AND public.can_review_assignment_file(name)
+    );
+
+-- ------------------------------
+-- TEACHER RPCs
+-- ------------------------------
+
+-- Grades an assignment without a rubric: p_score out of the quiz's total_items, before the
+-- late penalty. p_feedback_files replaces the returned files; NULL keeps them.
+-- Returns the updated submission.
+CREATE OR REPLACE FUNCTION public.grade_assignment_submission(
+    p_submission_id uuid,
+    p_score integer,
+    p_comment text DEFAULT NULL,
+    p_feedback_files jsonb DEFAULT NULL
+)
+RETURNS public.quiz_submissions
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+    submission_record public.quiz_submissions%ROWTYPE;
+    quiz_record public.quizzes%ROWTYPE;
+    final_score integer;
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    SELECT * INTO submission_record
+    FROM public.quiz_submissions
+    WHERE id = p_submission_id;
+
+    SELECT * INTO quiz_record
+    FROM public.quizzes
+    WHERE id = submission_record.quiz_id;
+
+    IF submission_record.id IS NULL OR quiz_record.id IS NULL OR NOT (
+        quiz_record.teacher_id = requester_id
+        OR EXISTS (
+            SELECT 1
+            FROM public.users u
+            WHERE u.id = requester_id
+              AND u.role = 'admin'
+        )
+    ) THEN
+        RAISE EXCEPTION 'Submission not found or not available to you';
+    END IF;
+
+    -- Any update of a rejected row sends it back to pending (handle_submission_update)
+    IF submission_record.status = 'rejected' THEN
+        RAISE EXCEPTION 'Rejected submissions are graded after the student resubmits';
+    END IF;
+
+    IF quiz_record.quiz_mode <> 'assignment' THEN
+        RAISE EXCEPTION 'Only assignments are graded with a score';
+    END IF;
+
+    IF quiz_record.rubric_id IS NOT NULL THEN
+        RAISE EXCEPTION 'Grade this assignment with its rubric';
+    END IF;
+
+    IF p_score IS NULL OR p_score < 0 OR p_score > quiz_record.total_items THEN
+        RAISE EXCEPTION 'Score must be between 0 and %', quiz_record.total_items;
+    END IF;
+
+    IF p_feedback_files IS NOT NULL AND NOT public.is_valid_assignment_file_list(
+        p_feedback_files,
+        submission_record.user_id::text || '/feedback/' || p_submission_id::text || '/'
+    ) THEN
+        RAISE EXCEPTION 'Attach up to 5 PDF or image files of at most 10 MB each';
+    END IF;
+
+    final_score := public.apply_quiz_late_penalty(p_score, submission_record.is_late, quiz_record.late_penalty_percent);
+
+    UPDATE public.quiz_submissions
+    SET student_score = final_score,
+        score_before_penalty = CASE WHEN final_score <> p_score THEN p_score END,
+        total_items = quiz_record.total_items,
+        rubric_scores = NULL,
+        feedback_files = COALESCE(p_feedback_files, feedback_files),
+        status = 'approved',
+        teacher_comment = NULLIF(TRIM(p_comment), ''),
+        reviewed_at = NOW(),
+        reviewed_by = requester_id
+    WHERE id = p_submission_id
+    RETURNING * INTO submission_record;
+
+    RETURN submission_record;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.grade_assignment_submission(uuid, integer, text, jsonb) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.grade_assignment_submission(uuid, integer, text, jsonb) TO authenticated;
+
+-- Same as v26, plus the late penalty and feedback files
+DROP FUNCTION IF EXISTS public.grade_quiz_submission_with_rubric(uuid, jsonb, text);
+
+CREATE OR REPLACE FUNCTION public.grade_quiz_submission_with_rubric(
+    p_submission_id uuid,
+    p_selections jsonb,
+    p_comment text DEFAULT NULL,
+    p_feedback_files jsonb DEFAULT NULL
+)
+RETURNS public.quiz_submissions
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+    submission_record public.quiz_submissions%ROWTYPE;
+    quiz_record public.quizzes%ROWTYPE;
+    rubric_record public.rubrics%ROWTYPE;
+    criterion jsonb;
+    criterion_index integer := 0;
+    level_count integer;
+    selected_level integer;
+    criterion_points jsonb := '[]'::jsonb;
+    awarded integer;
+    total_score integer := 0;
+    final_score integer;
+    max_score integer;
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    SELECT * INTO submission_record
+    FROM public.quiz_submissions
+    WHERE id = p_submission_id;
+
+    SELECT * INTO quiz_record
+    FROM public.quizzes
+    WHERE id = submission_record.quiz_id;
+
+    IF submission_record.id IS NULL OR quiz_record.id IS NULL OR NOT (
+        quiz_record.teacher_id = requester_id
+        OR EXISTS (
+            SELECT 1
+            FROM public.users u
+            WHERE u.id = requester_id
+              AND u.role = 'admin'
+        )
+    ) THEN
+        RAISE EXCEPTION 'Submission not found or not available to you';
+    END IF;
+
+    -- Any update of a rejected row sends it back to pending (handle_submission_update)
+    IF submission_record.status = 'rejected' THEN
+        RAISE EXCEPTION 'Rejected submissions are graded after the student resubmits';
+    END IF;
+
+    SELECT * INTO rubric_record
+    FROM public.rubrics
+    WHERE id = quiz_record.rubric_id;
+
+    IF rubric_record.id IS NULL THEN
+        RAISE EXCEPTION 'This quiz has no rubric';
+    END IF;
+
+    IF p_feedback_files IS NOT NULL AND NOT public.is_valid_assignment_file_list(
+        p_feedback_files,
+        submission_record.user_id::text || '/feedback/' || p_submission_id::text || '/'
+    ) THEN
+        RAISE EXCEPTION 'Attach up to 5 PDF or image files of at most 10 MB each';
+    END IF;
+
+    level_count := jsonb_array_length(rubric_record.levels);
+    max_score := public.get_rubric_max_points(rubric_record.criteria);
+
+    IF jsonb_typeof(p_selections) IS DISTINCT FROM 'array'
+       OR jsonb_array_length(p_selections) <> jsonb_array_length(rubric_record.criteria) THEN
+        RAISE EXCEPTION 'Choose a level for every criterion';
+    END IF;
+
+    FOR criterion IN SELECT * FROM jsonb_array_elements(rubric_record.criteria)
+    LOOP
+        IF jsonb_typeof(p_selections -> criterion_index) IS DISTINCT FROM 'number' THEN
+            RAISE EXCEPTION 'Choose a level for every criterion';
+        END IF;
+
+        selected_level := (p_selections ->> criterion_index)::integer;
+        IF selected_level < 0 OR selected_level >= level_count THEN
+            RAISE EXCEPTION 'Criterion % has no level %', criterion_index + 1, selected_level + 1;
+        END IF;
+
+        awarded := (criterion -> 'points' ->> selected_level)::integer;
+        IF awarded IS NULL THEN
+            RAISE EXCEPTION 'Criterion % has no points for level %', criterion_index + 1, selected_level + 1;
+        END IF;
+
+        total_score := total_score + awarded;
+        criterion_points := criterion_points || to_jsonb(awarded);
+        criterion_index := criterion_index + 1;
+    END LOOP;
+
+    final_score := public.apply_quiz_late_penalty(total_score, submission_record.is_late, quiz_record.late_penalty_percent);
+
+    UPDATE public.quiz_submissions
+    SET rubric_scores = jsonb_build_object(
+            'rubric_id', rubric_record.id,
+            'title', rubric_record.title,
+            'levels', rubric_record.levels,
+            'criteria', rubric_record.criteria,
+            'selections', p_selections,
+            'points', criterion_points,
+            'score', total_score,
+            'max_score', max_score
+        ),
+        student_score = final_score,
+        score_before_penalty = CASE WHEN final_score <> total_score THEN total_score END,
+        total_items = max_score,
+        feedback_files = COALESCE(p_feedback_files, feedback_files),
+        status = 'approved',
+        teacher_comment = NULLIF(TRIM(p_comment), ''),
+        reviewed_at = NOW(),
+        reviewed_by = requester_id
+    WHERE id = p_submission_id
+    RETURNING * INTO submission_record;
+
+    RETURN submission_record;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.grade_quiz_submission_with_rubric(uuid, jsonb, text, jsonb) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.grade_quiz_submission_with_rubric(uuid, jsonb, text, jsonb) TO authenticated;
+
+-- Ensure PostgREST sees the new columns and RPCs immediately
+NOTIFY pgrst, 'reload schema';
+
+COMMIT;
@@ -0,0 +1,195 @@
+-- Migration v28: Annotated copies of student uploads
+-- Purpose:
+-- 1) Let the reviewing teacher draw on a score screenshot or on an uploaded worksheet
+--    (an image, or one page of a PDF) and keep the marked copy next to the original.
+-- 2) Let students see the marked copies of their own submissions.
+--
+-- The original is never changed. Marked copies are PNG or JPEG images in the
+-- assignment-files bucket, in the student's feedback folder
+-- ({student_id}/feedback/{submission_id}/...), which students can read and teachers
+-- can write (v27).
+--
+-- Annotations live in their own table instead of a quiz_submissions column, like the
+-- screenshot hashes (v24): any update of a rejected submission sends it back to pending
+-- (handle_submission_update), and students can update their own rows.
+
+BEGIN;
+
+-- ------------------------------
+-- TABLES
+-- ------------------------------
+-- source_path is the submission's screenshot_url or the path of one of its attachments;
+-- page is the PDF page that was marked (1 for images). file is { path, name, type, size }.
+-- A marked copy only counts while its source is still on the submission.
+CREATE TABLE IF NOT EXISTS public.quiz_submission_annotations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    submission_id UUID NOT NULL REFERENCES public.quiz_submissions(id) ON DELETE CASCADE,
+    source_path TEXT NOT NULL,
+    page INTEGER NOT NULL DEFAULT 1 CHECK (page >= 1),
+    file JSONB NOT NULL,
+    annotated_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (submission_id, source_path, page)
+);
+
+CREATE INDEX IF NOT EXISTS idx_quiz_submission_annotations_submission
+    ON public.quiz_submission_annotations(submission_id);
+
+ALTER TABLE public.quiz_submission_annotations ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS students_view_own_quiz_submission_annotations ON public.quiz_submission_annotations;
+CREATE POLICY students_view_own_quiz_submission_annotations
+    ON public.quiz_submission_annotations
+    FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1
+            FROM public.quiz_submissions s
+            WHERE s.id = quiz_submission_annotations.submission_id
+              AND s.user_id = auth.uid()
+        )
+    );
+
+DROP POLICY IF EXISTS teachers_view_own_quiz_submission_annotations ON public.quiz_submission_annotations;
+CREATE POLICY teachers_view_own_quiz_submission_annotations
+    ON public.quiz_submission_annotations
+    FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1
+            FROM public.quiz_submissions s
+            LEFT JOIN public.quizzes q ON q.id = s.quiz_id
+            LEFT JOIN public.modules m ON m.id = s.module_id
+            WHERE s.id = quiz_submission_annotations.submission_id
+              AND (q.teacher_id = auth.uid() OR m.teacher_id = auth.uid())
+        )
+    );
+
+DROP POLICY IF EXISTS teachers_delete_own_quiz_submission_annotations ON public.quiz_submission_annotations;
+CREATE POLICY teachers_delete_own_quiz_submission_annotations
+    ON public.quiz_submission_annotations
+    FOR DELETE
+    USING (
+        EXISTS (
+            SELECT 1
+            FROM public.quiz_submissions s
+            LEFT JOIN public.quizzes q ON q.id = s.quiz_id
+            LEFT JOIN public.modules m ON m.id = s.module_id
+            WHERE s.id = quiz_submission_annotations.submission_id
+              AND (q.teacher_id = auth.uid() OR m.teacher_id = auth.uid())
+        )
+    );
+
+DROP POLICY IF EXISTS admin_manage_quiz_submission_annotations ON public.quiz_submission_annotations;
+CREATE POLICY admin_manage_quiz_submission_annotations
+    ON public.quiz_submission_annotations
+    FOR ALL
+    USING (
+        EXISTS (
+            SELECT 1
+            FROM public.users u
+            WHERE u.id = auth.uid()
+              AND u.role = 'admin'
+        )
+    );
+
+GRANT SELECT, DELETE ON public.quiz_submission_annotations TO authenticated;
+
+-- ------------------------------
+-- TEACHER RPCs
+-- ------------------------------
+
+-- Saves the marked copy of one page of a submission's screenshot or attachment, replacing
+-- the copy saved before for that page. p_file must already be uploaded to the student's
+-- feedback folder for this submission. Returns the saved row.
+CREATE OR REPLACE FUNCTION public.save_quiz_submission_annotation(
+    p_submission_id uuid,
+    p_source_path text,
+    p_page integer,
+    p_file jsonb
+)
+RETURNS public.quiz_submission_annotations
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+    submission_record public.quiz_submissions%ROWTYPE;
+    saved_record public.quiz_submission_annotations%ROWTYPE;
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    SELECT s.* INTO submission_record
+    FROM public.quiz_submissions s
+    LEFT JOIN public.quizzes q ON q.id = s.quiz_id
+    LEFT JOIN public.modules m ON m.id = s.module_id
+    WHERE s.id = p_submission_id
+      AND (
+        q.teacher_id = requester_id
+        OR m.teacher_id = requester_id
+        OR EXISTS (
+            SELECT 1
+            FROM public.users u
+            WHERE u.id = requester_id
+              AND u.role = 'admin'
+        )
+      );
+
+    IF submission_record.id IS NULL THEN
+        RAISE EXCEPTION 'Submission not found or not available to you';
+    END IF;
+
+    IF p_source_path IS NULL OR NOT (
+        p_source_path = submission_record.screenshot_url
+        OR EXISTS (
+            SELECT 1
+            FROM jsonb_array_elements(COALESCE(submission_record.attachments, '[]'::jsonb)) AS file
+            WHERE file ->> 'path' = p_source_path
+        )
+    ) THEN
+        RAISE EXCEPTION 'Only the screenshot or files of this submission can be marked';
+    END IF;
+
+    IF p_page IS NULL OR p_page < 1 THEN
+        RAISE EXCEPTION 'Page must be 1 or more';
+    END IF;
+
+    IF NOT public.is_valid_assignment_file_list(
+        jsonb_build_array(p_file),
+        submission_record.user_id::text || '/feedback/' || p_submission_id::text || '/'
+    ) OR p_file ->> 'type' NOT IN ('image/png', 'image/jpeg') THEN
+        RAISE EXCEPTION 'The marked copy must be a PNG or JPEG image of at most 10 MB';
+    END IF;
+
+    IF (
+        SELECT COUNT(*)
+        FROM public.quiz_submission_annotations a
+        WHERE a.submission_id = p_submission_id
+          AND NOT (a.source_path = p_source_path AND a.page = p_page)
+    ) >= 20 THEN
+        RAISE EXCEPTION 'A submission can have at most 20 marked pages';
+    END IF;
+
+    INSERT INTO public.quiz_submission_annotations (submission_id, source_path, page, file, annotated_by)
+    VALUES (p_submission_id, p_source_path, p_page, p_file, requester_id)
+    ON CONFLICT (submission_id, source_path, page) DO UPDATE
+    SET file = EXCLUDED.file,
+        annotated_by = EXCLUDED.annotated_by,
+        updated_at = NOW()
+    RETURNING * INTO saved_record;
+
+    RETURN saved_record;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.save_quiz_submission_annotation(uuid, text, integer, jsonb) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.save_quiz_submission_annotation(uuid, text, integer, jsonb) TO authenticated;
+
+-- Ensure PostgREST sees the new table and RPC immediately
+NOTIFY pgrst, 'reload schema';
+
+COMMIT;
@@ -0,0 +1,600 @@
+-- Migration v29: Weighted gradebook (DepEd components)
+-- Purpose:
+-- 1) Subjects with their component weights: Written Work (WW), Performance Tasks (PT)
+--    and Quarterly Assessment (QA), seeded with the DepEd Order No. 8, s. 2015 weights
+--    for Grades 1-10 and editable by admins.
+-- 2) Every graded quiz belongs to a subject (quizzes.grading_subject) and a component
+--    (quizzes.grading_component).
+-- 3) Quarterly grades per section, subject and quarter are computed here and stored in
+--    quarterly_grades: percentage score per component, weighted scores, initial grade
+--    and the transmuted quarterly grade. final_grades keeps the average of the four
+--    quarterly grades.
+--
+-- How a quarterly grade is computed (compute_quarterly_grades, and the submission
+-- trigger once a quarter has been computed):
+-- - Items are the published quizzes of the subject and quarter given to the section
+--   (its own quizzes and those for its whole grade level). The highest possible score
+--   of an item is quizzes.total_items.
+-- - A student's score on an item comes from their approved attempts with the quiz's
+--   scoring rule (v18). An item with no approved attempt scores 0.
+-- - Percentage score = total score / total highest possible score x 100; weighted
+--   score = percentage score x weight. A component without items is left out and the
+--   other weights are scaled up to 100.
+-- - Initial grade = sum of the weighted scores, transmuted with the DepEd table.
+
+BEGIN;
+
+-- ------------------------------
+-- GRADING SUBJECTS
+-- ------------------------------
+CREATE TABLE IF NOT EXISTS public.grading_subjects (
+    code TEXT PRIMARY KEY CHECK (code ~ '^[a-z0-9_]{1,40}$'),
+    name TEXT NOT NULL CHECK (LENGTH(TRIM(name)) BETWEEN 1 AND 100),
+    written_work_weight SMALLINT NOT NULL CHECK (written_work_weight BETWEEN 0 AND 100),
+    performance_task_weight SMALLINT NOT NULL CHECK (performance_task_weight BETWEEN 0 AND 100),
+    quarterly_assessment_weight SMALLINT NOT NULL CHECK (quarterly_assessment_weight BETWEEN 0 AND 100),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT grading_subjects_weights_total_check
+        CHECK (written_work_weight + performance_task_weight + quarterly_assessment_weight = 100)
+);
+
+INSERT INTO public.grading_subjects (code, name, written_work_weight, performance_task_weight, quarterly_assessment_weight)
+VALUES
+    ('mathematics', 'Mathematics', 40, 40, 20),
+    ('science', 'Science', 40, 40, 20),
+    ('languages', 'Languages (Filipino, English, Mother Tongue)', 30, 50, 20),
+    ('araling_panlipunan', 'Araling Panlipunan', 30, 50, 20),
+    ('esp', 'Edukasyon sa Pagpapakatao', 30, 50, 20),
+    ('mapeh', 'MAPEH', 20, 60, 20),
+    ('epp_tle', 'EPP / TLE', 20, 60, 20)
+ON CONFLICT (code) DO NOTHING;
+
+ALTER TABLE public.grading_subjects ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS authenticated_view_grading_subjects ON public.grading_subjects;
+CREATE POLICY authenticated_view_grading_subjects
+    ON public.grading_subjects
+    FOR SELECT
+    USING (auth.uid() IS NOT NULL);
+
+DROP POLICY IF EXISTS admin_manage_grading_subjects ON public.grading_subjects;
+CREATE POLICY admin_manage_grading_subjects
+    ON public.grading_subjects
+    FOR ALL
+    USING (
+        EXISTS (
+            SELECT 1
+            FROM public.users u
+            WHERE u.id = auth.uid()
+              AND u.role = 'admin'
+        )
+    )
+    WITH CHECK (
+        EXISTS (
+            SELECT 1
+            FROM public.users u
+            WHERE u.id = auth.uid()
+              AND u.role = 'admin'
+        )
+    );
+
+DROP TRIGGER IF EXISTS trg_grading_subjects_updated_at ON public.grading_subjects;
+CREATE TRIGGER trg_grading_subjects_updated_at
+    BEFORE UPDATE ON public.grading_subjects
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_updated_at_column();
+
+GRANT ALL ON public.grading_subjects TO authenticated;
+
+-- ------------------------------
+-- QUIZZES: subject and component
+-- ------------------------------
+ALTER TABLE public.quizzes
+    ADD COLUMN IF NOT EXISTS grading_subject TEXT NOT NULL DEFAULT 'mathematics'
+        REFERENCES public.grading_subjects(code);
+
+ALTER TABLE public.quizzes
+    ADD COLUMN IF NOT EXISTS grading_component TEXT;
+
+-- Assignments and rubric-graded work are performance tasks; everything else starts as written work
+UPDATE public.quizzes
+SET grading_component = CASE
+        WHEN quiz_mode = 'assignment' OR rubric_id IS NOT NULL THEN 'performance_task'
+        ELSE 'written_work'
+    END
+WHERE grading_component IS NULL;
+
+ALTER TABLE public.quizzes
+    ALTER COLUMN grading_component SET DEFAULT 'written_work',
+    ALTER COLUMN grading_component SET NOT NULL;
+
+ALTER TABLE public.quizzes
+    DROP CONSTRAINT IF EXISTS quizzes_grading_component_check;
+
+ALTER TABLE public.quizzes
+    ADD CONSTRAINT quizzes_grading_component_check
+    CHECK (grading_component IN ('written_work', 'performance_task', 'quarterly_assessment'));
+
+CREATE INDEX IF NOT EXISTS idx_quizzes_gradebook
+    ON public.quizzes(grading_subject, quarter);
+
+-- ------------------------------
+-- STORED GRADES
+-- ------------------------------
+-- components: { "written_work" | "performance_task" | "quarterly_assessment":
+--   { "items", "score", "highest", "percentage", "weight", "weighted_score" } },
+-- only for components that had items.
+CREATE TABLE IF NOT EXISTS public.quarterly_grades (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    student_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    section_id UUID NOT NULL REFERENCES public.sections(id) ON DELETE CASCADE,
+    subject TEXT NOT NULL REFERENCES public.grading_subjects(code) ON DELETE CASCADE,
+    quarter SMALLINT NOT NULL CHECK (quarter BETWEEN 1 AND 4),
+    components JSONB NOT NULL DEFAULT '{}'::jsonb,
+    initial_grade NUMERIC(5, 2) NOT NULL,
+    quarterly_grade SMALLINT NOT NULL CHECK (quarterly_grade BETWEEN 60 AND 100),
+    computed_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    computed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (student_id, section_id, subject, quarter)
+);
+
+CREATE INDEX IF NOT EXISTS idx_quarterly_grades_section
+    ON public.quarterly_grades(section_id, subject, quarter);
+
+-- One row per student once all four quarters have a grade
+CREATE TABLE IF NOT EXISTS public.final_grades (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    student_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    section_id UUID NOT NULL REFERENCES public.sections(id) ON DELETE CASCADE,
+    subject TEXT NOT NULL REFERENCES public.grading_subjects(code) ON DELETE CASCADE,
+    final_grade SMALLINT NOT NULL CHECK (final_grade BETWEEN 60 AND 100),
+    remarks TEXT NOT NULL CHECK (remarks IN ('Passed', 'Failed')),
+    computed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (student_id, section_id, subject)
+);
+
+CREATE INDEX IF NOT EXISTS idx_final_grades_section
+    ON public.final_grades(section_id, subject);
+
+ALTER TABLE public.quarterly_grades ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.final_grades ENABLE ROW LEVEL SECURITY;
+
+-- Grades are only written by the functions below; students read their own, the section's
+-- teacher and admins read the section's
+DROP POLICY IF EXISTS students_view_own_quarterly_grades ON public.quarterly_grades;
+CREATE POLICY students_view_own_quarterly_grades
+    ON public.quarterly_grades
+    FOR SELECT
+    USING (student_id = auth.uid());
+
+DROP POLICY IF EXISTS teachers_view_section_quarterly_grades ON public.quarterly_grades;
+CREATE POLICY teachers_view_section_quarterly_grades
+    ON public.quarterly_grades
+    FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1
+            FROM public.sections s
+            WHERE s.id = quarterly_grades.section_id
+              AND s.teacher_id = auth.uid()
+        )
+    );
+
+DROP POLICY IF EXISTS admin_view_quarterly_grades ON public.quarterly_grades;
+CREATE POLICY admin_view_quarterly_grades
+    ON public.quarterly_grades
+    FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1
+            FROM public.users u
+            WHERE u.id = auth.uid()
+              AND u.role = 'admin'
+        )
+    );
+
+DROP POLICY IF EXISTS students_view_own_final_grades ON public.final_grades;
+CREATE POLICY students_view_own_final_grades
+    ON public.final_grades
+    FOR SELECT
+    USING (student_id = auth.uid());
+
+DROP POLICY IF EXISTS teachers_view_section_final_grades ON public.final_grades;
+CREATE POLICY teachers_view_section_final_grades
+    ON public.final_grades
+    FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1
+            FROM public.sections s
+            WHERE s.id = final_grades.section_id
+              AND s.teacher_id = auth.uid()
+        )
+    );
+
+DROP POLICY IF EXISTS admin_view_final_grades ON public.final_grades;
+CREATE POLICY admin_view_final_grades
+    ON public.final_grades
+    FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1
+            FROM public.users u
+            WHERE u.id = auth.uid()
+              AND u.role = 'admin'
+        )
+    );
+
+GRANT SELECT ON public.quarterly_grades TO authenticated;
+GRANT SELECT ON public.final_grades TO authenticated;
+
+-- ------------------------------
+-- HELPERS
+-- ------------------------------
+
+-- DepEd transmutation table: 60 and above maps to 75-100 in steps of 1.60, below 60 maps
+-- to 60-74 in steps of 4.00.
+CREATE OR REPLACE FUNCTION public.transmute_grade(p_initial_grade numeric)
+RETURNS smallint
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE
+        WHEN p_initial_grade IS NULL THEN NULL
+        WHEN p_initial_grade >= 100 THEN 100
+        WHEN p_initial_grade >= 60 THEN (75 + FLOOR((p_initial_grade - 60) / 1.6))::smallint
+        WHEN p_initial_grade <= 0 THEN 60
+        ELSE (60 + FLOOR(p_initial_grade / 4))::smallint
+    END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.transmute_grade(numeric) TO authenticated;
+
+-- Every (student, item) pair of a section's subject and quarter, with the student's score
+-- from their approved attempts (NULL when there is none). Called by the functions below,
+-- which check access first.
+CREATE OR REPLACE FUNCTION public.get_gradebook_item_scores(
+    p_section_id uuid,
+    p_subject text,
+    p_quarter integer
+)
+RETURNS TABLE (
+    student_id uuid,
+    quiz_id uuid,
+    grading_component text,
+    highest numeric,
+    score numeric
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    WITH section_record AS (
+        SELECT s.id, s.grade_level_id
+        FROM public.sections s
+        WHERE s.id = p_section_id
+    ),
+    items AS (
+        SELECT q.id, q.grading_component, q.total_items, COALESCE(q.scoring_rule, 'highest') AS scoring_rule
+        FROM public.quizzes q
+        CROSS JOIN section_record sr
+        WHERE q.is_published = true
+          AND q.grading_subject = p_subject
+          AND q.quarter = p_quarter
+          AND q.total_items > 0
+          AND (
+            q.section_id = sr.id
+            OR (q.section_id IS NULL AND (q.grade_level_id IS NULL OR q.grade_level_id = sr.grade_level_id))
+          )
+    ),
+    students AS (
+        SELECT u.id
+        FROM public.users u
+        WHERE u.section_id = p_section_id
+          AND u.role = 'student'
+    ),
+    attempts AS (
+        SELECT
+            s.user_id,
+            s.quiz_id,
+            s.student_score::numeric / s.total_items AS ratio,
+            ROW_NUMBER() OVER (
+                PARTITION BY s.user_id, s.quiz_id
+                ORDER BY s.attempt_number DESC NULLS LAST, s.submitted_at DESC NULLS LAST
+            ) AS latest_rank
+        FROM public.quiz_submissions s
+        JOIN items i ON i.id = s.quiz_id
+        JOIN students st ON st.id = s.user_id
+        WHERE s.status = 'approved'
+          AND s.student_score IS NOT NULL
+          AND s.total_items > 0
+    )
+    SELECT
+        st.id,
+        i.id,
+        i.grading_component,
+        i.total_items::numeric,
+        ROUND(
+            CASE i.scoring_rule
+                WHEN 'latest' THEN MAX(a.ratio) FILTER (WHERE a.latest_rank = 1)
+                WHEN 'average' THEN AVG(a.ratio)
+                ELSE MAX(a.ratio)
+            END * i.total_items,
+            CASE WHEN i.scoring_rule = 'average' THEN 1 ELSE 2 END
+        )
+    FROM students st
+    CROSS JOIN items i
+    LEFT JOIN attempts a ON a.user_id = st.id AND a.quiz_id = i.id
+    GROUP BY st.id, i.id, i.grading_component, i.total_items, i.scoring_rule;
+$$;
+
+REVOKE ALL ON FUNCTION public.get_gradebook_item_scores(uuid, text, integer) FROM PUBLIC;
+
+-- Recomputes and stores the quarterly grades of a section (or of one of its students).
+-- Students with no items in the quarter get no row.
+CREATE OR REPLACE FUNCTION public.refresh_quarterly_grades(
+    p_section_id uuid,
+    p_subject text,
+    p_quarter integer,
+    p_student_id uuid DEFAULT NULL,
+    p_computed_by uuid DEFAULT NULL
+)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    subject_record public.grading_subjects%ROWTYPE;
+BEGIN
+    SELECT * INTO subject_record
+    FROM public.grading_subjects
+    WHERE code = p_subject;
+
+    IF subject_record.code IS NULL THEN
+        RAISE EXCEPTION 'Subject not found';
+    END IF;
+
+    WITH scores AS (
+        SELECT *
+        FROM public.get_gradebook_item_scores(p_section_id, p_subject, p_quarter) item
+        WHERE p_student_id IS NULL OR item.student_id = p_student_id
+    ),
+    weights AS (
+        SELECT *
+        FROM (VALUES
+            ('written_work', subject_record.written_work_weight),
+            ('performance_task', subject_record.performance_task_weight),
+            ('quarterly_assessment', subject_record.quarterly_assessment_weight)
+        ) AS w(component, weight)
+    ),
+    components AS (
+        SELECT
+            sc.student_id,
+            sc.grading_component,
+            COUNT(*) AS items,
+            SUM(COALESCE(sc.score, 0)) AS score,
+            SUM(sc.highest) AS highest,
+            ROUND(SUM(COALESCE(sc.score, 0)) / SUM(sc.highest) * 100, 2) AS percentage,
+            w.weight
+        FROM scores sc
+        JOIN weights w ON w.component = sc.grading_component
+        GROUP BY sc.student_id, sc.grading_component, w.weight
+    ),
+    totals AS (
+        SELECT
+            c.student_id,
+            ROUND(SUM(ROUND(c.percentage * c.weight / 100, 2)) * 100 / NULLIF(SUM(c.weight), 0), 2) AS initial_grade,
+            jsonb_object_agg(c.grading_component, jsonb_build_object(
+                'items', c.items,
+                'score', c.score,
+                'highest', c.highest,
+                'percentage', c.percentage,
+                'weight', c.weight,
+                'weighted_score', ROUND(c.percentage * c.weight / 100, 2)
+            )) AS components
+        FROM components c
+        GROUP BY c.student_id
+    ),
+    saved AS (
+        INSERT INTO public.quarterly_grades (
+            student_id, section_id, subject, quarter, components,
+            initial_grade, quarterly_grade, computed_by, computed_at
+        )
+        SELECT
+            t.student_id, p_section_id, p_subject, p_quarter, t.components,
+            t.initial_grade, public.transmute_grade(t.initial_grade), p_computed_by, NOW()
+        FROM totals t
+        WHERE t.initial_grade IS NOT NULL
+        ON CONFLICT (student_id, section_id, subject, quarter) DO UPDATE
+        SET components = EXCLUDED.components,
+            initial_grade = EXCLUDED.initial_grade,
+            quarterly_grade = EXCLUDED.quarterly_grade,
+            computed_by = COALESCE(EXCLUDED.computed_by, quarterly_grades.computed_by),
+            computed_at = EXCLUDED.computed_at
+        RETURNING quarterly_grades.student_id
+    )
+    DELETE FROM public.quarterly_grades g
+    WHERE g.section_id = p_section_id
+      AND g.subject = p_subject
+      AND g.quarter = p_quarter
+      AND (p_student_id IS NULL OR g.student_id = p_student_id)
+      AND g.student_id NOT IN (SELECT saved.student_id FROM saved);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.refresh_quarterly_grades(uuid, text, integer, uuid, uuid) FROM PUBLIC;
+
+-- Final grade = average of the four quarterly grades, rounded; 75 and above passes.
+-- Students without four quarterly grades have no final grade.
+CREATE OR REPLACE FUNCTION public.refresh_final_grades(
+    p_section_id uuid,
+    p_subject text,
+    p_student_id uuid DEFAULT NULL
+)
+RETURNS void
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    WITH quarters AS (
+        SELECT g.student_id, COUNT(*) AS quarter_count, ROUND(AVG(g.quarterly_grade))::smallint AS final_grade
+        FROM public.quarterly_grades g
+        WHERE g.section_id = p_section_id
+          AND g.subject = p_subject
+          AND (p_student_id IS NULL OR g.student_id = p_student_id)
+        GROUP BY g.student_id
+    ),
+    saved AS (
+        INSERT INTO public.final_grades (student_id, section_id, subject, final_grade, remarks, computed_at)
+        SELECT q.student_id, p_section_id, p_subject, q.final_grade,
+               CASE WHEN q.final_grade >= 75 THEN 'Passed' ELSE 'Failed' END, NOW()
+        FROM quarters q
+        WHERE q.quarter_count = 4
+        ON CONFLICT (student_id, section_id, subject) DO UPDATE
+        SET final_grade = EXCLUDED.final_grade,
+            remarks = EXCLUDED.remarks,
+            computed_at = EXCLUDED.computed_at
+        RETURNING final_grades.student_id
+    )
+    DELETE FROM public.final_grades f
+    WHERE f.section_id = p_section_id
+      AND f.subject = p_subject
+      AND (p_student_id IS NULL OR f.student_id = p_student_id)
+      AND f.student_id NOT IN (SELECT saved.student_id FROM saved);
+$$;
+
+REVOKE ALL ON FUNCTION public.refresh_final_grades(uuid, text, uuid) FROM PUBLIC;
+
+-- ------------------------------
+-- TEACHER RPCs
+-- ------------------------------
+
+-- Computes and stores the quarterly grades of a section for a subject and quarter, then
+-- the final grades. Returns the section's quarterly grades for that quarter.
+CREATE OR REPLACE FUNCTION public.compute_quarterly_grades(
+    p_section_id uuid,
+    p_subject text,
+    p_quarter integer
+)
+RETURNS SETOF public.quarterly_grades
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM public.sections s
+        WHERE s.id = p_section_id
+          AND (
+            s.teacher_id = requester_id
+            OR EXISTS (
+                SELECT 1
+                FROM public.users u
+                WHERE u.id = requester_id
+                  AND u.role = 'admin'
+            )
+          )
+    ) THEN
+        RAISE EXCEPTION 'Section not found or not available to you';
+    END IF;
+
+    IF p_quarter IS NULL OR p_quarter NOT BETWEEN 1 AND 4 THEN
+        RAISE EXCEPTION 'Quarter must be 1 to 4';
+    END IF;
+
+    PERFORM public.refresh_quarterly_grades(p_section_id, p_subject, p_quarter, NULL, requester_id);
+    PERFORM public.refresh_final_grades(p_section_id, p_subject);
+
+    RETURN QUERY
+    SELECT g.*
+    FROM public.quarterly_grades g
+    WHERE g.section_id = p_section_id
+      AND g.subject = p_subject
+      AND g.quarter = p_quarter;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.compute_quarterly_grades(uuid, text, integer) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.compute_quarterly_grades(uuid, text, integer) TO authenticated;
+
+-- ------------------------------
+-- KEEP STORED GRADES CURRENT
+-- ------------------------------
+-- Once a quarter has been computed for a student, grading, rejecting or removing their
+-- work recomputes that student's quarterly and final grade. Changes to the quizzes
+-- themselves (items, weights, quarter) apply when the teacher computes the quarter again.
+CREATE OR REPLACE FUNCTION public.refresh_grades_after_submission()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_user_id uuid;
+    v_quiz_id uuid;
+    quiz_record public.quizzes%ROWTYPE;
+    v_section_id uuid;
+BEGIN
+    IF TG_OP = 'UPDATE'
+       AND NEW.status IS NOT DISTINCT FROM OLD.status
+       AND NEW.student_score IS NOT DISTINCT FROM OLD.student_score
+       AND NEW.total_items IS NOT DISTINCT FROM OLD.total_items THEN
+        RETURN NULL;
+    END IF;
+
+    IF TG_OP = 'DELETE' THEN
+        v_user_id := OLD.user_id;
+        v_quiz_id := OLD.quiz_id;
+    ELSE
+        v_user_id := NEW.user_id;
+        v_quiz_id := NEW.quiz_id;
+    END IF;
+
+    SELECT * INTO quiz_record
+    FROM public.quizzes
+    WHERE id = v_quiz_id;
+
+    SELECT section_id INTO v_section_id
+    FROM public.users
+    WHERE id = v_user_id;
+
+    IF quiz_record.id IS NULL OR v_section_id IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    IF EXISTS (
+        SELECT 1
+        FROM public.quarterly_grades g
+        WHERE g.student_id = v_user_id
+          AND g.section_id = v_section_id
+          AND g.subject = quiz_record.grading_subject
+          AND g.quarter = quiz_record.quarter
+    ) THEN
+        PERFORM public.refresh_quarterly_grades(v_section_id, quiz_record.grading_subject, quiz_record.quarter, v_user_id);
+        PERFORM public.refresh_final_grades(v_section_id, quiz_record.grading_subject, v_user_id);
+    END IF;
+
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_quiz_submissions_refresh_grades ON public.quiz_submissions;
+CREATE TRIGGER trg_quiz_submissions_refresh_grades
+    AFTER INSERT OR UPDATE OR DELETE ON public.quiz_submissions
+    FOR EACH ROW
+    EXECUTE FUNCTION public.refresh_grades_after_submission();
+
+-- Ensure PostgREST sees the new tables and RPCs immediately
+NOTIFY pgrst, 'reload schema';
+
+COMMIT;
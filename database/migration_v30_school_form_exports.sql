@@ -0,0 +1,83 @@
+-- Migration v30: School form exports
+-- Purpose:
+-- 1) get_class_record returns the item-by-item scores behind a section's quarterly grades
+--    (the columns of an E-Class Record), for the section's teacher and admins.
+-- 2) The report card (SF9 style) reads the stored quarterly_grades and final_grades of
+--    every subject and needs no new objects.
+--
+-- Items and scores are the ones compute_quarterly_grades uses (get_gradebook_item_scores,
+-- v29): published quizzes of the subject and quarter given to the section, scored with the
+-- quiz's scoring rule over approved attempts. score is NULL when the student has no
+-- approved attempt; it counts as 0 in the grade.
+
+BEGIN;
+
+CREATE OR REPLACE FUNCTION public.get_class_record(
+    p_section_id uuid,
+    p_subject text,
+    p_quarter integer
+)
+RETURNS TABLE (
+    student_id uuid,
+    quiz_id uuid,
+    quiz_title text,
+    grading_component text,
+    highest numeric,
+    score numeric,
+    quiz_created_at timestamptz
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM public.sections s
+        WHERE s.id = p_section_id
+          AND (
+            s.teacher_id = requester_id
+            OR EXISTS (
+                SELECT 1
+                FROM public.users u
+                WHERE u.id = requester_id
+                  AND u.role = 'admin'
+            )
+          )
+    ) THEN
+        RAISE EXCEPTION 'Section not found or not available to you';
+    END IF;
+
+    IF p_quarter IS NULL OR p_quarter NOT BETWEEN 1 AND 4 THEN
+        RAISE EXCEPTION 'Quarter must be 1 to 4';
+    END IF;
+
+    RETURN QUERY
+    SELECT
+        item.student_id,
+        item.quiz_id,
+        q.title::text,
+        item.grading_component,
+        item.highest,
+        item.score,
+        q.created_at
+    FROM public.get_gradebook_item_scores(p_section_id, p_subject, p_quarter) item
+    JOIN public.quizzes q ON q.id = item.quiz_id
+    ORDER BY q.created_at, q.id, item.student_id;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.get_class_record(uuid, text, integer) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_class_record(uuid, text, integer) TO authenticated;
+
+-- Ensure PostgREST sees the new RPC immediately
+NOTIFY pgrst, 'reload schema';
+
+COMMIT;
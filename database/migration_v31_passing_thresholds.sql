@@ -0,0 +1,155 @@
+-- Migration v31: Configurable passing thresholds
+-- Purpose:
+-- 1) School pass marks in settings: passing_percentage (quiz scores and averages, was a
+--    hard-coded 70% in reports), passing_grade (quarterly and final grades, DepEd 75) and
+--    an optional pass mark per gradebook component.
+-- 2) get_passing_thresholds lets every signed-in user read them; settings itself stays
+--    admin-only.
+-- 3) Final grade remarks use passing_grade instead of a fixed 75.
+--
+-- Which pass mark a quiz uses (get_quiz_passing_percentage, getQuizPassingPercentage in
+-- shared/js/passingThresholds.js):
+-- - quizzes.passing_score, in points out of total_items, when it is above 0
+-- - else the pass mark of the quiz's grading_component, when one is set
+-- - else settings.passing_percentage
+
+BEGIN;
+
+-- ------------------------------
+-- SETTINGS
+-- ------------------------------
+ALTER TABLE public.settings
+    ADD COLUMN IF NOT EXISTS passing_percentage SMALLINT NOT NULL DEFAULT 70,
+    ADD COLUMN IF NOT EXISTS passing_grade SMALLINT NOT NULL DEFAULT 75,
+    ADD COLUMN IF NOT EXISTS written_work_passing_percentage SMALLINT,
+    ADD COLUMN IF NOT EXISTS performance_task_passing_percentage SMALLINT,
+    ADD COLUMN IF NOT EXISTS quarterly_assessment_passing_percentage SMALLINT;
+
+ALTER TABLE public.settings
+    DROP CONSTRAINT IF EXISTS settings_passing_thresholds_check;
+
+ALTER TABLE public.settings
+    ADD CONSTRAINT settings_passing_thresholds_check
+    CHECK (
+        passing_percentage BETWEEN 0 AND 100
+        AND passing_grade BETWEEN 60 AND 100
+        AND (written_work_passing_percentage IS NULL OR written_work_passing_percentage BETWEEN 0 AND 100)
+        AND (performance_task_passing_percentage IS NULL OR performance_task_passing_percentage BETWEEN 0 AND 100)
+        AND (quarterly_assessment_passing_percentage IS NULL OR quarterly_assessment_passing_percentage BETWEEN 0 AND 100)
+    );
+
+-- A passing score above the quiz's items could never be reached
+UPDATE public.quizzes
+SET passing_score = 0
+WHERE passing_score IS NULL
+   OR passing_score < 0
+   OR (total_items > 0 AND passing_score > total_items);
+
+-- ------------------------------
+-- HELPERS
+-- ------------------------------
+
+-- { passing_percentage, passing_grade, components: { written_work, performance_task,
+-- quarterly_assessment } }; a component is null when it uses passing_percentage. The
+-- defaults apply while the settings table has no row.
+CREATE OR REPLACE FUNCTION public.get_passing_thresholds()
+RETURNS jsonb
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT jsonb_build_object(
+        'passing_percentage', COALESCE(s.passing_percentage, 70),
+        'passing_grade', COALESCE(s.passing_grade, 75),
+        'components', jsonb_build_object(
+            'written_work', s.written_work_passing_percentage,
+            'performance_task', s.performance_task_passing_percentage,
+            'quarterly_assessment', s.quarterly_assessment_passing_percentage
+        )
+    )
+    FROM (SELECT 1) AS defaults
+    LEFT JOIN LATERAL (
+        SELECT *
+        FROM public.settings
+        ORDER BY created_at
+        LIMIT 1
+    ) s ON true;
+$$;
+
+REVOKE ALL ON FUNCTION public.get_passing_thresholds() FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_passing_thresholds() TO authenticated;
+
+CREATE OR REPLACE FUNCTION public.get_quiz_passing_percentage(p_quiz_id uuid)
+RETURNS numeric
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT CASE
+        WHEN q.passing_score > 0 AND q.total_items > 0 THEN q.passing_score::numeric * 100 / q.total_items
+        ELSE COALESCE(
+            (t.thresholds -> 'components' ->> q.grading_component)::numeric,
+            (t.thresholds ->> 'passing_percentage')::numeric
+        )
+    END
+    FROM public.quizzes q
+    CROSS JOIN (SELECT public.get_passing_thresholds() AS thresholds) t
+    WHERE q.id = p_quiz_id;
+$$;
+
+REVOKE ALL ON FUNCTION public.get_quiz_passing_percentage(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_quiz_passing_percentage(uuid) TO authenticated;
+
+-- ------------------------------
+-- FINAL GRADES
+-- ------------------------------
+-- Same as v29, with the school's passing grade
+CREATE OR REPLACE FUNCTION public.refresh_final_grades(
+    p_section_id uuid,
+    p_subject text,
+    p_student_id uuid DEFAULT NULL
+)
+RETURNS void
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    WITH quarters AS (
+        SELECT g.student_id, COUNT(*) AS quarter_count, ROUND(AVG(g.quarterly_grade))::smallint AS final_grade
+        FROM public.quarterly_grades g
+        WHERE g.section_id = p_section_id
+          AND g.subject = p_subject
+          AND (p_student_id IS NULL OR g.student_id = p_student_id)
+        GROUP BY g.student_id
+    ),
+    saved AS (
+        INSERT INTO public.final_grades (student_id, section_id, subject, final_grade, remarks, computed_at)
+        SELECT q.student_id, p_section_id, p_subject, q.final_grade,
+               CASE
+                   WHEN q.final_grade >= (public.get_passing_thresholds() ->> 'passing_grade')::int THEN 'Passed'
+                   ELSE 'Failed'
+               END,
+               NOW()
+        FROM quarters q
+        WHERE q.quarter_count = 4
+        ON CONFLICT (student_id, section_id, subject) DO UPDATE
+        SET final_grade = EXCLUDED.final_grade,
+            remarks = EXCLUDED.remarks,
+            computed_at = EXCLUDED.computed_at
+        RETURNING final_grades.student_id
+    )
+    DELETE FROM public.final_grades f
+    WHERE f.section_id = p_section_id
+      AND f.subject = p_subject
+      AND (p_student_id IS NULL OR f.student_id = p_student_id)
+      AND f.student_id NOT IN (SELECT saved.student_id FROM saved);
+$$;
+
+REVOKE ALL ON FUNCTION public.refresh_final_grades(uuid, text, uuid) FROM PUBLIC;
+
+-- Ensure PostgREST sees the new columns and RPCs immediately
+NOTIFY pgrst, 'reload schema';
+
+COMMIT;
@@ -0,0 +1,309 @@
+-- Migration v32: Progress aggregates
+-- Purpose:
+-- 1) Views that count lesson progress and quiz submissions in the database, so
+--    getStudentProgress, getStudentsByModule, getSubmissionStats and getSectionProgress
+--    (teacher/assets/js/teacher.js) no longer download every student, lesson and
+--    submission to count them in the browser.
+-- 2) The views run with the caller's rights (security_invoker, PostgreSQL 15+), so the
+--    existing RLS policies decide which rows are counted: teachers count the lesson
+--    progress and submissions of their own modules and quizzes, admins count everything,
+--    students only their own rows.
+--
+-- Conventions (same as the browser code they replace):
+-- - A lesson is completed when lesson_progress.status is 'completed' or completed_at is set.
+-- - Modules count when published; module rows carry module_status so callers can include
+--   drafts for a single module.
+-- - Only approved attempts with a score and items count towards a score, like the
+--   gradebook (getCountedQuizAttempts in shared/js/quizEngine.js). A quiz score
+--   follows quizzes.scoring_rule; a lesson quiz (quiz_submissions.lesson_id) uses the
+--   highest attempt.
+
+BEGIN;
+
+-- ------------------------------
+-- PER STUDENT AND LESSON
+-- ------------------------------
+-- One row per student and lesson they have progress or a submission for
+CREATE OR REPLACE VIEW public.student_lesson_progress_summary
+WITH (security_invoker = true)
+AS
+WITH lesson_attempts AS (
+    SELECT
+        s.user_id,
+        s.lesson_id,
+        s.status,
+        s.student_score,
+        s.total_items,
+        s.screenshot_url,
+        s.teacher_comment,
+        (s.status = 'approved' AND s.student_score IS NOT NULL AND s.total_items > 0) AS counted,
+        ROW_NUMBER() OVER (
+            PARTITION BY s.user_id, s.lesson_id
+            ORDER BY s.attempt_number DESC NULLS LAST, s.submitted_at DESC NULLS LAST
+        ) AS latest_rank,
+        ROW_NUMBER() OVER (
+            PARTITION BY s.user_id, s.lesson_id,
+                (s.status = 'approved' AND s.student_score IS NOT NULL AND s.total_items > 0)
+            ORDER BY s.student_score::numeric / NULLIF(s.total_items, 0) DESC NULLS LAST,
+                     s.attempt_number DESC NULLS LAST, s.submitted_at DESC NULLS LAST
+        ) AS best_rank
+    FROM public.quiz_submissions s
+    WHERE s.lesson_id IS NOT NULL
+),
+lesson_submissions AS (
+    SELECT
+        a.user_id,
+        a.lesson_id,
+        COUNT(*)::integer AS quiz_attempts,
+        BOOL_OR(a.status = 'approved') AS quiz_approved,
+        MAX(a.status) FILTER (WHERE a.latest_rank = 1) AS quiz_status,
+        MAX(a.screenshot_url) FILTER (WHERE a.latest_rank = 1) AS quiz_screenshot_url,
+        MAX(a.teacher_comment) FILTER (WHERE a.latest_rank = 1) AS teacher_comment,
+        MAX(a.total_items) FILTER (WHERE a.latest_rank = 1) AS latest_total_items,
+        MAX(a.student_score) FILTER (WHERE a.counted AND a.best_rank = 1) AS quiz_score,
+        MAX(a.total_items) FILTER (WHERE a.counted AND a.best_rank = 1) AS best_total_items
+    FROM lesson_attempts a
+    GROUP BY a.user_id, a.lesson_id
+)
+SELECT
+    COALESCE(p.user_id, ls.user_id) AS student_id,
+    l.id AS lesson_id,
+    l.module_id,
+    l.title AS lesson_title,
+    (p.status = 'completed' OR p.completed_at IS NOT NULL) IS TRUE AS completed,
+    p.completed_at,
+    ls.quiz_attempts IS NOT NULL AS quiz_submitted,
+    COALESCE(ls.quiz_attempts, 0) AS quiz_attempts,
+    COALESCE(ls.quiz_approved, false) AS quiz_approved,
+    ls.quiz_score,
+    COALESCE(ls.best_total_items, ls.latest_total_items) AS quiz_total_items,
+    ls.quiz_status,
+    ls.quiz_screenshot_url,
+    ls.teacher_comment
+FROM public.lesson_progress p
+FULL JOIN lesson_submissions ls
+    ON ls.user_id = p.user_id
+   AND ls.lesson_id = p.lesson_id
+JOIN public.lessons l ON l.id = COALESCE(p.lesson_id, ls.lesson_id);
+
+-- ------------------------------
+-- PER STUDENT AND MODULE
+-- ------------------------------
+-- One row per student and module, with zeros when the student has not started it
+CREATE OR REPLACE VIEW public.student_module_progress_summary
+WITH (security_invoker = true)
+AS
+SELECT
+    u.id AS student_id,
+    u.full_name AS student_name,
+    u.email AS student_email,
+    u.section_id,
+    m.id AS module_id,
+    m.title AS module_title,
+    m.status AS module_status,
+    m.order_index AS module_order,
+    COUNT(l.id)::integer AS total_lessons,
+    COUNT(sp.lesson_id) FILTER (WHERE sp.completed)::integer AS completed_lessons,
+    CASE
+        WHEN COUNT(l.id) > 0 THEN ROUND(COUNT(sp.lesson_id) FILTER (WHERE sp.completed) * 100.0 / COUNT(l.id))::integer
+        ELSE 0
+    END AS completion_percentage,
+    COUNT(sp.lesson_id) FILTER (WHERE sp.quiz_submitted)::integer AS quiz_submissions,
+    COUNT(sp.lesson_id) FILTER (WHERE sp.quiz_approved)::integer AS approved_quizzes,
+    COALESCE(SUM(sp.quiz_attempts), 0)::integer AS submission_count
+FROM public.users u
+CROSS JOIN public.modules m
+LEFT JOIN public.lessons l ON l.module_id = m.id
+LEFT JOIN public.student_lesson_progress_summary sp
+    ON sp.student_id = u.id
+   AND sp.lesson_id = l.id
+WHERE u.role = 'student'
+GROUP BY u.id, u.full_name, u.email, u.section_id, m.id, m.title, m.status, m.order_index;
+
+-- ------------------------------
+-- PER STUDENT AND QUIZ
+-- ------------------------------
+-- One row per student and quiz they have attempted; score follows the quiz's scoring rule
+-- (getQuizAttemptScore in shared/js/quizEngine.js) and is null until an attempt counts
+CREATE OR REPLACE VIEW public.student_quiz_score_summary
+WITH (security_invoker = true)
+AS
+WITH attempts AS (
+    SELECT
+        s.user_id,
+        s.quiz_id,
+        s.status,
+        s.student_score,
+        s.total_items,
+        (s.status = 'approved' AND s.student_score IS NOT NULL AND s.total_items > 0) AS counted,
+        ROW_NUMBER() OVER (
+            PARTITION BY s.user_id, s.quiz_id
+            ORDER BY s.attempt_number DESC NULLS LAST, s.submitted_at DESC NULLS LAST
+        ) AS latest_rank,
+        ROW_NUMBER() OVER (
+            PARTITION BY s.user_id, s.quiz_id,
+                (s.status = 'approved' AND s.student_score IS NOT NULL AND s.total_items > 0)
+            ORDER BY s.attempt_number DESC NULLS LAST, s.submitted_at DESC NULLS LAST
+        ) AS counted_latest_rank,
+        ROW_NUMBER() OVER (
+            PARTITION BY s.user_id, s.quiz_id,
+                (s.status = 'approved' AND s.student_score IS NOT NULL AND s.total_items > 0)
+            ORDER BY s.student_score::numeric / NULLIF(s.total_items, 0) DESC NULLS LAST,
+                     s.attempt_number DESC NULLS LAST, s.submitted_at DESC NULLS LAST
+        ) AS best_rank
+    FROM public.quiz_submissions s
+    WHERE s.quiz_id IS NOT NULL
+),
+quiz_attempts AS (
+    SELECT
+        a.user_id,
+        a.quiz_id,
+        COUNT(*)::integer AS attempts,
+        MAX(a.status) FILTER (WHERE a.latest_rank = 1) AS status,
+        AVG(a.student_score::numeric * 100 / NULLIF(a.total_items, 0)) FILTER (WHERE a.counted) AS average_percentage,
+        MAX(a.student_score) FILTER (WHERE a.counted AND a.best_rank = 1) AS highest_score,
+        MAX(a.total_items) FILTER (WHERE a.counted AND a.best_rank = 1) AS highest_total_items,
+        MAX(a.student_score) FILTER (WHERE a.counted AND a.counted_latest_rank = 1) AS latest_score,
+        MAX(a.total_items) FILTER (WHERE a.counted AND a.counted_latest_rank = 1) AS latest_total_items
+    FROM attempts a
+    GROUP BY a.user_id, a.quiz_id
+),
+scored AS (
+    SELECT
+        qa.*,
+        q.title AS quiz_title,
+        COALESCE(q.scoring_rule, 'highest') AS scoring_rule,
+        q.total_items AS quiz_total_items
+    FROM quiz_attempts qa
+    JOIN public.quizzes q ON q.id = qa.quiz_id
+)
+SELECT
+    s.user_id AS student_id,
+    s.quiz_id,
+    s.quiz_title,
+    s.scoring_rule,
+    s.attempts,
+    s.status,
+    CASE s.scoring_rule
+        WHEN 'highest' THEN s.highest_score::numeric
+        WHEN 'average' THEN ROUND(s.average_percentage / 100 * s.latest_total_items, 1)
+        ELSE s.latest_score::numeric
+    END AS score,
+    COALESCE(
+        CASE WHEN s.scoring_rule = 'highest' THEN s.highest_total_items ELSE s.latest_total_items END,
+        s.quiz_total_items
+    ) AS total_items,
+    CASE s.scoring_rule
+        WHEN 'highest' THEN s.highest_score::numeric * 100 / NULLIF(s.highest_total_items, 0)
+        WHEN 'average' THEN s.average_percentage
+        ELSE s.latest_score::numeric * 100 / NULLIF(s.latest_total_items, 0)
+    END AS percentage
+FROM scored s;
+
+-- ------------------------------
+-- PER SECTION
+-- ------------------------------
+-- Completion over the published modules each student can see (same grade/section rule
+-- as students_view_scoped_modules, migration v9) and submission counts of each section's
+-- students
+CREATE OR REPLACE VIEW public.section_progress_summary
+WITH (security_invoker = true)
+AS
+WITH student_lessons AS (
+    SELECT
+        mp.student_id,
+        SUM(mp.total_lessons)::integer AS total_lessons,
+        SUM(mp.completed_lessons)::integer AS completed_lessons
+    FROM public.student_module_progress_summary mp
+    JOIN public.modules m ON m.id = mp.module_id
+    JOIN public.users u ON u.id = mp.student_id
+    WHERE mp.module_status = 'published'
+      AND mp.section_id IS NOT NULL
+      AND (
+        (
+          m.grade_level_id IS NOT NULL
+          AND u.grade_level_id IS NOT NULL
+          AND m.grade_level_id = u.grade_level_id
+        )
+        OR (
+          m.grade_level_id IS NULL
+          AND NULLIF(TRIM(m.grade_level), '') IS NOT NULL
+          AND (
+            LOWER(REGEXP_REPLACE(NULLIF(TRIM(m.grade_level), ''), '^grade\\s*', '', 'i'))
+            =
+            LOWER(REGEXP_REPLACE(COALESCE(NULLIF(TRIM(u.grade_level_text), ''), NULLIF(TRIM(u.grade_level), '')), '^grade\\s*', '', 'i'))
+          )
+        )
+        OR (
+          m.grade_level_id IS NULL
+          AND NULLIF(TRIM(m.grade_level), '') IS NULL
+        )
+      )
+      AND (m.section_id = u.section_id OR m.section_id IS NULL)
+    GROUP BY mp.student_id
+),
+student_submissions AS (
+    SELECT
+        s.user_id,
+        COUNT(*)::integer AS submission_count,
+        COUNT(*) FILTER (WHERE s.status = 'pending')::integer AS pending_count,
+        COUNT(*) FILTER (WHERE s.status = 'approved')::integer AS approved_count,
+        COUNT(*) FILTER (WHERE s.status = 'rejected')::integer AS rejected_count
+    FROM public.quiz_submissions s
+    GROUP BY s.user_id
+)
+SELECT
+    sec.id AS section_id,
+    sec.name AS section_name,
+    sec.grade_level_id,
+    sec.teacher_id,
+    COUNT(u.id)::integer AS student_count,
+    COALESCE(SUM(sl.completed_lessons), 0)::integer AS completed_lessons,
+    COALESCE(ROUND(AVG(
+        CASE WHEN sl.total_lessons > 0 THEN sl.completed_lessons * 100.0 / sl.total_lessons ELSE 0 END
+    ) FILTER (WHERE u.id IS NOT NULL)), 0)::integer AS average_completion,
+    COALESCE(SUM(ss.submission_count), 0)::integer AS submission_count,
+    COALESCE(SUM(ss.pending_count), 0)::integer AS pending_count,
+    COALESCE(SUM(ss.approved_count), 0)::integer AS approved_count,
+    COALESCE(SUM(ss.rejected_count), 0)::integer AS rejected_count
+FROM public.sections sec
+LEFT JOIN public.users u
+    ON u.section_id = sec.id
+   AND u.role = 'student'
+LEFT JOIN student_lessons sl ON sl.student_id = u.id
+LEFT JOIN student_submissions ss ON ss.user_id = u.id
+GROUP BY sec.id, sec.name, sec.grade_level_id, sec.teacher_id;
+
+-- ------------------------------
+-- SUBMISSION COUNTS
+-- ------------------------------
+CREATE OR REPLACE VIEW public.quiz_submission_status_counts
+WITH (security_invoker = true)
+AS
+SELECT
+    s.status,
+    COUNT(*)::integer AS submission_count
+FROM public.quiz_submissions s
+GROUP BY s.status;
+
+REVOKE ALL ON public.student_lesson_progress_summary FROM PUBLIC, anon;
+REVOKE ALL ON public.student_module_progress_summary FROM PUBLIC, anon;
+REVOKE ALL ON public.student_quiz_score_summary FROM PUBLIC, anon;
+REVOKE ALL ON public.section_progress_summary FROM PUBLIC, anon;
+REVOKE ALL ON public.quiz_submission_status_counts FROM PUBLIC, anon;
+
+GRANT SELECT ON public.student_lesson_progress_summary TO authenticated;
+GRANT SELECT ON public.student_module_progress_summary TO authenticated;
+GRANT SELECT ON public.student_quiz_score_summary TO authenticated;
+GRANT SELECT ON public.section_progress_summary TO authenticated;
+GRANT SELECT ON public.quiz_submission_status_counts TO authenticated;
+
+-- Lesson quiz attempts are grouped by student and lesson
+CREATE INDEX IF NOT EXISTS idx_quiz_submissions_user_lesson
+    ON public.quiz_submissions(user_id, lesson_id)
+    WHERE lesson_id IS NOT NULL;
+
+-- Ensure PostgREST sees the new views immediately
+NOTIFY pgrst, 'reload schema';
+
+COMMIT;
@@ -0,0 +1,292 @@
+-- Migration v33: Competencies and mastery
+-- Purpose:
+-- 1) Curriculum competencies (learning competency codes such as M7NS-Ia-1) per grade level
+--    and quarter, defined by teachers and admins.
+-- 2) Lessons, videos, quiz questions and question bank items are tagged with competencies
+--    (competency_ids).
+-- 3) get_competency_mastery rates every student on every competency of their grade level:
+--    not_started, developing or mastered, from the points earned on tagged questions.
+--
+-- Mastery:
+-- - Only scored native attempts count: approved, with a score and graded answers. The
+--   latest such attempt of each quiz is used, so a retake replaces the earlier result.
+-- - Every answered question tagged with a competency adds its points and points_awarded
+--   (hint penalties included). Tags are read when mastery is computed, so tagging a
+--   question later also rates attempts taken before.
+-- - A question drawn from the question bank at random is answered under its bank item's
+--   id, so its tags are read from question_bank_items.
+-- - mastered: 80% of the points or more; developing: below 80%; not_started: no tagged
+--   question answered yet. COMPETENCY_MASTERY_PERCENTAGE in shared/js/competencies.js
+--   mirrors the 80.
+
+BEGIN;
+
+-- ------------------------------
+-- COMPETENCIES
+-- ------------------------------
+CREATE TABLE IF NOT EXISTS public.competencies (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    grade_level_id UUID NOT NULL REFERENCES public.grade_levels(id) ON DELETE CASCADE,
+    quarter SMALLINT NOT NULL CHECK (quarter BETWEEN 1 AND 4),
+    code TEXT NOT NULL CHECK (LENGTH(TRIM(code)) BETWEEN 1 AND 50),
+    description TEXT NOT NULL CHECK (LENGTH(TRIM(description)) BETWEEN 1 AND 500),
+    created_by UUID DEFAULT auth.uid() REFERENCES public.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (grade_level_id, code)
+);
+
+CREATE INDEX IF NOT EXISTS idx_competencies_grade_quarter
+    ON public.competencies(grade_level_id, quarter);
+
+ALTER TABLE public.competencies ENABLE ROW LEVEL SECURITY;
+
+-- Shared by the whole school: students see what they are rated on
+DROP POLICY IF EXISTS authenticated_view_competencies ON public.competencies;
+CREATE POLICY authenticated_view_competencies
+    ON public.competencies
+    FOR SELECT
+    USING (auth.uid() IS NOT NULL);
+
+DROP POLICY IF EXISTS teachers_manage_own_competencies ON public.competencies;
+CREATE POLICY teachers_manage_own_competencies
+    ON public.competencies
+    FOR ALL
+    USING (
+        created_by = auth.uid()
+        AND EXISTS (
+            SELECT 1
+            FROM public.users u
+            WHERE u.id = auth.uid()
+              AND u.role = 'teacher'
+        )
+    )
+    WITH CHECK (
+        created_by = auth.uid()
+        AND EXISTS (
+            SELECT 1
+            FROM public.users u
+            WHERE u.id = auth.uid()
+              AND u.role = 'teacher'
+        )
+    );
+
+DROP POLICY IF EXISTS admin_manage_competencies ON public.competencies;
+CREATE POLICY admin_manage_competencies
+    ON public.competencies
+    FOR ALL
+    USING (
+        EXISTS (
+            SELECT 1
+            FROM public.users u
+            WHERE u.id = auth.uid()
+              AND u.role = 'admin'
+        )
+    )
+    WITH CHECK (
+        EXISTS (
+            SELECT 1
+            FROM public.users u
+            WHERE u.id = auth.uid()
+              AND u.role = 'admin'
+        )
+    );
+
+DROP TRIGGER IF EXISTS trg_competencies_updated_at ON public.competencies;
+CREATE TRIGGER trg_competencies_updated_at
+    BEFORE UPDATE ON public.competencies
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_updated_at_column();
+
+GRANT ALL ON public.competencies TO authenticated;
+
+-- ------------------------------
+-- TAGS
+-- ------------------------------
+ALTER TABLE public.lessons
+    ADD COLUMN IF NOT EXISTS competency_ids UUID[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE public.videos
+    ADD COLUMN IF NOT EXISTS competency_ids UUID[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE public.quiz_questions
+    ADD COLUMN IF NOT EXISTS competency_ids UUID[] NOT NULL DEFAULT '{}';
+
+-- Copied into quiz_questions with the rest of the item, and read for random draws
+ALTER TABLE public.question_bank_items
+    ADD COLUMN IF NOT EXISTS competency_ids UUID[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_lessons_competency_ids
+    ON public.lessons USING GIN (competency_ids);
+
+CREATE INDEX IF NOT EXISTS idx_videos_competency_ids
+    ON public.videos USING GIN (competency_ids);
+
+CREATE INDEX IF NOT EXISTS idx_quiz_questions_competency_ids
+    ON public.quiz_questions USING GIN (competency_ids);
+
+CREATE INDEX IF NOT EXISTS idx_question_bank_items_competency_ids
+    ON public.question_bank_items USING GIN (competency_ids);
+
+-- A deleted competency is removed from everything tagged with it
+CREATE OR REPLACE FUNCTION public.remove_deleted_competency_tags()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    UPDATE public.lessons
+    SET competency_ids = array_remove(competency_ids, OLD.id)
+    WHERE competency_ids @> ARRAY[OLD.id];
+
+    UPDATE public.videos
+    SET competency_ids = array_remove(competency_ids, OLD.id)
+    WHERE competency_ids @> ARRAY[OLD.id];
+
+    UPDATE public.quiz_questions
+    SET competency_ids = array_remove(competency_ids, OLD.id)
+    WHERE competency_ids @> ARRAY[OLD.id];
+
+    UPDATE public.question_bank_items
+    SET competency_ids = array_remove(competency_ids, OLD.id)
+    WHERE competency_ids @> ARRAY[OLD.id];
+
+    RETURN OLD;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.remove_deleted_competency_tags() FROM PUBLIC;
+
+DROP TRIGGER IF EXISTS trg_competencies_remove_tags ON public.competencies;
+CREATE TRIGGER trg_competencies_remove_tags
+    AFTER DELETE ON public.competencies
+    FOR EACH ROW
+    EXECUTE FUNCTION public.remove_deleted_competency_tags();
+
+-- ------------------------------
+-- MASTERY
+-- ------------------------------
+-- Pass p_section_id for every student of a section, or p_student_id for one student.
+-- Teachers and admins can rate any student (like teacher/student-progress.html lists
+-- them); students only themselves. p_quarter limits the competencies to one quarter.
+CREATE OR REPLACE FUNCTION public.get_competency_mastery(
+    p_section_id uuid DEFAULT NULL,
+    p_student_id uuid DEFAULT NULL,
+    p_quarter integer DEFAULT NULL
+)
+RETURNS TABLE (
+    student_id uuid,
+    competency_id uuid,
+    scored_items integer,
+    points numeric,
+    points_awarded numeric,
+    percentage numeric,
+    mastery_level text
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    requester_id uuid := auth.uid();
+    requester_role text;
+    mastery_percentage CONSTANT numeric := 80;
+BEGIN
+    IF requester_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    IF (p_section_id IS NULL) = (p_student_id IS NULL) THEN
+        RAISE EXCEPTION 'Choose a section or a student';
+    END IF;
+
+    IF p_quarter IS NOT NULL AND p_quarter NOT BETWEEN 1 AND 4 THEN
+        RAISE EXCEPTION 'Quarter must be 1 to 4';
+    END IF;
+
+    SELECT u.role INTO requester_role
+    FROM public.users u
+    WHERE u.id = requester_id;
+
+    IF COALESCE(requester_role, '') NOT IN ('teacher', 'admin')
+       AND (p_student_id IS NULL OR p_student_id <> requester_id) THEN
+        RAISE EXCEPTION 'Not allowed to view this mastery report';
+    END IF;
+
+    RETURN QUERY
+    WITH students AS (
+        SELECT u.id, COALESCE(sec.grade_level_id, u.grade_level_id) AS grade_level_id
+        FROM public.users u
+        LEFT JOIN public.sections sec ON sec.id = u.section_id
+        WHERE u.role = 'student'
+          AND (p_section_id IS NULL OR u.section_id = p_section_id)
+          AND (p_student_id IS NULL OR u.id = p_student_id)
+    ),
+    latest_attempts AS (
+        SELECT
+            s.user_id,
+            s.answers,
+            ROW_NUMBER() OVER (
+                PARTITION BY s.user_id, s.quiz_id
+                ORDER BY s.attempt_number DESC NULLS LAST, s.submitted_at DESC NULLS LAST
+            ) AS latest_rank
+        FROM public.quiz_submissions s
+        JOIN students st ON st.id = s.user_id
+        WHERE s.status = 'approved'
+          AND s.student_score IS NOT NULL
+          AND jsonb_typeof(s.answers) = 'array'
+    ),
+    tagged_items AS (
+        SELECT
+            a.user_id,
+            tag.competency_id,
+            COALESCE((item ->> 'points')::numeric, qq.points, bi.points) AS points,
+            COALESCE((item ->> 'points_awarded')::numeric, 0) AS points_awarded
+        FROM latest_attempts a
+        CROSS JOIN LATERAL jsonb_array_elements(a.answers) AS item
+        LEFT JOIN public.quiz_questions qq ON qq.id::text = item ->> 'question_id'
+        LEFT JOIN public.question_bank_items bi
+            ON qq.id IS NULL
+           AND bi.id::text = item ->> 'question_id'
+        CROSS JOIN LATERAL unnest(COALESCE(qq.competency_ids, bi.competency_ids)) AS tag(competency_id)
+        WHERE a.latest_rank = 1
+    ),
+    totals AS (
+        SELECT
+            t.user_id,
+            t.competency_id,
+            COUNT(*)::integer AS scored_items,
+            SUM(t.points) AS points,
+            SUM(t.points_awarded) AS points_awarded
+        FROM tagged_items t
+        GROUP BY t.user_id, t.competency_id
+    )
+    SELECT
+        st.id,
+        c.id,
+        COALESCE(t.scored_items, 0),
+        t.points,
+        t.points_awarded,
+        ROUND(t.points_awarded * 100 / NULLIF(t.points, 0), 1),
+        CASE
+            WHEN t.scored_items IS NULL OR COALESCE(t.points, 0) = 0 THEN 'not_started'
+            WHEN t.points_awarded * 100 >= mastery_percentage * t.points THEN 'mastered'
+            ELSE 'developing'
+        END
+    FROM students st
+    JOIN public.competencies c ON c.grade_level_id = st.grade_level_id
+    LEFT JOIN totals t ON t.user_id = st.id AND t.competency_id = c.id
+    WHERE p_quarter IS NULL OR c.quarter = p_quarter
+    ORDER BY st.id, c.quarter, c.code;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.get_competency_mastery(uuid, uuid, integer) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_competency_mastery(uuid, uuid, integer) TO authenticated;
+
+-- Ensure PostgREST sees the new table, columns and RPC immediately
+NOTIFY pgrst, 'reload schema';
+
+COMMIT;
@@ -0,0 +1,756 @@
+/*
+  File: annotations.js
+  Purpose:
+  - Marked copies of student uploads: the teacher draws, circles mistakes and
+    adds text callouts on a score screenshot, an uploaded image or a page of
+    an uploaded PDF
+  - The drawing panel used during review, and loading and saving the marked
+    copies shown to teachers and students
+
+  Dependencies:
+  - supabase.js - for Supabase client connection
+  - assignments.js - for the assignment-files bucket and file paths
+  - utils.js - for escapeHtml
+  - pdf.js (pdfjsLib, teacher pages only) - to draw PDF pages
+
+  Notes:
+  - The original upload is never changed. A marked copy is a PNG of the
+    picture or PDF page with the marks drawn in, saved in the student's
+    feedback folder ({student_id}/feedback/{submission_id}/...) of the
+    assignment-files bucket and recorded in quiz_submission_annotations
+    through save_quiz_submission_annotation
+    (migration_v28_submission_annotations.sql).
+  - A marked copy belongs to one source (the screenshot_url or an
+    attachment path) and one page (1 for images). Marking the same page
+    again replaces the copy. Copies of a source the student has since
+    replaced are not shown.
+*/
+
+// ============================================
+// SETTINGS
+// ============================================
+
+const ANNOTATION_TOOLS = {
+  pen: 'Draw',
+  circle: 'Circle',
+  text: 'Text'
+};
+
+const ANNOTATION_COLORS = [
+  { value: '#dc2626', label: 'Red' },
+  { value: '#2563eb', label: 'Blue' },
+  { value: '#16a34a', label: 'Green' },
+  { value: '#111827', label: 'Black' }
+];
+
+const ANNOTATION_LIMITS = {
+  maxWidth: 1600, // pictures are scaled down to this width
+  pdfWidth: 1400, // PDF pages are drawn at this width
+  maxFileSize: 10 * 1024 * 1024 // 10MB
+};
+
+const ANNOTATION_PDF_WORKER_URL = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+
+const annotationState = {
+  tool: 'pen',
+  color: ANNOTATION_COLORS[0].value,
+  shapes: [],
+  draft: null,
+  background: null,
+  pdf: null,
+  page: 1,
+  pageCount: 1,
+  options: null,
+  saving: false
+};
+
+// ============================================
+// DRAWING
+// ============================================
+
+function getAnnotationLineWidth(canvas) {
+  return Math.max(3, Math.round(canvas.width / 300));
+}
+
+/*
+  Function Name: drawAnnotationShape
+  Purpose:
+  - Draws one mark: a pen stroke ({ points }), a circle around a box
+    ({ x1, y1, x2, y2 }) or a text callout ({ x, y, text })
+*/
+function drawAnnotationShape(context, shape, lineWidth) {
+  context.save();
+  context.strokeStyle = shape.color;
+  context.fillStyle = shape.color;
+  context.lineWidth = lineWidth;
+  context.lineCap = 'round';
+  context.lineJoin = 'round';
+
+  if (shape.tool === 'pen') {
+    context.beginPath();
+    context.moveTo(shape.points[0].x, shape.points[0].y);
+    shape.points.slice(1).forEach(point => context.lineTo(point.x, point.y));
+    if (shape.points.length === 1) context.lineTo(shape.points[0].x + 0.1, shape.points[0].y);
+    context.stroke();
+  } else if (shape.tool === 'circle') {
+    context.beginPath();
+    context.ellipse(
+      (shape.x1 + shape.x2) / 2,
+      (shape.y1 + shape.y2) / 2,
+      Math.max(1, Math.abs(shape.x2 - shape.x1) / 2),
+      Math.max(1, Math.abs(shape.y2 - shape.y1) / 2),
+      0, 0, Math.PI * 2
+    );
+    context.stroke();
+  } else if (shape.tool === 'text') {
+    // A callout: the text on a white box with a border in the mark's colour
+    const fontSize = lineWidth * 6;
+    const padding = lineWidth * 2;
+    context.font = `bold ${fontSize}px sans-serif`;
+    context.textBaseline = 'top';
+    const width = context.measureText(shape.text).width + padding * 2;
+    const height = fontSize + padding * 2;
+
+    context.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    context.fillRect(shape.x, shape.y, width, height);
+    context.lineWidth = Math.max(2, lineWidth / 2);
+    context.strokeRect(shape.x, shape.y, width, height);
+    context.fillStyle = shape.color;
+    context.fillText(shape.text, shape.x + padding, shape.y + padding);
+  }
+
+  context.restore();
+}
+
+function renderAnnotationCanvas() {
+  const canvas = document.getElementById('annotationCanvas');
+  if (!canvas || !annotationState.background) return;
+
+  const context = canvas.getContext('2d');
+  const lineWidth = getAnnotationLineWidth(canvas);
+  context.clearRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(annotationState.background, 0, 0);
+  annotationState.shapes.forEach(shape => drawAnnotationShape(context, shape, lineWidth));
+  if (annotationState.draft) drawAnnotationShape(context, annotationState.draft, lineWidth);
+}
+
+// ============================================
+// PICTURES AND PDF PAGES
+// ============================================
+
+function loadAnnotationImage(url) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('The file could not be loaded'));
+    image.src = url;
+  });
+}
+
+// Copies a picture to a canvas no wider than maxWidth
+function createAnnotationBackground(image) {
+  const scale = Math.min(1, ANNOTATION_LIMITS.maxWidth / image.naturalWidth);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(image.naturalWidth * scale);
+  canvas.height = Math.round(image.naturalHeight * scale);
+  canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+  return canvas;
+}
+
+async function renderAnnotationPdfPage(pdf, pageNumber) {
+  const page = await pdf.getPage(pageNumber);
+  const baseViewport = page.getViewport({ scale: 1 });
+  const viewport = page.getViewport({ scale: Math.min(3, ANNOTATION_LIMITS.pdfWidth / baseViewport.width) });
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(viewport.width);
+  canvas.height = Math.round(viewport.height);
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  await page.render({ canvasContext: context, viewport }).promise;
+  return canvas;
+}
+
+/*
+  Function Name: loadAnnotationPage
+  Purpose:
+  - Shows a page to mark: its saved marked copy if there is one (so marks
+    can be added to it), otherwise the original picture or PDF page
+*/
+async function loadAnnotationPage(pageNumber) {
+  const options = annotationState.options;
+  const status = document.getElementById('annotationStatus');
+  const canvas = document.getElementById('annotationCanvas');
+
+  annotationState.page = pageNumber;
+  annotationState.shapes = [];
+  annotationState.draft = null;
+  annotationState.background = null;
+  canvas.classList.add('hidden');
+  status.textContent = 'Loading...';
+  renderAnnotationToolbar();
+
+  try {
+    const markedUrl = options.markedPages?.[pageNumber];
+    const background = markedUrl
+      ? createAnnotationBackground(await loadAnnotationImage(markedUrl))
+      : options.isPdf
+        ? await renderAnnotationPdfPage(annotationState.pdf, pageNumber)
+        : createAnnotationBackground(await loadAnnotationImage(options.sourceUrl));
+
+    if (annotationState.options !== options || annotationState.page !== pageNumber) return;
+
+    annotationState.background = background;
+    canvas.width = background.width;
+    canvas.height = background.height;
+    canvas.classList.remove('hidden');
+    status.textContent = markedUrl ? 'Showing your saved marks. New marks are added to them.' : '';
+    renderAnnotationCanvas();
+  } catch (error) {
+    console.error('Error loading page to mark:', error);
+    status.textContent = error.message || 'The file could not be loaded';
+  }
+}
+
+// ============================================
+// PANEL
+// ============================================
+
+/*
+  Function Name: ensureAnnotationPanel
+  Purpose: Adds the drawing panel to the page the first time it is opened
+*/
+function ensureAnnotationPanel() {
+  let panel = document.getElementById('annotationPanel');
+  if (panel) return panel;
+
+  panel = document.createElement('div');
+  panel.id = 'annotationPanel';
+  panel.className = 'hidden fixed inset-0 z-[70] bg-black bg-opacity-60 flex items-center justify-center p-4';
+  panel.setAttribute('role', 'dialog');
+  panel.setAttribute('aria-label', 'Mark student work');
+  panel.tabIndex = -1;
+  panel.innerHTML = `
+    <div class="bg-white rounded-2xl w-full max-w-5xl max-h-[95vh] flex flex-col shadow-2xl">
+      <div class="flex items-center justify-between px-5 py-3 border-b border-gray-100">
+        <div class="min-w-0">
+          <h3 id="annotationTitle" class="font-bold text-gray-900 truncate">Mark work</h3>
+          <p class="text-xs text-gray-500">The student sees the marked copy next to the original</p>
+        </div>
+        <button type="button" data-annotation-action="close" class="p-2 text-gray-400 hover:text-gray-700" title="Close">
+          <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/></svg>
+        </button>
+      </div>
+      <div class="flex flex-wrap items-center gap-2 px-5 py-2 border-b border-gray-100 text-sm">
+        <div class="flex gap-1">
+          ${Object.entries(ANNOTATION_TOOLS).map(([tool, label]) => `
+            <button type="button" data-annotation-tool="${tool}" class="px-3 py-1 rounded-lg font-medium">${label}</button>
+          `).join('')}
+        </div>
+        <input type="text" id="annotationText" maxlength="80" placeholder="Callout text, then click the picture"
+          class="hidden w-56 px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-brand focus:border-transparent">
+        <div class="flex gap-1">
+          ${ANNOTATION_COLORS.map(color => `
+            <button type="button" data-annotation-color="${color.value}" title="${color.label}" aria-label="${color.label}"
+              class="w-6 h-6 rounded-full border-2" style="background-color: ${color.value}"></button>
+          `).join('')}
+        </div>
+        <div class="flex gap-1 ml-auto">
+          <button type="button" data-annotation-action="undo" class="px-3 py-1 rounded-lg bg-gray-100 hover:bg-gray-200">Undo</button>
+          <button type="button" data-annotation-action="clear" class="px-3 py-1 rounded-lg bg-gray-100 hover:bg-gray-200">Clear</button>
+        </div>
+      </div>
+      <div class="flex-1 overflow-auto bg-gray-100 p-4">
+        <p id="annotationStatus" class="text-sm text-gray-500 text-center"></p>
+        <canvas id="annotationCanvas" class="hidden mx-auto max-w-full h-auto bg-white shadow cursor-crosshair touch-none"></canvas>
+      </div>
+      <div class="flex items-center justify-between gap-3 px-5 py-3 border-t border-gray-100">
+        <div id="annotationPager" class="hidden flex items-center gap-2 text-sm text-gray-600">
+          <button type="button" data-annotation-action="previous-page" class="px-3 py-1 rounded-lg border border-gray-200 hover:bg-gray-50">← Page</button>
+          <span id="annotationPageLabel"></span>
+          <button type="button" data-annotation-action="next-page" class="px-3 py-1 rounded-lg border border-gray-200 hover:bg-gray-50">Page →</button>
+        </div>
+        <div class="flex gap-2 ml-auto">
+          <button type="button" data-annotation-action="close" class="px-4 py-2 border border-gray-300 rounded-xl text-gray-700 hover:bg-gray-50">Cancel</button>
+          <button type="button" data-annotation-action="save" id="annotationSaveBtn" class="px-4 py-2 bg-brand text-white rounded-xl font-medium hover:bg-brand-dark disabled:opacity-50">Save marked copy</button>
+        </div>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(panel);
+
+  const canvas = panel.querySelector('#annotationCanvas');
+  canvas.addEventListener('pointerdown', handleAnnotationPointerDown);
+  canvas.addEventListener('pointermove', handleAnnotationPointerMove);
+  canvas.addEventListener('pointerup', handleAnnotationPointerUp);
+  canvas.addEventListener('pointercancel', handleAnnotationPointerUp);
+  panel.addEventListener('click', handleAnnotationClick);
+  // Escape closes only the panel, not the review modal under it
+  panel.addEventListener('keydown', event => {
+    if (event.key !== 'Escape') return;
+    event.stopPropagation();
+    closeAnnotationEditor();
+  });
+
+  return panel;
+}
+
+function renderAnnotationToolbar() {
+  const panel = document.getElementById('annotationPanel');
+  if (!panel) return;
+
+  panel.querySelectorAll('[data-annotation-tool]').forEach(button => {
+    const isActive = button.dataset.annotationTool === annotationState.tool;
+    button.classList.toggle('bg-brand/10', isActive);
+    button.classList.toggle('text-brand', isActive);
+    button.classList.toggle('text-gray-600', !isActive);
+  });
+  panel.querySelectorAll('[data-annotation-color]').forEach(button => {
+    button.classList.toggle('border-gray-900', button.dataset.annotationColor === annotationState.color);
+    button.classList.toggle('border-white', button.dataset.annotationColor !== annotationState.color);
+  });
+  document.getElementById('annotationText').classList.toggle('hidden', annotationState.tool !== 'text');
+
+  const isPdf = Boolean(annotationState.options?.isPdf);
+  document.getElementById('annotationPager').classList.toggle('hidden', !isPdf);
+  document.getElementById('annotationPageLabel').textContent = `Page ${annotationState.page} of ${annotationState.pageCount}`;
+  document.getElementById('annotationSaveBtn').disabled = annotationState.saving;
+}
+
+// Pointer position in canvas pixels (the canvas is shown scaled down)
+function getAnnotationPoint(event) {
+  const canvas = event.currentTarget;
+  const rect = canvas.getBoundingClientRect();
+  return {
+    x: Math.round((event.clientX - rect.left) * canvas.width / rect.width),
+    y: Math.round((event.clientY - rect.top) * canvas.height / rect.height)
+  };
+}
+
+function handleAnnotationPointerDown(event) {
+  if (!annotationState.background) return;
+  const point = getAnnotationPoint(event);
+  const { tool, color } = annotationState;
+
+  if (tool === 'text') {
+    const input = document.getElementById('annotationText');
+    const text = input.value.trim();
+    if (!text) {
+      input.focus();
+      return;
+    }
+    annotationState.shapes.push({ tool, color, x: point.x, y: point.y, text });
+    input.value = '';
+    renderAnnotationCanvas();
+    return;
+  }
+
+  event.currentTarget.setPointerCapture(event.pointerId);
+  annotationState.draft = tool === 'pen'
+    ? { tool, color, points: [point] }
+    : { tool, color, x1: point.x, y1: point.y, x2: point.x, y2: point.y };
+  renderAnnotationCanvas();
+}
+
+function handleAnnotationPointerMove(event) {
+  const draft = annotationState.draft;
+  if (!draft) return;
+  const point = getAnnotationPoint(event);
+
+  if (draft.tool === 'pen') {
+    draft.points.push(point);
+  } else {
+    draft.x2 = point.x;
+    draft.y2 = point.y;
+  }
+  renderAnnotationCanvas();
+}
+
+function handleAnnotationPointerUp() {
+  const draft = annotationState.draft;
+  if (!draft) return;
+
+  annotationState.draft = null;
+  const isEmptyCircle = draft.tool === 'circle' && Math.abs(draft.x2 - draft.x1) < 4 && Math.abs(draft.y2 - draft.y1) < 4;
+  if (!isEmptyCircle) annotationState.shapes.push(draft);
+  renderAnnotationCanvas();
+}
+
+// Marks on the open page are lost when it is left without saving
+function confirmDiscardAnnotations() {
+  return annotationState.shapes.length === 0 || window.confirm('Discard the marks you have not saved?');
+}
+
+/*
+  Function Name: handleAnnotationClick
+  Purpose: Handles the toolbar, the page buttons, saving and closing
+*/
+async function handleAnnotationClick(event) {
+  const toolButton = event.target.closest('[data-annotation-tool]');
+  if (toolButton) {
+    annotationState.tool = toolButton.dataset.annotationTool;
+    renderAnnotationToolbar();
+    if (annotationState.tool === 'text') document.getElementById('annotationText').focus();
+    return;
+  }
+
+  const colorButton = event.target.closest('[data-annotation-color]');
+  if (colorButton) {
+    annotationState.color = colorButton.dataset.annotationColor;
+    renderAnnotationToolbar();
+    return;
+  }
+
+  const button = event.target.closest('[data-annotation-action]');
+  if (!button) return;
+
+  switch (button.dataset.annotationAction) {
+    case 'undo':
+      annotationState.shapes.pop();
+      renderAnnotationCanvas();
+      break;
+    case 'clear':
+      annotationState.shapes = [];
+      renderAnnotationCanvas();
+      break;
+    case 'previous-page':
+    case 'next-page': {
+      const step = button.dataset.annotationAction === 'next-page' ? 1 : -1;
+      const page = annotationState.page + step;
+      if (page < 1 || page > annotationState.pageCount || !confirmDiscardAnnotations()) return;
+      loadAnnotationPage(page);
+      break;
+    }
+    case 'save':
+      await saveAnnotationPage();
+      break;
+    case 'close':
+      closeAnnotationEditor();
+      break;
+  }
+}
+
+/*
+  Function Name: exportAnnotationImage
+  Purpose:
+  - Returns the open page with its marks as a PNG Blob, or a JPEG when the
+    PNG would be over the 10MB file limit
+*/
+function exportAnnotationImage() {
+  const canvas = document.getElementById('annotationCanvas');
+  const toBlob = (type, quality) => new Promise(resolve => canvas.toBlob(resolve, type, quality));
+
+  return toBlob('image/png').then(blob => {
+    if (blob && blob.size <= ANNOTATION_LIMITS.maxFileSize) return blob;
+    return toBlob('image/jpeg', 0.85);
+  });
+}
+
+async function saveAnnotationPage() {
+  const options = annotationState.options;
+  if (!options || !annotationState.background || annotationState.saving) return;
+
+  if (annotationState.shapes.length === 0) {
+    document.getElementById('annotationStatus').textContent = 'Draw on the page before saving.';
+    return;
+  }
+
+  annotationState.saving = true;
+  renderAnnotationToolbar();
+
+  try {
+    const blob = await exportAnnotationImage();
+    if (!blob) throw new Error('The marked copy could not be created');
+
+    const result = await options.onSave(blob, annotationState.page);
+    if (!result.success) throw new Error(result.error || 'Failed to save the marked copy');
+
+    annotationState.shapes = [];
+    annotationState.saving = false;
+    closeAnnotationEditor();
+  } catch (error) {
+    console.error('Error saving marked copy:', error);
+    document.getElementById('annotationStatus').textContent = error.message;
+  } finally {
+    annotationState.saving = false;
+    renderAnnotationToolbar();
+  }
+}
+
+// ============================================
+// OPENING
+// ============================================
+
+/*
+  Function Name: openAnnotationEditor
+  Purpose:
+  - Opens the drawing panel on a picture or a PDF
+  - options: { title, sourceUrl, isPdf, page, markedPages ({ page: url of the
+    saved marked copy }), onSave(blob, page) returning { success, error } }
+*/
+async function openAnnotationEditor(options) {
+  const panel = ensureAnnotationPanel();
+  annotationState.options = { ...options };
+  annotationState.pdf = null;
+  annotationState.pageCount = 1;
+  annotationState.saving = false;
+
+  document.getElementById('annotationTitle').textContent = options.title || 'Mark work';
+  document.getElementById('annotationText').value = '';
+  panel.classList.remove('hidden');
+  panel.focus();
+
+  if (options.isPdf) {
+    document.getElementById('annotationCanvas').classList.add('hidden');
+    document.getElementById('annotationStatus').textContent = 'Loading...';
+
+    try {
+      if (typeof pdfjsLib === 'undefined') throw new Error('PDF pages cannot be shown on this page');
+      pdfjsLib.GlobalWorkerOptions.workerSrc = ANNOTATION_PDF_WORKER_URL;
+      const pdf = await pdfjsLib.getDocument(options.sourceUrl).promise;
+      if (annotationState.options?.sourceUrl !== options.sourceUrl) return;
+      annotationState.pdf = pdf;
+      annotationState.pageCount = pdf.numPages;
+    } catch (error) {
+      console.error('Error opening PDF to mark:', error);
+      document.getElementById('annotationStatus').textContent = error.message || 'The PDF could not be opened';
+      return;
+    }
+  }
+
+  await loadAnnotationPage(Math.min(Math.max(1, options.page || 1), annotationState.pageCount));
+}
+
+function closeAnnotationEditor() {
+  if (annotationState.saving || !confirmDiscardAnnotations()) return;
+
+  document.getElementById('annotationPanel')?.classList.add('hidden');
+  annotationState.options = null;
+  annotationState.pdf = null;
+  annotationState.background = null;
+  annotationState.shapes = [];
+  annotationState.draft = null;
+}
+
+// ============================================
+// SAVED MARKED COPIES
+// ============================================
+
+/*
+  Function Name: getSubmissionAnnotations
+  Purpose:
+  - Loads the marked copies the user can see (RLS: the teacher's quizzes, or
+    the student's own submissions)
+  - Returns a Map of submission id -> rows, oldest first
+*/
+async function getSubmissionAnnotations() {
+  try {
+    const { data, error } = await getSupabase()
+      .from('quiz_submission_annotations')
+      .select('id, submission_id, source_path, page, file, updated_at')
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    const annotations = new Map();
+    (data || []).forEach(row => {
+      if (!annotations.has(row.submission_id)) annotations.set(row.submission_id, []);
+      annotations.get(row.submission_id).push(row);
+    });
+    return { success: true, annotations };
+  } catch (error) {
+    console.error('Error loading marked copies:', error);
+    return { success: false, error: error.message, annotations: new Map() };
+  }
+}
+
+/*
+  Function Name: getAnnotationSources
+  Purpose:
+  - The uploads of a submission that can be marked: the score screenshot and
+    the image or PDF attachments, as { path, name, isPdf }
+*/
+function getAnnotationSources(submission) {
+  const sources = [];
+  if (submission?.screenshot_url) {
+    sources.push({ path: submission.screenshot_url, name: 'Screenshot', isPdf: false });
+  }
+  (submission?.attachments || []).forEach(file => {
+    sources.push({ path: file.path, name: file.name, isPdf: file.type === 'application/pdf' });
+  });
+  return sources;
+}
+
+// Marked copies whose source is still on the submission, in source order
+function getCurrentAnnotations(submission, rows = []) {
+  const sourcePaths = getAnnotationSources(submission).map(source => source.path);
+  return rows
+    .filter(row => sourcePaths.includes(row.source_path))
+    .sort((a, b) => sourcePaths.indexOf(a.source_path) - sourcePaths.indexOf(b.source_path) || a.page - b.page);
+}
+
+function getAnnotationLabel(source, annotation) {
+  return source.isPdf ? `${source.name}, page ${annotation.page}` : source.name;
+}
+
+/*
+  Function Name: saveSubmissionAnnotation
+  Purpose:
+  - Uploads a marked copy and records it for the source and page
+  - previous is the row it replaces; its file is removed once the new one is saved
+
+  Who can use it:
+  - Teacher / Admin
+
+  Backend interaction:
+  - Uploads to the assignment-files bucket, then calls
+    save_quiz_submission_annotation RPC
+
+  Error handling:
+  - Removes the uploaded file when it cannot be recorded
+*/
+async function saveSubmissionAnnotation(submission, source, page, blob, previous = null) {
+  let uploadedPath = null;
+
+  try {
+    const extension = blob.type === 'image/jpeg' ? 'jpg' : 'png';
+    const baseName = source.name.replace(/\.[^.]+$/, '') || 'work';
+    const name = `${baseName}-marked${source.isPdf ? `-p${page}` : ''}.${extension}`;
+    const path = buildAssignmentFilePath(`${submission.user_id}/feedback/${submission.id}`, { name }, page);
+
+    const { error: uploadError } = await getSupabase().storage
+      .from(ASSIGNMENT_FILES_BUCKET)
+      .upload(path, blob, {
+        cacheControl: '3600',
+        contentType: blob.type,
+        upsert: false
+      });
+
+    if (uploadError) throw uploadError;
+    uploadedPath = path;
+
+    const { data, error } = await getSupabase().rpc('save_quiz_submission_annotation', {
+      p_submission_id: submission.id,
+      p_source_path: source.path,
+      p_page: page,
+      p_file: { path, name, type: blob.type, size: blob.size }
+    });
+
+    if (error) throw error;
+
+    if (previous?.file?.path && previous.file.path !== path) {
+      await getSupabase().storage.from(ASSIGNMENT_FILES_BUCKET).remove([previous.file.path]);
+    }
+    return { success: true, annotation: data };
+  } catch (error) {
+    console.error('Error saving marked copy:', error);
+    if (uploadedPath) {
+      await getSupabase().storage.from(ASSIGNMENT_FILES_BUCKET).remove([uploadedPath]);
+    }
+    return { success: false, error: error.message };
+  }
+}
+
+/*
+  Function Name: deleteSubmissionAnnotation
+  Purpose:
+  - Removes a marked copy; the original upload stays
+
+  Who can use it:
+  - Teacher / Admin
+*/
+async function deleteSubmissionAnnotation(annotation) {
+  try {
+    const { error } = await getSupabase()
+      .from('quiz_submission_annotations')
+      .delete()
+      .eq('id', annotation.id);
+
+    if (error) throw error;
+
+    await getSupabase().storage.from(ASSIGNMENT_FILES_BUCKET).remove([annotation.file.path]);
+    return { success: true };
+  } catch (error) {
+    console.error('Error removing marked copy:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// ============================================
+// MARKED COPY LIST
+// ============================================
+
+/*
+  Function Name: renderAnnotationList
+  Purpose:
+  - Marked copies of a submission with previews and links that open in a new tab
+  - urls is the Map from getAssignmentFileUrls for the marked copies' files
+  - options.editable lists every upload that can be marked, with buttons
+    carrying data-annotate-source (the source index) and
+    data-annotation-remove (the row id); the page handles the clicks
+*/
+function renderAnnotationList(submission, rows = [], urls = new Map(), options = {}) {
+  const { editable = false } = options;
+  const annotations = getCurrentAnnotations(submission, rows);
+
+  if (!editable) {
+    if (annotations.length === 0) return '';
+    const sources = getAnnotationSources(submission);
+
+    return `
+      <ul class="space-y-2">
+        ${annotations.map(annotation => {
+          const source = sources.find(item => item.path === annotation.source_path);
+          const url = urls.get(annotation.file.path);
+          const label = escapeHtml(getAnnotationLabel(source, annotation));
+          return `
+            <li class="flex items-center gap-3 bg-white border border-gray-200 rounded-lg p-2">
+              ${url
+                ? `<a href="${url}" target="_blank" rel="noopener"><img src="${url}" alt="${label}" class="w-12 h-12 object-cover rounded"></a>`
+                : '<span class="w-12 h-12 flex items-center justify-center rounded bg-gray-100 text-xs font-semibold text-gray-500">IMG</span>'}
+              <div class="flex-1 min-w-0">
+                ${url
+                  ? `<a href="${url}" target="_blank" rel="noopener" class="block text-sm font-medium text-brand hover:underline truncate">${label}</a>`
+                  : `<span class="block text-sm font-medium text-gray-700 truncate">${label}</span>`}
+                <span class="text-xs text-gray-400">Marked copy</span>
+              </div>
+            </li>
+          `;
+        }).join('')}
+      </ul>
+    `;
+  }
+
+  return `
+    <ul class="space-y-2">
+      ${getAnnotationSources(submission).map((source, index) => {
+        const marked = annotations.filter(annotation => annotation.source_path === source.path);
+        return `
+          <li class="flex items-start justify-between gap-3 bg-white border border-gray-200 rounded-lg p-2">
+            <div class="min-w-0">
+              <span class="block text-sm font-medium text-gray-700 truncate">${escapeHtml(source.name)}</span>
+              ${marked.length ? `
+                <div class="flex flex-wrap gap-x-3 gap-y-1 mt-1">
+                  ${marked.map(annotation => {
+                    const url = urls.get(annotation.file.path);
+                    const label = source.isPdf ? `Page ${annotation.page}` : 'Marked copy';
+                    return `
+                      <span class="inline-flex items-center gap-1 text-xs">
+                        ${url ? `<a href="${url}" target="_blank" rel="noopener" class="text-brand hover:underline">${label}</a>` : `<span class="text-gray-600">${label}</span>`}
+                        <button type="button" data-annotation-remove="${annotation.id}" class="text-red-600 hover:underline" title="Remove marked copy">Remove</button>
+                      </span>
+                    `;
+                  }).join('')}
+                </div>
+              ` : '<span class="block text-xs text-gray-400 mt-1">Not marked</span>'}
+            </div>
+            <button type="button" data-annotate-source="${index}" class="px-3 py-1 text-sm border border-gray-200 rounded-lg hover:bg-gray-50 whitespace-nowrap">Mark up</button>
+          </li>
+        `;
+      }).join('')}
+    </ul>
+  `;
+}
@@ -0,0 +1,215 @@
+/*
+  File: assignments.js
+  Purpose:
+  - Assignments: quizzes where students upload worksheets (PDF or images)
+    and/or type an answer, graded by the teacher with a score or a rubric
+  - Uploads, signed links and the file list shown to students and teachers,
+    for the student's work and the teacher's feedback files
+
+  Dependencies:
+  - supabase.js - for Supabase client connection
+  - uploads.js - for validateFile and getFileSizeString
+  - utils.js - for escapeHtml
+
+  Notes:
+  - Assignments are quizzes with quiz_mode "assignment"
+    (migration_v27_assignments.sql). quizzes.assignment_response_type says
+    what students hand in and quizzes.late_penalty_percent what late work loses.
+  - Files live in the private assignment-files bucket:
+    {student_id}/{quiz_id}/... for the student's work and
+    {student_id}/feedback/{submission_id}/... for feedback files. Rows keep
+    [{ path, name, type, size }] in quiz_submissions.attachments and
+    quiz_submissions.feedback_files.
+*/
+
+// ============================================
+// SETTINGS
+// ============================================
+
+const ASSIGNMENT_FILES_BUCKET = 'assignment-files';
+
+const ASSIGNMENT_FILE_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+const ASSIGNMENT_LIMITS = {
+  maxFiles: 5,
+  maxFileSize: 10 * 1024 * 1024, // 10MB
+  maxTextLength: 20000,
+  linkSeconds: 3600
+};
+
+const ASSIGNMENT_RESPONSE_TYPES = {
+  file_or_text: 'Upload files or type an answer',
+  file: 'Upload files',
+  text: 'Type an answer'
+};
+
+// ============================================
+// ANSWERS
+// ============================================
+
+function getAssignmentResponseType(quiz) {
+  return ASSIGNMENT_RESPONSE_TYPES[quiz?.assignment_response_type] ? quiz.assignment_response_type : 'file_or_text';
+}
+
+/*
+  Function Name: validateAssignmentFiles
+  Purpose:
+  - Checks new files with the validateFile rules before upload
+  - keptCount is the number of files already attached that stay
+  - Returns an error message, or null when the files can be uploaded
+*/
+function validateAssignmentFiles(files, keptCount = 0) {
+  const list = Array.from(files || []);
+
+  if (keptCount + list.length > ASSIGNMENT_LIMITS.maxFiles) {
+    return `Attach at most ${ASSIGNMENT_LIMITS.maxFiles} files`;
+  }
+
+  for (const file of list) {
+    const error = validateFile(file, ASSIGNMENT_FILE_TYPES, ASSIGNMENT_LIMITS.maxFileSize);
+    if (error) {
+      return `${file.name}: ${error === 'File type not supported' ? 'only PDF and image files are allowed' : error}`;
+    }
+  }
+
+  return null;
+}
+
+/*
+  Function Name: validateAssignmentAnswer
+  Purpose:
+  - Checks that a student's answer has what the assignment asks for
+  - Returns an error message, or null when it can be submitted
+*/
+function validateAssignmentAnswer(quiz, { text = '', fileCount = 0 } = {}) {
+  const responseType = getAssignmentResponseType(quiz);
+  const hasText = String(text).trim().length > 0;
+
+  if (String(text).length > ASSIGNMENT_LIMITS.maxTextLength) {
+    return `Keep your answer under ${ASSIGNMENT_LIMITS.maxTextLength} characters`;
+  }
+  if (responseType === 'file' && fileCount === 0) return 'Attach your work to submit this assignment';
+  if (responseType === 'text' && !hasText) return 'Type your answer to submit this assignment';
+  if (!hasText && fileCount === 0) return 'Type your answer or attach your work to submit this assignment';
+
+  return null;
+}
+
+// ============================================
+// FILES
+// ============================================
+
+function isAssignmentImage(file) {
+  return String(file?.type || '').startsWith('image/');
+}
+
+// Object names keep the original name readable but safe for storage paths
+function buildAssignmentFilePath(folder, file, index) {
+  const safeName = file.name.replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^[._]+/, '').slice(-80) || 'file';
+  return `${folder}/${Date.now()}_${index}_${safeName}`;
+}
+
+/*
+  Function Name: uploadAssignmentFiles
+  Purpose:
+  - Uploads files to the assignment-files bucket under folder
+  - Returns { success, files } with the entries stored on the submission
+
+  Who can use it:
+  - Student (folder {student_id}/{quiz_id})
+  - Teacher / Admin (folder {student_id}/feedback/{submission_id})
+
+  Error handling:
+  - Validates the files first
+  - Removes the files already uploaded when one fails
+*/
+async function uploadAssignmentFiles(folder, files, keptCount = 0) {
+  const list = Array.from(files || []);
+  const uploaded = [];
+
+  try {
+    const validationError = validateAssignmentFiles(list, keptCount);
+    if (validationError) throw new Error(validationError);
+
+    for (let index = 0; index < list.length; index++) {
+      const file = list[index];
+      const path = buildAssignmentFilePath(folder, file, index);
+
+      const { error } = await getSupabase().storage
+        .from(ASSIGNMENT_FILES_BUCKET)
+        .upload(path, file, {
+          cacheControl: '3600',
+          contentType: file.type,
+          upsert: false
+        });
+
+      if (error) throw error;
+      uploaded.push({ path, name: file.name, type: file.type, size: file.size });
+    }
+
+    return { success: true, files: uploaded };
+  } catch (error) {
+    console.error('Error uploading assignment files:', error);
+    if (uploaded.length > 0) {
+      await getSupabase().storage.from(ASSIGNMENT_FILES_BUCKET).remove(uploaded.map(file => file.path));
+    }
+    return { success: false, error: error.message, files: [] };
+  }
+}
+
+/*
+  Function Name: getAssignmentFileUrls
+  Purpose:
+  - Creates short-lived links to files in the private bucket
+  - Returns a Map of path to URL; files that cannot be opened are left out
+*/
+async function getAssignmentFileUrls(files) {
+  const paths = (files || []).map(file => file.path);
+  if (paths.length === 0) return new Map();
+
+  try {
+    const { data, error } = await getSupabase().storage
+      .from(ASSIGNMENT_FILES_BUCKET)
+      .createSignedUrls(paths, ASSIGNMENT_LIMITS.linkSeconds);
+
+    if (error) throw error;
+    return new Map((data || []).filter(item => item.signedUrl).map(item => [item.path, item.signedUrl]));
+  } catch (error) {
+    console.error('Error creating assignment file links:', error);
+    return new Map();
+  }
+}
+
+/*
+  Function Name: renderAssignmentFileList
+  Purpose:
+  - File list with image previews and links that open in a new tab
+  - options.removable adds a remove button carrying data-remove-file (the index)
+*/
+function renderAssignmentFileList(files, urls = new Map(), options = {}) {
+  const { removable = false } = options;
+  if (!files || files.length === 0) return '';
+
+  return `
+    <ul class="space-y-2">
+      ${files.map((file, index) => {
+        const url = urls.get(file.path);
+        const name = escapeHtml(file.name);
+        return `
+          <li class="flex items-center gap-3 bg-white border border-gray-200 rounded-lg p-2">
+            ${url && isAssignmentImage(file)
+              ? `<a href="${url}" target="_blank" rel="noopener"><img src="${url}" alt="${name}" class="w-12 h-12 object-cover rounded"></a>`
+              : `<span class="w-12 h-12 flex items-center justify-center rounded bg-gray-100 text-xs font-semibold text-gray-500">${isAssignmentImage(file) ? 'IMG' : 'PDF'}</span>`}
+            <div class="flex-1 min-w-0">
+              ${url
+                ? `<a href="${url}" target="_blank" rel="noopener" class="block text-sm font-medium text-brand hover:underline truncate">${name}</a>`
+                : `<span class="block text-sm font-medium text-gray-700 truncate">${name}</span>`}
+              <span class="text-xs text-gray-400">${getFileSizeString(Number(file.size) || 0)}</span>
+            </div>
+            ${removable ? `<button type="button" data-remove-file="${index}" class="px-2 py-1 text-xs text-red-600 hover:bg-red-50 rounded" title="Remove file">Remove</button>` : ''}
+          </li>
+        `;
+      }).join('')}
+    </ul>
+  `;
+}
@@ -0,0 +1,494 @@
+/*
+  File: calculator.js
+  Purpose:
+  - On-screen calculator for students (basic or scientific) with a function
+    grapher scratchpad
+  - Opened from the student sidebar and from the quiz player header
+
+  Dependencies:
+  - mathEquivalence.js - for parseMathExpression and evaluateMathExpression
+  - graphQuestion.js - for renderGraphSvg (grapher)
+  - utils.js - for escapeHtml
+
+  Notes:
+  - Calculations go through the same parser as answer checking, so there is
+    no eval and students can type what they would type in an answer
+    ("2(3 + 4)", "sqrt(2)", "5^2").
+  - Buttons or links with data-calculator-launcher open the panel.
+  - A quiz can allow the scientific calculator (with the grapher), only the
+    basic calculator, or none during attempts (quizzes.calculator_mode,
+    migration_v23_quiz_calculator.sql). The quiz player calls
+    setCalculatorMode while an attempt is open; the setting is not enforced
+    by the server.
+*/
+
+// ============================================
+// SETTINGS
+// ============================================
+
+const CALCULATOR_MODES = {
+  none: 'No calculator',
+  basic: 'Basic calculator',
+  scientific: 'Scientific calculator and grapher'
+};
+
+const CALCULATOR_BASIC_KEYS = [
+  { label: '7', insert: '7' }, { label: '8', insert: '8' }, { label: '9', insert: '9' }, { label: '÷', insert: '÷' }, { label: '⌫', action: 'backspace', title: 'Delete' },
+  { label: '4', insert: '4' }, { label: '5', insert: '5' }, { label: '6', insert: '6' }, { label: '×', insert: '×' }, { label: 'C', action: 'clear', title: 'Clear' },
+  { label: '1', insert: '1' }, { label: '2', insert: '2' }, { label: '3', insert: '3' }, { label: '−', insert: '−' }, { label: '(', insert: '(' },
+  { label: '0', insert: '0' }, { label: '.', insert: '.' }, { label: '%', insert: '%', title: 'Percent' }, { label: '+', insert: '+' }, { label: ')', insert: ')' },
+  { label: '√', insert: '√(', title: 'Square root' }, { label: 'Ans', insert: 'Ans', title: 'Last answer' }, { label: '=', action: 'evaluate', wide: true }
+];
+
+const CALCULATOR_SCIENTIFIC_KEYS = [
+  { label: 'sin', insert: 'sin(' }, { label: 'cos', insert: 'cos(' }, { label: 'tan', insert: 'tan(' }, { label: 'π', insert: 'π' }, { label: 'e', insert: 'e', title: 'Euler\'s number' },
+  { label: 'ln', insert: 'ln(' }, { label: 'log', insert: 'log(', title: 'Log base 10' }, { label: 'x²', insert: '^2' }, { label: 'xʸ', insert: '^' }, { label: '|x|', insert: 'abs(', title: 'Absolute value' }
+];
+
+const CALCULATOR_GRAPH_COLORS = ['#2563eb', '#dc2626', '#16a34a'];
+
+// Half-width of the grapher window and the zoom steps between them
+const CALCULATOR_GRAPH_RANGES = [2, 5, 10, 20];
+const CALCULATOR_GRAPH_SAMPLES = 200;
+
+const calculatorState = {
+  allowedMode: 'scientific',
+  tab: 'calculator',
+  degrees: true,
+  ans: 0,
+  history: [],
+  rangeIndex: 2,
+  functions: ['', '', '']
+};
+
+// ============================================
+// CALCULATING
+// ============================================
+
+/*
+  Function Name: formatCalculatorNumber
+  Purpose: Rounds floating point noise away (0.1 + 0.2 shows 0.3)
+*/
+function formatCalculatorNumber(value) {
+  return String(Number(value.toPrecision(12)));
+}
+
+/*
+  Function Name: evaluateCalculatorExpression
+  Purpose:
+  - Works out a typed calculation
+  - options: mode ('basic' or 'scientific'), degrees (trig in degrees), ans (last answer)
+  - Returns { value } or { error }
+*/
+function evaluateCalculatorExpression(text, options = {}) {
+  const source = String(text ?? '').trim();
+  if (!source) return { error: 'Type a calculation' };
+
+  // "Ans" and "%" are calculator shorthand the answer parser does not know.
+  // Large answers such as 1e+21 are written as 1*10^(21) so "e" stays Euler's number.
+  const ans = String(options.ans ?? 0).replace(/e\+?(-?\d+)$/, '*10^($1)');
+  const prepare = replacement => source.replace(/ans/gi, replacement).replace(/%/g, '/100');
+
+  let parsed;
+  let checked;
+  try {
+    parsed = parseMathExpression(prepare(`(${ans})`));
+    checked = parseMathExpression(prepare('1'));
+  } catch (error) {
+    return { error: 'Check the calculation' };
+  }
+
+  if (options.mode === 'basic') {
+    const isBasic = checked.variables.length === 0 &&
+      checked.rpn.every(token => !MATH_FUNCTIONS.includes(token) || token === 'sqrt') &&
+      !checked.rpn.includes('^') && !checked.rpn.includes('pi');
+    if (!isBasic) return { error: 'Only + − × ÷, % and √ are allowed on this calculator' };
+  } else if (checked.variables.some(variable => variable !== 'e')) {
+    return { error: 'Letters are not numbers here (use the grapher for x)' };
+  }
+
+  const usesTrig = parsed.rpn.some(token => ['sin', 'cos', 'tan'].includes(token));
+  const rpn = options.degrees
+    ? parsed.rpn.flatMap(token => ['sin', 'cos', 'tan'].includes(token) ? ['pi', '*', '180', '/', token] : [token])
+    : parsed.rpn;
+  const value = evaluateMathExpression({ ...parsed, rpn }, { e: Math.E });
+
+  if (!Number.isFinite(value)) return { error: 'Undefined (for example division by zero)' };
+
+  // sin(180°) comes out as 1.2e-16 in floating point
+  return { value: usesTrig && Math.abs(value) < 1e-12 ? 0 : value };
+}
+
+/*
+  Function Name: sampleCalculatorFunction
+  Purpose:
+  - Samples a function of x across the grapher window
+  - Returns { segments } (the curve split at gaps and vertical asymptotes) or { error }
+*/
+function sampleCalculatorFunction(text, range) {
+  const source = String(text ?? '').trim();
+  if (!source) return { segments: [] };
+
+  let parsed;
+  try {
+    parsed = parseMathExpression(source);
+  } catch (error) {
+    return { error: 'Check the function' };
+  }
+
+  if (parsed.variables.some(variable => variable !== 'x' && variable !== 'e')) {
+    return { error: 'Use x as the variable' };
+  }
+
+  const segments = [];
+  let segment = [];
+  for (let i = 0; i <= CALCULATOR_GRAPH_SAMPLES; i++) {
+    const x = -range + (2 * range * i) / CALCULATOR_GRAPH_SAMPLES;
+    const y = evaluateMathExpression(parsed, { x, e: Math.E });
+    const previous = segment[segment.length - 1];
+
+    if (!Number.isFinite(y)) {
+      if (segment.length) segments.push(segment);
+      segment = [];
+      continue;
+    }
+
+    // A jump across the window between neighbouring samples is an asymptote
+    if (previous && Math.abs(y - previous[1]) > range * 2 && (Math.abs(y) > range || Math.abs(previous[1]) > range)) {
+      segments.push(segment);
+      segment = [];
+    }
+
+    segment.push([x, Math.max(-range * 10, Math.min(range * 10, y))]);
+  }
+  if (segment.length) segments.push(segment);
+
+  return { segments };
+}
+
+// ============================================
+// PANEL
+// ============================================
+
+/*
+  Function Name: renderCalculatorKeys
+  Purpose: Returns the key buttons for the allowed mode
+*/
+function renderCalculatorKeys() {
+  const keys = calculatorState.allowedMode === 'scientific'
+    ? [...CALCULATOR_SCIENTIFIC_KEYS, ...CALCULATOR_BASIC_KEYS]
+    : CALCULATOR_BASIC_KEYS;
+
+  return keys.map(key => {
+    const isEquals = key.action === 'evaluate';
+    const colorClass = isEquals
+      ? 'bg-brand text-white hover:bg-brand-dark'
+      : key.insert && /^[\d.]$/.test(key.insert) ? 'bg-white hover:bg-gray-100 text-gray-900' : 'bg-gray-100 hover:bg-gray-200 text-gray-700';
+    const data = key.action
+      ? `data-calculator-action="${key.action}"`
+      : `data-calculator-key="${escapeHtml(key.insert)}"`;
+
+    return `
+      <button type="button" ${data} title="${escapeHtml(key.title || key.label)}"
+        class="${key.wide ? 'col-span-3' : ''} py-2 text-sm font-medium border border-gray-200 rounded-lg ${colorClass}">${escapeHtml(key.label)}</button>
+    `;
+  }).join('');
+}
+
+/*
+  Function Name: ensureCalculatorPanel
+  Purpose: Adds the floating calculator panel to the page the first time it is opened
+*/
+function ensureCalculatorPanel() {
+  let panel = document.getElementById('calculatorPanel');
+  if (panel) return panel;
+
+  panel = document.createElement('div');
+  panel.id = 'calculatorPanel';
+  panel.className = 'hidden fixed bottom-4 right-4 z-[60] w-80 max-w-[calc(100vw-2rem)] bg-white border border-gray-200 rounded-2xl shadow-2xl';
+  panel.setAttribute('role', 'dialog');
+  panel.setAttribute('aria-label', 'Calculator');
+  panel.innerHTML = `
+    <div class="flex items-center justify-between px-4 py-3 border-b border-gray-100">
+      <div class="flex items-center gap-1" data-calculator-tabs>
+        <button type="button" data-calculator-action="tab-calculator" class="px-3 py-1 text-sm font-medium rounded-lg">Calculator</button>
+        <button type="button" data-calculator-action="tab-graph" class="px-3 py-1 text-sm font-medium rounded-lg">Graph</button>
+      </div>
+      <button type="button" data-calculator-action="close" class="p-1 text-gray-400 hover:text-gray-700" title="Close calculator">
+        <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/></svg>
+      </button>
+    </div>
+    <div data-calculator-view="calculator" class="p-4 space-y-3">
+      <div class="bg-gray-50 border border-gray-200 rounded-xl px-3 py-2">
+        <div id="calculatorHistory" class="text-xs text-gray-400 text-right space-y-0.5 min-h-[1rem]"></div>
+        <input type="text" id="calculatorInput" autocomplete="off" autocapitalize="off" spellcheck="false"
+          class="w-full bg-transparent text-right text-lg font-mono text-gray-900 focus:outline-none" aria-label="Calculation">
+        <p id="calculatorResult" class="text-right text-sm font-semibold text-brand min-h-[1.25rem]" aria-live="polite"></p>
+      </div>
+      <div class="flex items-center justify-between text-xs text-gray-500" data-calculator-scientific>
+        <span id="calculatorModeLabel"></span>
+        <button type="button" data-calculator-action="angle" id="calculatorAngleBtn" class="px-2 py-1 rounded-lg bg-gray-100 hover:bg-gray-200 font-medium"></button>
+      </div>
+      <div id="calculatorKeys" class="grid grid-cols-5 gap-1.5"></div>
+    </div>
+    <div data-calculator-view="graph" class="hidden p-4 space-y-2">
+      ${calculatorState.functions.map((fn, index) => `
+        <label class="flex items-center gap-2 text-sm">
+          <span class="font-semibold" style="color: ${CALCULATOR_GRAPH_COLORS[index]}">y =</span>
+          <input type="text" data-calculator-function="${index}" autocomplete="off" autocapitalize="off" spellcheck="false"
+            class="flex-1 px-2 py-1 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-brand focus:border-transparent"
+            placeholder="${index === 0 ? 'e.g. 2x + 1' : ''}">
+        </label>
+      `).join('')}
+      <p id="calculatorGraphError" class="hidden text-xs text-red-600"></p>
+      <div id="calculatorGraph"></div>
+      <div class="flex items-center justify-between text-xs text-gray-500">
+        <span>Trig functions use radians</span>
+        <div class="flex gap-1">
+          <button type="button" data-calculator-action="zoom-in" class="px-2 py-1 rounded-lg bg-gray-100 hover:bg-gray-200" title="Zoom in">+</button>
+          <button type="button" data-calculator-action="zoom-out" class="px-2 py-1 rounded-lg bg-gray-100 hover:bg-gray-200" title="Zoom out">−</button>
+        </div>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(panel);
+
+  // Keep the focus in the calculation while keys are pressed
+  panel.addEventListener('mousedown', event => {
+    if (event.target.closest('[data-calculator-key], [data-calculator-action]')) event.preventDefault();
+  });
+  panel.addEventListener('click', handleCalculatorClick);
+  panel.addEventListener('input', event => {
+    const index = event.target.dataset.calculatorFunction;
+    if (index === undefined) return;
+    calculatorState.functions[Number(index)] = event.target.value;
+    drawCalculatorGraph();
+  });
+  panel.addEventListener('keydown', event => {
+    if (event.key === 'Escape') closeCalculator();
+    if (event.key === 'Enter' && event.target.id === 'calculatorInput') {
+      event.preventDefault();
+      runCalculatorEvaluation();
+    }
+  });
+
+  return panel;
+}
+
+/*
+  Function Name: renderCalculatorPanel
+  Purpose: Updates the panel for the allowed mode, the open tab and the angle unit
+*/
+function renderCalculatorPanel() {
+  const panel = document.getElementById('calculatorPanel');
+  if (!panel) return;
+
+  const isScientific = calculatorState.allowedMode === 'scientific';
+  if (!isScientific) calculatorState.tab = 'calculator';
+
+  panel.querySelector('[data-calculator-tabs]').classList.toggle('invisible', !isScientific);
+  panel.querySelectorAll('[data-calculator-tabs] button').forEach(button => {
+    const isActive = button.dataset.calculatorAction === `tab-${calculatorState.tab}`;
+    button.classList.toggle('bg-brand/10', isActive);
+    button.classList.toggle('text-brand', isActive);
+    button.classList.toggle('text-gray-500', !isActive);
+  });
+  panel.querySelectorAll('[data-calculator-view]').forEach(view => {
+    view.classList.toggle('hidden', view.dataset.calculatorView !== calculatorState.tab);
+  });
+
+  document.getElementById('calculatorModeLabel').textContent = CALCULATOR_MODES[calculatorState.allowedMode];
+  const angleButton = document.getElementById('calculatorAngleBtn');
+  angleButton.textContent = calculatorState.degrees ? 'DEG' : 'RAD';
+  angleButton.title = calculatorState.degrees ? 'Angles in degrees (switch to radians)' : 'Angles in radians (switch to degrees)';
+  angleButton.classList.toggle('hidden', !isScientific);
+  document.getElementById('calculatorKeys').innerHTML = renderCalculatorKeys();
+
+  if (calculatorState.tab === 'graph') drawCalculatorGraph();
+}
+
+/*
+  Function Name: insertCalculatorText
+  Purpose: Types a key's text at the cursor of the calculation
+*/
+function insertCalculatorText(text) {
+  const input = document.getElementById('calculatorInput');
+  const start = input.selectionStart ?? input.value.length;
+  const end = input.selectionEnd ?? input.value.length;
+  input.setRangeText(text, start, end, 'end');
+  input.focus();
+}
+
+/*
+  Function Name: runCalculatorEvaluation
+  Purpose: Works out the calculation, shows the result and keeps it as Ans
+*/
+function runCalculatorEvaluation() {
+  const input = document.getElementById('calculatorInput');
+  const resultEl = document.getElementById('calculatorResult');
+  const result = evaluateCalculatorExpression(input.value, {
+    mode: calculatorState.allowedMode,
+    degrees: calculatorState.degrees,
+    ans: calculatorState.ans
+  });
+
+  if (result.error) {
+    resultEl.textContent = result.error;
+    resultEl.classList.replace('text-brand', 'text-red-600');
+    return;
+  }
+
+  const formatted = formatCalculatorNumber(result.value);
+  calculatorState.ans = Number(formatted);
+  calculatorState.history = [...calculatorState.history, `${input.value.trim()} = ${formatted}`].slice(-3);
+
+  document.getElementById('calculatorHistory').innerHTML = calculatorState.history
+    .map(line => `<p class="truncate">${escapeHtml(line)}</p>`)
+    .join('');
+  resultEl.textContent = `= ${formatted}`;
+  resultEl.classList.replace('text-red-600', 'text-brand');
+  input.value = formatted;
+}
+
+/*
+  Function Name: drawCalculatorGraph
+  Purpose: Plots the grapher functions on the grid
+*/
+function drawCalculatorGraph() {
+  const range = CALCULATOR_GRAPH_RANGES[calculatorState.rangeIndex];
+  const errors = [];
+  const layers = calculatorState.functions.map((text, index) => {
+    const sampled = sampleCalculatorFunction(text, range);
+    if (sampled.error) errors.push(`Function ${index + 1}: ${sampled.error}`);
+    return { kind: 'curve', segments: sampled.segments || [], color: CALCULATOR_GRAPH_COLORS[index] };
+  });
+
+  document.getElementById('calculatorGraph').innerHTML = renderGraphSvg({
+    x_min: -range,
+    x_max: range,
+    y_min: -range,
+    y_max: range,
+    step: 1
+  }, layers, 'Function graph');
+
+  const errorEl = document.getElementById('calculatorGraphError');
+  errorEl.textContent = errors.join(' · ');
+  errorEl.classList.toggle('hidden', errors.length === 0);
+}
+
+/*
+  Function Name: handleCalculatorClick
+  Purpose: Handles key presses and the panel buttons
+*/
+function handleCalculatorClick(event) {
+  const key = event.target.closest('[data-calculator-key]');
+  if (key) {
+    insertCalculatorText(key.dataset.calculatorKey);
+    return;
+  }
+
+  const button = event.target.closest('[data-calculator-action]');
+  if (!button) return;
+  const input = document.getElementById('calculatorInput');
+
+  switch (button.dataset.calculatorAction) {
+    case 'evaluate':
+      runCalculatorEvaluation();
+      break;
+    case 'clear':
+      input.value = '';
+      document.getElementById('calculatorResult').textContent = '';
+      input.focus();
+      break;
+    case 'backspace': {
+      const start = input.selectionStart ?? input.value.length;
+      const end = input.selectionEnd ?? input.value.length;
+      input.setRangeText('', start === end ? Math.max(0, start - 1) : start, end, 'end');
+      input.focus();
+      break;
+    }
+    case 'angle':
+      calculatorState.degrees = !calculatorState.degrees;
+      renderCalculatorPanel();
+      break;
+    case 'tab-calculator':
+    case 'tab-graph':
+      calculatorState.tab = button.dataset.calculatorAction.replace('tab-', '');
+      renderCalculatorPanel();
+      break;
+    case 'zoom-in':
+      calculatorState.rangeIndex = Math.max(0, calculatorState.rangeIndex - 1);
+      drawCalculatorGraph();
+      break;
+    case 'zoom-out':
+      calculatorState.rangeIndex = Math.min(CALCULATOR_GRAPH_RANGES.length - 1, calculatorState.rangeIndex + 1);
+      drawCalculatorGraph();
+      break;
+    case 'close':
+      closeCalculator();
+      break;
+  }
+}
+
+// ============================================
+// OPENING AND QUIZ RESTRICTIONS
+// ============================================
+
+/*
+  Function Name: openCalculator
+  Purpose: Shows the calculator panel (unless the open quiz allows no calculator)
+*/
+function openCalculator() {
+  if (calculatorState.allowedMode === 'none') return;
+
+  const panel = ensureCalculatorPanel();
+  renderCalculatorPanel();
+  panel.classList.remove('hidden');
+  if (calculatorState.tab === 'calculator') document.getElementById('calculatorInput').focus();
+}
+
+/*
+  Function Name: closeCalculator
+  Purpose: Hides the calculator panel
+*/
+function closeCalculator() {
+  document.getElementById('calculatorPanel')?.classList.add('hidden');
+}
+
+/*
+  Function Name: toggleCalculator
+  Purpose: Opens or closes the panel (calculator launcher buttons)
+*/
+function toggleCalculator() {
+  const panel = document.getElementById('calculatorPanel');
+  if (panel && !panel.classList.contains('hidden')) {
+    closeCalculator();
+  } else {
+    openCalculator();
+  }
+}
+
+/*
+  Function Name: setCalculatorMode
+  Purpose:
+  - Limits the calculator to a quiz's calculator_mode ('none', 'basic' or 'scientific')
+  - 'none' closes the panel and hides every launcher
+*/
+function setCalculatorMode(mode) {
+  calculatorState.allowedMode = CALCULATOR_MODES[mode] ? mode : 'scientific';
+
+  document.querySelectorAll('[data-calculator-launcher]').forEach(launcher => {
+    launcher.classList.toggle('hidden', calculatorState.allowedMode === 'none');
+  });
+
+  if (calculatorState.allowedMode === 'none') {
+    closeCalculator();
+  } else {
+    renderCalculatorPanel();
+  }
+}
+
+document.addEventListener('click', event => {
+  if (event.target.closest('[data-calculator-launcher]')) toggleCalculator();
+});
@@ -0,0 +1,305 @@
+/*
+  File: competencies.js
+  Purpose:
+  - Learning competencies per grade level and quarter (for example
+    M7NS-Ia-1), tagging lessons, videos and quiz questions with them, and each
+    student's mastery of every competency of their grade level
+
+  Dependencies:
+  - supabase.js - for Supabase client connection
+  - utils.js - for escapeHtml
+
+  Notes:
+  - Competencies are stored in competencies (migration_v33_competencies.sql).
+    Teachers edit the ones they added; admins edit all of them. Lessons,
+    videos, quiz questions and question bank items keep their tags in
+    competency_ids.
+  - Mastery is computed in the database by get_competency_mastery from the
+    latest scored attempt of each quiz: the points earned on the questions
+    tagged with a competency out of their points. Questions drawn from the
+    question bank at random use their bank item's tags.
+*/
+
+// ============================================
+// SETTINGS
+// ============================================
+
+// Mirrors mastery_percentage in get_competency_mastery
+const COMPETENCY_MASTERY_PERCENTAGE = 80;
+
+const MASTERY_LEVELS = {
+  not_started: { label: 'Not started', short: '–', className: 'mastery-not-started' },
+  developing: { label: 'Developing', short: 'D', className: 'mastery-developing' },
+  mastered: { label: 'Mastered', short: 'M', className: 'mastery-mastered' }
+};
+
+const COMPETENCY_QUARTERS = [1, 2, 3, 4];
+
+const COMPETENCY_FIELDS = 'id, grade_level_id, quarter, code, description, created_by, updated_at';
+
+// ============================================
+// COMPETENCIES
+// ============================================
+
+/*
+  Function Name: validateCompetency
+  Purpose:
+  - Checks a competency before saving
+  - Returns an error message, or null when the competency is valid
+*/
+function validateCompetency(competency) {
+  const code = String(competency.code || '').trim();
+  const description = String(competency.description || '').trim();
+  const quarter = Number(competency.quarter);
+
+  if (!competency.grade_level_id) return 'Choose a grade level';
+  if (!COMPETENCY_QUARTERS.includes(quarter)) return 'Choose a quarter';
+  if (!code) return 'Enter a competency code';
+  if (code.length > 50) return 'The code can be at most 50 characters';
+  if (!description) return 'Enter what the student should be able to do';
+  if (description.length > 500) return 'The description can be at most 500 characters';
+  return null;
+}
+
+function formatCompetencyLabel(competency) {
+  return `${competency.code} – ${competency.description}`;
+}
+
+/*
+  Function Name: getCompetencies
+  Purpose:
+  - Loads the competencies of a grade level (every grade level when
+    gradeLevelId is null), optionally of one quarter, by quarter and code
+
+  Who can use it:
+  - Any signed-in user
+*/
+async function getCompetencies({ gradeLevelId = null, quarter = null } = {}) {
+  try {
+    let query = getSupabase()
+      .from('competencies')
+      .select(COMPETENCY_FIELDS)
+      .order('quarter', { ascending: true })
+      .order('code', { ascending: true });
+
+    if (gradeLevelId) query = query.eq('grade_level_id', gradeLevelId);
+    if (quarter) query = query.eq('quarter', Number(quarter));
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return { success: true, competencies: data || [] };
+  } catch (error) {
+    console.error('Error loading competencies:', error);
+    return { success: false, error: error.message, competencies: [] };
+  }
+}
+
+/*
+  Function Name: saveCompetency
+  Purpose:
+  - Adds a competency, or updates it when it has an id
+
+  Who can use it:
+  - Teacher (their own competencies), Admin
+
+  Error handling:
+  - Validates the competency first; a code already used in the grade level
+    (unique violation 23505) gets a readable message
+*/
+async function saveCompetency(competency) {
+  try {
+    const validationError = validateCompetency(competency);
+    if (validationError) throw new Error(validationError);
+
+    const row = {
+      grade_level_id: competency.grade_level_id,
+      quarter: Number(competency.quarter),
+      code: String(competency.code).trim(),
+      description: String(competency.description).trim()
+    };
+    const query = competency.id
+      ? getSupabase().from('competencies').update(row).eq('id', competency.id)
+      : getSupabase().from('competencies').insert(row);
+
+    const { data, error } = await query.select(COMPETENCY_FIELDS).single();
+
+    if (error) {
+      if (error.code === '23505') {
+        throw new Error(`${row.code} is already a competency of this grade level.`);
+      }
+      throw error;
+    }
+    return { success: true, competency: data };
+  } catch (error) {
+    console.error('Error saving competency:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/*
+  Function Name: deleteCompetency
+  Purpose:
+  - Removes a competency; the database also removes it from the lessons,
+    videos and questions tagged with it
+
+  Who can use it:
+  - Teacher (their own competencies), Admin
+*/
+async function deleteCompetency(competencyId) {
+  try {
+    const { error } = await getSupabase()
+      .from('competencies')
+      .delete()
+      .eq('id', competencyId);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting competency:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// ============================================
+// TAGGING
+// ============================================
+
+/*
+  Function Name: renderCompetencyOptions
+  Purpose:
+  - <option>s for a <select multiple>, grouped by quarter, with the tagged
+    competencies selected
+  - Tags that are not in the list (another grade level) stay selected so
+    saving does not drop them
+*/
+function renderCompetencyOptions(competencies, selectedIds = []) {
+  const selected = new Set(selectedIds || []);
+  const listed = new Set(competencies.map(competency => competency.id));
+
+  const groups = COMPETENCY_QUARTERS
+    .map(quarter => {
+      const options = competencies
+        .filter(competency => Number(competency.quarter) === quarter)
+        .map(competency => `
+          <option value="${escapeHtml(competency.id)}" ${selected.has(competency.id) ? 'selected' : ''}>
+            ${escapeHtml(formatCompetencyLabel(competency))}
+          </option>
+        `)
+        .join('');
+      return options ? `<optgroup label="Quarter ${quarter}">${options}</optgroup>` : '';
+    })
+    .join('');
+
+  const otherTags = [...selected]
+    .filter(id => !listed.has(id))
+    .map(id => `<option value="${escapeHtml(id)}" selected>Competency of another grade level</option>`)
+    .join('');
+
+  return groups + otherTags;
+}
+
+function getSelectedCompetencyIds(select) {
+  if (!select) return [];
+  return Array.from(select.selectedOptions || []).map(option => option.value).filter(Boolean);
+}
+
+/*
+  Function Name: getCompetencyResources
+  Purpose:
+  - Loads the lessons and videos tagged with any of the given competencies,
+    for students to review what they have not mastered yet
+
+  Who can use it:
+  - Any signed-in user; each list holds only the rows they can view
+*/
+async function getCompetencyResources(competencyIds) {
+  if (!competencyIds.length) return { success: true, lessons: [], videos: [] };
+
+  try {
+    const supabase = getSupabase();
+    const [lessonsResult, videosResult] = await Promise.all([
+      supabase
+        .from('lessons')
+        .select('id, title, module_id, competency_ids')
+        .overlaps('competency_ids', competencyIds)
+        .order('order_index', { ascending: true }),
+      supabase
+        .from('videos')
+        .select('id, title, competency_ids')
+        .overlaps('competency_ids', competencyIds)
+        .order('title', { ascending: true })
+    ]);
+
+    if (lessonsResult.error) throw lessonsResult.error;
+    if (videosResult.error) throw videosResult.error;
+    return { success: true, lessons: lessonsResult.data || [], videos: videosResult.data || [] };
+  } catch (error) {
+    console.error('Error loading competency resources:', error);
+    return { success: false, error: error.message, lessons: [], videos: [] };
+  }
+}
+
+// ============================================
+// MASTERY
+// ============================================
+
+/*
+  Function Name: getCompetencyMastery
+  Purpose:
+  - Loads the mastery of every student of a section, or of one student, on
+    every competency of their grade level (one quarter when quarter is set)
+
+  Who can use it:
+  - Teacher, Admin; a student for themselves
+*/
+async function getCompetencyMastery({ sectionId = null, studentId = null, quarter = null } = {}) {
+  try {
+    const { data, error } = await getSupabase().rpc('get_competency_mastery', {
+      p_section_id: sectionId,
+      p_student_id: studentId,
+      p_quarter: quarter ? Number(quarter) : null
+    });
+
+    if (error) throw error;
+    return { success: true, mastery: data || [] };
+  } catch (error) {
+    console.error('Error loading competency mastery:', error);
+    return { success: false, error: error.message, mastery: [] };
+  }
+}
+
+/*
+  Function Name: groupCompetencyMastery
+  Purpose:
+  - Map(studentId => Map(competencyId => mastery row)) from
+    get_competency_mastery rows
+*/
+function groupCompetencyMastery(mastery) {
+  const students = new Map();
+
+  mastery.forEach(row => {
+    if (!students.has(row.student_id)) students.set(row.student_id, new Map());
+    students.get(row.student_id).set(row.competency_id, row);
+  });
+
+  return students;
+}
+
+function countMasteryLevels(rows) {
+  const counts = Object.fromEntries(Object.keys(MASTERY_LEVELS).map(level => [level, 0]));
+  rows.forEach(row => {
+    if (counts[row.mastery_level] !== undefined) counts[row.mastery_level] += 1;
+  });
+  return counts;
+}
+
+function renderMasteryBadge(row, options = {}) {
+  const level = MASTERY_LEVELS[row?.mastery_level] || MASTERY_LEVELS.not_started;
+  const detail = row && row.percentage !== null && row.percentage !== undefined
+    ? `${Number(row.percentage)}% of ${Number(row.points)} pts`
+    : 'No tagged questions answered yet';
+  const text = options.compact ? level.short : level.label;
+
+  return `<span class="mastery-badge ${level.className}" title="${escapeHtml(`${level.label}: ${detail}`)}">${escapeHtml(text)}</span>`;
+}
@@ -54,7 +54,6 @@ class ComponentManager {
     }
 
     initializeComponentSystem() {
-        this.createComponentContainer();
         this.initializeModalSystem();
         this.initializeNotificationSystem();
         this.initializeToastSystem();
@@ -914,6 +913,19 @@ class ComponentManager {
         this.componentRegistry.set(name, config);
     }
 
+    // Runs each registered component's init once per element. Elements with a
+    // data-action are triggers for an existing component and are skipped.
+    initializeComponents(root = document) {
+        root.querySelectorAll('[data-component]').forEach(element => {
+            const componentConfig = this.componentRegistry.get(element.dataset.component);
+            if (!componentConfig || !componentConfig.init) return;
+            if (element.dataset.action || element.dataset.componentReady) return;
+
+            element.dataset.componentReady = 'true';
+            componentConfig.init(element);
+        });
+    }
+
     // Queue implementation for notifications/toasts
     enqueue(item) {
         this.items.push(item);
@@ -971,10 +983,7 @@ window.componentManager = new ComponentManager();
 // Auto-initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     // Initialize data-component elements
-    document.querySelectorAll('[data-component]').forEach(element => {
-        const componentName = element.dataset.component;
-        // Auto-initialize common components
-    });
+    window.componentManager.initializeComponents();
 });
 
 // Export for module systems
@@ -0,0 +1,486 @@
+/*
+  File: feedbackComments.js
+  Purpose:
+  - Teacher comment library: comments a teacher gives often, saved once and
+    inserted into review and grading comment boxes
+  - Comment picker for those boxes and a library dialog to add, edit, share
+    and delete comments
+
+  Dependencies:
+  - supabase.js - for Supabase client connection
+  - utils.js - for escapeHtml, showToast and getTeacherSections
+
+  Notes:
+  - Comments are stored in feedback_comments (migration_v25_feedback_comments.sql).
+    A comment can be shared with the other teachers of a grade level the
+    owner teaches; they can insert it but not change it.
+  - Every insert counts as a use (record_feedback_comment_use), and the
+    picker lists the most used comments first.
+  - Pages call loadFeedbackCommentLibrary(user) once, then place
+    renderFeedbackCommentPicker(fieldId) next to a comment box.
+*/
+
+// ============================================
+// SETTINGS
+// ============================================
+
+// Offered until the teacher saves comments of their own
+const DEFAULT_FEEDBACK_COMMENTS = [
+  'Score verified. Good work!',
+  'Show your solution.',
+  'Check your signs.',
+  'The screenshot does not show your score. Please upload one that does.',
+  'The score you entered does not match the screenshot.'
+];
+
+const FEEDBACK_COMMENT_MAX_LENGTH = 1000;
+const FEEDBACK_COMMENT_LABEL_LENGTH = 70;
+
+const feedbackCommentLibrary = {
+  userId: null,
+  comments: [],
+  gradeLevels: [],
+  editingId: null
+};
+
+// ============================================
+// DATA
+// ============================================
+
+/*
+  Function Name: getFeedbackComments
+  Purpose:
+  - Loads the teacher's own comments and the comments shared with their
+    grade levels (RLS), most used first
+
+  Who can use it:
+  - Teacher, Admin
+*/
+async function getFeedbackComments() {
+  try {
+    const { data, error } = await getSupabase()
+      .from('feedback_comments')
+      .select('id, teacher_id, body, shared_grade_level_id, usage_count, last_used_at, grade_levels(name)')
+      .order('usage_count', { ascending: false })
+      .order('body');
+
+    if (error) throw error;
+    return { success: true, comments: data || [] };
+  } catch (error) {
+    console.error('Error loading feedback comments:', error);
+    return { success: false, error: error.message, comments: [] };
+  }
+}
+
+/*
+  Function Name: saveFeedbackComment
+  Purpose:
+  - Adds a comment, or updates one when comment.id is set
+  - shared_grade_level_id shares it with that grade level's teachers
+
+  Who can use it:
+  - Teacher, Admin (own comments)
+*/
+async function saveFeedbackComment(comment) {
+  try {
+    const body = String(comment.body || '').trim();
+    if (!body) throw new Error('Write the comment first');
+    if (body.length > FEEDBACK_COMMENT_MAX_LENGTH) {
+      throw new Error(`Comments can be at most ${FEEDBACK_COMMENT_MAX_LENGTH} characters`);
+    }
+
+    const row = {
+      body,
+      shared_grade_level_id: comment.shared_grade_level_id || null
+    };
+
+    const query = comment.id
+      ? getSupabase().from('feedback_comments').update(row).eq('id', comment.id)
+      : getSupabase().from('feedback_comments').insert(row);
+
+    const { data, error } = await query
+      .select('id, teacher_id, body, shared_grade_level_id, usage_count, last_used_at, grade_levels(name)')
+      .single();
+
+    if (error) throw error;
+    return { success: true, comment: data };
+  } catch (error) {
+    console.error('Error saving feedback comment:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/*
+  Function Name: deleteFeedbackComment
+  Purpose:
+  - Removes one of the teacher's comments
+*/
+async function deleteFeedbackComment(commentId) {
+  try {
+    const { error } = await getSupabase()
+      .from('feedback_comments')
+      .delete()
+      .eq('id', commentId);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting feedback comment:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/*
+  Function Name: recordFeedbackCommentUse
+  Purpose:
+  - Counts one use of a saved comment (own or shared)
+
+  Backend interaction:
+  - Calls record_feedback_comment_use RPC
+
+  Error handling:
+  - Logs and returns null; inserting the comment still works
+*/
+async function recordFeedbackCommentUse(commentId) {
+  try {
+    const { data, error } = await getSupabase().rpc('record_feedback_comment_use', {
+      p_comment_id: commentId
+    });
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error recording feedback comment use:', error);
+    return null;
+  }
+}
+
+/*
+  Function Name: loadFeedbackCommentLibrary
+  Purpose:
+  - Loads the comments and the grade levels the teacher can share with
+  - Re-renders pickers already on the page
+*/
+async function loadFeedbackCommentLibrary(user) {
+  feedbackCommentLibrary.userId = user?.id || null;
+
+  const [commentsResult, sections] = await Promise.all([
+    getFeedbackComments(),
+    user?.role === 'teacher' ? getTeacherSections(user.id) : Promise.resolve([])
+  ]);
+
+  feedbackCommentLibrary.comments = commentsResult.comments;
+  sortFeedbackComments();
+
+  const gradeLevels = new Map();
+  sections.forEach(section => {
+    if (section.grade_levels?.id) gradeLevels.set(section.grade_levels.id, section.grade_levels);
+  });
+  feedbackCommentLibrary.gradeLevels = [...gradeLevels.values()].sort((a, b) => a.name.localeCompare(b.name));
+
+  refreshFeedbackCommentPickers();
+  return commentsResult;
+}
+
+// ============================================
+// PICKER
+// ============================================
+
+// Most used first. Only sorted when the library loads or changes, so inserting
+// a comment does not move the picker's options around mid-review.
+function sortFeedbackComments() {
+  feedbackCommentLibrary.comments.sort((a, b) =>
+    (b.usage_count || 0) - (a.usage_count || 0) || a.body.localeCompare(b.body)
+  );
+}
+
+/*
+  Function Name: getFeedbackCommentChoices
+  Purpose:
+  - Comments in the order the picker and keyboard shortcuts use: saved
+    comments, or the default suggestions while there are none
+*/
+function getFeedbackCommentChoices() {
+  if (feedbackCommentLibrary.comments.length === 0) {
+    return DEFAULT_FEEDBACK_COMMENTS.map(body => ({ id: null, body, usage_count: 0 }));
+  }
+
+  return feedbackCommentLibrary.comments;
+}
+
+function formatFeedbackCommentLabel(comment, index) {
+  const text = comment.body.replace(/\s+/g, ' ');
+  const label = text.length > FEEDBACK_COMMENT_LABEL_LENGTH
+    ? `${text.slice(0, FEEDBACK_COMMENT_LABEL_LENGTH - 1)}…`
+    : text;
+  const shared = comment.id && comment.teacher_id !== feedbackCommentLibrary.userId ? ' · shared' : '';
+  const uses = comment.usage_count ? ` (${comment.usage_count}×)` : '';
+
+  return `${index < 9 ? `${index + 1}. ` : ''}${label}${shared}${uses}`;
+}
+
+/*
+  Function Name: renderFeedbackCommentPicker
+  Purpose:
+  - Picker placed next to a comment box: insert a saved comment, save the
+    box's text as a new comment, or open the library
+*/
+function renderFeedbackCommentPicker(fieldId) {
+  const choices = getFeedbackCommentChoices();
+  const isSuggestion = feedbackCommentLibrary.comments.length === 0;
+
+  return `
+    <div class="flex flex-wrap items-center gap-2" data-feedback-comment-picker="${escapeHtml(fieldId)}">
+      <select data-feedback-comment-insert="${escapeHtml(fieldId)}" class="flex-1 min-w-0 px-3 py-1.5 border border-gray-200 rounded-lg text-xs bg-white" aria-label="Insert a saved comment">
+        <option value="">${isSuggestion ? 'Insert a suggested comment…' : 'Insert a saved comment…'}</option>
+        ${choices.map((comment, index) => `<option value="${index}">${escapeHtml(formatFeedbackCommentLabel(comment, index))}</option>`).join('')}
+      </select>
+      <button type="button" data-feedback-comment-save="${escapeHtml(fieldId)}" class="px-3 py-1.5 text-xs border border-gray-200 rounded-lg bg-white hover:bg-gray-50" title="Save the text in the comment box to your library">Save</button>
+      <button type="button" data-feedback-comment-manage class="px-3 py-1.5 text-xs border border-gray-200 rounded-lg bg-white hover:bg-gray-50">Library</button>
+    </div>
+  `;
+}
+
+function refreshFeedbackCommentPickers() {
+  document.querySelectorAll('[data-feedback-comment-picker]').forEach(picker => {
+    picker.outerHTML = renderFeedbackCommentPicker(picker.dataset.feedbackCommentPicker);
+  });
+
+  if (document.getElementById('feedbackCommentModal')?.classList.contains('hidden') === false) {
+    renderFeedbackCommentLibrary();
+  }
+}
+
+/*
+  Function Name: insertFeedbackComment
+  Purpose:
+  - Adds the chosen comment to the end of a comment box and counts the use
+*/
+function insertFeedbackComment(fieldId, index) {
+  const field = document.getElementById(fieldId);
+  const comment = getFeedbackCommentChoices()[index];
+  if (!field || !comment) return;
+
+  const current = field.value.replace(/\s+$/, '');
+  field.value = current ? `${current}${field.tagName === 'TEXTAREA' ? '\n' : ' '}${comment.body}` : comment.body;
+  field.dispatchEvent(new Event('input', { bubbles: true }));
+
+  if (comment.id) {
+    comment.usage_count = (comment.usage_count || 0) + 1;
+    recordFeedbackCommentUse(comment.id);
+  }
+}
+
+async function saveFeedbackCommentFromField(fieldId) {
+  const body = document.getElementById(fieldId)?.value.trim() || '';
+  if (!body) {
+    showToast('Type a comment in the box first, then save it', 'info');
+    return;
+  }
+
+  if (feedbackCommentLibrary.comments.some(comment => comment.body === body)) {
+    showToast('This comment is already in your library', 'info');
+    return;
+  }
+
+  const result = await saveFeedbackComment({ body });
+  if (!result.success) {
+    showToast(result.error, 'error');
+    return;
+  }
+
+  feedbackCommentLibrary.comments.push(result.comment);
+  sortFeedbackComments();
+  refreshFeedbackCommentPickers();
+  showToast('Comment saved to your library', 'success');
+}
+
+// ============================================
+// LIBRARY DIALOG
+// ============================================
+
+function ensureFeedbackCommentModal() {
+  let modal = document.getElementById('feedbackCommentModal');
+  if (modal) return modal;
+
+  modal = document.createElement('div');
+  modal.id = 'feedbackCommentModal';
+  modal.className = 'hidden fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[70]';
+  modal.innerHTML = `
+    <div class="bg-white rounded-2xl max-w-xl w-full mx-4 max-h-[90vh] overflow-y-auto" role="dialog" aria-label="Comment library">
+      <div class="p-6 border-b border-gray-100 flex items-center justify-between">
+        <div>
+          <h3 class="text-xl font-bold text-gray-800">Comment Library</h3>
+          <p class="text-sm text-gray-500">Comments you give often, ready to insert when reviewing</p>
+        </div>
+        <button type="button" data-feedback-comment-close class="p-2 text-gray-500 hover:text-gray-700 rounded-lg hover:bg-gray-100" aria-label="Close">
+          <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
+          </svg>
+        </button>
+      </div>
+      <div class="p-6 space-y-4">
+        <div class="space-y-2">
+          <textarea id="feedbackCommentBody" rows="2" maxlength="${FEEDBACK_COMMENT_MAX_LENGTH}" class="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-brand/20 focus:border-brand resize-none text-sm" placeholder="e.g. Show your solution."></textarea>
+          <div class="flex flex-col sm:flex-row gap-2">
+            <select id="feedbackCommentShare" class="flex-1 px-3 py-2 border border-gray-200 rounded-xl text-sm bg-white"></select>
+            <div class="flex gap-2">
+              <button type="button" data-feedback-comment-cancel class="hidden px-4 py-2 border border-gray-200 rounded-xl text-sm font-medium text-gray-700 bg-white hover:bg-gray-50">Cancel</button>
+              <button type="button" data-feedback-comment-submit class="px-4 py-2 bg-brand text-white rounded-xl text-sm font-medium hover:bg-brand-dark">Add Comment</button>
+            </div>
+          </div>
+        </div>
+        <div id="feedbackCommentList" class="divide-y divide-gray-100"></div>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+
+  modal.addEventListener('click', handleFeedbackCommentModalClick);
+  modal.addEventListener('keydown', event => {
+    if (event.key === 'Escape') {
+      event.stopPropagation();
+      closeFeedbackCommentLibrary();
+    }
+  });
+
+  return modal;
+}
+
+function renderFeedbackCommentShareOptions(selectedId = '') {
+  const select = document.getElementById('feedbackCommentShare');
+  const { gradeLevels } = feedbackCommentLibrary;
+
+  select.innerHTML = `
+    <option value="">Only me</option>
+    ${gradeLevels.map(level => `<option value="${escapeHtml(level.id)}">Share with ${escapeHtml(level.name)} teachers</option>`).join('')}
+  `;
+  select.value = selectedId && gradeLevels.some(level => level.id === selectedId) ? selectedId : '';
+  select.disabled = gradeLevels.length === 0;
+  select.title = gradeLevels.length === 0 ? 'Comments can be shared with the grade levels of your sections' : '';
+}
+
+function renderFeedbackCommentLibrary() {
+  const list = document.getElementById('feedbackCommentList');
+  const { comments } = feedbackCommentLibrary;
+
+  if (comments.length === 0) {
+    list.innerHTML = '<p class="py-6 text-center text-sm text-gray-500">No saved comments yet. Add one above, or press Save next to a comment box.</p>';
+    return;
+  }
+
+  list.innerHTML = comments.map(comment => {
+    const isOwn = comment.teacher_id === feedbackCommentLibrary.userId;
+    const sharing = comment.shared_grade_level_id
+      ? `${isOwn ? 'Shared with' : 'Shared by another teacher ·'} ${escapeHtml(comment.grade_levels?.name || 'a grade level')}`
+      : 'Only you';
+
+    return `
+      <div class="py-3 flex items-start justify-between gap-3">
+        <div class="min-w-0">
+          <p class="text-sm text-gray-800 whitespace-pre-line break-words">${escapeHtml(comment.body)}</p>
+          <p class="text-xs text-gray-400 mt-1">Used ${comment.usage_count || 0} time${comment.usage_count === 1 ? '' : 's'} · ${sharing}</p>
+        </div>
+        ${isOwn ? `
+          <div class="flex gap-1 shrink-0">
+            <button type="button" data-feedback-comment-edit="${escapeHtml(comment.id)}" class="px-2 py-1 text-xs text-gray-600 hover:text-brand rounded">Edit</button>
+            <button type="button" data-feedback-comment-delete="${escapeHtml(comment.id)}" class="px-2 py-1 text-xs text-red-600 hover:text-red-700 rounded">Delete</button>
+          </div>
+        ` : ''}
+      </div>
+    `;
+  }).join('');
+}
+
+function setFeedbackCommentEditing(comment = null) {
+  const modal = ensureFeedbackCommentModal();
+  feedbackCommentLibrary.editingId = comment?.id || null;
+
+  document.getElementById('feedbackCommentBody').value = comment?.body || '';
+  renderFeedbackCommentShareOptions(comment?.shared_grade_level_id || '');
+  modal.querySelector('[data-feedback-comment-submit]').textContent = comment ? 'Save Changes' : 'Add Comment';
+  modal.querySelector('[data-feedback-comment-cancel]').classList.toggle('hidden', !comment);
+}
+
+function openFeedbackCommentLibrary() {
+  const modal = ensureFeedbackCommentModal();
+  setFeedbackCommentEditing(null);
+  renderFeedbackCommentLibrary();
+  modal.classList.remove('hidden');
+  document.getElementById('feedbackCommentBody').focus();
+}
+
+function closeFeedbackCommentLibrary() {
+  document.getElementById('feedbackCommentModal')?.classList.add('hidden');
+}
+
+async function submitFeedbackCommentForm() {
+  const result = await saveFeedbackComment({
+    id: feedbackCommentLibrary.editingId,
+    body: document.getElementById('feedbackCommentBody').value,
+    shared_grade_level_id: document.getElementById('feedbackCommentShare').value
+  });
+
+  if (!result.success) {
+    showToast(result.error, 'error');
+    return;
+  }
+
+  const { comments } = feedbackCommentLibrary;
+  const index = comments.findIndex(comment => comment.id === result.comment.id);
+  if (index >= 0) comments[index] = result.comment;
+  else comments.push(result.comment);
+  sortFeedbackComments();
+
+  setFeedbackCommentEditing(null);
+  refreshFeedbackCommentPickers();
+}
+
+async function removeFeedbackComment(commentId) {
+  if (!confirm('Delete this comment from your library?')) return;
+
+  const result = await deleteFeedbackComment(commentId);
+  if (!result.success) {
+    showToast(result.error, 'error');
+    return;
+  }
+
+  feedbackCommentLibrary.comments = feedbackCommentLibrary.comments.filter(comment => comment.id !== commentId);
+  if (feedbackCommentLibrary.editingId === commentId) setFeedbackCommentEditing(null);
+  refreshFeedbackCommentPickers();
+}
+
+function handleFeedbackCommentModalClick(event) {
+  const modal = document.getElementById('feedbackCommentModal');
+  const target = event.target.closest('button');
+
+  if (event.target === modal || target?.hasAttribute('data-feedback-comment-close')) {
+    closeFeedbackCommentLibrary();
+  } else if (target?.hasAttribute('data-feedback-comment-submit')) {
+    submitFeedbackCommentForm();
+  } else if (target?.hasAttribute('data-feedback-comment-cancel')) {
+    setFeedbackCommentEditing(null);
+  } else if (target?.dataset.feedbackCommentEdit) {
+    setFeedbackCommentEditing(feedbackCommentLibrary.comments.find(comment => comment.id === target.dataset.feedbackCommentEdit));
+    document.getElementById('feedbackCommentBody').focus();
+  } else if (target?.dataset.feedbackCommentDelete) {
+    removeFeedbackComment(target.dataset.feedbackCommentDelete);
+  }
+}
+
+document.addEventListener('change', event => {
+  const select = event.target.closest?.('[data-feedback-comment-insert]');
+  if (!select || select.value === '') return;
+
+  insertFeedbackComment(select.dataset.feedbackCommentInsert, Number(select.value));
+  select.value = '';
+});
+
+document.addEventListener('click', event => {
+  const saveButton = event.target.closest?.('[data-feedback-comment-save]');
+  if (saveButton) {
+    saveFeedbackCommentFromField(saveButton.dataset.feedbackCommentSave);
+  } else if (event.target.closest?.('[data-feedback-comment-manage]')) {
+    openFeedbackCommentLibrary();
+  }
+});
@@ -0,0 +1,325 @@
+/*
+  File: gradebook.js
+  Purpose:
+  - Weighted gradebook with the DepEd components: Written Work, Performance
+    Tasks and Quarterly Assessment
+  - Grading subjects and their component weights, computing and loading the
+    stored quarterly and final grades of a section
+
+  Dependencies:
+  - supabase.js - for Supabase client connection
+
+  Notes:
+  - Grades are computed in the database (compute_quarterly_grades,
+    migration_v29_gradebook.sql) and stored in quarterly_grades and
+    final_grades; pages only read them. Reviewing a student's work updates
+    their stored grade for a quarter that has been computed.
+  - Every quiz belongs to a subject (quizzes.grading_subject) and a component
+    (quizzes.grading_component). Its total_items is the highest possible score.
+  - A component without items in a quarter is left out and the other weights
+    are scaled up to 100.
+  - School form exports (the E-Class Record and the SF9 style report card)
+    are built from the stored grades; get_class_record adds the item scores
+    behind them (migration_v30_school_form_exports.sql).
+*/
+
+// ============================================
+// SETTINGS
+// ============================================
+
+const GRADING_COMPONENTS = {
+  written_work: 'Written Work',
+  performance_task: 'Performance Tasks',
+  quarterly_assessment: 'Quarterly Assessment'
+};
+
+const GRADING_COMPONENT_ABBREVIATIONS = {
+  written_work: 'WW',
+  performance_task: 'PT',
+  quarterly_assessment: 'QA'
+};
+
+// grading_subjects column holding each component's weight
+const GRADING_COMPONENT_WEIGHT_FIELDS = {
+  written_work: 'written_work_weight',
+  performance_task: 'performance_task_weight',
+  quarterly_assessment: 'quarterly_assessment_weight'
+};
+
+const DEFAULT_GRADING_SUBJECT = 'mathematics';
+
+const GRADING_SUBJECT_FIELDS = 'code, name, written_work_weight, performance_task_weight, quarterly_assessment_weight';
+
+// Report card descriptors, highest first (DepEd Order No. 8, s. 2015). Whether a
+// grade passes is the school's passing grade (passingThresholds.js).
+const GRADE_DESCRIPTORS = [
+  { min: 90, label: 'Outstanding', range: '90-100' },
+  { min: 85, label: 'Very Satisfactory', range: '85-89' },
+  { min: 80, label: 'Satisfactory', range: '80-84' },
+  { min: 75, label: 'Fairly Satisfactory', range: '75-79' },
+  { min: 0, label: 'Did Not Meet Expectations', range: 'Below 75' }
+];
+
+// ============================================
+// COMPONENTS AND WEIGHTS
+// ============================================
+
+/*
+  Function Name: getDefaultGradingComponent
+  Purpose: Component a new quiz starts in; assignments and rubric-graded work are performance tasks
+*/
+function getDefaultGradingComponent(quizMode, hasRubric = false) {
+  return quizMode === 'assignment' || hasRubric ? 'performance_task' : 'written_work';
+}
+
+function getGradingSubjectWeights(subject) {
+  return Object.fromEntries(
+    Object.entries(GRADING_COMPONENT_WEIGHT_FIELDS).map(([component, field]) => [component, Number(subject?.[field]) || 0])
+  );
+}
+
+/*
+  Function Name: validateGradingWeights
+  Purpose:
+  - Checks the component weights of a subject before saving
+  - Returns an error message, or null when the weights are valid
+*/
+function validateGradingWeights(weights) {
+  let total = 0;
+
+  for (const [component, label] of Object.entries(GRADING_COMPONENTS)) {
+    const weight = Number(weights[component]);
+    if (!Number.isInteger(weight) || weight < 0 || weight > 100) {
+      return `${label}: enter a whole number from 0 to 100`;
+    }
+    total += weight;
+  }
+
+  return total === 100 ? null : `The weights add up to ${total}%; they must add up to 100%`;
+}
+
+// ============================================
+// GRADING SUBJECTS
+// ============================================
+
+/*
+  Function Name: getGradingSubjects
+  Purpose:
+  - Loads the grading subjects with their component weights, by name
+
+  Who can use it:
+  - Any signed-in user
+*/
+async function getGradingSubjects() {
+  try {
+    const { data, error } = await getSupabase()
+      .from('grading_subjects')
+      .select(GRADING_SUBJECT_FIELDS)
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+    return { success: true, subjects: data || [] };
+  } catch (error) {
+    console.error('Error loading grading subjects:', error);
+    return { success: false, error: error.message, subjects: [] };
+  }
+}
+
+/*
+  Function Name: saveGradingSubjectWeights
+  Purpose:
+  - Updates the component weights of a subject
+  - Stored grades keep the old weights until the quarter is computed again
+
+  Who can use it:
+  - Admin
+
+  Error handling:
+  - Validates the weights first; returns { success: false, error }
+*/
+async function saveGradingSubjectWeights(code, weights) {
+  try {
+    const validationError = validateGradingWeights(weights);
+    if (validationError) throw new Error(validationError);
+
+    const row = Object.fromEntries(
+      Object.entries(GRADING_COMPONENT_WEIGHT_FIELDS).map(([component, field]) => [field, Number(weights[component])])
+    );
+
+    const { data, error } = await getSupabase()
+      .from('grading_subjects')
+      .update(row)
+      .eq('code', code)
+      .select(GRADING_SUBJECT_FIELDS)
+      .single();
+
+    if (error) throw error;
+    return { success: true, subject: data };
+  } catch (error) {
+    console.error('Error saving grading subject weights:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// ============================================
+// GRADES
+// ============================================
+
+/*
+  Function Name: computeQuarterlyGrades
+  Purpose:
+  - Computes and stores the quarterly grades of a section for a subject and
+    quarter, and the final grades of students who have all four quarters
+  - Returns the section's quarterly grades for that quarter
+
+  Who can use it:
+  - The section's teacher, Admin
+*/
+async function computeQuarterlyGrades(sectionId, subject, quarter) {
+  try {
+    const { data, error } = await getSupabase().rpc('compute_quarterly_grades', {
+      p_section_id: sectionId,
+      p_subject: subject,
+      p_quarter: Number(quarter)
+    });
+
+    if (error) throw error;
+    return { success: true, grades: data || [] };
+  } catch (error) {
+    console.error('Error computing quarterly grades:', error);
+    return { success: false, error: error.message, grades: [] };
+  }
+}
+
+/*
+  Function Name: getSectionGrades
+  Purpose:
+  - Loads the stored quarterly grades (all quarters) and final grades of a
+    section for a subject, or for every subject when subject is null
+
+  Who can use it:
+  - The section's teacher, Admin
+*/
+async function getSectionGrades(sectionId, subject = null) {
+  try {
+    const supabase = getSupabase();
+    let quarterlyQuery = supabase
+      .from('quarterly_grades')
+      .select('student_id, subject, quarter, components, initial_grade, quarterly_grade, computed_at')
+      .eq('section_id', sectionId);
+    let finalQuery = supabase
+      .from('final_grades')
+      .select('student_id, subject, final_grade, remarks, computed_at')
+      .eq('section_id', sectionId);
+
+    if (subject) {
+      quarterlyQuery = quarterlyQuery.eq('subject', subject);
+      finalQuery = finalQuery.eq('subject', subject);
+    }
+
+    const [quarterlyResult, finalResult] = await Promise.all([quarterlyQuery, finalQuery]);
+
+    if (quarterlyResult.error) throw quarterlyResult.error;
+    if (finalResult.error) throw finalResult.error;
+    return { success: true, quarterlyGrades: quarterlyResult.data || [], finalGrades: finalResult.data || [] };
+  } catch (error) {
+    console.error('Error loading section grades:', error);
+    return { success: false, error: error.message, quarterlyGrades: [], finalGrades: [] };
+  }
+}
+
+/*
+  Function Name: buildGradebookRows
+  Purpose:
+  - One row per student with their grade for each quarter and their final grade
+  - quarters[n] is the stored quarterly_grades row of quarter n, or null
+*/
+function buildGradebookRows(students, quarterlyGrades, finalGrades) {
+  return students.map(student => {
+    const quarters = { 1: null, 2: null, 3: null, 4: null };
+    quarterlyGrades
+      .filter(grade => grade.student_id === student.id)
+      .forEach(grade => { quarters[grade.quarter] = grade; });
+
+    return {
+      id: student.id,
+      name: student.full_name,
+      email: student.email,
+      quarters,
+      final: finalGrades.find(grade => grade.student_id === student.id) || null
+    };
+  });
+}
+
+// ============================================
+// SCHOOL FORMS
+// ============================================
+
+/*
+  Function Name: getClassRecord
+  Purpose:
+  - Loads every item of a section's subject and quarter with each student's
+    score (null when they have no approved attempt), oldest item first
+
+  Who can use it:
+  - The section's teacher, Admin
+*/
+async function getClassRecord(sectionId, subject, quarter) {
+  try {
+    const { data, error } = await getSupabase().rpc('get_class_record', {
+      p_section_id: sectionId,
+      p_subject: subject,
+      p_quarter: Number(quarter)
+    });
+
+    if (error) throw error;
+    return { success: true, scores: data || [] };
+  } catch (error) {
+    console.error('Error loading class record:', error);
+    return { success: false, error: error.message, scores: [] };
+  }
+}
+
+/*
+  Function Name: groupClassRecordItems
+  Purpose:
+  - Splits get_class_record rows into the items of each component, in order
+  - Returns { written_work: [{ quizId, title, highest, scores: Map(studentId => score) }], ... }
+*/
+function groupClassRecordItems(scores) {
+  const components = Object.fromEntries(Object.keys(GRADING_COMPONENTS).map(component => [component, []]));
+  const items = new Map();
+
+  scores.forEach(row => {
+    if (!items.has(row.quiz_id)) {
+      const item = { quizId: row.quiz_id, title: row.quiz_title, highest: Number(row.highest), scores: new Map() };
+      items.set(row.quiz_id, item);
+      components[row.grading_component]?.push(item);
+    }
+    items.get(row.quiz_id).scores.set(row.student_id, row.score === null ? null : Number(row.score));
+  });
+
+  return components;
+}
+
+function getGradeDescriptor(grade) {
+  if (grade === null || grade === undefined) return null;
+  return GRADE_DESCRIPTORS.find(descriptor => Number(grade) >= descriptor.min) || null;
+}
+
+/*
+  Function Name: getGeneralAverage
+  Purpose:
+  - Average of a student's final grades, rounded to a whole number
+  - null until every learning area has a final grade
+*/
+function getGeneralAverage(finalGrades) {
+  if (!finalGrades.length || finalGrades.some(grade => grade === null || grade === undefined)) return null;
+  return Math.round(finalGrades.reduce((sum, grade) => sum + Number(grade), 0) / finalGrades.length);
+}
+
+// School years start in June: "2026-2027" from June 2026 to May 2027
+function getSchoolYearLabel(date = new Date()) {
+  const startYear = date.getMonth() >= 5 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${startYear}-${startYear + 1}`;
+}
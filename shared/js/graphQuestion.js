@@ -0,0 +1,653 @@
+/*
+  File: graphQuestion.js
+  Purpose:
+  - Coordinate grid questions: plot points, graph a line, move a shape
+  - SVG grid component ("graph-grid") registered with ComponentManager and
+    used by the quiz player
+  - Grid settings and answer key helpers for the question editor, the
+    submission review and paper quizzes
+
+  Dependencies:
+  - components.js - for window.componentManager (registerComponent)
+  - utils.js - for escapeHtml
+  - quizEngine.js - for escapeQuizAttribute (player only)
+
+  Notes:
+  - Answers are lists of [x, y] points. The player keeps them as JSON text in
+    a hidden input, so collectQuizAnswers and autosave treat them like any
+    other answer.
+  - Points snap to the grid step. Answers are graded in the database
+    (is_graph_response_correct, migration_v22_graph_questions.sql): plotted
+    points and shape corners must match the key within the tolerance, and a
+    graphed line must pass through both key points.
+  - The grid is drawn locally as SVG; no charting library is loaded.
+*/
+
+// ============================================
+// GRID SETTINGS
+// ============================================
+
+const DEFAULT_GRAPH_SETTINGS = {
+  x_min: -5,
+  x_max: 5,
+  y_min: -5,
+  y_max: 5,
+  step: 1
+};
+
+// Largest grid the player can show legibly on a phone
+const GRAPH_MAX_RANGE = 40;
+const GRAPH_MAX_SNAP_POSITIONS = 80;
+
+const GRAPH_SVG_WIDTH = 320;
+const GRAPH_SVG_MARGIN = 22;
+
+// Tap distance (in pixels of the drawing) that picks up an existing point
+const GRAPH_HIT_RADIUS = 12;
+
+const GRAPH_COLORS = {
+  response: '#2563eb',
+  answer: '#16a34a',
+  start: '#9ca3af'
+};
+
+const GRAPH_INSTRUCTIONS = {
+  plot_points: 'Tap the grid to plot a point. Tap a point again to remove it.',
+  graph_line: 'Place two points; the line goes through them. Drag a point to move the line.',
+  drag_shape: 'Drag the shape to move it, or drag a corner to move just that corner.'
+};
+
+let graphSvgCount = 0;
+
+/*
+  Function Name: createEmptyGraphSettings
+  Purpose: Returns the grid settings of a new graph question in the editor
+*/
+function createEmptyGraphSettings() {
+  return { ...DEFAULT_GRAPH_SETTINGS, shape: '' };
+}
+
+/*
+  Function Name: getGraphSettings
+  Purpose: Returns grid settings as numbers, with defaults for anything missing
+*/
+function getGraphSettings(settings) {
+  const value = settings || {};
+  const read = (key) => {
+    const number = Number(value[key]);
+    return value[key] === '' || value[key] === null || value[key] === undefined || !Number.isFinite(number)
+      ? DEFAULT_GRAPH_SETTINGS[key]
+      : number;
+  };
+
+  return {
+    x_min: read('x_min'),
+    x_max: read('x_max'),
+    y_min: read('y_min'),
+    y_max: read('y_max'),
+    step: read('step') > 0 ? read('step') : DEFAULT_GRAPH_SETTINGS.step,
+    shape: parseGraphPoints(value.shape) || []
+  };
+}
+
+/*
+  Function Name: parseGraphPoints
+  Purpose:
+  - Reads a point list from an array ([[1, 2], [3, 4]]), JSON text or
+    typed text such as "(1, 2), (3, 4)"
+  - Returns [[x, y], ...], an empty array for empty text, or null when the
+    text is not a list of points
+*/
+function parseGraphPoints(value) {
+  if (Array.isArray(value)) {
+    const points = value.map(point => Array.isArray(point) && point.length === 2 ? point.map(Number) : null);
+    return points.every(point => point && point.every(Number.isFinite)) ? points : null;
+  }
+
+  const text = String(value ?? '').trim();
+  if (!text) return [];
+
+  if (text.startsWith('[')) {
+    try {
+      return parseGraphPoints(JSON.parse(text));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  const pointPattern = /\(\s*([-+]?(?:\d+\.?\d*|\.\d+))\s*,\s*([-+]?(?:\d+\.?\d*|\.\d+))\s*\)/g;
+  const points = [...text.matchAll(pointPattern)].map(match => [Number(match[1]), Number(match[2])]);
+
+  // Only separators may be left between the points
+  return points.length > 0 && /^[\s,;]*$/.test(text.replace(pointPattern, '')) ? points : null;
+}
+
+/*
+  Function Name: formatGraphPoints
+  Purpose: Writes points as "(1, 2), (3, 4)"
+*/
+function formatGraphPoints(points) {
+  return (points || []).map(([x, y]) => `(${x}, ${y})`).join(', ');
+}
+
+/*
+  Function Name: formatGraphAnswer
+  Purpose: Describes a graph answer or response for answer keys and the review
+*/
+function formatGraphAnswer(questionType, value) {
+  const points = parseGraphPoints(value);
+  if (!points || points.length === 0) return 'No answer';
+  if (questionType === 'graph_line') return `Line through ${formatGraphPoints(points)}`;
+  return formatGraphPoints(points);
+}
+
+/*
+  Function Name: isGraphPointInside
+  Purpose: Returns true when a point lies on the grid
+*/
+function isGraphPointInside(point, settings) {
+  return point[0] >= settings.x_min && point[0] <= settings.x_max &&
+    point[1] >= settings.y_min && point[1] <= settings.y_max;
+}
+
+/*
+  Function Name: validateGraphQuestion
+  Purpose:
+  - Checks the grid and answer key of a graph question from the editor
+  - Returns an error message, or null when the question is valid
+*/
+function validateGraphQuestion(question, label) {
+  const raw = question.graph_settings || {};
+  const values = ['x_min', 'x_max', 'y_min', 'y_max', 'step'].map(key => raw[key]);
+
+  if ((question.parameters || []).length > 0) {
+    return `${label}: graph questions cannot use variables`;
+  }
+
+  if (values.some(value => value === '' || value === null || value === undefined || !Number.isFinite(Number(value)))) {
+    return `${label}: fill in the grid range and step`;
+  }
+
+  const settings = getGraphSettings(raw);
+  const xRange = settings.x_max - settings.x_min;
+  const yRange = settings.y_max - settings.y_min;
+
+  if (xRange <= 0 || yRange <= 0) {
+    return `${label}: each grid "to" value must be larger than its "from" value`;
+  }
+  if (xRange > GRAPH_MAX_RANGE || yRange > GRAPH_MAX_RANGE) {
+    return `${label}: the grid can span at most ${GRAPH_MAX_RANGE} units in each direction`;
+  }
+  if (Number(raw.step) <= 0 || Math.max(xRange, yRange) / settings.step > GRAPH_MAX_SNAP_POSITIONS) {
+    return `${label}: the step must be larger than 0 and no smaller than 1/${GRAPH_MAX_SNAP_POSITIONS} of the grid`;
+  }
+
+  if (!Number.isFinite(Number(question.tolerance)) || Number(question.tolerance) < 0) {
+    return `${label}: tolerance cannot be negative`;
+  }
+
+  const answer = parseGraphPoints(question.correct_answer);
+  if (!answer || answer.length === 0) {
+    return `${label}: write the answer as points, for example (1, 2), (3, 4)`;
+  }
+
+  if (question.question_type === 'graph_line') {
+    const [first, second] = answer;
+    if (answer.length !== 2 || (first[0] === second[0] && first[1] === second[1])) {
+      return `${label}: give two different points on the line`;
+    }
+  }
+
+  if (question.question_type === 'drag_shape') {
+    const shape = parseGraphPoints(raw.shape);
+    if (!shape || shape.length < 3) {
+      return `${label}: the starting shape needs at least three corners`;
+    }
+    if (shape.length !== answer.length) {
+      return `${label}: the starting shape and the target need the same number of corners`;
+    }
+    if (!shape.every(point => isGraphPointInside(point, settings))) {
+      return `${label}: the starting shape must fit on the grid`;
+    }
+  }
+
+  if (!answer.every(point => isGraphPointInside(point, settings))) {
+    return `${label}: every answer point must be on the grid`;
+  }
+
+  return null;
+}
+
+/*
+  Function Name: buildGraphQuestionFields
+  Purpose: Returns the correct_answer, tolerance and graph_settings of a quiz_questions row
+*/
+function buildGraphQuestionFields(question) {
+  const settings = getGraphSettings(question.graph_settings);
+  const graphSettings = {
+    x_min: settings.x_min,
+    x_max: settings.x_max,
+    y_min: settings.y_min,
+    y_max: settings.y_max,
+    step: settings.step
+  };
+
+  if (question.question_type === 'drag_shape') {
+    graphSettings.shape = settings.shape;
+  }
+
+  return {
+    correct_answer: parseGraphPoints(question.correct_answer) || [],
+    tolerance: Number(question.tolerance) || 0,
+    graph_settings: graphSettings
+  };
+}
+
+// ============================================
+// DRAWING
+// ============================================
+
+/*
+  Function Name: getGraphGridUnit
+  Purpose: Spacing of the drawn grid lines, so a grid never has more than 20 of them
+*/
+function getGraphGridUnit(range) {
+  return [1, 2, 5, 10].find(unit => range / unit <= 20) || 10;
+}
+
+/*
+  Function Name: getGraphScale
+  Purpose:
+  - Maps grid units to drawing pixels (both axes use the same unit size, so
+    shapes keep their proportions)
+  - Returns { unit, width, height, toPixels(point), toGraph(px, py) }
+*/
+function getGraphScale(settings) {
+  const xRange = settings.x_max - settings.x_min;
+  const yRange = settings.y_max - settings.y_min;
+  const unit = (GRAPH_SVG_WIDTH - GRAPH_SVG_MARGIN * 2) / Math.max(xRange, yRange);
+
+  return {
+    unit,
+    width: xRange * unit + GRAPH_SVG_MARGIN * 2,
+    height: yRange * unit + GRAPH_SVG_MARGIN * 2,
+    toPixels: ([x, y]) => [
+      GRAPH_SVG_MARGIN + (x - settings.x_min) * unit,
+      GRAPH_SVG_MARGIN + (settings.y_max - y) * unit
+    ],
+    toGraph: (px, py) => [
+      settings.x_min + (px - GRAPH_SVG_MARGIN) / unit,
+      settings.y_max - (py - GRAPH_SVG_MARGIN) / unit
+    ]
+  };
+}
+
+/*
+  Function Name: snapGraphPoint
+  Purpose: Rounds a point to the grid step and keeps it on the grid
+*/
+function snapGraphPoint(point, settings) {
+  const snap = (value, min, max) => {
+    const snapped = Math.round(value / settings.step) * settings.step;
+    return Math.round(Math.min(Math.max(snapped, min), max) * 1e6) / 1e6;
+  };
+  return [snap(point[0], settings.x_min, settings.x_max), snap(point[1], settings.y_min, settings.y_max)];
+}
+
+/*
+  Function Name: renderGraphLayers
+  Purpose:
+  - Returns the SVG of the drawn answers
+  - layers: [{ kind: 'points' | 'line' | 'polygon', points, color, dashed }],
+    or { kind: 'curve', segments: [[point, ...], ...], color } for plotted functions
+*/
+function renderGraphLayers(settings, layers) {
+  const scale = getGraphScale(settings);
+
+  return layers.map(layer => {
+    if (layer.kind === 'curve') {
+      return (layer.segments || []).filter(segment => segment.length > 1).map(segment => `
+        <polyline points="${segment.map(point => scale.toPixels(point).join(',')).join(' ')}" fill="none" stroke="${layer.color}" stroke-width="2.5" stroke-linejoin="round"></polyline>
+      `).join('');
+    }
+
+    const pixels = (layer.points || []).map(scale.toPixels);
+    const dash = layer.dashed ? 'stroke-dasharray="6 4"' : '';
+    const dots = pixels.map(([px, py]) => `<circle cx="${px}" cy="${py}" r="${layer.dashed ? 4 : 6}" fill="${layer.dashed ? 'white' : layer.color}" stroke="${layer.color}" stroke-width="2"></circle>`).join('');
+
+    if (layer.kind === 'line' && pixels.length === 2) {
+      // Extend the line far past both points; the clip path trims it to the grid
+      const [[x1, y1], [x2, y2]] = pixels;
+      const length = Math.hypot(x2 - x1, y2 - y1) || 1;
+      const dx = (x2 - x1) / length * GRAPH_SVG_WIDTH * 2;
+      const dy = (y2 - y1) / length * GRAPH_SVG_WIDTH * 2;
+      return `<line x1="${x1 - dx}" y1="${y1 - dy}" x2="${x2 + dx}" y2="${y2 + dy}" stroke="${layer.color}" stroke-width="2.5" ${dash}></line>${dots}`;
+    }
+
+    if (layer.kind === 'polygon' && pixels.length > 1) {
+      return `<polygon points="${pixels.map(pixel => pixel.join(',')).join(' ')}" fill="${layer.color}" fill-opacity="${layer.dashed ? 0.05 : 0.2}" stroke="${layer.color}" stroke-width="2" ${dash}></polygon>${dots}`;
+    }
+
+    return dots;
+  }).join('');
+}
+
+/*
+  Function Name: renderGraphSvg
+  Purpose:
+  - Returns the SVG of a coordinate grid with axes, numbers and the given layers
+  - The layers sit in a [data-graph-layers] group so the player can redraw
+    them without replacing the grid
+*/
+function renderGraphSvg(settings, layers = [], label = 'Coordinate grid') {
+  const grid = getGraphSettings(settings);
+  const scale = getGraphScale(grid);
+  const clipId = `graphClip${++graphSvgCount}`;
+  const [left, top] = scale.toPixels([grid.x_min, grid.y_max]);
+  const [right, bottom] = scale.toPixels([grid.x_max, grid.y_min]);
+  const [originX, originY] = scale.toPixels([
+    Math.min(Math.max(0, grid.x_min), grid.x_max),
+    Math.min(Math.max(0, grid.y_min), grid.y_max)
+  ]);
+  const parts = [];
+
+  const xUnit = getGraphGridUnit(grid.x_max - grid.x_min);
+  for (let x = Math.ceil(grid.x_min / xUnit) * xUnit; x <= grid.x_max; x += xUnit) {
+    const [px] = scale.toPixels([x, 0]);
+    parts.push(`<line x1="${px}" y1="${top}" x2="${px}" y2="${bottom}" stroke="${x === 0 ? '#374151' : '#e5e7eb'}" stroke-width="${x === 0 ? 1.5 : 1}"></line>`);
+    if (x !== 0) parts.push(`<text x="${px}" y="${Math.min(originY + 14, bottom + 14)}" font-size="10" text-anchor="middle" fill="#6b7280">${x}</text>`);
+  }
+
+  const yUnit = getGraphGridUnit(grid.y_max - grid.y_min);
+  for (let y = Math.ceil(grid.y_min / yUnit) * yUnit; y <= grid.y_max; y += yUnit) {
+    const [, py] = scale.toPixels([0, y]);
+    parts.push(`<line x1="${left}" y1="${py}" x2="${right}" y2="${py}" stroke="${y === 0 ? '#374151' : '#e5e7eb'}" stroke-width="${y === 0 ? 1.5 : 1}"></line>`);
+    if (y !== 0) parts.push(`<text x="${Math.max(originX - 5, left - 5)}" y="${py + 3}" font-size="10" text-anchor="end" fill="#6b7280">${y}</text>`);
+  }
+
+  return `
+    <svg viewBox="0 0 ${scale.width} ${scale.height}" class="w-full h-auto bg-white border border-gray-200 rounded-xl touch-none select-none"
+      role="img" aria-label="${escapeHtml(label)}">
+      <defs><clipPath id="${clipId}"><rect x="${left}" y="${top}" width="${right - left}" height="${bottom - top}"></rect></clipPath></defs>
+      ${parts.join('')}
+      <g data-graph-layers clip-path="url(#${clipId})">${renderGraphLayers(grid, layers)}</g>
+    </svg>
+  `;
+}
+
+/*
+  Function Name: getGraphResponseLayers
+  Purpose: Returns the layers that draw a set of points for a question type
+*/
+function getGraphResponseLayers(questionType, points, color = GRAPH_COLORS.response, dashed = false) {
+  if (!points || points.length === 0) return [];
+  if (questionType === 'graph_line') {
+    return [{ kind: points.length === 2 ? 'line' : 'points', points, color, dashed }];
+  }
+  if (questionType === 'drag_shape') {
+    return [{ kind: 'polygon', points, color, dashed }];
+  }
+  return [{ kind: 'points', points, color, dashed }];
+}
+
+/*
+  Function Name: renderGraphReview
+  Purpose: Returns a read-only grid with the student's answer (blue) and the answer key (green, dashed)
+*/
+function renderGraphReview(question, response) {
+  return `
+    <div class="max-w-xs my-2">
+      ${renderGraphSvg(question.graph_settings, [
+        ...getGraphResponseLayers(question.question_type, parseGraphPoints(question.correct_answer), GRAPH_COLORS.answer, true),
+        ...getGraphResponseLayers(question.question_type, parseGraphPoints(response))
+      ], 'Student answer and answer key')}
+      <p class="text-xs text-gray-500 mt-1">
+        <span style="color: ${GRAPH_COLORS.response}">●</span> Student answer
+        <span class="ml-3" style="color: ${GRAPH_COLORS.answer}">○</span> Answer key
+      </p>
+    </div>
+  `;
+}
+
+// ============================================
+// PLAYER COMPONENT
+// ============================================
+
+// Grid state of each rendered question: { type, settings, points, history, drag }
+const graphGridStates = new WeakMap();
+
+/*
+  Function Name: renderGraphQuestionInput
+  Purpose:
+  - Returns the answer area of a graph question for the quiz player
+  - The hidden input carries data-question-id, so collectQuizAnswers reads it
+*/
+function renderGraphQuestionInput(question, response, inputName) {
+  const settings = question.graph_settings || {};
+
+  return `
+    <div class="graph-question max-w-sm" data-component="graph-grid" data-graph-type="${question.question_type}"
+      data-graph-settings="${escapeQuizAttribute(JSON.stringify(settings))}">
+      <input type="hidden" name="${inputName}" data-question-id="${question.id}" value="${escapeQuizAttribute(response)}">
+      <div data-graph-canvas></div>
+      <div class="flex items-start justify-between gap-3 mt-2">
+        <p data-graph-status class="text-xs text-gray-500" aria-live="polite"></p>
+        <div class="flex shrink-0 gap-2">
+          <button type="button" data-component="graph-grid" data-action="undo"
+            class="px-3 py-1 text-xs font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200">Undo</button>
+          <button type="button" data-component="graph-grid" data-action="reset"
+            class="px-3 py-1 text-xs font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200">Start over</button>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+/*
+  Function Name: drawGraphGrid
+  Purpose: Redraws the student's points and updates the hidden answer and status text
+*/
+function drawGraphGrid(element, commit = false) {
+  const state = graphGridStates.get(element);
+  const layers = state.type === 'drag_shape' && state.moved
+    ? [{ kind: 'polygon', points: state.settings.shape, color: GRAPH_COLORS.start, dashed: true }, ...getGraphResponseLayers(state.type, state.points)]
+    : getGraphResponseLayers(state.type, state.points);
+
+  element.querySelector('[data-graph-layers]').innerHTML = renderGraphLayers(state.settings, layers);
+  element.querySelector('[data-graph-status]').textContent = state.points.length && (state.type !== 'drag_shape' || state.moved)
+    ? `Your answer: ${formatGraphPoints(state.points)}`
+    : GRAPH_INSTRUCTIONS[state.type];
+
+  if (!commit) return;
+
+  // A shape that was never moved counts as unanswered
+  const input = element.querySelector('input[type="hidden"]');
+  const answered = state.points.length > 0 && (state.type !== 'drag_shape' || state.moved);
+  input.value = answered ? JSON.stringify(state.points) : '';
+  input.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+/*
+  Function Name: rememberGraphGrid
+  Purpose: Saves the current points so Undo can go back to them
+*/
+function rememberGraphGrid(state, points = state.points) {
+  state.history.push({ points: points.map(point => [...point]), moved: state.moved });
+}
+
+/*
+  Function Name: getGraphEventPoint
+  Purpose: Converts a pointer position to grid units (not snapped)
+*/
+function getGraphEventPoint(svg, event, settings) {
+  const rect = svg.getBoundingClientRect();
+  const [, , width, height] = svg.getAttribute('viewBox').split(' ').map(Number);
+  const px = (event.clientX - rect.left) * width / (rect.width || width);
+  const py = (event.clientY - rect.top) * height / (rect.height || height);
+  return getGraphScale(settings).toGraph(px, py);
+}
+
+/*
+  Function Name: isGraphPointInPolygon
+  Purpose: Ray casting test used to start dragging a whole shape
+*/
+function isGraphPointInPolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > point[1]) !== (yj > point[1]) && point[0] < (xj - xi) * (point[1] - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/*
+  Function Name: handleGraphPointerDown
+  Purpose: Picks up a point or shape, or plots a new point
+*/
+function handleGraphPointerDown(element, event) {
+  const state = graphGridStates.get(element);
+  const svg = event.currentTarget;
+  const point = getGraphEventPoint(svg, event, state.settings);
+  const hitDistance = GRAPH_HIT_RADIUS / getGraphScale(state.settings).unit;
+  const hitIndex = state.points.findIndex(existing => Math.hypot(existing[0] - point[0], existing[1] - point[1]) <= hitDistance);
+
+  if (hitIndex !== -1) {
+    state.drag = { index: hitIndex, start: state.points.map(existing => [...existing]), moved: false };
+  } else if (state.type === 'drag_shape' && isGraphPointInPolygon(point, state.points)) {
+    state.drag = { origin: snapGraphPoint(point, state.settings), start: state.points.map(existing => [...existing]), moved: false };
+  } else if (state.type === 'plot_points' || (state.type === 'graph_line' && state.points.length < 2)) {
+    const snapped = snapGraphPoint(point, state.settings);
+    if (!state.points.some(existing => existing[0] === snapped[0] && existing[1] === snapped[1])) {
+      rememberGraphGrid(state);
+      state.points.push(snapped);
+      drawGraphGrid(element, true);
+    }
+    return;
+  } else {
+    return;
+  }
+
+  event.preventDefault();
+  svg.setPointerCapture?.(event.pointerId);
+}
+
+/*
+  Function Name: handleGraphPointerMove
+  Purpose: Moves the picked-up point, or the whole shape, along the grid
+*/
+function handleGraphPointerMove(element, event) {
+  const state = graphGridStates.get(element);
+  if (!state.drag) return;
+
+  const target = snapGraphPoint(getGraphEventPoint(event.currentTarget, event, state.settings), state.settings);
+  let next;
+
+  if (state.drag.index !== undefined) {
+    next = state.drag.start.map((point, index) => index === state.drag.index ? target : [...point]);
+  } else {
+    // Keep every corner on the grid while the shape moves
+    const xs = state.drag.start.map(point => point[0]);
+    const ys = state.drag.start.map(point => point[1]);
+    const dx = Math.min(Math.max(target[0] - state.drag.origin[0], state.settings.x_min - Math.min(...xs)), state.settings.x_max - Math.max(...xs));
+    const dy = Math.min(Math.max(target[1] - state.drag.origin[1], state.settings.y_min - Math.min(...ys)), state.settings.y_max - Math.max(...ys));
+    next = state.drag.start.map(([x, y]) => snapGraphPoint([x + dx, y + dy], state.settings));
+  }
+
+  if (JSON.stringify(next) === JSON.stringify(state.points)) return;
+  state.points = next;
+  state.drag.moved = true;
+  drawGraphGrid(element);
+}
+
+/*
+  Function Name: handleGraphPointerUp
+  Purpose: Finishes a drag; a tap on a plotted point removes it
+*/
+function handleGraphPointerUp(element) {
+  const state = graphGridStates.get(element);
+  const drag = state.drag;
+  if (!drag) return;
+  state.drag = null;
+
+  if (drag.moved) {
+    rememberGraphGrid(state, drag.start);
+    if (state.type === 'drag_shape') state.moved = true;
+    drawGraphGrid(element, true);
+  } else if (drag.index !== undefined && state.type !== 'drag_shape') {
+    rememberGraphGrid(state);
+    state.points.splice(drag.index, 1);
+    drawGraphGrid(element, true);
+  }
+}
+
+/*
+  Function Name: initGraphGrid
+  Purpose:
+  - Draws the grid of one graph question and binds its pointer events
+  - Called by ComponentManager.initializeComponents for [data-component="graph-grid"]
+*/
+function initGraphGrid(element) {
+  const type = element.dataset.graphType;
+  const settings = getGraphSettings(JSON.parse(element.dataset.graphSettings || '{}'));
+  const saved = parseGraphPoints(element.querySelector('input[type="hidden"]').value);
+  const hasSaved = Boolean(saved && saved.length);
+
+  graphGridStates.set(element, {
+    type,
+    settings,
+    points: hasSaved ? saved : (type === 'drag_shape' ? settings.shape.map(point => [...point]) : []),
+    moved: type === 'drag_shape' && hasSaved,
+    history: [],
+    drag: null
+  });
+
+  element.querySelector('[data-graph-canvas]').innerHTML = renderGraphSvg(settings, [], 'Answer grid');
+  const svg = element.querySelector('svg');
+  svg.addEventListener('pointerdown', event => handleGraphPointerDown(element, event));
+  svg.addEventListener('pointermove', event => handleGraphPointerMove(element, event));
+  svg.addEventListener('pointerup', () => handleGraphPointerUp(element));
+  svg.addEventListener('pointercancel', () => handleGraphPointerUp(element));
+
+  drawGraphGrid(element);
+}
+
+/*
+  Function Name: undoGraphGrid
+  Purpose: Goes back one step (Undo button)
+*/
+function undoGraphGrid(button) {
+  const element = button.closest('[data-graph-type]');
+  const state = graphGridStates.get(element);
+  const previous = state?.history.pop();
+  if (!previous) return;
+
+  state.points = previous.points;
+  state.moved = previous.moved;
+  drawGraphGrid(element, true);
+}
+
+/*
+  Function Name: resetGraphGrid
+  Purpose: Clears the points, or puts the shape back where it started (Start over button)
+*/
+function resetGraphGrid(button) {
+  const element = button.closest('[data-graph-type]');
+  const state = graphGridStates.get(element);
+  if (!state) return;
+
+  rememberGraphGrid(state);
+  state.points = state.type === 'drag_shape' ? state.settings.shape.map(point => [...point]) : [];
+  state.moved = false;
+  drawGraphGrid(element, true);
+}
+
+if (window.componentManager) {
+  window.componentManager.registerComponent('graph-grid', {
+    init: initGraphGrid,
+    undo: undoGraphGrid,
+    reset: resetGraphGrid
+  });
+}
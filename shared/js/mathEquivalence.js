@@ -0,0 +1,532 @@
+/*
+  File: mathEquivalence.js
+  Purpose:
+  - Checks whether two math answers are equivalent ("2x+4", "4+2x" and "2(x+2)")
+  - Accepts fractions and decimals for the same value (0.5 and 1/2)
+  - Optionally requires the answer to be in simplified form
+  - Checks practice questions stored in lessons.quiz_data
+
+  Dependencies:
+  - None (plain functions, no eval)
+
+  Notes:
+  - The same algorithm runs in the database for native quiz grading
+    (see database/migration_v14_math_answer_equivalence.sql). Keep the
+    tokenizer rules, sample values and simplification rules in sync.
+  - Expressions are compared numerically: both sides are evaluated at fixed
+    sample values of their variables and must agree at every sample.
+*/
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const MATH_FUNCTIONS = ['sqrt', 'abs', 'sin', 'cos', 'tan', 'log', 'ln'];
+
+const MATH_OPERATOR_PRECEDENCE = {
+  '+': 1,
+  '-': 1,
+  '*': 2,
+  '/': 2,
+  'neg': 3,
+  '^': 4
+};
+
+// Values substituted for variables when comparing expressions. Variable i at
+// sample j uses MATH_SAMPLE_VALUES[(j + i * 3) % 7] + i * 0.17.
+const MATH_SAMPLE_VALUES = [0.7, 1.3, 2.9, -1.1, 3.7, -2.3, 0.45];
+
+const MATH_MIN_VALID_SAMPLES = 3;
+
+// Relative tolerance that absorbs floating point noise on top of the teacher's tolerance
+const MATH_RELATIVE_EPSILON = 1e-9;
+
+// ============================================
+// PARSING
+// ============================================
+
+/*
+  Function Name: normalizeMathInput
+  Purpose:
+  - Lower-cases the answer and replaces typed symbols (−, ×, ÷, π, √, ²) with plain ones
+  - Drops a leading "x =" so "x = 5" can be compared with "5"
+*/
+function normalizeMathInput(text) {
+  let normalized = String(text ?? '')
+    .toLowerCase()
+    .replace(/[−–—]/g, '-')
+    .replace(/[×·∙⋅]/g, '*')
+    .replace(/÷/g, '/')
+    .replace(/π/g, 'pi')
+    .replace(/√/g, 'sqrt')
+    .replace(/²/g, '^2')
+    .replace(/³/g, '^3')
+    .replace(/[[{]/g, '(')
+    .replace(/[\]}]/g, ')')
+    .trim();
+
+  normalized = normalized.replace(/^[a-z]\s*=/, '').trim();
+  return normalized;
+}
+
+/*
+  Function Name: tokenizeMathExpression
+  Purpose:
+  - Splits an answer into numbers, variables, functions and operators
+  - Inserts implicit multiplication ("2x" becomes 2 * x) and marks unary minus as "neg"
+  - Throws an Error when the answer contains anything that is not math
+*/
+function tokenizeMathExpression(text) {
+  const source = normalizeMathInput(text);
+  const rawTokens = [];
+  let i = 0;
+
+  if (!source) throw new Error('Answer is empty');
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (/[0-9.]/.test(char)) {
+      const match = source.slice(i).match(/^(\d+(\.\d*)?|\.\d+)/);
+      if (!match) throw new Error(`Unexpected "${char}"`);
+      rawTokens.push(match[0]);
+      i += match[0].length;
+      continue;
+    }
+
+    if (/[a-z]/.test(char)) {
+      const run = source.slice(i).match(/^[a-z]+/)[0];
+      let j = 0;
+      while (j < run.length) {
+        const rest = run.slice(j);
+        const name = MATH_FUNCTIONS.concat(['pi']).find(fn => rest.startsWith(fn));
+        if (name) {
+          rawTokens.push(name);
+          j += name.length;
+        } else {
+          rawTokens.push(rest[0]);
+          j++;
+        }
+      }
+      i += run.length;
+      continue;
+    }
+
+    if ('+-*/^()'.includes(char)) {
+      rawTokens.push(char);
+      i++;
+      continue;
+    }
+
+    throw new Error(`Unexpected "${char}"`);
+  }
+
+  const tokens = [];
+  for (let k = 0; k < rawTokens.length; k++) {
+    const token = rawTokens[k];
+    const previous = tokens[tokens.length - 1];
+    const previousEndsOperand = previous !== undefined && (isMathOperandToken(previous) || previous === ')');
+    const startsOperand = isMathOperandToken(token) || MATH_FUNCTIONS.includes(token) || token === '(';
+
+    if (previousEndsOperand && startsOperand) {
+      if (isMathNumberToken(previous) && isMathNumberToken(token)) {
+        throw new Error('Two numbers in a row');
+      }
+      tokens.push('*');
+    }
+
+    if ((token === '-' || token === '+') && (previous === undefined || previous === '(' || previous in MATH_OPERATOR_PRECEDENCE)) {
+      if (token === '-') tokens.push('neg');
+      continue;
+    }
+
+    if (MATH_FUNCTIONS.includes(token) && rawTokens[k + 1] !== '(') {
+      // "sqrt2" or "√x": the function applies to the next number or variable
+      const argument = rawTokens[k + 1];
+      if (argument === undefined || !isMathOperandToken(argument)) {
+        throw new Error(`${token} needs a value`);
+      }
+      tokens.push(token, '(', argument, ')');
+      k++;
+      continue;
+    }
+
+    tokens.push(token);
+  }
+
+  return tokens;
+}
+
+/*
+  Function Name: isMathNumberToken
+  Purpose: Returns true for number tokens such as "2", "0.5" or ".5"
+*/
+function isMathNumberToken(token) {
+  return /^(\d+(\.\d*)?|\.\d+)$/.test(token);
+}
+
+/*
+  Function Name: isMathOperandToken
+  Purpose: Returns true for numbers, single-letter variables and pi
+*/
+function isMathOperandToken(token) {
+  return isMathNumberToken(token) || /^[a-z]$/.test(token) || token === 'pi';
+}
+
+/*
+  Function Name: parseMathExpression
+  Purpose:
+  - Converts an answer into reverse Polish notation (shunting-yard)
+  - Returns { rpn, variables }, where variables are sorted single letters
+  - Throws an Error for answers that are not valid expressions
+*/
+function parseMathExpression(text) {
+  const tokens = tokenizeMathExpression(text);
+  const output = [];
+  const operators = [];
+
+  tokens.forEach(token => {
+    if (isMathOperandToken(token)) {
+      output.push(token);
+    } else if (MATH_FUNCTIONS.includes(token) || token === 'neg' || token === '(') {
+      operators.push(token);
+    } else if (token === ')') {
+      while (operators.length && operators[operators.length - 1] !== '(') {
+        output.push(operators.pop());
+      }
+      if (!operators.length) throw new Error('Unbalanced parentheses');
+      operators.pop();
+      if (MATH_FUNCTIONS.includes(operators[operators.length - 1])) {
+        output.push(operators.pop());
+      }
+    } else {
+      const precedence = MATH_OPERATOR_PRECEDENCE[token];
+      const rightAssociative = token === '^';
+      while (operators.length) {
+        const top = operators[operators.length - 1];
+        const topPrecedence = MATH_OPERATOR_PRECEDENCE[top];
+        if (topPrecedence === undefined) break;
+        if (topPrecedence > precedence || (topPrecedence === precedence && !rightAssociative)) {
+          output.push(operators.pop());
+        } else {
+          break;
+        }
+      }
+      operators.push(token);
+    }
+  });
+
+  while (operators.length) {
+    const operator = operators.pop();
+    if (operator === '(') throw new Error('Unbalanced parentheses');
+    output.push(operator);
+  }
+
+  const parsed = {
+    rpn: output,
+    variables: Array.from(new Set(output.filter(token => /^[a-z]$/.test(token)))).sort()
+  };
+
+  // Structural check: every operator must have its operands
+  validateMathRpn(parsed.rpn);
+  return parsed;
+}
+
+/*
+  Function Name: validateMathRpn
+  Purpose: Throws an Error when operators are missing operands (e.g. "2+" or "*x")
+*/
+function validateMathRpn(rpn) {
+  let depth = 0;
+  rpn.forEach(token => {
+    if (isMathOperandToken(token)) {
+      depth++;
+    } else if (token === 'neg' || MATH_FUNCTIONS.includes(token)) {
+      if (depth < 1) throw new Error('Incomplete expression');
+    } else {
+      if (depth < 2) throw new Error('Incomplete expression');
+      depth--;
+    }
+  });
+  if (depth !== 1) throw new Error('Incomplete expression');
+}
+
+// ============================================
+// EVALUATION
+// ============================================
+
+/*
+  Function Name: evaluateMathExpression
+  Purpose:
+  - Evaluates a parsed expression with the given variable values
+  - Returns NaN when the value is undefined (division by zero, sqrt of a negative, ...)
+*/
+function evaluateMathExpression(parsed, values = {}) {
+  const stack = [];
+
+  for (const token of parsed.rpn) {
+    if (isMathNumberToken(token)) {
+      stack.push(parseFloat(token));
+    } else if (token === 'pi') {
+      stack.push(Math.PI);
+    } else if (/^[a-z]$/.test(token)) {
+      stack.push(token in values ? Number(values[token]) : NaN);
+    } else if (token === 'neg') {
+      stack.push(-stack.pop());
+    } else if (MATH_FUNCTIONS.includes(token)) {
+      stack.push(applyMathFunction(token, stack.pop()));
+    } else {
+      const b = stack.pop();
+      const a = stack.pop();
+      switch (token) {
+        case '+': stack.push(a + b); break;
+        case '-': stack.push(a - b); break;
+        case '*': stack.push(a * b); break;
+        case '/': stack.push(b === 0 ? NaN : a / b); break;
+        case '^': stack.push(a === 0 && b < 0 ? NaN : Math.pow(a, b)); break;
+      }
+    }
+
+    // Stop at the first undefined step so NaN^0 and similar cannot turn back into a number
+    if (!Number.isFinite(stack[stack.length - 1])) return NaN;
+  }
+
+  return stack.pop();
+}
+
+/*
+  Function Name: applyMathFunction
+  Purpose: Applies one of MATH_FUNCTIONS, returning NaN outside its domain
+*/
+function applyMathFunction(name, a) {
+  switch (name) {
+    case 'sqrt': return a < 0 ? NaN : Math.sqrt(a);
+    case 'abs': return Math.abs(a);
+    case 'sin': return Math.sin(a);
+    case 'cos': return Math.cos(a);
+    case 'tan': return Math.tan(a);
+    case 'ln': return a <= 0 ? NaN : Math.log(a);
+    case 'log': return a <= 0 ? NaN : Math.log10(a);
+    default: return NaN;
+  }
+}
+
+/*
+  Function Name: getMathSampleValues
+  Purpose: Returns the variable values used for sample number sampleIndex
+*/
+function getMathSampleValues(variables, sampleIndex) {
+  const values = {};
+  variables.forEach((variable, variableIndex) => {
+    values[variable] = MATH_SAMPLE_VALUES[(sampleIndex + variableIndex * 3) % MATH_SAMPLE_VALUES.length] + variableIndex * 0.17;
+  });
+  return values;
+}
+
+/*
+  Function Name: areMathValuesClose
+  Purpose: Compares two numbers using the teacher's tolerance plus floating point slack
+*/
+function areMathValuesClose(a, b, tolerance = 0) {
+  const scale = Math.max(1, Math.abs(a), Math.abs(b));
+  return Math.abs(a - b) <= (Number(tolerance) || 0) + MATH_RELATIVE_EPSILON * scale;
+}
+
+// ============================================
+// SIMPLIFIED FORM
+// ============================================
+
+/*
+  Function Name: greatestCommonDivisor
+  Purpose: Euclid's algorithm for non-negative integers
+*/
+function greatestCommonDivisor(a, b) {
+  let x = Math.abs(a);
+  let y = Math.abs(b);
+  while (y) {
+    [x, y] = [y, x % y];
+  }
+  return x;
+}
+
+/*
+  Function Name: isSimplifiedMathExpression
+  Purpose:
+  - Returns true when an answer has no simplification left to do:
+    - no arithmetic between two numbers (2+3, 4*x*2 written as 4*2*x)
+    - fractions of whole numbers in lowest terms (2/4 and 6/3 are not simplified)
+    - no whole-number coefficient that cancels with a divisor (2x/4)
+    - no operations that do nothing (x*1, x+0, x^1, x/1)
+    - no repeated identical terms (x+x) and no double negatives
+    - no functions of numbers that give a whole number (sqrt(9))
+  - Factored and expanded forms are both accepted
+*/
+function isSimplifiedMathExpression(parsed) {
+  const stack = [];
+  const isConstant = item => item.kind !== 'expr';
+  const isNumber = (item, value) => item.kind === 'int' && item.value === value && !item.negated;
+  // coefficient: whole-number factor of a product (3 for "3x*y"), null when unknown
+  const sharesFactor = (item, divisor) => item.kind === 'expr' && item.coefficient !== null && divisor.kind === 'int'
+    && greatestCommonDivisor(item.coefficient, divisor.value) > 1;
+
+  for (const token of parsed.rpn) {
+    if (isMathNumberToken(token)) {
+      const kind = token.includes('.') ? 'dec' : 'int';
+      const value = parseFloat(token);
+      stack.push({ kind, value, negated: false, text: token, coefficient: kind === 'int' ? value : null });
+    } else if (isMathOperandToken(token)) {
+      stack.push({ kind: 'expr', value: NaN, negated: false, text: token, coefficient: 1 });
+    } else if (token === 'neg') {
+      const a = stack.pop();
+      if (a.negated) return false;
+      stack.push({ kind: a.kind, value: -a.value, negated: true, text: `${a.text} neg`, coefficient: a.coefficient });
+    } else if (MATH_FUNCTIONS.includes(token)) {
+      const a = stack.pop();
+      if (isConstant(a)) {
+        const result = applyMathFunction(token, a.value);
+        if (Number.isFinite(result) && Math.abs(result - Math.round(result)) < MATH_RELATIVE_EPSILON) return false;
+      }
+      stack.push({ kind: 'expr', value: NaN, negated: false, text: `${a.text} ${token}`, coefficient: 1 });
+    } else {
+      const b = stack.pop();
+      const a = stack.pop();
+
+      if (token === '/' && a.kind === 'int' && b.kind === 'int') {
+        if (b.negated || Math.abs(b.value) <= 1 || greatestCommonDivisor(a.value, b.value) > 1) return false;
+        stack.push({ kind: 'frac', value: a.value / b.value, negated: false, text: `${a.text} ${b.text} /`, coefficient: null });
+        continue;
+      }
+
+      if (isConstant(a) && isConstant(b)) return false;
+      if (token === '*' && (isNumber(a, 1) || isNumber(b, 1) || isNumber(a, 0) || isNumber(b, 0))) return false;
+      if (token === '/' && isNumber(b, 1)) return false;
+      if (token === '/' && (sharesFactor(a, b) || sharesFactor(b, a))) return false;
+      if (token === '+' && (isNumber(a, 0) || isNumber(b, 0))) return false;
+      if (token === '-' && isNumber(b, 0)) return false;
+      if (token === '^' && (isNumber(b, 1) || isNumber(b, 0))) return false;
+      if ((token === '+' || token === '-') && a.text === b.text) return false;
+
+      const coefficient = token === '*' && a.coefficient !== null && b.coefficient !== null
+        ? a.coefficient * b.coefficient
+        : null;
+      stack.push({ kind: 'expr', value: NaN, negated: false, text: `${a.text} ${b.text} ${token}`, coefficient });
+    }
+  }
+
+  return true;
+}
+
+// ============================================
+// ANSWER CHECKING
+// ============================================
+
+/*
+  Function Name: checkMathAnswer
+  Purpose:
+  - Compares a student's answer with the expected answer
+  - Returns { isCorrect, reason } where reason is one of:
+    'correct', 'invalid' (answer could not be read), 'not_equivalent', 'not_simplified'
+
+  Options:
+  - tolerance: allowed absolute difference (for decimals such as 3.14 vs pi)
+  - requireSimplified: reject equivalent answers that are not in simplified form
+*/
+function checkMathAnswer(expected, given, options = {}) {
+  const tolerance = Number(options.tolerance) || 0;
+  let expectedParsed;
+  let givenParsed;
+
+  try {
+    expectedParsed = parseMathExpression(expected);
+  } catch (error) {
+    console.error('Invalid expected math answer:', expected, error.message);
+    return { isCorrect: false, reason: 'invalid' };
+  }
+
+  try {
+    givenParsed = parseMathExpression(given);
+  } catch (error) {
+    return { isCorrect: false, reason: 'invalid' };
+  }
+
+  const variables = Array.from(new Set(expectedParsed.variables.concat(givenParsed.variables))).sort();
+  const sampleCount = variables.length === 0 ? 1 : MATH_SAMPLE_VALUES.length;
+  const requiredSamples = variables.length === 0 ? 1 : MATH_MIN_VALID_SAMPLES;
+  let validSamples = 0;
+
+  for (let sampleIndex = 0; sampleIndex < sampleCount; sampleIndex++) {
+    const values = getMathSampleValues(variables, sampleIndex);
+    const expectedValue = evaluateMathExpression(expectedParsed, values);
+    const givenValue = evaluateMathExpression(givenParsed, values);
+
+    // Skip points where either side is undefined (e.g. division by zero)
+    if (Number.isNaN(expectedValue) || Number.isNaN(givenValue)) continue;
+
+    if (!areMathValuesClose(expectedValue, givenValue, tolerance)) {
+      return { isCorrect: false, reason: 'not_equivalent' };
+    }
+    validSamples++;
+  }
+
+  if (validSamples < requiredSamples) {
+    return { isCorrect: false, reason: 'not_equivalent' };
+  }
+
+  if (options.requireSimplified && !isSimplifiedMathExpression(givenParsed)) {
+    return { isCorrect: false, reason: 'not_simplified' };
+  }
+
+  return { isCorrect: true, reason: 'correct' };
+}
+
+/*
+  Function Name: areMathAnswersEquivalent
+  Purpose: Boolean shortcut for checkMathAnswer
+*/
+function areMathAnswersEquivalent(expected, given, options = {}) {
+  return checkMathAnswer(expected, given, options).isCorrect;
+}
+
+/*
+  Function Name: isValidMathAnswer
+  Purpose: Returns true when the text can be read as a math expression
+*/
+function isValidMathAnswer(text) {
+  try {
+    parseMathExpression(text);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// ============================================
+// LESSON QUIZ DATA
+// ============================================
+
+/*
+  Function Name: checkLessonQuizAnswers
+  Purpose:
+  - Checks answers to the practice questions stored in lessons.quiz_data
+  - quiz_data format: { questions: [{ prompt, answer, tolerance, require_simplified }] }
+  - responses is an array of answers in question order
+  - Returns { score, total, results: [{ isCorrect, reason }] }
+*/
+function checkLessonQuizAnswers(quizData, responses = []) {
+  const questions = Array.isArray(quizData?.questions) ? quizData.questions : [];
+  const results = questions.map((question, index) => checkMathAnswer(question.answer, responses[index], {
+    tolerance: question.tolerance,
+    requireSimplified: question.require_simplified === true
+  }));
+
+  return {
+    score: results.filter(result => result.isCorrect).length,
+    total: questions.length,
+    results
+  };
+}
@@ -0,0 +1,347 @@
+/*
+  File: mathKeyboard.js
+  Purpose:
+  - On-screen math keyboard for students: fractions, exponents, roots, π
+  - Attaches to answer fields (quiz player, lesson practice) and to the
+    lesson notes box
+  - Shows the answer as rendered math while the student types
+
+  Dependencies:
+  - mathEquivalence.js - for parseMathExpression (the same reader the grader uses)
+  - mathRender.js - for renderMathExpression (preview)
+  - utils.js - for escapeHtml
+
+  Notes:
+  - Keys type plain expressions such as (3)/(4), x^(2), sqrt(5) and pi, which
+    is what the grader reads (migration_v14_math_answer_equivalence.sql).
+  - When an answer field loses focus its value is rewritten in normalized
+    form ("(3)/(4)" becomes "3/4", "2*(x+3)" becomes "2(x + 3)"). The value
+    is only rewritten when it can be read, so the grader sees the same expression.
+  - In notes (insertAsLatex) the keys work on a separate math box, and Insert
+    adds the expression to the note as $...$ LaTeX for mathRender.js.
+*/
+
+// ============================================
+// KEYS
+// ============================================
+
+// before/after wrap the selected text; the cursor goes to the first empty ()
+const MATH_KEYBOARD_KEYS = [
+  { label: 'a/b', tex: '\\frac{a}{b}', title: 'Fraction', before: '(', after: ')/()' },
+  { label: 'x²', tex: 'x^2', title: 'Squared', before: '', after: '^2' },
+  { label: 'xⁿ', tex: 'x^n', title: 'Exponent', before: '', after: '^()' },
+  { label: '√', tex: '\\sqrt{x}', title: 'Square root', before: 'sqrt(', after: ')' },
+  { label: 'π', tex: '\\pi', title: 'Pi', before: 'pi', after: '' },
+  { label: '( )', tex: '(\\,)', title: 'Parentheses', before: '(', after: ')' },
+  { label: '+', tex: '+', title: 'Plus', before: ' + ', after: '' },
+  { label: '−', tex: '-', title: 'Minus', before: ' - ', after: '' },
+  { label: '×', tex: '\\times', title: 'Times', before: ' * ', after: '' },
+  { label: '÷', tex: '\\div', title: 'Divide', before: ' / ', after: '' },
+  { label: 'x', tex: 'x', title: 'Variable x', before: 'x', after: '' },
+  { label: 'y', tex: 'y', title: 'Variable y', before: 'y', after: '' }
+];
+
+const MATH_KEYBOARD_LATEX_FUNCTIONS = {
+  sin: '\\sin',
+  cos: '\\cos',
+  tan: '\\tan',
+  log: '\\log',
+  ln: '\\ln'
+};
+
+// ============================================
+// EXPRESSION FORMATTING
+// ============================================
+
+/*
+  Function Name: buildMathExpressionTree
+  Purpose:
+  - Turns the reverse Polish notation from parseMathExpression into a tree
+  - Nodes are { token, args }; numbers, variables and pi have no args
+*/
+function buildMathExpressionTree(rpn) {
+  const stack = [];
+
+  rpn.forEach(token => {
+    if (isMathOperandToken(token)) {
+      stack.push({ token, args: [] });
+    } else if (token === 'neg' || MATH_FUNCTIONS.includes(token)) {
+      stack.push({ token, args: [stack.pop()] });
+    } else {
+      const right = stack.pop();
+      const left = stack.pop();
+      stack.push({ token, args: [left, right] });
+    }
+  });
+
+  return stack.pop();
+}
+
+/*
+  Function Name: getMathNodePrecedence
+  Purpose: Returns how tightly a node binds (numbers and functions never need parentheses)
+*/
+function getMathNodePrecedence(node) {
+  return MATH_OPERATOR_PRECEDENCE[node.token] ?? Infinity;
+}
+
+/*
+  Function Name: needsMathParentheses
+  Purpose: Returns true when a child must be wrapped to keep the same tree when read back
+*/
+function needsMathParentheses(parent, child, side) {
+  const parentPrecedence = getMathNodePrecedence(parent);
+  const childPrecedence = getMathNodePrecedence(child);
+
+  if (parent.token === 'neg') return childPrecedence <= parentPrecedence;
+  if (parent.token === '^') {
+    return side === 'left' ? childPrecedence <= parentPrecedence : childPrecedence < parentPrecedence;
+  }
+  return side === 'left' ? childPrecedence < parentPrecedence : childPrecedence <= parentPrecedence;
+}
+
+/*
+  Function Name: formatMathExpressionNode
+  Purpose: Writes a tree back as plain text with as few parentheses as possible
+*/
+function formatMathExpressionNode(node) {
+  const wrap = (child, side) => {
+    const text = formatMathExpressionNode(child);
+    return needsMathParentheses(node, child, side) ? `(${text})` : text;
+  };
+
+  if (node.args.length === 0) return node.token;
+  if (node.token === 'neg') return `-${wrap(node.args[0])}`;
+  if (MATH_FUNCTIONS.includes(node.token)) return `${node.token}(${formatMathExpressionNode(node.args[0])})`;
+
+  const left = wrap(node.args[0], 'left');
+  const right = wrap(node.args[1], 'right');
+
+  switch (node.token) {
+    case '+':
+    case '-':
+      return `${left} ${node.token} ${right}`;
+    case '*': {
+      // 2x, -2pi, 2(x + 1) and 2sqrt(3) read more naturally without the *
+      const [leftNode] = node.args;
+      const leftIsNumber = isMathNumberToken(leftNode.token) || (leftNode.token === 'neg' && isMathNumberToken(leftNode.args[0].token));
+      return leftIsNumber && /^[a-z(]/.test(right) ? `${left}${right}` : `${left}*${right}`;
+    }
+    default:
+      return `${left}${node.token}${right}`;
+  }
+}
+
+/*
+  Function Name: formatMathExpressionLatex
+  Purpose: Writes a tree as LaTeX for the preview (fractions, powers and roots typeset)
+*/
+function formatMathExpressionLatex(node) {
+  const wrap = (child, side) => {
+    const latex = formatMathExpressionLatex(child);
+    // \frac is already grouped, except as the base of a power
+    const needsParentheses = child.token === '/' && node.token !== '^'
+      ? false
+      : needsMathParentheses(node, child, side) || (child.token === '/' && side === 'left');
+    return needsParentheses ? `\\left(${latex}\\right)` : latex;
+  };
+
+  if (node.args.length === 0) return node.token === 'pi' ? '\\pi ' : node.token;
+  if (node.token === 'neg') return `-${wrap(node.args[0])}`;
+  if (node.token === 'sqrt') return `\\sqrt{${formatMathExpressionLatex(node.args[0])}}`;
+  if (node.token === 'abs') return `\\left|${formatMathExpressionLatex(node.args[0])}\\right|`;
+  if (MATH_FUNCTIONS.includes(node.token)) {
+    return `${MATH_KEYBOARD_LATEX_FUNCTIONS[node.token]}\\left(${formatMathExpressionLatex(node.args[0])}\\right)`;
+  }
+
+  const [leftNode, rightNode] = node.args;
+
+  switch (node.token) {
+    case '/':
+      return `\\frac{${formatMathExpressionLatex(leftNode)}}{${formatMathExpressionLatex(rightNode)}}`;
+    case '^':
+      return `{${wrap(leftNode, 'left')}}^{${formatMathExpressionLatex(rightNode)}}`;
+    case '*': {
+      const right = wrap(rightNode, 'right');
+      // Write 2x and x(y + 1) side by side, but keep × between numbers and before fractions
+      const sideBySide = /^([a-z]|\\left\(|\\sqrt|\\pi)/.test(right) && rightNode.token !== '/';
+      return `${wrap(leftNode, 'left')}${sideBySide ? '' : ' \\times '}${right}`;
+    }
+    default:
+      return `${wrap(leftNode, 'left')} ${node.token} ${wrap(rightNode, 'right')}`;
+  }
+}
+
+/*
+  Function Name: normalizeMathAnswer
+  Purpose:
+  - Returns the answer in normalized form, or null when it cannot be read
+  - "(3)/(4)" gives "3/4", "X = 2*(x+3)" gives "2(x + 3)"
+*/
+function normalizeMathAnswer(text) {
+  try {
+    return formatMathExpressionNode(buildMathExpressionTree(parseMathExpression(text).rpn));
+  } catch (error) {
+    return null;
+  }
+}
+
+/*
+  Function Name: mathAnswerToLatex
+  Purpose: Returns the answer as LaTeX, or null when it cannot be read
+*/
+function mathAnswerToLatex(text) {
+  try {
+    return formatMathExpressionLatex(buildMathExpressionTree(parseMathExpression(text).rpn));
+  } catch (error) {
+    return null;
+  }
+}
+
+// ============================================
+// KEYBOARD
+// ============================================
+
+/*
+  Function Name: insertMathKeyText
+  Purpose:
+  - Types a key into a field at the cursor, wrapping any selected text
+  - Fires an input event so autosave and previews see the change
+*/
+function insertMathKeyText(field, key) {
+  const focused = document.activeElement === field;
+  const start = focused ? field.selectionStart : field.value.length;
+  const end = focused ? field.selectionEnd : field.value.length;
+  const selected = field.value.slice(start, end);
+  const inserted = `${key.before}${selected}${key.after}`;
+
+  // Empty () in the inserted text is where the student types next
+  const emptyGroup = inserted.indexOf('()', selected ? key.before.length + selected.length : 0);
+  const cursor = start + (emptyGroup === -1 ? inserted.length : emptyGroup + 1);
+
+  field.setRangeText(inserted, start, end, 'end');
+  field.focus();
+  field.setSelectionRange(cursor, cursor);
+  field.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+/*
+  Function Name: renderMathKeyboardPreview
+  Purpose: Returns the preview HTML for the text in a math field
+*/
+function renderMathKeyboardPreview(text) {
+  if (String(text ?? '').trim() === '') return '';
+
+  const latex = mathAnswerToLatex(text);
+  if (latex === null) {
+    return '<span class="text-gray-500">Not a complete expression yet</span>';
+  }
+  return isMathRendererReady() ? renderMathExpression(latex) : escapeHtml(normalizeMathAnswer(text));
+}
+
+/*
+  Function Name: renderMathKeyboardKeys
+  Purpose: Returns the HTML of the key buttons
+*/
+function renderMathKeyboardKeys() {
+  return MATH_KEYBOARD_KEYS.map((key, index) => `
+    <button type="button" data-math-key="${index}" title="${key.title}" aria-label="${key.title}"
+      class="h-10 px-2 bg-white border border-gray-200 rounded-lg text-gray-800 hover:bg-gray-100">
+      ${isMathRendererReady() ? renderMathExpression(key.tex) : escapeHtml(key.label)}
+    </button>
+  `).join('');
+}
+
+/*
+  Function Name: attachMathKeyboard
+  Purpose:
+  - Adds a "Math keys" toggle, the key panel and a live preview after a field
+  - options.insertAsLatex: the keys work on their own math box and Insert adds
+    the expression to the field as $...$ (used for notes)
+  - Answer fields are rewritten in normalized form when they lose focus
+*/
+function attachMathKeyboard(field, options = {}) {
+  if (!field || field.dataset.mathKeyboard === 'attached') return;
+  field.dataset.mathKeyboard = 'attached';
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'math-keyboard mt-2';
+  wrapper.innerHTML = `
+    <div class="flex items-center justify-between gap-3">
+      <div data-math-preview class="min-h-[1.5rem] text-gray-800 overflow-x-auto"></div>
+      <button type="button" data-math-toggle aria-expanded="false"
+        class="shrink-0 px-3 py-1 text-xs font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200">
+        Math keys
+      </button>
+    </div>
+    <div data-math-panel class="hidden mt-2 p-2 bg-gray-50 border border-gray-200 rounded-xl">
+      ${options.insertAsLatex ? `
+        <div class="flex gap-2 mb-2">
+          <input type="text" data-math-box autocomplete="off" autocapitalize="off" spellcheck="false"
+            class="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            placeholder="Type or build an expression" aria-label="Math expression">
+          <button type="button" data-math-insert class="px-3 py-2 text-sm bg-gray-800 text-white rounded-lg hover:bg-gray-900">
+            Insert
+          </button>
+        </div>
+      ` : ''}
+      <div class="grid grid-cols-6 sm:grid-cols-12 gap-1">${renderMathKeyboardKeys()}</div>
+    </div>
+  `;
+  field.insertAdjacentElement('afterend', wrapper);
+
+  const target = options.insertAsLatex ? wrapper.querySelector('[data-math-box]') : field;
+  const preview = wrapper.querySelector('[data-math-preview]');
+  const panel = wrapper.querySelector('[data-math-panel]');
+  const toggle = wrapper.querySelector('[data-math-toggle]');
+  const updatePreview = () => {
+    preview.innerHTML = renderMathKeyboardPreview(target.value);
+  };
+
+  toggle.addEventListener('click', () => {
+    const open = panel.classList.toggle('hidden') === false;
+    toggle.setAttribute('aria-expanded', String(open));
+  });
+
+  // Keep the focus (and cursor) in the field while keys are pressed
+  panel.addEventListener('mousedown', e => {
+    if (e.target.closest('[data-math-key], [data-math-insert]')) e.preventDefault();
+  });
+
+  panel.addEventListener('click', e => {
+    const keyButton = e.target.closest('[data-math-key]');
+    if (keyButton) insertMathKeyText(target, MATH_KEYBOARD_KEYS[Number(keyButton.dataset.mathKey)]);
+  });
+
+  target.addEventListener('input', updatePreview);
+
+  if (options.insertAsLatex) {
+    wrapper.querySelector('[data-math-insert]').addEventListener('click', () => {
+      const latex = mathAnswerToLatex(target.value);
+      if (latex === null) {
+        updatePreview();
+        return;
+      }
+      insertMathKeyText(field, { before: `$${latex.trim()}$`, after: '' });
+      target.value = '';
+      updatePreview();
+    });
+  } else {
+    field.addEventListener('blur', () => {
+      const normalized = normalizeMathAnswer(field.value);
+      if (normalized === null || normalized === field.value) return;
+      field.value = normalized;
+      field.dispatchEvent(new Event('input', { bubbles: true }));
+    });
+  }
+
+  updatePreview();
+}
+
+/*
+  Function Name: attachMathKeyboards
+  Purpose: Attaches the keyboard to every [data-math-input] field inside a container
+*/
+function attachMathKeyboards(container) {
+  container.querySelectorAll('[data-math-input]').forEach(field => attachMathKeyboard(field));
+}
@@ -0,0 +1,124 @@
+/*
+  File: mathRender.js
+  Purpose:
+  - Renders LaTeX math notation in lessons, quiz questions, feedback and notes
+
+  Dependencies:
+  - utils.js - for escapeHtml and MATH_MARKUP_PATTERN
+  - KaTeX (script and stylesheet loaded from a CDN by the page)
+
+  Notes:
+  - Math is written between $...$ or \(...\) (inline) and $$...$$ or \[...\]
+    (display). Everything outside the delimiters stays plain text.
+  - KaTeX runs with trust off, so \href, \url and the \html... commands are
+    never turned into links or attributes. Invalid LaTeX is shown in red
+    instead of throwing.
+  - Without KaTeX (for example when the CDN is blocked) the text is shown as typed.
+*/
+
+// ============================================
+// RENDERING
+// ============================================
+
+const MATH_RENDER_OPTIONS = {
+  throwOnError: false,
+  trust: false,
+  strict: 'ignore',
+  maxSize: 10,
+  maxExpand: 200
+};
+
+/*
+  Function Name: isMathRendererReady
+  Purpose: Returns true once KaTeX has loaded
+*/
+function isMathRendererReady() {
+  return typeof katex !== 'undefined';
+}
+
+/*
+  Function Name: renderMathExpression
+  Purpose: Returns the HTML of one LaTeX expression (without delimiters)
+*/
+function renderMathExpression(tex, displayMode = false) {
+  try {
+    return katex.renderToString(tex, { ...MATH_RENDER_OPTIONS, displayMode });
+  } catch (error) {
+    console.warn('Could not render math:', error);
+    return escapeHtml(tex);
+  }
+}
+
+/*
+  Function Name: getMathMarkupSegments
+  Purpose:
+  - Splits text into plain text and math parts
+  - Returns [{ text }] and [{ tex, displayMode }] items in order
+*/
+function getMathMarkupSegments(text) {
+  const value = String(text ?? '');
+  const segments = [];
+  let lastIndex = 0;
+
+  for (const match of value.matchAll(MATH_MARKUP_PATTERN)) {
+    if (match.index > lastIndex) {
+      segments.push({ text: value.slice(lastIndex, match.index) });
+    }
+    const [, displayDollar, displayBracket, inlineParen, inlineDollar] = match;
+    segments.push({
+      tex: displayDollar ?? displayBracket ?? inlineParen ?? inlineDollar,
+      displayMode: displayDollar !== undefined || displayBracket !== undefined
+    });
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < value.length) {
+    segments.push({ text: value.slice(lastIndex) });
+  }
+
+  return segments;
+}
+
+/*
+  Function Name: renderMathMarkup
+  Purpose:
+  - Turns plain text with math markup into safe HTML: text is escaped and
+    math is rendered
+  - Use it wherever plain text was passed through escapeHtml
+*/
+function renderMathMarkup(text) {
+  const value = String(text ?? '');
+  if (!isMathRendererReady()) return escapeHtml(value);
+
+  return getMathMarkupSegments(value).map(segment => {
+    if (segment.tex === undefined) {
+      return escapeHtml(segment.text.replace(/\\\$/g, '$'));
+    }
+    return renderMathExpression(segment.tex, segment.displayMode);
+  }).join('');
+}
+
+/*
+  Function Name: renderMathInContainer
+  Purpose:
+  - Renders math markup inside HTML that is already on the page (lesson content)
+  - Only text nodes are changed; code, pre and form fields are left alone
+*/
+function renderMathInContainer(container) {
+  if (!container || !isMathRendererReady()) return;
+
+  const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (node.parentElement.closest('code, pre, textarea, script, style, .katex')) continue;
+    if (node.nodeValue.search(MATH_MARKUP_PATTERN) !== -1) textNodes.push(node);
+  }
+
+  textNodes.forEach(node => {
+    const template = document.createElement('template');
+    template.innerHTML = renderMathMarkup(node.nodeValue);
+    node.replaceWith(template.content);
+  });
+}
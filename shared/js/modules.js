@@ -497,6 +497,7 @@ async function createLesson(moduleId, lessonData) {
         video_url: lessonData.video_url,
         has_quiz: lessonData.has_quiz || false,
         quiz_data: lessonData.quiz_data || null,
+        competency_ids: lessonData.competency_ids || [],
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString()
       })
@@ -567,6 +568,7 @@ async function updateLesson(lessonId, lessonData) {
         has_quiz: lessonData.has_quiz,
         quiz_data: lessonData.quiz_data,
         order_index: lessonData.order_index,
+        competency_ids: lessonData.competency_ids,
         updated_at: new Date().toISOString()
       })
       .eq('id', lessonId);
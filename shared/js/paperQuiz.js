@@ -0,0 +1,359 @@
+/*
+  File: paperQuiz.js
+  Purpose:
+  - Print-ready PDF versions (A, B, C) of native quizzes with answer keys
+  - Saving paper scores for a whole section at once
+
+  Dependencies:
+  - quizEngine.js - for question variables, bank draw matching and point totals
+  - mathEquivalence.js - works out numeric answer keys of questions with variables
+  - quizFormats.js - for formatQuizQuestionAnswer (answer key text)
+  - graphQuestion.js - for the grid settings of graph questions
+  - jsPDF and jspdf-autotable (loaded from a CDN by the page)
+  - supabase.js - for Supabase client connection
+
+  Notes:
+  - Every version shuffles the question order and the multiple choice options
+    (when enabled), picks its own numbers for questions with variables and
+    makes its own random draws from the question bank.
+  - Paper scores are stored as quiz_submissions rows with is_paper set, one per
+    student and quiz; entering a score again replaces it
+    (migration_v20_paper_quizzes.sql).
+*/
+
+// ============================================
+// PAPER VERSIONS
+// ============================================
+
+const PAPER_QUIZ_VERSION_LABELS = ['A', 'B', 'C'];
+
+/*
+  Function Name: shufflePaperQuizItems
+  Purpose: Returns a shuffled copy of a list (Fisher-Yates)
+*/
+function shufflePaperQuizItems(items) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/*
+  Function Name: buildPaperQuizQuestion
+  Purpose:
+  - Fills in a question's variables and, optionally, shuffles its choices
+  - Numeric answer keys with variables are worked out, so the key shows a number
+  - Throws an Error when a variable formula cannot be calculated
+*/
+function buildPaperQuizQuestion(question, shuffleChoices) {
+  const variant = buildQuizQuestionVariant(question, pickQuizParameterValues(question.parameters || []));
+  let choices = variant.choices;
+  let correctAnswer = variant.correct_answer;
+
+  if (question.question_type === 'numeric' && (question.parameters || []).length > 0) {
+    const value = evaluateMathExpression(parseMathExpression(String(correctAnswer)));
+    if (!Number.isNaN(value)) correctAnswer = roundQuizParameterValue(value);
+  }
+
+  if (question.question_type === 'multiple_choice' && shuffleChoices) {
+    const order = shufflePaperQuizItems(choices.map((choice, index) => index));
+    choices = order.map(index => variant.choices[index]);
+    correctAnswer = order.indexOf(Number(variant.correct_answer));
+  }
+
+  return {
+    question_type: question.question_type,
+    prompt: variant.prompt,
+    choices,
+    correct_answer: correctAnswer,
+    tolerance: question.tolerance,
+    graph_settings: question.graph_settings || null,
+    points: Number(question.points) || 1
+  };
+}
+
+/*
+  Function Name: drawPaperQuizGraph
+  Purpose:
+  - Draws the empty coordinate grid of a graph question (with the starting
+    shape of a drag_shape question) at x, y on the PDF page
+  - Returns the height used, in millimetres
+*/
+function drawPaperQuizGraph(doc, question, x, y) {
+  const settings = getGraphSettings(question.graph_settings);
+  const xRange = settings.x_max - settings.x_min;
+  const yRange = settings.y_max - settings.y_min;
+  const unit = 60 / Math.max(xRange, yRange);
+  const toPage = ([pointX, pointY]) => [x + (pointX - settings.x_min) * unit, y + (settings.y_max - pointY) * unit];
+  const xUnit = getGraphGridUnit(xRange);
+  const yUnit = getGraphGridUnit(yRange);
+
+  doc.setFontSize(6);
+  for (let value = Math.ceil(settings.x_min / xUnit) * xUnit; value <= settings.x_max; value += xUnit) {
+    const [lineX] = toPage([value, 0]);
+    doc.setDrawColor(value === 0 ? 60 : 200);
+    doc.line(lineX, y, lineX, y + yRange * unit);
+    if (value !== 0) doc.text(String(value), lineX, y + yRange * unit + 3, { align: 'center' });
+  }
+  for (let value = Math.ceil(settings.y_min / yUnit) * yUnit; value <= settings.y_max; value += yUnit) {
+    const [, lineY] = toPage([0, value]);
+    doc.setDrawColor(value === 0 ? 60 : 200);
+    doc.line(x, lineY, x + xRange * unit, lineY);
+    if (value !== 0) doc.text(String(value), x - 1.5, lineY + 1, { align: 'right' });
+  }
+
+  if (question.question_type === 'drag_shape' && settings.shape.length > 1) {
+    const corners = settings.shape.map(toPage);
+    doc.setDrawColor(0);
+    corners.forEach((corner, index) => {
+      const next = corners[(index + 1) % corners.length];
+      doc.line(corner[0], corner[1], next[0], next[1]);
+    });
+  }
+
+  doc.setDrawColor(0);
+  doc.setFontSize(10);
+  return yRange * unit + 5;
+}
+
+/*
+  Function Name: buildPaperQuizVersions
+  Purpose:
+  - Builds the printed versions of a native quiz
+  - options: versionCount (1 to 3), shuffleQuestions, shuffleChoices, and the
+    quiz's bankDraws with the teacher's bankItems for random draws
+  - Returns [{ label, questions, totalPoints }]
+*/
+function buildPaperQuizVersions(questions, options = {}) {
+  const versionCount = Math.min(Math.max(Number(options.versionCount) || 1, 1), PAPER_QUIZ_VERSION_LABELS.length);
+
+  return PAPER_QUIZ_VERSION_LABELS.slice(0, versionCount).map(label => {
+    const claimedIds = new Set();
+    const drawn = [];
+
+    // Same rules as get_quiz_attempt_questions: an item is drawn at most once per version
+    (options.bankDraws || []).forEach(draw => {
+      const available = (options.bankItems || []).filter(item => !claimedIds.has(item.id) && doesBankItemMatchDraw(item, draw));
+      shufflePaperQuizItems(available).slice(0, Number(draw.draw_count) || 0).forEach(item => {
+        claimedIds.add(item.id);
+        drawn.push(item);
+      });
+    });
+
+    const sources = [...(questions || []), ...drawn];
+    const ordered = options.shuffleQuestions ? shufflePaperQuizItems(sources) : sources;
+    const versionQuestions = ordered.map(question => buildPaperQuizQuestion(question, options.shuffleChoices));
+
+    return {
+      label,
+      questions: versionQuestions,
+      totalPoints: getQuizQuestionTotalPoints(versionQuestions)
+    };
+  });
+}
+
+// ============================================
+// PDF OUTPUT
+// ============================================
+
+/*
+  Function Name: createPaperQuizPdf
+  Purpose:
+  - Lays out every version as its own test paper, followed by one answer key
+    page per version when includeKey is set
+  - Returns the jsPDF document
+*/
+function createPaperQuizPdf(quiz, versions, includeKey = true) {
+  const { jsPDF } = window.jspdf;
+  const doc = new jsPDF({ format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const margin = 15;
+  const textWidth = pageWidth - margin * 2;
+  let y = margin;
+
+  const ensureSpace = height => {
+    if (y + height <= pageHeight - margin) return;
+    doc.addPage();
+    y = margin;
+  };
+
+  const writeLines = (lines, x, lineHeight) => {
+    lines.forEach(line => {
+      ensureSpace(lineHeight);
+      doc.text(line, x, y);
+      y += lineHeight;
+    });
+  };
+
+  versions.forEach((version, versionIndex) => {
+    if (versionIndex > 0) doc.addPage();
+    y = margin + 5;
+
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(16);
+    writeLines(doc.splitTextToSize(quiz.title || 'Quiz', textWidth - 30), margin, 7);
+    if (versions.length > 1) {
+      doc.text(`Version ${version.label}`, pageWidth - margin, margin + 5, { align: 'right' });
+    }
+
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(10);
+    y += 2;
+    doc.text('Name: ________________________________', margin, y);
+    doc.text('Date: ______________', pageWidth - margin, y, { align: 'right' });
+    y += 8;
+    doc.text('Section: ______________________________', margin, y);
+    doc.text(`Score: ______ / ${version.totalPoints}`, pageWidth - margin, y, { align: 'right' });
+    y += 4;
+    doc.line(margin, y, pageWidth - margin, y);
+    y += 8;
+
+    version.questions.forEach((question, index) => {
+      const pointsLabel = `(${question.points} ${question.points === 1 ? 'pt' : 'pts'})`;
+      doc.setFontSize(11);
+      const promptLines = doc.splitTextToSize(`${index + 1}. ${question.prompt}`, textWidth - 18);
+
+      // Keep a question's first lines together with its points
+      ensureSpace(promptLines.length * 5 + 6);
+      doc.text(pointsLabel, pageWidth - margin, y, { align: 'right' });
+      writeLines(promptLines, margin, 5);
+      doc.setFontSize(10);
+      y += 1;
+
+      if (question.question_type === 'multiple_choice') {
+        question.choices.forEach((choice, choiceIndex) => {
+          writeLines(doc.splitTextToSize(`${String.fromCharCode(65 + choiceIndex)}. ${choice}`, textWidth - 14), margin + 8, 5);
+        });
+      } else if (question.question_type === 'true_false') {
+        writeLines(['(   ) True        (   ) False'], margin + 8, 5);
+      } else if (isGraphQuizQuestion(question)) {
+        const settings = getGraphSettings(question.graph_settings);
+        const gridHeight = 60 * (settings.y_max - settings.y_min) / Math.max(settings.x_max - settings.x_min, settings.y_max - settings.y_min);
+        ensureSpace(gridHeight + 8);
+        y += 2 + drawPaperQuizGraph(doc, question, margin + 12, y + 2);
+      } else {
+        y += 2;
+        writeLines(['Answer: ____________________________________________'], margin + 8, 5);
+      }
+
+      y += 5;
+    });
+  });
+
+  if (includeKey) {
+    versions.forEach(version => {
+      doc.addPage();
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(16);
+      doc.text(`Answer Key${versions.length > 1 ? ` - Version ${version.label}` : ''}`, margin, margin + 5);
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(10);
+      doc.text(`${quiz.title || 'Quiz'} · ${version.totalPoints} points`, margin, margin + 12);
+
+      doc.autoTable({
+        head: [['No.', 'Answer', 'Points']],
+        body: version.questions.map((question, index) => [index + 1, formatQuizQuestionAnswer(question), question.points]),
+        startY: margin + 18,
+        theme: 'grid',
+        styles: {
+          fontSize: 9,
+          cellPadding: 2
+        },
+        columnStyles: {
+          0: { cellWidth: 15 },
+          2: { cellWidth: 20 }
+        },
+        headStyles: {
+          fillColor: '#005801',
+          textColor: 255,
+          fontStyle: 'bold'
+        }
+      });
+    });
+  }
+
+  return doc;
+}
+
+/*
+  Function Name: downloadPaperQuizPdf
+  Purpose: Saves the paper quiz as "<title>_paper.pdf"
+*/
+function downloadPaperQuizPdf(quiz, versions, includeKey = true) {
+  const fileTitle = String(quiz.title || 'quiz').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'quiz';
+  createPaperQuizPdf(quiz, versions, includeKey).save(`${fileTitle}_paper.pdf`);
+}
+
+// ============================================
+// PAPER SCORES
+// ============================================
+
+/*
+  Function Name: getPaperQuizScores
+  Purpose:
+  - Loads the paper scores already entered for a quiz
+
+  When it runs:
+  - When a teacher opens the score entry grid in manage-quizzes.html
+
+  Who can use it:
+  - Teacher (own quizzes), Admin
+
+  Backend interaction:
+  - Reads from quiz_submissions table (is_paper rows)
+
+  Error handling:
+  - Logs error to console
+  - Returns empty array on failure
+*/
+async function getPaperQuizScores(quizId) {
+  try {
+    const { data, error } = await getSupabase()
+      .from('quiz_submissions')
+      .select('id, user_id, student_score, total_items, paper_version, attempt_number')
+      .eq('quiz_id', quizId)
+      .eq('is_paper', true);
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error loading paper scores:', error);
+    return [];
+  }
+}
+
+/*
+  Function Name: savePaperQuizScores
+  Purpose:
+  - Saves the paper scores typed into the grid
+  - scores: [{ user_id, score, version }]; a null score removes the student's paper score
+
+  When it runs:
+  - When the teacher clicks "Save Scores" in the score entry grid
+
+  Who can use it:
+  - Teacher (own quizzes), Admin
+
+  Backend interaction:
+  - Calls save_paper_quiz_scores RPC
+
+  Error handling:
+  - Returns { success: false, error } with the database message
+*/
+async function savePaperQuizScores(quizId, scores) {
+  try {
+    const { data, error } = await getSupabase().rpc('save_paper_quiz_scores', {
+      p_quiz_id: quizId,
+      p_scores: scores
+    });
+
+    if (error) throw error;
+    return { success: true, saved: data || 0 };
+  } catch (error) {
+    console.error('Error saving paper scores:', error);
+    return { success: false, error: error.message || 'Failed to save scores' };
+  }
+}
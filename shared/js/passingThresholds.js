@@ -0,0 +1,138 @@
+/*
+  File: passingThresholds.js
+  Purpose:
+  - Pass marks used by reports, exports, the student pages and achievements,
+    so every page decides "passed" the same way
+
+  Dependencies:
+  - supabase.js - for Supabase client connection
+
+  Notes:
+  - The school pass marks live in settings (migration_v31_passing_thresholds.sql)
+    and are read through get_passing_thresholds, which every signed-in user
+    can call.
+  - A quiz passes at quizzes.passing_score (points out of total_items) when it
+    is above 0, else at the pass mark of its gradebook component, else at the
+    school passing percentage. get_quiz_passing_percentage applies the same
+    rule in the database.
+  - Quarterly and final grades pass at the school passing grade.
+*/
+
+// ============================================
+// SETTINGS
+// ============================================
+
+const DEFAULT_PASSING_THRESHOLDS = {
+  passingPercentage: 70,
+  passingGrade: 75,
+  components: {
+    written_work: null,
+    performance_task: null,
+    quarterly_assessment: null
+  }
+};
+
+// Loaded once per page
+let passingThresholdsPromise = null;
+
+/*
+  Function Name: loadPassingThresholds
+  Purpose:
+  - Loads the school pass marks; falls back to the defaults when they
+    cannot be read, so pages keep working before migration v31
+
+  Who can use it:
+  - Any signed-in user
+*/
+function loadPassingThresholds() {
+  if (!passingThresholdsPromise) {
+    passingThresholdsPromise = (async () => {
+      try {
+        const { data, error } = await getSupabase().rpc('get_passing_thresholds');
+        if (error) throw error;
+        return normalizePassingThresholds(data);
+      } catch (error) {
+        console.error('Error loading passing thresholds:', error);
+        return DEFAULT_PASSING_THRESHOLDS;
+      }
+    })();
+  }
+  return passingThresholdsPromise;
+}
+
+function normalizePassingThresholds(data) {
+  const toPercentage = value => (value === null || value === undefined || value === '' ? null : Number(value));
+  const components = data?.components || {};
+
+  return {
+    passingPercentage: toPercentage(data?.passing_percentage) ?? DEFAULT_PASSING_THRESHOLDS.passingPercentage,
+    passingGrade: toPercentage(data?.passing_grade) ?? DEFAULT_PASSING_THRESHOLDS.passingGrade,
+    components: Object.fromEntries(
+      Object.keys(DEFAULT_PASSING_THRESHOLDS.components).map(component => [component, toPercentage(components[component])])
+    )
+  };
+}
+
+// ============================================
+// CHECKS
+// ============================================
+
+/*
+  Function Name: getQuizPassingPercentage
+  Purpose: Percentage a quiz score must reach to pass
+*/
+function getQuizPassingPercentage(quiz, thresholds = DEFAULT_PASSING_THRESHOLDS) {
+  const passingScore = Number(quiz?.passing_score) || 0;
+  const totalItems = Number(quiz?.total_items) || 0;
+
+  if (passingScore > 0 && totalItems > 0) {
+    return (passingScore / totalItems) * 100;
+  }
+
+  return thresholds.components?.[quiz?.grading_component] ?? thresholds.passingPercentage;
+}
+
+/*
+  Function Name: fetchQuizPassingPercentage
+  Purpose:
+  - Asks the database for a quiz's pass mark (get_quiz_passing_percentage),
+    for pages that only have the quiz as returned by get_native_quiz
+  - Returns null when it cannot be read
+
+  Who can use it:
+  - Any signed-in user
+*/
+async function fetchQuizPassingPercentage(quizId) {
+  try {
+    const { data, error } = await getSupabase().rpc('get_quiz_passing_percentage', { p_quiz_id: quizId });
+    if (error) throw error;
+    return data === null || data === undefined ? null : Number(data);
+  } catch (error) {
+    console.error('Error loading quiz passing percentage:', error);
+    return null;
+  }
+}
+
+/*
+  Function Name: getQuizPassingScore
+  Purpose: Points out of totalItems a quiz score must reach to pass, rounded up
+*/
+function getQuizPassingScore(quiz, thresholds = DEFAULT_PASSING_THRESHOLDS, totalItems = quiz?.total_items) {
+  const total = Number(totalItems) || 0;
+  return Math.ceil((getQuizPassingPercentage(quiz, thresholds) / 100) * total - 1e-9);
+}
+
+function isQuizScorePassing(score, totalItems, quiz, thresholds = DEFAULT_PASSING_THRESHOLDS) {
+  const total = Number(totalItems) || 0;
+  if (total <= 0 || score === null || score === undefined) return false;
+  return (Number(score) / total) * 100 >= getQuizPassingPercentage(quiz, thresholds) - 1e-9;
+}
+
+// Averages across several quizzes use the school passing percentage
+function isPercentagePassing(percentage, thresholds = DEFAULT_PASSING_THRESHOLDS) {
+  return Number(percentage) >= thresholds.passingPercentage;
+}
+
+function isGradePassing(grade, thresholds = DEFAULT_PASSING_THRESHOLDS) {
+  return grade !== null && grade !== undefined && Number(grade) >= thresholds.passingGrade;
+}
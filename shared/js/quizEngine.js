@@ -0,0 +1,1863 @@
+/*
+  File: quizEngine.js
+  Purpose:
+  - Native (in-app) quiz support that replaces external quiz links
+  - Question management for teachers
+  - Loading and submitting native quizzes for students
+  - Rendering question inputs and collecting answers
+
+  Dependencies:
+  - supabase.js - for Supabase client connection
+  - utils.js - for escapeHtml
+  - mathRender.js - for renderMathMarkup (LaTeX in question text, choices and hints)
+  - mathEquivalence.js - for isValidMathAnswer (checks math answer keys)
+  - graphQuestion.js - for graph question settings, validation and the grid
+    component (pages that edit or play graph questions)
+
+  Notes:
+  - Students never read quiz_questions directly. Questions are served by the
+    get_native_quiz RPC (without answer keys) and scored by submit_native_quiz
+    (see database/migration_v13_native_quiz_engine.sql).
+  - Numeric and math expression answers are graded by equivalence, so "1/2"
+    matches 0.5 and "2(x+2)" matches "2x+4" (migration_v14_math_answer_equivalence.sql).
+  - Questions can use variables ("Solve {a}x + {b} = {c}"). The database picks
+    each student's numbers from a seed stored on the attempt
+    (migration_v15_parameterized_questions.sql); the editor only shows random examples.
+  - Teachers keep reusable questions in a question bank tagged by grade level,
+    quarter and topic. A quiz can copy bank items or draw random ones per
+    student; graded attempts keep a snapshot of their questions
+    (migration_v16_question_bank.sql).
+  - Time limits and deadlines are enforced by the database. start_native_quiz
+    records the start time, answers are autosaved while the timer runs, and
+    expired attempts are graded with their saved answers. Late work is rejected
+    or flagged, and teachers can extend a deadline per student
+    (migration_v17_quiz_time_limits_deadlines.sql).
+  - A quiz can allow several attempts. Every attempt is its own quiz_submissions
+    row (attempt_number), and quizzes.scoring_rule picks the score that counts:
+    highest, latest or average (migration_v18_quiz_attempts_scoring.sql).
+  - The quiz player records the seconds spent on each question. Reports use
+    them with the graded answers for item analysis: difficulty, discrimination
+    and how often each choice was picked (migration_v19_quiz_item_analysis.sql).
+  - Questions can carry progressive hints and a worked solution. When a quiz
+    allows hints, students reveal them one at a time through
+    reveal_quiz_question_help; each hint costs quizzes.hint_penalty_percent of
+    the question's points and a viewed solution scores the question 0. What
+    each attempt revealed is kept in hint_usage (migration_v21_quiz_hints_solutions.sql).
+  - Graph questions (plot points, graph a line, move a shape) are answered on
+    a coordinate grid and stored as [[x, y], ...] points with the grid in
+    graph_settings (migration_v22_graph_questions.sql).
+  - Questions can be tagged with learning competencies (competency_ids); the
+    points earned on them make up each student's mastery (competencies.js,
+    migration_v33_competencies.sql).
+*/
+
+// ============================================
+// QUESTION TYPES
+// ============================================
+
+const QUIZ_QUESTION_TYPES = {
+  multiple_choice: 'Multiple Choice',
+  true_false: 'True or False',
+  numeric: 'Numeric Answer',
+  expression: 'Math Expression',
+  short_answer: 'Short Answer',
+  plot_points: 'Plot Points',
+  graph_line: 'Graph a Line',
+  drag_shape: 'Move a Shape'
+};
+
+const GRAPH_QUIZ_QUESTION_TYPES = ['plot_points', 'graph_line', 'drag_shape'];
+
+/*
+  Function Name: isMathQuizQuestion
+  Purpose: Returns true for question types graded by math equivalence
+*/
+function isMathQuizQuestion(question) {
+  return question?.question_type === 'numeric' || question?.question_type === 'expression';
+}
+
+/*
+  Function Name: isGraphQuizQuestion
+  Purpose: Returns true for question types answered on a coordinate grid
+*/
+function isGraphQuizQuestion(question) {
+  return GRAPH_QUIZ_QUESTION_TYPES.includes(question?.question_type);
+}
+
+/*
+  Function Name: isNativeQuiz
+  Purpose: Returns true when the quiz is taken inside MathTuro instead of an external link
+*/
+function isNativeQuiz(quiz) {
+  return quiz?.quiz_mode === 'native';
+}
+
+/*
+  Function Name: isAssignmentQuiz
+  Purpose: Returns true for assignments: the student uploads files or types an answer and the teacher grades it
+*/
+function isAssignmentQuiz(quiz) {
+  return quiz?.quiz_mode === 'assignment';
+}
+
+/*
+  Function Name: createEmptyQuizQuestion
+  Purpose: Returns a blank question used by the teacher question editor
+*/
+function createEmptyQuizQuestion(questionType = 'multiple_choice') {
+  const isGraph = GRAPH_QUIZ_QUESTION_TYPES.includes(questionType);
+
+  return {
+    id: null,
+    question_type: questionType,
+    prompt: '',
+    choices: questionType === 'multiple_choice' ? ['', '', '', ''] : [],
+    correct_answer: questionType === 'true_false' ? true : questionType === 'short_answer' ? [] : '',
+    tolerance: 0,
+    require_simplified: false,
+    parameters: [],
+    hints: [],
+    solution: '',
+    graph_settings: isGraph ? createEmptyGraphSettings() : null,
+    competency_ids: [],
+    points: 1
+  };
+}
+
+/*
+  Function Name: validateQuizQuestion
+  Purpose:
+  - Checks that a question from the editor can be saved
+  - Returns an error message, or null when the question is valid
+  - label prefixes the message (importers pass "Line 12")
+*/
+function validateQuizQuestion(question, index, label = `Question ${index + 1}`) {
+
+  if (!QUIZ_QUESTION_TYPES[question.question_type]) {
+    return `${label}: unknown question type`;
+  }
+
+  if (!String(question.prompt || '').trim()) {
+    return `${label}: question text is required`;
+  }
+
+  if (!Number.isInteger(Number(question.points)) || Number(question.points) < 1) {
+    return `${label}: points must be a whole number of at least 1`;
+  }
+
+  if (isGraphQuizQuestion(question)) {
+    return validateGraphQuestion(question, label);
+  }
+
+  const hasParameters = (question.parameters || []).length > 0;
+  if (hasParameters) {
+    const parameterError = validateQuizParameters(question, label);
+    if (parameterError) return parameterError;
+  }
+
+  if (question.question_type === 'multiple_choice') {
+    const choices = (question.choices || []).map(choice => String(choice).trim());
+    if (choices.filter(Boolean).length < 2) {
+      return `${label}: add at least two choices`;
+    }
+    const correctChoice = question.correct_answer === '' ? '' : choices[Number(question.correct_answer)];
+    if (!correctChoice) {
+      return `${label}: select the correct choice`;
+    }
+  }
+
+  if (question.question_type === 'numeric' && !hasParameters) {
+    if (question.correct_answer === '' || !Number.isFinite(Number(question.correct_answer))) {
+      return `${label}: the answer must be a number`;
+    }
+  }
+
+  if (question.question_type === 'expression' && !hasParameters && !isValidMathAnswer(question.correct_answer)) {
+    return `${label}: the answer must be a valid math expression (for example 2x + 4)`;
+  }
+
+  if (isMathQuizQuestion(question)) {
+    if (!Number.isFinite(Number(question.tolerance)) || Number(question.tolerance) < 0) {
+      return `${label}: tolerance cannot be negative`;
+    }
+  }
+
+  if (question.question_type === 'short_answer') {
+    const accepted = (question.correct_answer || []).map(answer => String(answer).trim()).filter(Boolean);
+    if (accepted.length === 0) {
+      return `${label}: add at least one accepted answer`;
+    }
+  }
+
+  return null;
+}
+
+/*
+  Function Name: buildQuizQuestionRow
+  Purpose: Converts an editor question into a quiz_questions row
+*/
+function buildQuizQuestionRow(question, index, quizId) {
+  const row = {
+    quiz_id: quizId,
+    order_index: index,
+    question_type: question.question_type,
+    prompt: String(question.prompt).trim(),
+    choices: [],
+    correct_answer: null,
+    tolerance: 0,
+    require_simplified: false,
+    parameters: (question.parameters || []).map(buildQuizParameterRow),
+    hints: (question.hints || []).map(hint => String(hint).trim()).filter(Boolean),
+    solution: String(question.solution || '').trim() || null,
+    graph_settings: null,
+    points: Number(question.points) || 1,
+    competency_ids: [...new Set((question.competency_ids || []).filter(Boolean))],
+    bank_item_id: question.bank_item_id || null
+  };
+  const hasParameters = row.parameters.length > 0;
+
+  switch (question.question_type) {
+    case 'multiple_choice': {
+      // Blank choices are dropped, so the correct index is re-based on the kept ones
+      const choices = (question.choices || []).map(choice => String(choice).trim());
+      const correctChoiceIndex = Number(question.correct_answer);
+      row.choices = choices.filter(Boolean);
+      row.correct_answer = choices.slice(0, correctChoiceIndex).filter(Boolean).length;
+      break;
+    }
+    case 'true_false':
+      row.choices = ['True', 'False'];
+      row.correct_answer = question.correct_answer === true || question.correct_answer === 'true';
+      break;
+    case 'numeric':
+      // With variables the answer is a formula such as "({c} - {b}) / {a}"
+      row.correct_answer = hasParameters ? String(question.correct_answer).trim() : Number(question.correct_answer);
+      row.tolerance = Number(question.tolerance) || 0;
+      row.require_simplified = question.require_simplified === true;
+      break;
+    case 'expression':
+      row.correct_answer = String(question.correct_answer).trim();
+      row.tolerance = Number(question.tolerance) || 0;
+      row.require_simplified = question.require_simplified === true;
+      break;
+    case 'short_answer':
+      row.correct_answer = (question.correct_answer || []).map(answer => String(answer).trim()).filter(Boolean);
+      break;
+    case 'plot_points':
+    case 'graph_line':
+    case 'drag_shape':
+      Object.assign(row, buildGraphQuestionFields(question));
+      break;
+  }
+
+  if (question.id) {
+    row.id = question.id;
+  }
+
+  return row;
+}
+
+// ============================================
+// QUESTION VARIABLES
+// ============================================
+
+const QUIZ_PARAMETER_NAME_PATTERN = /^[a-z][a-z0-9_]*$/i;
+const QUIZ_PARAMETER_PLACEHOLDER_PATTERN = /\{([a-z][a-z0-9_]*)\}/gi;
+
+/*
+  Function Name: createQuizParameter
+  Purpose: Returns a blank variable for the question editor (a whole number from 1 to 10)
+*/
+function createQuizParameter(kind = 'range') {
+  return { kind, name: '', min: 1, max: 10, step: 1, exclude_zero: false, formula: '' };
+}
+
+/*
+  Function Name: isQuizFormulaParameter
+  Purpose: Returns true for variables calculated from a formula instead of picked from a range
+*/
+function isQuizFormulaParameter(parameter) {
+  return parameter.kind ? parameter.kind === 'formula' : Boolean(String(parameter.formula || '').trim());
+}
+
+/*
+  Function Name: buildQuizParameterRow
+  Purpose: Converts an editor variable into the shape stored in quiz_questions.parameters
+*/
+function buildQuizParameterRow(parameter) {
+  const name = String(parameter.name).trim();
+  if (isQuizFormulaParameter(parameter)) {
+    return { name, formula: String(parameter.formula).trim() };
+  }
+  return {
+    name,
+    min: Number(parameter.min),
+    max: Number(parameter.max),
+    step: Math.abs(Number(parameter.step)) || 1,
+    exclude_zero: parameter.exclude_zero === true
+  };
+}
+
+/*
+  Function Name: substituteQuizParameters
+  Purpose:
+  - Replaces {name} placeholders with variable values
+  - parenthesize wraps values for formulas, so "{a}x" with a = -2 becomes "(-2)x"
+*/
+function substituteQuizParameters(text, values, parenthesize = false) {
+  return String(text ?? '').replace(QUIZ_PARAMETER_PLACEHOLDER_PATTERN, (placeholder, name) => {
+    if (!Object.prototype.hasOwnProperty.call(values, name)) return placeholder;
+    return parenthesize ? `(${values[name]})` : String(values[name]);
+  });
+}
+
+/*
+  Function Name: getQuizPlaceholderNames
+  Purpose: Lists the variable names used in a text ("{a}x + {b}" gives ['a', 'b'])
+*/
+function getQuizPlaceholderNames(text) {
+  return Array.from(String(text ?? '').matchAll(QUIZ_PARAMETER_PLACEHOLDER_PATTERN), match => match[1]);
+}
+
+/*
+  Function Name: roundQuizParameterValue
+  Purpose: Rounds to 6 decimal places, like the database does, to hide floating point noise
+*/
+function roundQuizParameterValue(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+/*
+  Function Name: pickQuizParameterValues
+  Purpose:
+  - Picks random example values for a question's variables (editor preview)
+  - Students get their values from the database, which uses the attempt seed
+  - Throws an Error when a formula cannot be calculated
+*/
+function pickQuizParameterValues(parameters = []) {
+  const values = {};
+
+  parameters.forEach(parameter => {
+    const name = String(parameter.name).trim();
+
+    if (isQuizFormulaParameter(parameter)) {
+      const formula = substituteQuizParameters(parameter.formula, values, true);
+      const value = evaluateMathExpression(parseMathExpression(formula));
+      if (Number.isNaN(value)) throw new Error(`Variable ${name} could not be calculated`);
+      values[name] = roundQuizParameterValue(value);
+      return;
+    }
+
+    const row = buildQuizParameterRow(parameter);
+    const max = Math.max(row.max, row.min);
+    const choiceCount = Math.floor((max - row.min) / row.step + 1e-9) + 1;
+    const zeroIndex = -row.min / row.step;
+    const skipZero = row.exclude_zero && choiceCount > 1 && Number.isInteger(zeroIndex) && zeroIndex >= 0 && zeroIndex < choiceCount;
+    let choiceIndex = Math.floor(Math.random() * (skipZero ? choiceCount - 1 : choiceCount));
+    if (skipZero && choiceIndex >= zeroIndex) choiceIndex++;
+    values[name] = roundQuizParameterValue(row.min + choiceIndex * row.step);
+  });
+
+  return values;
+}
+
+/*
+  Function Name: buildQuizQuestionVariant
+  Purpose: Fills a question's prompt, choices and answer key with variable values
+*/
+function buildQuizQuestionVariant(question, values) {
+  let correctAnswer = question.correct_answer;
+
+  if (isMathQuizQuestion(question)) {
+    correctAnswer = substituteQuizParameters(question.correct_answer, values, true);
+  } else if (Array.isArray(question.correct_answer)) {
+    correctAnswer = question.correct_answer.map(answer => substituteQuizParameters(answer, values));
+  }
+
+  return {
+    prompt: substituteQuizParameters(question.prompt, values),
+    choices: (question.choices || []).map(choice => substituteQuizParameters(choice, values)),
+    correct_answer: correctAnswer
+  };
+}
+
+/*
+  Function Name: validateQuizParameters
+  Purpose:
+  - Checks a question's variables and the placeholders that use them
+  - Tries one random example so broken answer formulas are caught before saving
+  - Returns an error message, or null when the variables are valid
+*/
+function validateQuizParameters(question, label) {
+  const names = [];
+
+  for (const parameter of question.parameters || []) {
+    const name = String(parameter.name || '').trim();
+    if (!QUIZ_PARAMETER_NAME_PATTERN.test(name)) {
+      return `${label}: variable names must start with a letter (for example a, b or x1)`;
+    }
+    if (names.includes(name)) {
+      return `${label}: variable ${name} is defined twice`;
+    }
+
+    if (isQuizFormulaParameter(parameter)) {
+      const unknown = getQuizPlaceholderNames(parameter.formula).find(used => !names.includes(used));
+      if (!String(parameter.formula || '').trim()) {
+        return `${label}: enter a formula for variable ${name}`;
+      }
+      if (unknown) {
+        return `${label}: the formula of ${name} can only use variables listed above it ({${unknown}} is not)`;
+      }
+    } else {
+      const row = buildQuizParameterRow(parameter);
+      if (!Number.isFinite(row.min) || !Number.isFinite(row.max) || !Number.isFinite(row.step)) {
+        return `${label}: variable ${name} needs a number range`;
+      }
+      if (row.max < row.min) {
+        return `${label}: the maximum of ${name} is smaller than its minimum`;
+      }
+    }
+
+    names.push(name);
+  }
+
+  const usedTexts = [question.prompt, ...(question.choices || []), ...(question.hints || []), question.solution || ''];
+  if (question.question_type !== 'true_false') {
+    usedTexts.push(...[].concat(question.correct_answer ?? []).map(String));
+  }
+  const undefinedName = usedTexts.flatMap(getQuizPlaceholderNames).find(used => !names.includes(used));
+  if (undefinedName) {
+    return `${label}: {${undefinedName}} is used but not defined as a variable`;
+  }
+
+  let variant;
+  try {
+    variant = buildQuizQuestionVariant(question, pickQuizParameterValues(question.parameters));
+  } catch (error) {
+    return `${label}: ${error.message}`;
+  }
+
+  if (question.question_type === 'numeric') {
+    let parsed;
+    try {
+      parsed = parseMathExpression(variant.correct_answer);
+    } catch (error) {
+      return `${label}: the answer formula is not valid math`;
+    }
+    if (parsed.variables.length > 0) {
+      return `${label}: the answer formula can only use variables in braces, such as {a}`;
+    }
+  }
+
+  if (question.question_type === 'expression' && !isValidMathAnswer(variant.correct_answer)) {
+    return `${label}: the answer must be a valid math expression (for example {a}x + {b})`;
+  }
+
+  return null;
+}
+
+// ============================================
+// TEACHER QUESTION MANAGEMENT
+// ============================================
+
+/*
+  Function Name: getQuizQuestions
+  Purpose:
+  - Loads every question of a quiz including answer keys
+
+  When it runs:
+  - When a teacher opens the question editor of a native quiz
+
+  Who can use it:
+  - Teacher (own quizzes), Admin
+
+  Backend interaction:
+  - Reads from quiz_questions table (RLS limits rows to the quiz owner)
+
+  Error handling:
+  - Logs error to console
+  - Returns empty array on failure
+*/
+async function getQuizQuestions(quizId) {
+  try {
+    const { data, error } = await getSupabase()
+      .from('quiz_questions')
+      .select('*')
+      .eq('quiz_id', quizId)
+      .order('order_index', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error loading quiz questions:', error);
+    return [];
+  }
+}
+
+/*
+  Function Name: saveQuizQuestions
+  Purpose:
+  - Saves the full question list of a native quiz
+  - Keeps ids of existing questions so graded answers stay linked to them
+  - Removes questions the teacher deleted
+
+  When it runs:
+  - After a native quiz is saved in manage-quizzes.html
+
+  Who can use it:
+  - Teacher (own quizzes), Admin
+
+  Backend interaction:
+  - Updates, inserts and deletes rows in quiz_questions
+
+  Error handling:
+  - Returns { success: false, error } with a readable message
+*/
+async function saveQuizQuestions(quizId, questions) {
+  try {
+    for (let i = 0; i < questions.length; i++) {
+      const validationError = validateQuizQuestion(questions[i], i);
+      if (validationError) throw new Error(validationError);
+    }
+
+    const rows = questions.map((question, index) => buildQuizQuestionRow(question, index, quizId));
+    const existingRows = rows.filter(row => row.id);
+    const newRows = rows.filter(row => !row.id);
+
+    const { data: currentRows, error: currentError } = await getSupabase()
+      .from('quiz_questions')
+      .select('id')
+      .eq('quiz_id', quizId);
+
+    if (currentError) throw currentError;
+
+    const keptIds = new Set(existingRows.map(row => row.id));
+    const removedIds = (currentRows || []).map(row => row.id).filter(id => !keptIds.has(id));
+
+    if (removedIds.length > 0) {
+      const { error } = await getSupabase()
+        .from('quiz_questions')
+        .delete()
+        .in('id', removedIds);
+      if (error) throw error;
+    }
+
+    if (existingRows.length > 0) {
+      const { error } = await getSupabase()
+        .from('quiz_questions')
+        .upsert(existingRows);
+      if (error) throw error;
+    }
+
+    if (newRows.length > 0) {
+      const { error } = await getSupabase()
+        .from('quiz_questions')
+        .insert(newRows);
+      if (error) throw error;
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving quiz questions:', error);
+    return { success: false, error: error.message || 'Failed to save questions' };
+  }
+}
+
+/*
+  Function Name: getQuizQuestionTotalPoints
+  Purpose: Sums the points of a question list (used as the quiz total_items)
+*/
+function getQuizQuestionTotalPoints(questions) {
+  return (questions || []).reduce((sum, question) => sum + (Number(question.points) || 1), 0);
+}
+
+/*
+  Function Name: getQuizSubmissionReview
+  Purpose:
+  - Loads a native attempt as the student saw it: the questions snapshotted at
+    submit time (or rebuilt from the seed for older attempts), the answer key
+    and the student's responses
+
+  When it runs:
+  - When a teacher opens an auto-graded submission in submissions.html
+
+  Who can use it:
+  - Teacher (own quizzes), Admin
+
+  Backend interaction:
+  - Calls get_quiz_submission_review RPC
+
+  Error handling:
+  - Returns { success: false, error } with the database message
+*/
+async function getQuizSubmissionReview(submissionId) {
+  try {
+    const { data, error } = await getSupabase().rpc('get_quiz_submission_review', {
+      p_submission_id: submissionId
+    });
+
+    if (error) throw error;
+    return { success: true, review: data };
+  } catch (error) {
+    console.error('Error loading submission review:', error);
+    return { success: false, error: error.message || 'Failed to load answers' };
+  }
+}
+
+// ============================================
+// QUESTION BANK
+// ============================================
+
+/*
+  Function Name: createQuizBankDraw
+  Purpose: Returns a blank random draw (empty tags match any bank item)
+*/
+function createQuizBankDraw() {
+  return {
+    id: null,
+    grade_level_id: '',
+    quarter: '',
+    topic: '',
+    draw_count: 1
+  };
+}
+
+/*
+  Function Name: normalizeQuestionBankTopic
+  Purpose: Topics match without regard to case or surrounding spaces
+*/
+function normalizeQuestionBankTopic(topic) {
+  return String(topic || '').trim().toLowerCase();
+}
+
+/*
+  Function Name: doesBankItemMatchDraw
+  Purpose: Same tag filter as get_quiz_attempt_questions in the database
+*/
+function doesBankItemMatchDraw(item, draw) {
+  if (draw.grade_level_id && String(item.grade_level_id || '') !== String(draw.grade_level_id)) return false;
+  if (draw.quarter && Number(item.quarter) !== Number(draw.quarter)) return false;
+  if (normalizeQuestionBankTopic(draw.topic) && normalizeQuestionBankTopic(item.topic) !== normalizeQuestionBankTopic(draw.topic)) return false;
+  return true;
+}
+
+/*
+  Function Name: getQuestionBankItemsForDraws
+  Purpose:
+  - Returns the bank items each draw can pick from, in draw order
+  - An item is drawn at most once per attempt, so earlier draws claim
+    the items they can use before later draws see them
+*/
+function getQuestionBankItemsForDraws(draws, bankItems) {
+  const claimedIds = new Set();
+
+  return (draws || []).map(draw => {
+    const available = (bankItems || []).filter(item => !claimedIds.has(item.id) && doesBankItemMatchDraw(item, draw));
+    available.slice(0, Number(draw.draw_count) || 0).forEach(item => claimedIds.add(item.id));
+    return available;
+  });
+}
+
+/*
+  Function Name: getQuizBankDrawPoints
+  Purpose:
+  - Estimates the points the random draws add to a quiz
+  - Exact when the matching bank items share the same points
+*/
+function getQuizBankDrawPoints(draws, bankItems) {
+  const availableByDraw = getQuestionBankItemsForDraws(draws, bankItems);
+
+  return Math.round((draws || []).reduce((sum, draw, index) => {
+    const available = availableByDraw[index];
+    if (available.length === 0) return sum;
+    const drawnCount = Math.min(Number(draw.draw_count) || 0, available.length);
+    return sum + drawnCount * getQuizQuestionTotalPoints(available) / available.length;
+  }, 0));
+}
+
+/*
+  Function Name: validateQuizBankDraws
+  Purpose:
+  - Checks that every draw has a count and enough matching bank items
+  - Returns an error message, or null when the draws are valid
+*/
+function validateQuizBankDraws(draws, bankItems) {
+  const availableByDraw = getQuestionBankItemsForDraws(draws, bankItems);
+
+  for (let i = 0; i < (draws || []).length; i++) {
+    const count = Number(draws[i].draw_count);
+    if (!Number.isInteger(count) || count < 1) {
+      return `Draw ${i + 1}: the number of questions must be a whole number of at least 1`;
+    }
+    if (availableByDraw[i].length < count) {
+      return `Draw ${i + 1}: only ${availableByDraw[i].length} bank ${availableByDraw[i].length === 1 ? 'item matches' : 'items match'}`;
+    }
+  }
+
+  return null;
+}
+
+/*
+  Function Name: createQuestionDraftFromBankItem
+  Purpose: Copies a bank item into the question editor, linked to its bank item
+*/
+function createQuestionDraftFromBankItem(item) {
+  return {
+    ...createEmptyQuizQuestion(item.question_type),
+    question_type: item.question_type,
+    prompt: item.prompt,
+    choices: [...(item.choices || [])],
+    correct_answer: Array.isArray(item.correct_answer) ? [...item.correct_answer] : item.correct_answer,
+    tolerance: item.tolerance,
+    require_simplified: item.require_simplified === true,
+    parameters: (item.parameters || []).map(parameter => ({
+      ...createQuizParameter(isQuizFormulaParameter(parameter) ? 'formula' : 'range'),
+      ...parameter
+    })),
+    hints: [...(item.hints || [])],
+    solution: item.solution || '',
+    graph_settings: item.graph_settings ? { ...item.graph_settings } : null,
+    points: item.points,
+    competency_ids: [...(item.competency_ids || [])],
+    bank_item_id: item.id
+  };
+}
+
+/*
+  Function Name: getQuestionBankItems
+  Purpose:
+  - Loads the question bank of a teacher including answer keys
+
+  When it runs:
+  - When a teacher opens the quiz editor in manage-quizzes.html
+
+  Who can use it:
+  - Teacher (own bank), Admin
+
+  Backend interaction:
+  - Reads from question_bank_items table
+
+  Error handling:
+  - Logs error to console
+  - Returns empty array on failure
+*/
+async function getQuestionBankItems(teacherId) {
+  try {
+    const { data, error } = await getSupabase()
+      .from('question_bank_items')
+      .select('*')
+      .eq('teacher_id', teacherId)
+      .order('topic', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error loading question bank:', error);
+    return [];
+  }
+}
+
+/*
+  Function Name: saveQuestionBankItem
+  Purpose:
+  - Saves an editor question to the bank with its grade level, quarter and topic tags
+  - Updates the linked bank item when the question came from the bank
+  - Quizzes that were already taken keep the version their students answered
+
+  When it runs:
+  - When a teacher clicks "Save to Bank" on a question in manage-quizzes.html
+
+  Who can use it:
+  - Teacher (own bank), Admin
+
+  Backend interaction:
+  - Inserts or updates a row in question_bank_items
+
+  Error handling:
+  - Returns { success: false, error } with a readable message
+*/
+async function saveQuestionBankItem(question, tags, teacherId) {
+  try {
+    const validationError = validateQuizQuestion(question, 0);
+    if (validationError) throw new Error(validationError.replace(/^Question 1: /, ''));
+
+    const { quiz_id, order_index, id, bank_item_id, ...questionRow } = buildQuizQuestionRow(question, 0, null);
+    const row = {
+      ...questionRow,
+      teacher_id: teacherId,
+      grade_level_id: tags.grade_level_id || null,
+      quarter: tags.quarter ? Number(tags.quarter) : null,
+      topic: String(tags.topic || '').trim() || null
+    };
+
+    const query = question.bank_item_id
+      ? getSupabase().from('question_bank_items').update(row).eq('id', question.bank_item_id)
+      : getSupabase().from('question_bank_items').insert(row);
+    const { data, error } = await query.select().single();
+
+    if (error) throw error;
+    return { success: true, item: data };
+  } catch (error) {
+    console.error('Error saving bank item:', error);
+    return { success: false, error: error.message || 'Failed to save to the question bank' };
+  }
+}
+
+/*
+  Function Name: deleteQuestionBankItem
+  Purpose:
+  - Removes a question from the bank
+  - Quiz questions copied from it and graded attempts are kept
+
+  When it runs:
+  - When a teacher deletes an item in the question bank window
+
+  Who can use it:
+  - Teacher (own bank), Admin
+
+  Backend interaction:
+  - Deletes a row from question_bank_items
+
+  Error handling:
+  - Returns { success: false, error } with a readable message
+*/
+async function deleteQuestionBankItem(itemId) {
+  try {
+    const { error } = await getSupabase()
+      .from('question_bank_items')
+      .delete()
+      .eq('id', itemId);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting bank item:', error);
+    return { success: false, error: error.message || 'Failed to delete bank item' };
+  }
+}
+
+/*
+  Function Name: getQuizBankDraws
+  Purpose: Loads the random draws of a native quiz
+*/
+async function getQuizBankDraws(quizId) {
+  try {
+    const { data, error } = await getSupabase()
+      .from('quiz_bank_draws')
+      .select('*')
+      .eq('quiz_id', quizId)
+      .order('order_index', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error loading quiz bank draws:', error);
+    return [];
+  }
+}
+
+/*
+  Function Name: saveQuizBankDraws
+  Purpose:
+  - Replaces the random draws of a native quiz
+  - Attempts already taken are unaffected (their questions are snapshotted)
+
+  When it runs:
+  - After a native quiz is saved in manage-quizzes.html
+
+  Who can use it:
+  - Teacher (own quizzes), Admin
+
+  Backend interaction:
+  - Deletes and inserts rows in quiz_bank_draws
+
+  Error handling:
+  - Returns { success: false, error } with a readable message
+*/
+async function saveQuizBankDraws(quizId, draws) {
+  try {
+    const { error: deleteError } = await getSupabase()
+      .from('quiz_bank_draws')
+      .delete()
+      .eq('quiz_id', quizId);
+
+    if (deleteError) throw deleteError;
+
+    if ((draws || []).length > 0) {
+      const { error } = await getSupabase()
+        .from('quiz_bank_draws')
+        .insert(draws.map((draw, index) => ({
+          quiz_id: quizId,
+          grade_level_id: draw.grade_level_id || null,
+          quarter: draw.quarter ? Number(draw.quarter) : null,
+          topic: String(draw.topic || '').trim() || null,
+          draw_count: Number(draw.draw_count),
+          order_index: index
+        })));
+      if (error) throw error;
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving quiz bank draws:', error);
+    return { success: false, error: error.message || 'Failed to save random draws' };
+  }
+}
+
+// ============================================
+// ATTEMPTS AND SCORING
+// ============================================
+
+const QUIZ_SCORING_RULES = {
+  highest: 'Highest score',
+  latest: 'Latest attempt',
+  average: 'Average score'
+};
+
+const DEFAULT_QUIZ_SCORING_RULE = 'highest';
+
+/*
+  Function Name: sortQuizAttempts
+  Purpose: Returns submissions oldest attempt first (attempt_number, then submitted_at)
+*/
+function sortQuizAttempts(submissions) {
+  return [...(submissions || [])].sort((a, b) =>
+    (a.attempt_number || 0) - (b.attempt_number || 0) ||
+    new Date(a.submitted_at || a.created_at) - new Date(b.submitted_at || b.created_at)
+  );
+}
+
+/*
+  Function Name: getLatestQuizAttempt
+  Purpose: The student's most recent submission for one quiz (any status), or null
+*/
+function getLatestQuizAttempt(submissions) {
+  const sorted = sortQuizAttempts(submissions);
+  return sorted.length > 0 ? sorted[sorted.length - 1] : null;
+}
+
+/*
+  Function Name: getCountedQuizAttempts
+  Purpose:
+  - Attempts that count toward the score: approved ones, like the gradebook
+    (a self-reported score waiting for review does not count yet)
+*/
+function getCountedQuizAttempts(submissions) {
+  return sortQuizAttempts(submissions).filter(submission =>
+    submission.status === 'approved' &&
+    submission.student_score !== null && submission.student_score !== undefined &&
+    Number(submission.total_items) > 0
+  );
+}
+
+/*
+  Function Name: getQuizAttemptScore
+  Purpose:
+  - Applies a quiz's scoring rule to one student's submissions for that quiz
+  - Returns { score, totalItems, percentage, attempts, submission } or null
+    when nothing counts yet; submission is the attempt the score comes from
+    (the latest one for "average")
+*/
+function getQuizAttemptScore(submissions, scoringRule = DEFAULT_QUIZ_SCORING_RULE) {
+  const attempts = getCountedQuizAttempts(submissions);
+  if (attempts.length === 0) return null;
+
+  const getPercentage = submission => (Number(submission.student_score) / Number(submission.total_items)) * 100;
+  const latest = attempts[attempts.length - 1];
+  let submission = latest;
+  let percentage = getPercentage(latest);
+
+  if (scoringRule === 'highest') {
+    submission = attempts.reduce((best, current) =>
+      getPercentage(current) >= getPercentage(best) ? current : best
+    );
+    percentage = getPercentage(submission);
+  } else if (scoringRule === 'average') {
+    percentage = attempts.reduce((sum, current) => sum + getPercentage(current), 0) / attempts.length;
+  }
+
+  const totalItems = Number(submission.total_items);
+  const score = scoringRule === 'average'
+    ? Math.round((percentage / 100) * totalItems * 10) / 10
+    : Number(submission.student_score);
+
+  return {
+    score,
+    totalItems,
+    percentage,
+    attempts: attempts.length,
+    submission
+  };
+}
+
+/*
+  Function Name: getQuizAttemptsRemaining
+  Purpose:
+  - Attempts the student has left, or null when the quiz allows unlimited attempts
+  - Counts the given submissions, or quiz.attempts_used (from get_native_quiz) when omitted
+*/
+function getQuizAttemptsRemaining(quiz, submissions = null) {
+  const maxAttempts = Number(quiz?.max_attempts ?? 1);
+  if (maxAttempts === 0) return null;
+  const used = Array.isArray(submissions)
+    ? submissions.filter(submission => submission.status !== 'rejected').length
+    : Number(quiz?.attempts_used) || 0;
+  return Math.max(0, maxAttempts - used);
+}
+
+/*
+  Function Name: formatQuizAttemptPolicy
+  Purpose: Describes a quiz's attempt settings (e.g. "3 attempts · highest score counts")
+*/
+function formatQuizAttemptPolicy(quiz) {
+  const maxAttempts = Number(quiz?.max_attempts ?? 1);
+  if (maxAttempts === 1) return '1 attempt';
+
+  const attemptsLabel = maxAttempts === 0 ? 'Unlimited attempts' : `${maxAttempts} attempts`;
+  const ruleLabel = QUIZ_SCORING_RULES[quiz?.scoring_rule] || QUIZ_SCORING_RULES[DEFAULT_QUIZ_SCORING_RULE];
+  return `${attemptsLabel} · ${ruleLabel.toLowerCase()} counts`;
+}
+
+// ============================================
+// TIME LIMITS AND DEADLINES
+// ============================================
+
+/*
+  Function Name: getQuizDeadlineStatus
+  Purpose:
+  - Returns 'open', 'late' (past the deadline, late work accepted) or 'closed'
+  - extension is the student's quiz_deadline_extensions row, if any
+*/
+function getQuizDeadlineStatus(quiz, extension = null, now = new Date()) {
+  const deadline = extension?.deadline || quiz?.deadline;
+  if (!deadline || now <= new Date(deadline)) return 'open';
+  return quiz.allow_late_submissions ? 'late' : 'closed';
+}
+
+/*
+  Function Name: getQuizTimeRemaining
+  Purpose:
+  - Milliseconds left in an attempt, or null when it has no time limit
+  - clockOffset is server time minus local time, so a wrong device clock
+    does not change the countdown
+*/
+function getQuizTimeRemaining(attempt, clockOffset = 0) {
+  if (!attempt?.expires_at) return null;
+  return Math.max(0, new Date(attempt.expires_at).getTime() - (Date.now() + clockOffset));
+}
+
+/*
+  Function Name: formatQuizCountdown
+  Purpose: Formats milliseconds as "m:ss" (or "h:mm:ss")
+*/
+function formatQuizCountdown(milliseconds) {
+  const totalSeconds = Math.ceil(Math.max(0, milliseconds) / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+}
+
+/*
+  Function Name: formatQuizDeadline
+  Purpose: Formats a deadline for display (e.g. "Oct 18, 2026, 5:00 PM")
+*/
+function formatQuizDeadline(deadline) {
+  if (!deadline) return '';
+  return new Date(deadline).toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
+
+/*
+  Function Name: toDateTimeLocalValue
+  Purpose: Converts a timestamp to the local "YYYY-MM-DDTHH:mm" value of a datetime-local input
+*/
+function toDateTimeLocalValue(timestamp) {
+  if (!timestamp) return '';
+  const date = new Date(timestamp);
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+}
+
+/*
+  Function Name: fromDateTimeLocalValue
+  Purpose: Converts a datetime-local input value to an ISO timestamp (null when empty)
+*/
+function fromDateTimeLocalValue(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/*
+  Function Name: finalizeExpiredQuizAttempts
+  Purpose:
+  - Grades attempts whose time ran out but were never submitted
+    (e.g. the student closed the tab), using their saved answers
+
+  When it runs:
+  - Before teachers load submissions and before students load their quizzes
+
+  Who can use it:
+  - Student (own attempts), Teacher (own quizzes), Admin
+
+  Backend interaction:
+  - Calls finalize_expired_quiz_attempts RPC
+
+  Error handling:
+  - Logs and returns 0; pages keep loading
+*/
+async function finalizeExpiredQuizAttempts(quizId = null) {
+  try {
+    const { data, error } = await getSupabase().rpc('finalize_expired_quiz_attempts', {
+      p_quiz_id: quizId
+    });
+
+    if (error) throw error;
+    return data || 0;
+  } catch (error) {
+    console.error('Error finalizing expired quiz attempts:', error);
+    return 0;
+  }
+}
+
+/*
+  Function Name: getQuizDeadlineExtensions
+  Purpose:
+  - Loads deadline extensions, optionally for one quiz
+  - Students only see their own (RLS)
+*/
+async function getQuizDeadlineExtensions(quizId = null) {
+  try {
+    let query = getSupabase()
+      .from('quiz_deadline_extensions')
+      .select('*');
+
+    if (quizId) {
+      query = query.eq('quiz_id', quizId);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error loading deadline extensions:', error);
+    return [];
+  }
+}
+
+/*
+  Function Name: saveQuizDeadlineExtension
+  Purpose:
+  - Gives one student a later deadline for a quiz (replaces an existing extension)
+  - Late flags of the student's submission are recomputed by the database
+
+  When it runs:
+  - From the "Deadline Extensions" modal in teacher/submissions.html
+
+  Who can use it:
+  - Teacher (own quizzes), Admin
+
+  Backend interaction:
+  - Upserts quiz_deadline_extensions on (quiz_id, user_id)
+
+  Error handling:
+  - Returns { success: false, error } with a readable message
+*/
+async function saveQuizDeadlineExtension(quizId, userId, deadline, reason = '', grantedBy = null) {
+  try {
+    if (!deadline) {
+      return { success: false, error: 'Choose the new deadline' };
+    }
+
+    const { data, error } = await getSupabase()
+      .from('quiz_deadline_extensions')
+      .upsert({
+        quiz_id: quizId,
+        user_id: userId,
+        deadline,
+        reason: String(reason || '').trim() || null,
+        granted_by: grantedBy
+      }, { onConflict: 'quiz_id,user_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { success: true, extension: data };
+  } catch (error) {
+    console.error('Error saving deadline extension:', error);
+    return { success: false, error: error.message || 'Failed to save extension' };
+  }
+}
+
+/*
+  Function Name: deleteQuizDeadlineExtension
+  Purpose: Removes an extension; the quiz deadline applies again
+*/
+async function deleteQuizDeadlineExtension(extensionId) {
+  try {
+    const { error } = await getSupabase()
+      .from('quiz_deadline_extensions')
+      .delete()
+      .eq('id', extensionId);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting deadline extension:', error);
+    return { success: false, error: error.message || 'Failed to remove extension' };
+  }
+}
+
+// ============================================
+// ITEM ANALYSIS
+// ============================================
+
+const QUIZ_ITEM_ANALYSIS_LIMITS = {
+  veryEasy: 0.85,          // difficulty index above this
+  veryHard: 0.25,          // difficulty index below this
+  lowDiscrimination: 0.2,  // discrimination index below this
+  groupShare: 0.27,        // upper and lower groups compared by the discrimination index
+  minGroupSize: 2,         // smaller groups leave the discrimination index blank
+  minRespondents: 5        // fewer answers than this are not flagged
+};
+
+/*
+  Function Name: getQuizSubmissionQuestions
+  Purpose:
+  - Loads the question snapshots of graded native attempts (the prompt,
+    choices and answer key each student actually saw)
+
+  When it runs:
+  - When a teacher opens the item analysis of a quiz in reports.html
+
+  Who can use it:
+  - Teacher (own quizzes), Admin
+
+  Backend interaction:
+  - Reads from quiz_submission_questions table in batches of 100 submissions
+
+  Error handling:
+  - Logs error to console
+  - Returns empty array on failure
+*/
+async function getQuizSubmissionQuestions(submissionIds) {
+  try {
+    const rows = [];
+    for (let i = 0; i < submissionIds.length; i += 100) {
+      const { data, error } = await getSupabase()
+        .from('quiz_submission_questions')
+        .select('*')
+        .in('submission_id', submissionIds.slice(i, i + 100));
+
+      if (error) throw error;
+      rows.push(...(data || []));
+    }
+    return rows;
+  } catch (error) {
+    console.error('Error loading submission questions:', error);
+    return [];
+  }
+}
+
+/*
+  Function Name: getQuizItemAnalysisAttempts
+  Purpose:
+  - Picks the attempt each student is analysed on: their first graded native
+    attempt, so retakes after seeing the results do not make items look easier
+*/
+function getQuizItemAnalysisAttempts(submissions) {
+  const byStudent = {};
+  sortQuizAttempts(submissions).forEach(submission => {
+    if (byStudent[submission.user_id]) return;
+    if (!Array.isArray(submission.answers) || submission.answers.length === 0) return;
+    if (!getCountedQuizAttempts([submission]).length) return;
+    byStudent[submission.user_id] = submission;
+  });
+  return Object.values(byStudent);
+}
+
+/*
+  Function Name: getQuizItemOptionKey
+  Purpose: The choice a multiple choice or true/false response picked, or null when blank
+*/
+function getQuizItemOptionKey(questionType, response) {
+  if (response === null || response === undefined || String(response).trim() === '') return null;
+  if (questionType === 'true_false') return String(response) === 'true' ? 'true' : 'false';
+  return String(Number(response));
+}
+
+/*
+  Function Name: computeQuizItemAnalysis
+  Purpose:
+  - Classical item statistics for one native quiz
+  - submissions: quiz_submissions rows of the students in scope (any attempts)
+  - snapshots: their quiz_submission_questions rows
+  - questions: the quiz's current questions, used for labels and order when a
+    snapshot is missing (attempts graded before migration v16)
+  - Returns { studentCount, items } where each item has:
+    difficulty (share answering correctly), discrimination (upper minus lower
+    27% group by total score, null when the groups are too small), options
+    (selection rate of every choice, multiple choice and true/false only),
+    wrongAnswers (most common wrong responses, other types), averageSeconds
+    (null when no times were recorded) and flags for the teacher
+*/
+function computeQuizItemAnalysis(submissions, snapshots = [], questions = []) {
+  const limits = QUIZ_ITEM_ANALYSIS_LIMITS;
+  const attempts = getQuizItemAnalysisAttempts(submissions);
+  const questionsById = {};
+  const snapshotsBySubmission = {};
+  const items = {};
+
+  (questions || []).forEach(question => {
+    questionsById[question.id] = question;
+  });
+  (snapshots || []).forEach(snapshot => {
+    snapshotsBySubmission[snapshot.submission_id] = snapshotsBySubmission[snapshot.submission_id] || {};
+    snapshotsBySubmission[snapshot.submission_id][snapshot.question_id] = snapshot;
+  });
+
+  attempts.forEach(submission => {
+    const totalScore = Number(submission.student_score) / Number(submission.total_items);
+    const times = submission.item_times || {};
+
+    submission.answers.forEach(answer => {
+      const snapshot = snapshotsBySubmission[submission.id]?.[answer.question_id];
+      const question = questionsById[answer.question_id];
+      const source = snapshot || question;
+
+      if (!items[answer.question_id]) {
+        items[answer.question_id] = {
+          questionId: answer.question_id,
+          questionType: source?.question_type || null,
+          prompt: question?.prompt || snapshot?.prompt || 'Deleted question',
+          choices: question?.choices || snapshot?.choices || [],
+          correctAnswer: source ? source.correct_answer : null,
+          order: question ? question.order_index : 1000 + Number(snapshot?.order_index || 0),
+          responses: []
+        };
+      }
+
+      const seconds = Number(times[answer.question_id]);
+      items[answer.question_id].responses.push({
+        isCorrect: answer.is_correct === true,
+        response: answer.response,
+        seconds: Number.isFinite(seconds) && seconds > 0 ? seconds : null,
+        totalScore
+      });
+    });
+  });
+
+  const results = Object.values(items)
+    .sort((a, b) => a.order - b.order)
+    .map((item, index) => {
+      const responses = item.responses;
+      const respondents = responses.length;
+      const correctCount = responses.filter(response => response.isCorrect).length;
+      const difficulty = respondents > 0 ? correctCount / respondents : null;
+
+      // Upper and lower groups by total score on the attempt
+      const ranked = [...responses].sort((a, b) => b.totalScore - a.totalScore);
+      const groupSize = Math.round(respondents * limits.groupShare);
+      let discrimination = null;
+      if (groupSize >= limits.minGroupSize) {
+        const share = group => group.filter(response => response.isCorrect).length / group.length;
+        discrimination = share(ranked.slice(0, groupSize)) - share(ranked.slice(-groupSize));
+      }
+
+      const timed = responses.filter(response => response.seconds !== null);
+      const averageSeconds = timed.length > 0
+        ? timed.reduce((sum, response) => sum + response.seconds, 0) / timed.length
+        : null;
+
+      let options = [];
+      let wrongAnswers = [];
+
+      if (item.questionType === 'multiple_choice' || item.questionType === 'true_false') {
+        const choices = item.questionType === 'true_false'
+          ? [{ key: 'true', label: 'True' }, { key: 'false', label: 'False' }]
+          : (item.choices || []).map((choice, choiceIndex) => ({ key: String(choiceIndex), label: String(choice) }));
+        const correctKey = item.questionType === 'true_false'
+          ? String(item.correctAnswer === true || item.correctAnswer === 'true')
+          : String(Number(item.correctAnswer));
+        const counts = {};
+
+        responses.forEach(response => {
+          const key = getQuizItemOptionKey(item.questionType, response.response);
+          counts[key] = (counts[key] || 0) + 1;
+        });
+
+        options = choices.map((choice, choiceIndex) => ({
+          label: item.questionType === 'true_false' ? choice.label : `${String.fromCharCode(65 + choiceIndex)}. ${choice.label}`,
+          isCorrect: choice.key === correctKey,
+          count: counts[choice.key] || 0,
+          rate: respondents > 0 ? (counts[choice.key] || 0) / respondents : 0
+        }));
+
+        if (counts.null) {
+          options.push({ label: 'No answer', isCorrect: false, isBlank: true, count: counts.null, rate: counts.null / respondents });
+        }
+      } else {
+        const counts = {};
+        responses.filter(response => !response.isCorrect).forEach(response => {
+          const label = response.response === null || response.response === undefined || String(response.response).trim() === ''
+            ? 'No answer'
+            : String(response.response).trim();
+          counts[label] = (counts[label] || 0) + 1;
+        });
+
+        wrongAnswers = Object.entries(counts)
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 3)
+          .map(([label, count]) => ({ label, count, rate: count / respondents }));
+      }
+
+      const flags = [];
+      if (respondents >= limits.minRespondents) {
+        const key = options.find(option => option.isCorrect);
+        const distractors = options.filter(option => !option.isCorrect && !option.isBlank);
+
+        if (difficulty > limits.veryEasy) flags.push('Very easy');
+        if (difficulty < limits.veryHard) flags.push('Very hard');
+        if (discrimination !== null && discrimination < 0) {
+          flags.push('Misleading: weaker students did better');
+        } else if (discrimination !== null && discrimination < limits.lowDiscrimination) {
+          flags.push('Low discrimination');
+        }
+        if (key && distractors.some(option => option.count > key.count)) {
+          flags.push('A wrong choice was picked more than the answer');
+        }
+        if (item.questionType === 'multiple_choice' && distractors.some(option => option.count === 0)) {
+          flags.push('Unused choice');
+        }
+      }
+
+      return {
+        number: index + 1,
+        questionId: item.questionId,
+        questionType: item.questionType,
+        prompt: item.prompt,
+        respondents,
+        correctCount,
+        difficulty,
+        discrimination,
+        averageSeconds,
+        options,
+        wrongAnswers,
+        flags
+      };
+    });
+
+  return { studentCount: attempts.length, items: results };
+}
+
+// ============================================
+// HINTS AND SOLUTIONS
+// ============================================
+
+/*
+  Function Name: formatQuizHintPolicy
+  Purpose: Describes what hints and worked solutions cost, e.g. for the quiz start screen
+*/
+function formatQuizHintPolicy(quiz) {
+  const penalty = Number(quiz?.hint_penalty_percent) || 0;
+  const hintCost = penalty > 0
+    ? `Each hint you reveal takes ${penalty}% off that question's points.`
+    : 'Hints do not cost points.';
+  return `${hintCost} Viewing a worked solution scores that question 0.`;
+}
+
+/*
+  Function Name: summarizeQuizHintUsage
+  Purpose:
+  - Totals a hint_usage object ({ "<question_id>": { hints, solution } })
+  - Returns { hints, solutions, questions } where questions counts the questions
+    the student asked for any help on
+*/
+function summarizeQuizHintUsage(hintUsage) {
+  const summary = { hints: 0, solutions: 0, questions: 0 };
+
+  Object.values(hintUsage || {}).forEach(entry => {
+    const hints = Number(entry?.hints) || 0;
+    const solution = entry?.solution === true;
+    summary.hints += hints;
+    if (solution) summary.solutions += 1;
+    if (hints > 0 || solution) summary.questions += 1;
+  });
+
+  return summary;
+}
+
+/*
+  Function Name: formatQuizHintUsage
+  Purpose: Returns "2 hints, 1 solution" for a hint_usage summary, or '' when no help was used
+*/
+function formatQuizHintUsage(summary) {
+  const parts = [];
+  if (summary.hints > 0) parts.push(`${summary.hints} ${summary.hints === 1 ? 'hint' : 'hints'}`);
+  if (summary.solutions > 0) parts.push(`${summary.solutions} ${summary.solutions === 1 ? 'solution' : 'solutions'}`);
+  return parts.join(', ');
+}
+
+/*
+  Function Name: revealQuizHint
+  Purpose:
+  - Reveals the next hint of a question in the student's open attempt
+  - Returns the question's help ({ hint_count, has_solution, hints, solution })
+    with every hint revealed so far
+
+  When it runs:
+  - When the student clicks "Show hint" in quiz-player.html
+
+  Who can use it:
+  - Student (quizzes that allow hints)
+
+  Backend interaction:
+  - Calls reveal_quiz_question_help RPC, which records the hint on the attempt
+
+  Error handling:
+  - Returns { success: false, error } with the database message
+*/
+async function revealQuizHint(quizId, questionId) {
+  try {
+    const { data, error } = await getSupabase().rpc('reveal_quiz_question_help', {
+      p_quiz_id: quizId,
+      p_question_id: questionId,
+      p_solution: false
+    });
+
+    if (error) throw error;
+    return { success: true, help: data };
+  } catch (error) {
+    console.error('Error revealing hint:', error);
+    return { success: false, error: error.message || 'Failed to show the hint' };
+  }
+}
+
+/*
+  Function Name: revealQuizSolution
+  Purpose:
+  - Reveals the worked solution of a question in the student's open attempt
+  - The question scores 0 once its solution has been viewed
+
+  When it runs:
+  - When the student confirms "Show worked solution" in quiz-player.html
+
+  Who can use it:
+  - Student (quizzes that allow hints)
+
+  Backend interaction:
+  - Calls reveal_quiz_question_help RPC with p_solution set
+
+  Error handling:
+  - Returns { success: false, error } with the database message
+*/
+async function revealQuizSolution(quizId, questionId) {
+  try {
+    const { data, error } = await getSupabase().rpc('reveal_quiz_question_help', {
+      p_quiz_id: quizId,
+      p_question_id: questionId,
+      p_solution: true
+    });
+
+    if (error) throw error;
+    return { success: true, help: data };
+  } catch (error) {
+    console.error('Error revealing solution:', error);
+    return { success: false, error: error.message || 'Failed to show the solution' };
+  }
+}
+
+/*
+  Function Name: renderQuizQuestionHelp
+  Purpose:
+  - Returns the HTML of a question's revealed hints, worked solution and reveal buttons
+  - Returns '' for questions without help, or when the quiz does not allow hints
+    (get_native_quiz then leaves out hint_count)
+  - Buttons carry data-reveal-hint / data-reveal-solution with the question id
+*/
+function renderQuizQuestionHelp(question) {
+  const hintCount = Number(question.hint_count) || 0;
+  if (hintCount === 0 && !question.has_solution) return '';
+
+  const hints = question.hints || [];
+  const hintsLeft = hintCount - hints.length;
+  const buttons = [];
+
+  if (hintsLeft > 0 && !question.solution) {
+    buttons.push(`
+      <button type="button" data-reveal-hint="${question.id}" class="px-3 py-1.5 text-xs font-medium text-brand border border-brand/30 rounded-lg hover:bg-brand/5">
+        ${hints.length ? 'Next hint' : 'Show hint'} (${hintsLeft} left)
+      </button>
+    `);
+  }
+  if (question.has_solution && !question.solution) {
+    buttons.push(`
+      <button type="button" data-reveal-solution="${question.id}" class="px-3 py-1.5 text-xs font-medium text-gray-600 border border-gray-200 rounded-lg hover:bg-gray-50">
+        Show worked solution
+      </button>
+    `);
+  }
+
+  return `
+    ${hints.map((hint, hintIndex) => `
+      <div class="px-4 py-3 rounded-xl bg-yellow-50 border border-yellow-100 text-sm text-gray-800">
+        <span class="font-semibold text-yellow-700">Hint ${hintIndex + 1}:</span>
+        <span class="whitespace-pre-line">${renderMathMarkup(hint)}</span>
+      </div>
+    `).join('')}
+    ${question.solution ? `
+      <div class="px-4 py-3 rounded-xl bg-blue-50 border border-blue-100 text-sm text-gray-800">
+        <p class="font-semibold text-blue-700 mb-1">Worked solution</p>
+        <p class="whitespace-pre-line">${renderMathMarkup(question.solution)}</p>
+      </div>
+    ` : ''}
+    ${buttons.length ? `<div class="flex flex-wrap gap-2">${buttons.join('')}</div>` : ''}
+  `;
+}
+
+// ============================================
+// STUDENT QUIZ PLAYER
+// ============================================
+
+/*
+  Function Name: getNativeQuiz
+  Purpose:
+  - Loads a native quiz and the student's open attempt for the quiz player
+  - Questions are only returned once the attempt has started
+  - Answer keys are never included
+
+  When it runs:
+  - When the student opens quiz-player.html
+
+  Who can use it:
+  - Student (only quizzes in their grade/section scope)
+
+  Backend interaction:
+  - Calls get_native_quiz RPC
+
+  Error handling:
+  - Returns { success: false, error } with the database message
+*/
+async function getNativeQuiz(quizId) {
+  try {
+    const { data, error } = await getSupabase().rpc('get_native_quiz', {
+      p_quiz_id: quizId
+    });
+
+    if (error) throw error;
+    return {
+      success: true,
+      quiz: data.quiz,
+      attempt: data.attempt || null,
+      questions: data.questions || []
+    };
+  } catch (error) {
+    console.error('Error loading native quiz:', error);
+    return { success: false, error: error.message || 'Failed to load quiz' };
+  }
+}
+
+/*
+  Function Name: startNativeQuiz
+  Purpose:
+  - Starts the student's attempt, or resumes the open one
+  - The server records the start time and computes when the attempt expires
+
+  When it runs:
+  - When the student clicks "Start Quiz" in quiz-player.html
+
+  Who can use it:
+  - Student
+
+  Backend interaction:
+  - Calls start_native_quiz RPC
+
+  Error handling:
+  - Returns { success: false, error } with the database message
+    (e.g. the deadline has passed)
+*/
+async function startNativeQuiz(quizId) {
+  try {
+    const { data, error } = await getSupabase().rpc('start_native_quiz', {
+      p_quiz_id: quizId
+    });
+
+    if (error) throw error;
+    return { success: true, attempt: data };
+  } catch (error) {
+    console.error('Error starting native quiz:', error);
+    return { success: false, error: error.message || 'Failed to start quiz' };
+  }
+}
+
+/*
+  Function Name: saveNativeQuizProgress
+  Purpose:
+  - Saves the answers of the open attempt
+  - If time runs out, the attempt is graded with the last saved answers
+  - itemTimes ({ "<question_id>": seconds }) feeds the teacher's item analysis
+*/
+async function saveNativeQuizProgress(quizId, answers, itemTimes = null) {
+  try {
+    const { error } = await getSupabase().rpc('save_native_quiz_progress', {
+      p_quiz_id: quizId,
+      p_answers: answers || {},
+      p_item_times: itemTimes
+    });
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving quiz progress:', error);
+    return { success: false, error: error.message || 'Failed to save answers' };
+  }
+}
+
+/*
+  Function Name: submitNativeQuiz
+  Purpose:
+  - Sends the student's answers for server-side scoring
+  - The database writes the graded row to quiz_submissions
+  - After the time limit, the saved answers are graded instead
+  - itemTimes holds the seconds spent on each question, as in saveNativeQuizProgress
+
+  When it runs:
+  - When the student clicks "Submit Quiz" in quiz-player.html
+
+  Who can use it:
+  - Student
+
+  Backend interaction:
+  - Calls submit_native_quiz RPC
+
+  Error handling:
+  - Returns { success: false, error } with the database message
+*/
+async function submitNativeQuiz(quizId, answers, itemTimes = null) {
+  try {
+    const { data, error } = await getSupabase().rpc('submit_native_quiz', {
+      p_quiz_id: quizId,
+      p_answers: answers || {},
+      p_item_times: itemTimes
+    });
+
+    if (error) throw error;
+    return { success: true, result: data };
+  } catch (error) {
+    console.error('Error submitting native quiz:', error);
+    return { success: false, error: error.message || 'Failed to submit quiz' };
+  }
+}
+
+/*
+  Function Name: escapeQuizAttribute
+  Purpose: Escapes a value for use inside a double-quoted HTML attribute
+*/
+function escapeQuizAttribute(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/*
+  Function Name: renderQuizQuestion
+  Purpose:
+  - Returns the HTML of one question card for the quiz player
+  - Inputs carry data-question-id so collectQuizAnswers can read them
+  - Numeric and expression inputs carry data-math-input for the math keyboard
+    (mathKeyboard.js)
+  - Graph questions render a graph-grid component (graphQuestion.js); the
+    page starts it with componentManager.initializeComponents
+  - Hints and the worked solution go in a data-question-help block
+*/
+function renderQuizQuestion(question, index, response = null) {
+  const name = `question_${question.id}`;
+  const currentValue = response === null || response === undefined ? '' : String(response);
+  const helpHtml = renderQuizQuestionHelp(question);
+  let inputHtml = '';
+
+  if (question.question_type === 'multiple_choice' || question.question_type === 'true_false') {
+    const choices = question.question_type === 'true_false'
+      ? [{ value: 'true', label: 'True' }, { value: 'false', label: 'False' }]
+      : (question.choices || []).map((choice, choiceIndex) => ({ value: String(choiceIndex), label: choice }));
+
+    inputHtml = choices.map(choice => `
+      <label class="flex items-center space-x-3 p-3 border border-gray-200 rounded-xl cursor-pointer hover:border-brand/40 hover:bg-brand/5">
+        <input type="radio" name="${name}" value="${escapeQuizAttribute(choice.value)}"
+          data-question-id="${question.id}"
+          ${currentValue === choice.value ? 'checked' : ''}
+          class="w-4 h-4 text-brand focus:ring-brand">
+        <span class="text-gray-800">${renderMathMarkup(String(choice.label))}</span>
+      </label>
+    `).join('');
+  } else if (isGraphQuizQuestion(question)) {
+    inputHtml = renderGraphQuestionInput(question, currentValue, name);
+  } else {
+    const placeholders = {
+      numeric: 'Enter a number or fraction',
+      expression: 'e.g. 2(x + 3)'
+    };
+
+    const isMathQuestion = question.question_type === 'numeric' || question.question_type === 'expression';
+
+    inputHtml = `
+      <input type="text" name="${name}"
+        data-question-id="${question.id}"
+        ${isMathQuestion ? 'data-math-input' : ''}
+        value="${escapeQuizAttribute(currentValue)}"
+        autocomplete="off"
+        autocapitalize="off"
+        spellcheck="false"
+        class="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-brand focus:border-transparent"
+        placeholder="${placeholders[question.question_type] || 'Type your answer'}">
+      ${question.require_simplified ? '<p class="text-xs text-gray-500">Give your answer in simplest form.</p>' : ''}
+    `;
+  }
+
+  return `
+    <div class="quiz-question bg-white rounded-2xl p-5 lg:p-6 shadow-sm border border-gray-100" data-question-card="${question.id}">
+      <div class="flex items-start justify-between mb-4">
+        <p class="text-sm font-semibold text-brand">Question ${index + 1}</p>
+        <span class="px-2 py-1 text-xs rounded-full bg-gray-100 text-gray-600">${question.points} ${Number(question.points) === 1 ? 'point' : 'points'}</span>
+      </div>
+      <p class="text-gray-900 font-medium mb-4 whitespace-pre-line">${renderMathMarkup(question.prompt)}</p>
+      <div class="space-y-2">${inputHtml}</div>
+      ${helpHtml ? `<div class="mt-4 space-y-2" data-question-help="${question.id}">${helpHtml}</div>` : ''}
+    </div>
+  `;
+}
+
+/*
+  Function Name: collectQuizAnswers
+  Purpose:
+  - Reads the student's answers from a rendered quiz
+  - Returns an object keyed by question id (unanswered questions are left out)
+*/
+function collectQuizAnswers(container) {
+  const answers = {};
+
+  container.querySelectorAll('[data-question-id]').forEach(input => {
+    const questionId = input.dataset.questionId;
+    if (input.type === 'radio') {
+      if (input.checked) answers[questionId] = input.value;
+      return;
+    }
+    const value = input.value.trim();
+    if (value !== '') answers[questionId] = value;
+  });
+
+  return answers;
+}
@@ -0,0 +1,897 @@
+/*
+  File: quizFormats.js
+  Purpose:
+  - Import native quiz questions from GIFT, Aiken and CSV text
+  - Export native quiz questions back to those formats
+  - Preview helpers shared by the teacher and admin quiz pages
+
+  Dependencies:
+  - quizEngine.js - for QUIZ_QUESTION_TYPES, createEmptyQuizQuestion and validateQuizQuestion
+  - mathEquivalence.js - used by validateQuizQuestion for math answer keys
+  - utils.js - for escapeHtml
+
+  Notes:
+  - Parsers return editor drafts (the shape used by the question editor), one
+    per question, together with an error list keyed by source line.
+  - Questions with an error are left out; the rest can still be imported.
+  - The CSV layout and what each format can store are documented in
+    docs/quiz-import-formats.md.
+*/
+
+// ============================================
+// FORMATS
+// ============================================
+
+const QUIZ_FILE_FORMATS = {
+  gift: 'GIFT (Moodle)',
+  aiken: 'Aiken',
+  csv: 'CSV (spreadsheet)'
+};
+
+const QUIZ_FILE_EXTENSIONS = {
+  gift: 'gift.txt',
+  aiken: 'aiken.txt',
+  csv: 'csv'
+};
+
+const QUIZ_CSV_COLUMNS = ['type', 'question', 'choices', 'answer', 'tolerance', 'points', 'require_simplified'];
+
+// Accepted spellings of question types in the CSV type column
+const QUIZ_CSV_TYPE_ALIASES = {
+  mc: 'multiple_choice',
+  multiple_choice: 'multiple_choice',
+  tf: 'true_false',
+  true_false: 'true_false',
+  true_or_false: 'true_false',
+  numeric: 'numeric',
+  number: 'numeric',
+  numeric_answer: 'numeric',
+  expression: 'expression',
+  math: 'expression',
+  math_expression: 'expression',
+  short_answer: 'short_answer',
+  short: 'short_answer'
+};
+
+/*
+  Function Name: guessQuizFileFormat
+  Purpose: Picks a format from a file name (.csv, .gift, or "aiken" in the name), or null
+*/
+function guessQuizFileFormat(fileName) {
+  const name = String(fileName || '').toLowerCase();
+  if (name.endsWith('.csv')) return 'csv';
+  if (name.endsWith('.gift') || name.includes('gift')) return 'gift';
+  if (name.includes('aiken')) return 'aiken';
+  return null;
+}
+
+/*
+  Function Name: normalizeQuizImportText
+  Purpose: Removes a byte order mark and converts Windows line endings
+*/
+function normalizeQuizImportText(text) {
+  return String(text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+}
+
+// ============================================
+// IMPORT
+// ============================================
+
+/*
+  Function Name: parseQuizImport
+  Purpose:
+  - Parses GIFT, Aiken or CSV text into question drafts
+  - Returns { items: [{ line, question }], errors: [{ line, message }] }
+  - Every parsed question is checked with validateQuizQuestion, so items can be
+    added to a quiz as they are
+*/
+function parseQuizImport(text, format) {
+  const parsers = {
+    gift: parseGiftQuestions,
+    aiken: parseAikenQuestions,
+    csv: parseCsvQuestions
+  };
+
+  if (!parsers[format]) {
+    return { items: [], errors: [{ line: 0, message: 'Unknown import format' }] };
+  }
+
+  const parsed = parsers[format](normalizeQuizImportText(text));
+  const items = [];
+  const errors = [...parsed.errors];
+
+  parsed.items.forEach((item, index) => {
+    const validationError = validateQuizQuestion(item.question, index, `Line ${item.line}`);
+    if (validationError) {
+      errors.push({ line: item.line, message: validationError });
+    } else {
+      items.push(item);
+    }
+  });
+
+  errors.sort((a, b) => a.line - b.line);
+  return { items, errors };
+}
+
+/*
+  Function Name: createQuizImportError
+  Purpose: Builds an error entry whose message starts with its line number
+*/
+function createQuizImportError(line, message) {
+  return { line, message: `Line ${line}: ${message}` };
+}
+
+// --------------------------------------------
+// Aiken
+// --------------------------------------------
+
+/*
+  Function Name: parseAikenQuestions
+  Purpose:
+  - Parses Aiken multiple choice questions:
+      What is 3 x 4?
+      A. 7
+      B. 12
+      ANSWER: B
+  - A question ends at its ANSWER line; blank lines are ignored
+*/
+function parseAikenQuestions(text) {
+  const items = [];
+  const errors = [];
+  let current = null;
+
+  text.split('\n').forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (!current) {
+      current = { line: lineNumber, prompt: line, choices: [], failed: false };
+      return;
+    }
+
+    const answerMatch = line.match(/^ANSWER\s*:\s*(.*)$/i);
+    if (answerMatch) {
+      const letter = answerMatch[1].trim().toUpperCase();
+      const answerIndex = /^[A-Z]$/.test(letter) ? letter.charCodeAt(0) - 65 : -1;
+
+      if (current.failed) {
+        // The error was already reported
+      } else if (current.choices.length < 2) {
+        errors.push(createQuizImportError(current.line, 'add at least two options (A. ..., B. ...)'));
+      } else if (answerIndex < 0 || answerIndex >= current.choices.length) {
+        errors.push(createQuizImportError(lineNumber, `ANSWER must be one of the option letters A-${String.fromCharCode(64 + current.choices.length)}`));
+      } else {
+        items.push({
+          line: current.line,
+          question: {
+            ...createEmptyQuizQuestion('multiple_choice'),
+            prompt: current.prompt,
+            choices: current.choices,
+            correct_answer: answerIndex
+          }
+        });
+      }
+
+      current = null;
+      return;
+    }
+
+    const optionMatch = line.match(/^([A-Z])\s*[.)]\s*(.*)$/);
+    if (optionMatch && (current.choices.length > 0 || optionMatch[1] === 'A')) {
+      const expectedLetter = String.fromCharCode(65 + current.choices.length);
+      if (optionMatch[1] !== expectedLetter && !current.failed) {
+        errors.push(createQuizImportError(lineNumber, `expected option ${expectedLetter} but found ${optionMatch[1]}`));
+        current.failed = true;
+      }
+      current.choices.push(optionMatch[2].trim());
+      return;
+    }
+
+    if (current.choices.length === 0) {
+      // Question text that wraps onto the next line
+      current.prompt += `\n${line}`;
+      return;
+    }
+
+    if (!current.failed) {
+      errors.push(createQuizImportError(lineNumber, 'expected an option such as "C. 15" or an "ANSWER: B" line'));
+      current.failed = true;
+    }
+  });
+
+  if (current && !current.failed) {
+    errors.push(createQuizImportError(current.line, 'question has no "ANSWER:" line'));
+  }
+
+  return { items, errors };
+}
+
+// --------------------------------------------
+// GIFT
+// --------------------------------------------
+
+/*
+  Function Name: unescapeGiftText
+  Purpose: Turns GIFT escapes (\~ \= \# \{ \} \: \n) back into plain text
+*/
+function unescapeGiftText(text) {
+  return String(text)
+    .replace(/\\n/g, '\n')
+    .replace(/\\([~=#{}:\\])/g, '$1')
+    .trim();
+}
+
+/*
+  Function Name: findGiftCharacter
+  Purpose: Index of the first unescaped character from a set, starting at from, or -1
+*/
+function findGiftCharacter(text, characters, from = 0) {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+      continue;
+    }
+    if (characters.includes(text[i])) return i;
+  }
+  return -1;
+}
+
+/*
+  Function Name: splitGiftBlocks
+  Purpose:
+  - Splits GIFT text into questions separated by blank lines
+  - Skips // comments and $CATEGORY lines
+  - Returns [{ line, text }] where line is the first line of the question
+*/
+function splitGiftBlocks(text) {
+  const blocks = [];
+  let current = null;
+
+  text.split('\n').forEach((rawLine, index) => {
+    const line = rawLine.trim();
+
+    if (line.startsWith('//') || line.startsWith('$CATEGORY:')) return;
+
+    if (!line) {
+      // Blank lines inside an unclosed { } still belong to the question
+      if (current && !isGiftBlockOpen(current.text)) {
+        blocks.push(current);
+        current = null;
+      }
+      return;
+    }
+
+    if (!current) {
+      current = { line: index + 1, text: rawLine };
+    } else {
+      current.text += `\n${rawLine}`;
+    }
+  });
+
+  if (current) blocks.push(current);
+  return blocks;
+}
+
+/*
+  Function Name: isGiftBlockOpen
+  Purpose: Returns true when a question has an answer block that is not closed yet
+*/
+function isGiftBlockOpen(text) {
+  const open = findGiftCharacter(text, '{');
+  return open >= 0 && findGiftCharacter(text, '}', open + 1) < 0;
+}
+
+/*
+  Function Name: parseGiftQuestions
+  Purpose:
+  - Parses the GIFT question types that map to MathTuro questions:
+    multiple choice {=right ~wrong}, true/false {T} {F}, numeric {#5:0.1} or
+    {#4..6}, and short answer {=answer =other answer}
+  - Titles (::title::), format tags ([html]) and feedback (#...) are dropped
+  - Text after the answer block becomes a blank in the question ("2 + 2 = {#4} apples")
+*/
+function parseGiftQuestions(text) {
+  const items = [];
+  const errors = [];
+
+  splitGiftBlocks(text).forEach(block => {
+    let body = block.text.trim();
+
+    // ::Title::
+    if (body.startsWith('::')) {
+      const titleEnd = body.indexOf('::', 2);
+      if (titleEnd >= 0) body = body.slice(titleEnd + 2).trim();
+    }
+
+    body = body.replace(/^\[(html|moodle|plain|markdown)\]/i, '');
+
+    const open = findGiftCharacter(body, '{');
+    const close = open >= 0 ? findGiftCharacter(body, '}', open + 1) : -1;
+    if (open < 0 || close < 0) {
+      errors.push(createQuizImportError(block.line, 'missing answer block in { }'));
+      return;
+    }
+
+    const before = unescapeGiftText(body.slice(0, open));
+    const after = unescapeGiftText(body.slice(close + 1));
+    const prompt = after ? `${before} _____${/^[.,;:!?]/.test(after) ? '' : ' '}${after}` : before;
+    const answerText = body.slice(open + 1, close).trim();
+    const result = parseGiftAnswerBlock(answerText);
+
+    if (result.error) {
+      errors.push(createQuizImportError(block.line, result.error));
+      return;
+    }
+
+    items.push({
+      line: block.line,
+      question: { ...result.question, prompt }
+    });
+  });
+
+  return { items, errors };
+}
+
+/*
+  Function Name: parseGiftAnswerBlock
+  Purpose: Converts the text between { } into a question draft, or returns { error }
+*/
+function parseGiftAnswerBlock(answerText) {
+  if (!answerText) {
+    return { error: 'essay questions ({}) are not supported' };
+  }
+
+  if (/^(T|TRUE|F|FALSE)\s*(#.*)?$/is.test(answerText)) {
+    return {
+      question: {
+        ...createEmptyQuizQuestion('true_false'),
+        correct_answer: /^T/i.test(answerText)
+      }
+    };
+  }
+
+  if (answerText.startsWith('#')) {
+    return parseGiftNumericAnswer(answerText.slice(1));
+  }
+
+  if (/(^|[^\\])->/.test(answerText)) {
+    return { error: 'matching questions are not supported' };
+  }
+
+  const options = splitGiftOptions(answerText);
+  if (options === null) {
+    return { error: 'answers must start with = (correct) or ~ (wrong)' };
+  }
+
+  const hasWrongChoices = options.some(option => option.marker === '~');
+
+  // Only "=" answers: short answer with several accepted spellings
+  if (!hasWrongChoices) {
+    if (options.some(option => option.weight !== null && option.weight !== 100)) {
+      return { error: 'partial credit (%50%) is not supported' };
+    }
+    return {
+      question: {
+        ...createEmptyQuizQuestion('short_answer'),
+        correct_answer: options.map(option => option.text)
+      }
+    };
+  }
+
+  const correctIndexes = [];
+  for (let i = 0; i < options.length; i++) {
+    const option = options[i];
+    const weight = option.weight ?? (option.marker === '=' ? 100 : 0);
+    if (weight === 100) {
+      correctIndexes.push(i);
+    } else if (weight > 0) {
+      return { error: 'partial credit (%50%) is not supported' };
+    }
+  }
+
+  if (correctIndexes.length !== 1) {
+    return { error: 'mark exactly one correct choice with =' };
+  }
+
+  return {
+    question: {
+      ...createEmptyQuizQuestion('multiple_choice'),
+      choices: options.map(option => option.text),
+      correct_answer: correctIndexes[0]
+    }
+  };
+}
+
+/*
+  Function Name: splitGiftOptions
+  Purpose:
+  - Splits "=right ~wrong ~%50%half" into [{ marker, weight, text }]
+  - Drops per-answer feedback (#...)
+  - Returns null when text appears before the first = or ~
+*/
+function splitGiftOptions(answerText) {
+  const options = [];
+  let start = findGiftCharacter(answerText, '=~');
+
+  if (start < 0 || answerText.slice(0, start).trim()) return null;
+
+  while (start >= 0) {
+    const next = findGiftCharacter(answerText, '=~', start + 1);
+    let optionText = answerText.slice(start + 1, next < 0 ? answerText.length : next);
+
+    const feedbackStart = findGiftCharacter(optionText, '#');
+    if (feedbackStart >= 0) optionText = optionText.slice(0, feedbackStart);
+
+    let weight = null;
+    const weightMatch = optionText.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+    if (weightMatch) {
+      weight = Number(weightMatch[1]);
+      optionText = optionText.slice(weightMatch[0].length);
+    }
+
+    options.push({
+      marker: answerText[start],
+      weight,
+      text: unescapeGiftText(optionText)
+    });
+    start = next;
+  }
+
+  return options;
+}
+
+/*
+  Function Name: parseGiftNumericAnswer
+  Purpose:
+  - Parses the part after # of a numeric answer: "5", "5:0.1", "4..6", or
+    "=5:0.1 =%50%6" (the first fully correct answer is used)
+*/
+function parseGiftNumericAnswer(text) {
+  let answer = text.trim();
+
+  if (answer.startsWith('=')) {
+    const options = splitGiftOptions(answer) || [];
+    const correct = options.find(option => option.weight === null || option.weight === 100);
+    if (!correct) return { error: 'numeric question has no fully correct answer' };
+    answer = correct.text;
+  } else {
+    const feedbackStart = findGiftCharacter(answer, '#');
+    if (feedbackStart >= 0) answer = answer.slice(0, feedbackStart).trim();
+  }
+
+  let value;
+  let tolerance = 0;
+  const rangeMatch = answer.match(/^(-?[\d.]+)\s*\.\.\s*(-?[\d.]+)$/);
+
+  if (rangeMatch) {
+    const min = Number(rangeMatch[1]);
+    const max = Number(rangeMatch[2]);
+    value = (min + max) / 2;
+    tolerance = Math.abs(max - min) / 2;
+  } else {
+    const [valueText, toleranceText] = answer.split(':');
+    value = Number(valueText);
+    tolerance = toleranceText === undefined ? 0 : Number(toleranceText);
+  }
+
+  if (!Number.isFinite(value) || !Number.isFinite(tolerance)) {
+    return { error: `"${answer}" is not a number` };
+  }
+
+  return {
+    question: {
+      ...createEmptyQuizQuestion('numeric'),
+      correct_answer: String(value),
+      tolerance
+    }
+  };
+}
+
+// --------------------------------------------
+// CSV
+// --------------------------------------------
+
+/*
+  Function Name: parseCsvRows
+  Purpose:
+  - Splits CSV text into rows of cells, following RFC 4180 quoting
+    (quoted cells may contain commas, quotes written as "" and line breaks)
+  - Returns [{ line, cells }] where line is the row's first line; empty rows are skipped
+*/
+function parseCsvRows(text) {
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    cells.push(cell);
+    if (cells.some(value => value.trim() !== '')) {
+      rows.push({ line: rowLine, cells });
+    }
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const character = text[i];
+
+    if (inQuotes) {
+      if (character === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (character === '"') {
+        inQuotes = false;
+      } else {
+        if (character === '\n') line++;
+        cell += character;
+      }
+    } else if (character === '"') {
+      inQuotes = true;
+    } else if (character === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (character === '\n') {
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      cell += character;
+    }
+  }
+
+  if (cell !== '' || cells.length > 0) endRow();
+  return rows;
+}
+
+/*
+  Function Name: splitQuizCsvList
+  Purpose: Splits a "a | b | c" cell into trimmed, non-empty values
+*/
+function splitQuizCsvList(value) {
+  return String(value || '').split('|').map(part => part.trim()).filter(Boolean);
+}
+
+/*
+  Function Name: parseCsvQuestions
+  Purpose:
+  - Parses the MathTuro CSV layout: a header row naming the columns in
+    QUIZ_CSV_COLUMNS (any order; type, question and answer are required),
+    then one question per row
+  - choices and short answer alternatives are separated by |
+*/
+function parseCsvQuestions(text) {
+  const items = [];
+  const errors = [];
+  const rows = parseCsvRows(text);
+
+  if (rows.length === 0) {
+    return { items, errors: [createQuizImportError(1, 'the file is empty')] };
+  }
+
+  const header = rows[0].cells.map(cell => cell.trim().toLowerCase().replace(/\s+/g, '_'));
+  const columnIndex = {};
+  QUIZ_CSV_COLUMNS.forEach(column => {
+    columnIndex[column] = header.indexOf(column);
+  });
+
+  const missingColumns = ['type', 'question', 'answer'].filter(column => columnIndex[column] < 0);
+  if (missingColumns.length > 0) {
+    return {
+      items,
+      errors: [createQuizImportError(rows[0].line, `header row is missing the ${missingColumns.join(', ')} column${missingColumns.length === 1 ? '' : 's'}`)]
+    };
+  }
+
+  rows.slice(1).forEach(row => {
+    const read = column => (columnIndex[column] >= 0 ? String(row.cells[columnIndex[column]] ?? '').trim() : '');
+    const result = buildQuizCsvQuestion(read);
+
+    if (result.error) {
+      errors.push(createQuizImportError(row.line, result.error));
+    } else {
+      items.push({ line: row.line, question: result.question });
+    }
+  });
+
+  return { items, errors };
+}
+
+/*
+  Function Name: buildQuizCsvQuestion
+  Purpose: Converts one CSV row (read by column name) into a question draft, or returns { error }
+*/
+function buildQuizCsvQuestion(read) {
+  const typeKey = read('type').toLowerCase().replace(/[\s-]+/g, '_');
+  const questionType = QUIZ_CSV_TYPE_ALIASES[typeKey] ||
+    Object.keys(QUIZ_QUESTION_TYPES).find(type => QUIZ_QUESTION_TYPES[type].toLowerCase() === read('type').toLowerCase());
+
+  if (!questionType) {
+    const csvTypes = Object.keys(QUIZ_QUESTION_TYPES).filter(type => !GRAPH_QUIZ_QUESTION_TYPES.includes(type));
+    return { error: `unknown type "${read('type')}" (use ${csvTypes.join(', ')})` };
+  }
+
+  if (GRAPH_QUIZ_QUESTION_TYPES.includes(questionType)) {
+    return { error: 'graph questions cannot be imported; add them in the question editor' };
+  }
+
+  const question = {
+    ...createEmptyQuizQuestion(questionType),
+    prompt: read('question'),
+    points: read('points') === '' ? 1 : Number(read('points')),
+    tolerance: read('tolerance') === '' ? 0 : Number(read('tolerance')),
+    require_simplified: /^(true|yes|y|1)$/i.test(read('require_simplified'))
+  };
+  const answer = read('answer');
+
+  switch (questionType) {
+    case 'multiple_choice': {
+      question.choices = splitQuizCsvList(read('choices'));
+      const letterIndex = /^[A-Z]$/i.test(answer) ? answer.toUpperCase().charCodeAt(0) - 65 : -1;
+      const textIndex = question.choices.findIndex(choice => choice.toLowerCase() === answer.toLowerCase());
+      // A one-letter choice such as "A" is matched by text before letters
+      const answerIndex = textIndex >= 0 ? textIndex : letterIndex;
+
+      if (answerIndex < 0 || answerIndex >= question.choices.length) {
+        return { error: 'answer must be a choice letter (A, B, ...) or the text of a choice' };
+      }
+      question.correct_answer = answerIndex;
+      break;
+    }
+    case 'true_false':
+      if (!/^(true|false|t|f)$/i.test(answer)) {
+        return { error: 'answer must be true or false' };
+      }
+      question.correct_answer = /^t/i.test(answer);
+      break;
+    case 'short_answer':
+      question.correct_answer = splitQuizCsvList(answer);
+      break;
+    default:
+      question.correct_answer = answer;
+  }
+
+  return { question };
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+/*
+  Function Name: exportQuizQuestions
+  Purpose:
+  - Converts saved quiz questions (quiz_questions rows) into GIFT, Aiken or CSV text
+  - Returns { content, exportedCount, skipped: [message], warnings: [message] }
+  - Questions that use variables and graph questions are skipped, since none
+    of the formats can store them; Aiken also skips everything except multiple
+    choice and true/false, and CSV skips choices or answers containing |
+  - warnings list exported questions that lose settings (GIFT math expressions)
+*/
+function exportQuizQuestions(questions, format, quizTitle = '') {
+  const skipped = [];
+  const warnings = [];
+  const exportable = [];
+
+  (questions || []).forEach((question, index) => {
+    const label = `Question ${index + 1}`;
+
+    if ((question.parameters || []).length > 0) {
+      skipped.push(`${label} uses variables, which ${QUIZ_FILE_FORMATS[format]} cannot store`);
+    } else if (isGraphQuizQuestion(question)) {
+      skipped.push(`${label} is a graph question, which ${QUIZ_FILE_FORMATS[format]} cannot store`);
+    } else if (format === 'aiken' && !['multiple_choice', 'true_false'].includes(question.question_type)) {
+      skipped.push(`${label} is ${QUIZ_QUESTION_TYPES[question.question_type]}; Aiken only stores multiple choice`);
+    } else if (format === 'csv' && hasQuizCsvListSeparator(question)) {
+      skipped.push(`${label} has a | in a choice or accepted answer, which CSV uses to separate them`);
+    } else {
+      exportable.push(question);
+      if (format === 'gift' && question.question_type === 'expression') {
+        warnings.push(`${label} is a math expression; GIFT stores it as short answer, without equivalent-answer grading or the simplified form setting`);
+      }
+    }
+  });
+
+  let content = '';
+  if (format === 'gift') {
+    const header = quizTitle ? `// ${quizTitle.replace(/\n/g, ' ')}\n// Exported from MathTuro\n\n` : '';
+    content = header + exportable.map(formatGiftQuestion).join('\n\n') + '\n';
+  } else if (format === 'aiken') {
+    content = exportable.map(formatAikenQuestion).join('\n\n') + '\n';
+  } else if (format === 'csv') {
+    content = [QUIZ_CSV_COLUMNS, ...exportable.map(buildQuizCsvRow)]
+      .map(cells => cells.map(formatCsvCell).join(','))
+      .join('\n') + '\n';
+  }
+
+  return { content, exportedCount: exportable.length, skipped, warnings };
+}
+
+/*
+  Function Name: hasQuizCsvListSeparator
+  Purpose: True when a choice or accepted answer contains |, which would split it on import
+*/
+function hasQuizCsvListSeparator(question) {
+  const values = question.question_type === 'multiple_choice'
+    ? (question.choices || [])
+    : question.question_type === 'short_answer' ? (question.correct_answer || []) : [];
+  return values.some(value => String(value).includes('|'));
+}
+
+/*
+  Function Name: escapeGiftText
+  Purpose: Escapes GIFT control characters; blank lines are collapsed so the question stays one block
+*/
+function escapeGiftText(text) {
+  return String(text ?? '')
+    .replace(/([~=#{}:\\])/g, '\\$1')
+    .replace(/\n\s*\n/g, '\n')
+    .trim();
+}
+
+/*
+  Function Name: formatGiftQuestion
+  Purpose: Writes one question in GIFT (math expressions are exported as short answer)
+*/
+function formatGiftQuestion(question) {
+  const prompt = escapeGiftText(question.prompt);
+  const answer = question.correct_answer;
+
+  switch (question.question_type) {
+    case 'multiple_choice':
+      return `${prompt} {\n${(question.choices || []).map((choice, index) =>
+        `  ${index === Number(answer) ? '=' : '~'}${escapeGiftText(choice)}`
+      ).join('\n')}\n}`;
+    case 'true_false':
+      return `${prompt} {${answer === true || answer === 'true' ? 'TRUE' : 'FALSE'}}`;
+    case 'numeric':
+      return `${prompt} {#${answer}${Number(question.tolerance) ? `:${question.tolerance}` : ''}}`;
+    case 'short_answer':
+      return `${prompt} {${(answer || []).map(accepted => `=${escapeGiftText(accepted)}`).join(' ')}}`;
+    default:
+      return `${prompt} {=${escapeGiftText(answer)}}`;
+  }
+}
+
+/*
+  Function Name: formatAikenQuestion
+  Purpose: Writes one multiple choice or true/false question in Aiken
+*/
+function formatAikenQuestion(question) {
+  const isTrueFalse = question.question_type === 'true_false';
+  const choices = isTrueFalse ? ['True', 'False'] : (question.choices || []);
+  const answerIndex = isTrueFalse
+    ? (question.correct_answer === true || question.correct_answer === 'true' ? 0 : 1)
+    : Number(question.correct_answer);
+
+  return [
+    String(question.prompt).replace(/\s*\n\s*/g, ' ').trim(),
+    ...choices.map((choice, index) => `${String.fromCharCode(65 + index)}. ${String(choice).replace(/\s*\n\s*/g, ' ')}`),
+    `ANSWER: ${String.fromCharCode(65 + answerIndex)}`
+  ].join('\n');
+}
+
+/*
+  Function Name: buildQuizCsvRow
+  Purpose: Returns the cells of one question in QUIZ_CSV_COLUMNS order
+*/
+function buildQuizCsvRow(question) {
+  const answer = question.correct_answer;
+  const isMath = isMathQuizQuestion(question);
+  let answerCell = '';
+
+  switch (question.question_type) {
+    case 'multiple_choice':
+      answerCell = String.fromCharCode(65 + Number(answer));
+      break;
+    case 'true_false':
+      answerCell = answer === true || answer === 'true' ? 'true' : 'false';
+      break;
+    case 'short_answer':
+      answerCell = (answer || []).join(' | ');
+      break;
+    default:
+      answerCell = String(answer ?? '');
+  }
+
+  return [
+    question.question_type,
+    question.prompt,
+    question.question_type === 'multiple_choice' ? (question.choices || []).join(' | ') : '',
+    answerCell,
+    isMath && Number(question.tolerance) ? String(question.tolerance) : '',
+    String(question.points || 1),
+    isMath && question.require_simplified ? 'true' : ''
+  ];
+}
+
+/*
+  Function Name: formatCsvCell
+  Purpose: Quotes a CSV cell when it contains a comma, quote or line break
+*/
+function formatCsvCell(value) {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/*
+  Function Name: downloadQuizExport
+  Purpose:
+  - Saves exported text as a file named after the quiz (e.g. fractions-quiz.gift.txt)
+  - CSV files get a byte order mark so Excel reads them as UTF-8
+*/
+function downloadQuizExport(content, format, quizTitle) {
+  const baseName = String(quizTitle || 'quiz').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'quiz';
+  const blob = new Blob([format === 'csv' ? `\uFEFF${content}` : content], {
+    type: format === 'csv' ? 'text/csv;charset=utf-8' : 'text/plain;charset=utf-8'
+  });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+
+  link.href = url;
+  link.download = `${baseName}.${QUIZ_FILE_EXTENSIONS[format]}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// ============================================
+// PREVIEW
+// ============================================
+
+/*
+  Function Name: formatQuizQuestionAnswer
+  Purpose: Short text of a question's answer key for previews ("B. 12", "True", "5 ± 0.1")
+*/
+function formatQuizQuestionAnswer(question) {
+  const answer = question.correct_answer;
+
+  switch (question.question_type) {
+    case 'multiple_choice': {
+      const index = Number(answer);
+      return `${String.fromCharCode(65 + index)}. ${(question.choices || [])[index] ?? ''}`;
+    }
+    case 'true_false':
+      return answer === true || answer === 'true' ? 'True' : 'False';
+    case 'short_answer':
+      return (answer || []).join(' / ');
+    case 'plot_points':
+    case 'graph_line':
+    case 'drag_shape':
+      return (answer || []).map(([x, y]) => `(${x}, ${y})`).join(', ');
+    default:
+      return Number(question.tolerance) ? `${answer} ± ${question.tolerance}` : String(answer ?? '');
+  }
+}
+
+/*
+  Function Name: renderQuizImportPreview
+  Purpose: Returns HTML listing the errors and the questions that will be imported
+*/
+function renderQuizImportPreview(result) {
+  const errorsHtml = result.errors.length > 0 ? `
+    <div class="p-3 bg-red-50 border border-red-200 rounded-lg">
+      <p class="text-sm font-semibold text-red-700 mb-1">${result.errors.length} ${result.errors.length === 1 ? 'problem' : 'problems'} found. These lines will be skipped:</p>
+      <ul class="text-xs text-red-600 space-y-0.5 max-h-40 overflow-y-auto">
+        ${result.errors.map(error => `<li>${escapeHtml(error.message)}</li>`).join('')}
+      </ul>
+    </div>
+  ` : '';
+
+  const itemsHtml = result.items.length > 0 ? result.items.map((item, index) => `
+    <div class="p-3 border border-gray-200 rounded-lg">
+      <div class="flex items-center justify-between text-xs text-gray-500 mb-1">
+        <span>${index + 1}. ${escapeHtml(QUIZ_QUESTION_TYPES[item.question.question_type])} · ${item.question.points} ${Number(item.question.points) === 1 ? 'pt' : 'pts'}</span>
+        <span>Line ${item.line}</span>
+      </div>
+      <p class="text-sm text-gray-800 whitespace-pre-line">${escapeHtml(item.question.prompt)}</p>
+      <p class="text-xs text-green-700 mt-1">Answer: ${escapeHtml(formatQuizQuestionAnswer(item.question))}</p>
+    </div>
+  `).join('') : '<p class="text-sm text-gray-500 text-center py-4">No questions could be read.</p>';
+
+  return `<div class="space-y-2">${errorsHtml}${itemsHtml}</div>`;
+}
@@ -0,0 +1,350 @@
+/*
+  File: rubrics.js
+  Purpose:
+  - Rubrics for performance tasks: criteria (rows) x levels (columns), with
+    points and a descriptor in every cell
+  - Teacher rubric library (load, save, delete) and the rubric grid shown
+    while grading and to students with their result
+
+  Dependencies:
+  - supabase.js - for Supabase client connection
+  - utils.js - for escapeHtml
+
+  Notes:
+  - Rubrics are stored in rubrics (migration_v26_rubrics.sql) and attached to
+    a quiz with quizzes.rubric_id: an external quiz or an "assignment" quiz
+    (see assignments.js). Native quizzes are scored by their questions.
+  - Grading goes through grade_quiz_submission_with_rubric, which adds up the
+    points on the server and keeps a copy of the filled rubric in
+    quiz_submissions.rubric_scores. Editing a rubric later does not change
+    grades already given.
+  - A selection is the level index chosen for each criterion, in order;
+    0 is the first (best) level.
+*/
+
+// ============================================
+// SETTINGS
+// ============================================
+
+const DEFAULT_RUBRIC_LEVELS = ['Excellent', 'Proficient', 'Developing', 'Beginning'];
+
+const RUBRIC_LIMITS = {
+  minLevels: 2,
+  maxLevels: 6,
+  maxCriteria: 20,
+  maxPoints: 100
+};
+
+const RUBRIC_FIELDS = 'id, teacher_id, title, description, levels, criteria, updated_at';
+
+// ============================================
+// DRAFTS
+// ============================================
+
+/*
+  Function Name: createRubricCriterion
+  Purpose: Returns a blank criterion with points counting down from the number of levels
+*/
+function createRubricCriterion(levelCount = DEFAULT_RUBRIC_LEVELS.length) {
+  return {
+    name: '',
+    description: '',
+    points: Array.from({ length: levelCount }, (_, index) => levelCount - index),
+    descriptors: Array.from({ length: levelCount }, () => '')
+  };
+}
+
+/*
+  Function Name: createEmptyRubric
+  Purpose: Returns a blank rubric used by the rubric editor
+*/
+function createEmptyRubric() {
+  return {
+    id: null,
+    title: '',
+    description: '',
+    levels: [...DEFAULT_RUBRIC_LEVELS],
+    criteria: [createRubricCriterion()]
+  };
+}
+
+// Adds a level column at the end (the lowest level) to every criterion
+function addRubricLevel(rubric) {
+  if (rubric.levels.length >= RUBRIC_LIMITS.maxLevels) return false;
+
+  rubric.levels.push('');
+  rubric.criteria.forEach(criterion => {
+    criterion.points.push(0);
+    criterion.descriptors.push('');
+  });
+  return true;
+}
+
+function removeRubricLevel(rubric, levelIndex) {
+  if (rubric.levels.length <= RUBRIC_LIMITS.minLevels) return false;
+
+  rubric.levels.splice(levelIndex, 1);
+  rubric.criteria.forEach(criterion => {
+    criterion.points.splice(levelIndex, 1);
+    criterion.descriptors.splice(levelIndex, 1);
+  });
+  return true;
+}
+
+/*
+  Function Name: validateRubric
+  Purpose:
+  - Checks a rubric before saving
+  - Returns an error message, or null when the rubric is valid
+*/
+function validateRubric(rubric) {
+  if (!String(rubric.title || '').trim()) return 'Give the rubric a title';
+
+  const levelCount = rubric.levels.length;
+  if (levelCount < RUBRIC_LIMITS.minLevels || levelCount > RUBRIC_LIMITS.maxLevels) {
+    return `A rubric needs ${RUBRIC_LIMITS.minLevels} to ${RUBRIC_LIMITS.maxLevels} levels`;
+  }
+
+  const emptyLevel = rubric.levels.findIndex(level => !String(level || '').trim());
+  if (emptyLevel !== -1) return `Level ${emptyLevel + 1}: enter a name`;
+
+  if (rubric.criteria.length === 0) return 'Add at least one criterion';
+  if (rubric.criteria.length > RUBRIC_LIMITS.maxCriteria) {
+    return `A rubric can have at most ${RUBRIC_LIMITS.maxCriteria} criteria`;
+  }
+
+  for (let i = 0; i < rubric.criteria.length; i++) {
+    const criterion = rubric.criteria[i];
+    const label = `Criterion ${i + 1}`;
+
+    if (!String(criterion.name || '').trim()) return `${label}: enter a name`;
+
+    for (let level = 0; level < levelCount; level++) {
+      const points = Number(criterion.points[level]);
+      if (!Number.isInteger(points) || points < 0 || points > RUBRIC_LIMITS.maxPoints) {
+        return `${label}, ${rubric.levels[level]}: points must be a whole number from 0 to ${RUBRIC_LIMITS.maxPoints}`;
+      }
+    }
+
+    if (getRubricCriterionMaxPoints(criterion) === 0) return `${label}: give at least one level some points`;
+  }
+
+  return null;
+}
+
+// Clean copy of a draft in the shape stored in rubrics
+function buildRubricRow(rubric) {
+  return {
+    title: rubric.title.trim(),
+    description: String(rubric.description || '').trim() || null,
+    levels: rubric.levels.map(level => String(level).trim()),
+    criteria: rubric.criteria.map(criterion => ({
+      name: criterion.name.trim(),
+      description: String(criterion.description || '').trim(),
+      points: criterion.points.map(Number),
+      descriptors: criterion.descriptors.map(descriptor => String(descriptor || '').trim())
+    }))
+  };
+}
+
+// ============================================
+// SCORING
+// ============================================
+
+function getRubricCriterionMaxPoints(criterion) {
+  return Math.max(0, ...criterion.points.map(Number));
+}
+
+/*
+  Function Name: getRubricMaxPoints
+  Purpose: Highest possible total: the best points of every criterion added up
+*/
+function getRubricMaxPoints(rubric) {
+  return (rubric?.criteria || []).reduce((sum, criterion) => sum + getRubricCriterionMaxPoints(criterion), 0);
+}
+
+/*
+  Function Name: getRubricScore
+  Purpose:
+  - Adds up the points of the chosen levels
+  - Returns { score, maxScore, complete }; complete is false while a
+    criterion has no level chosen
+*/
+function getRubricScore(rubric, selections = []) {
+  let score = 0;
+  let complete = true;
+
+  rubric.criteria.forEach((criterion, index) => {
+    const level = selections[index];
+    if (level === null || level === undefined) {
+      complete = false;
+      return;
+    }
+    score += Number(criterion.points[level]) || 0;
+  });
+
+  return { score, maxScore: getRubricMaxPoints(rubric), complete };
+}
+
+// ============================================
+// DATA
+// ============================================
+
+/*
+  Function Name: getRubrics
+  Purpose:
+  - Loads the teacher's rubric library, newest changes first
+  - Teachers can read the rubrics of other teachers' published quizzes too,
+    so the library is filtered to teacherId; without one (admin) every
+    rubric is returned
+
+  Who can use it:
+  - Teacher, Admin
+*/
+async function getRubrics(teacherId = null) {
+  try {
+    let query = getSupabase()
+      .from('rubrics')
+      .select(RUBRIC_FIELDS)
+      .order('updated_at', { ascending: false });
+
+    if (teacherId) {
+      query = query.eq('teacher_id', teacherId);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return { success: true, rubrics: data || [] };
+  } catch (error) {
+    console.error('Error loading rubrics:', error);
+    return { success: false, error: error.message, rubrics: [] };
+  }
+}
+
+/*
+  Function Name: saveRubric
+  Purpose:
+  - Adds a rubric, or updates one when rubric.id is set
+
+  Who can use it:
+  - Teacher, Admin (own rubrics)
+
+  Error handling:
+  - Validates the rubric first; returns { success: false, error }
+*/
+async function saveRubric(rubric) {
+  try {
+    const validationError = validateRubric(rubric);
+    if (validationError) throw new Error(validationError);
+
+    const row = buildRubricRow(rubric);
+    const query = rubric.id
+      ? getSupabase().from('rubrics').update(row).eq('id', rubric.id)
+      : getSupabase().from('rubrics').insert(row);
+
+    const { data, error } = await query.select(RUBRIC_FIELDS).single();
+
+    if (error) throw error;
+    return { success: true, rubric: data };
+  } catch (error) {
+    console.error('Error saving rubric:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/*
+  Function Name: deleteRubric
+  Purpose:
+  - Removes a rubric from the library
+
+  Error handling:
+  - A rubric still attached to a quiz cannot be deleted (foreign key 23503)
+*/
+async function deleteRubric(rubricId) {
+  try {
+    const { error } = await getSupabase()
+      .from('rubrics')
+      .delete()
+      .eq('id', rubricId);
+
+    if (error) {
+      if (error.code === '23503') {
+        throw new Error('This rubric is attached to a quiz. Choose another rubric for that quiz first.');
+      }
+      throw error;
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting rubric:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// ============================================
+// RUBRIC GRID
+// ============================================
+
+/*
+  Function Name: renderRubricTable
+  Purpose:
+  - Rubric grid with the chosen level of each criterion highlighted
+  - Works with a rubric or with a filled rubric (quiz_submissions.rubric_scores)
+
+  Notes:
+  - options.interactive turns the cells into buttons carrying
+    data-rubric-criterion and data-rubric-level; the page handles the clicks
+*/
+function renderRubricTable(rubric, selections = [], options = {}) {
+  const { interactive = false } = options;
+  const { score, maxScore, complete } = getRubricScore(rubric, selections);
+
+  const renderCell = (criterion, criterionIndex, levelIndex) => {
+    const selected = selections[criterionIndex] === levelIndex;
+    const content = `
+      <span class="block font-semibold ${selected ? 'text-brand' : 'text-gray-700'}">${escapeHtml(String(criterion.points[levelIndex]))} pts</span>
+      ${criterion.descriptors[levelIndex] ? `<span class="block text-xs text-gray-500 mt-1 whitespace-pre-line">${escapeHtml(criterion.descriptors[levelIndex])}</span>` : ''}
+    `;
+    const cellClass = `align-top border border-gray-200 ${selected ? 'bg-brand/10 ring-2 ring-inset ring-brand' : ''}`;
+
+    if (!interactive) return `<td class="${cellClass} p-2">${content}</td>`;
+
+    return `
+      <td class="${cellClass}">
+        <button type="button" data-rubric-criterion="${criterionIndex}" data-rubric-level="${levelIndex}" aria-pressed="${selected}"
+          class="w-full h-full text-left p-2 hover:bg-brand/5 focus:outline-none focus:bg-brand/5">${content}</button>
+      </td>
+    `;
+  };
+
+  return `
+    <div class="overflow-x-auto">
+      <table class="w-full text-sm border-collapse">
+        <thead>
+          <tr class="bg-gray-50">
+            <th class="p-2 border border-gray-200 text-left font-semibold text-gray-700">Criteria</th>
+            ${rubric.levels.map(level => `<th class="p-2 border border-gray-200 text-left font-semibold text-gray-700">${escapeHtml(level)}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${rubric.criteria.map((criterion, criterionIndex) => `
+            <tr>
+              <th scope="row" class="align-top p-2 border border-gray-200 text-left font-medium text-gray-800">
+                ${escapeHtml(criterion.name)}
+                ${criterion.description ? `<span class="block text-xs font-normal text-gray-500 mt-1">${escapeHtml(criterion.description)}</span>` : ''}
+              </th>
+              ${rubric.levels.map((_, levelIndex) => renderCell(criterion, criterionIndex, levelIndex)).join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+        <tfoot>
+          <tr class="bg-gray-50">
+            <td class="p-2 border border-gray-200 font-semibold text-gray-700" colspan="${rubric.levels.length + 1}">
+              Total: <span data-rubric-total>${complete ? `${score}/${maxScore}` : `${score}/${maxScore} so far`}</span>
+            </td>
+          </tr>
+        </tfoot>
+      </table>
+    </div>
+  `;
+}
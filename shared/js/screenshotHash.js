@@ -0,0 +1,258 @@
+/*
+  File: screenshotHash.js
+  Purpose:
+  - Perceptual hashes of the score screenshots students upload for external
+    quizzes (uploadQuizScreenshot)
+  - Finds screenshots that were sent by more than one student or reused for
+    another quiz, so the submissions page can warn the teacher
+
+  Dependencies:
+  - supabase.js - for Supabase client connection
+
+  Notes:
+  - The hash is a 64-bit difference hash: the picture is shrunk to 9x8 gray
+    pixels and each bit says whether a pixel is brighter than its right
+    neighbour. Re-saving, resizing or recompressing a screenshot changes only
+    a few bits, so near-identical pictures are a small Hamming distance apart.
+  - Hashes are computed in the teacher's browser and saved through
+    save_quiz_screenshot_hashes (migration_v24_screenshot_hashes.sql). Each
+    is stored with the screenshot URL it was made from; a resubmitted
+    screenshot is hashed again.
+  - A match is a warning, not proof: two students with the same score on the
+    same quiz page can produce very similar screenshots.
+*/
+
+// ============================================
+// SETTINGS
+// ============================================
+
+// Differing bits (out of 64) at which two screenshots still count as the same picture
+const SCREENSHOT_HASH_MATCH_DISTANCE = 6;
+
+const SCREENSHOT_HASH_WIDTH = 9;
+const SCREENSHOT_HASH_HEIGHT = 8;
+
+// Each hash pixel averages a block of this size, so small text does not alias
+const SCREENSHOT_HASH_SAMPLE = 4;
+
+// ============================================
+// HASHING
+// ============================================
+
+/*
+  Function Name: loadScreenshotImage
+  Purpose:
+  - Loads a screenshot so its pixels can be read from a canvas
+  - Storage URLs are public and send CORS headers; other hosts may not
+*/
+function loadScreenshotImage(url) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Screenshot could not be loaded'));
+    image.src = url;
+  });
+}
+
+/*
+  Function Name: getScreenshotHashFromPixels
+  Purpose:
+  - Builds the difference hash from RGBA pixels sampled at
+    (9 x 4) by (8 x 4)
+  - Returns 16 lowercase hexadecimal digits
+*/
+function getScreenshotHashFromPixels(pixels) {
+  const sampleWidth = SCREENSHOT_HASH_WIDTH * SCREENSHOT_HASH_SAMPLE;
+  const gray = [];
+
+  for (let row = 0; row < SCREENSHOT_HASH_HEIGHT; row++) {
+    for (let column = 0; column < SCREENSHOT_HASH_WIDTH; column++) {
+      let total = 0;
+      for (let y = 0; y < SCREENSHOT_HASH_SAMPLE; y++) {
+        for (let x = 0; x < SCREENSHOT_HASH_SAMPLE; x++) {
+          const offset = ((row * SCREENSHOT_HASH_SAMPLE + y) * sampleWidth + column * SCREENSHOT_HASH_SAMPLE + x) * 4;
+          total += 0.299 * pixels[offset] + 0.587 * pixels[offset + 1] + 0.114 * pixels[offset + 2];
+        }
+      }
+      gray.push(total);
+    }
+  }
+
+  let hash = '';
+  for (let row = 0; row < SCREENSHOT_HASH_HEIGHT; row++) {
+    let byte = 0;
+    for (let column = 0; column < SCREENSHOT_HASH_WIDTH - 1; column++) {
+      const index = row * SCREENSHOT_HASH_WIDTH + column;
+      byte = (byte << 1) | (gray[index] > gray[index + 1] ? 1 : 0);
+    }
+    hash += byte.toString(16).padStart(2, '0');
+  }
+
+  return hash;
+}
+
+/*
+  Function Name: computeScreenshotHash
+  Purpose:
+  - Loads a screenshot and returns its 64-bit difference hash
+*/
+async function computeScreenshotHash(url) {
+  const image = await loadScreenshotImage(url);
+  const canvas = document.createElement('canvas');
+  canvas.width = SCREENSHOT_HASH_WIDTH * SCREENSHOT_HASH_SAMPLE;
+  canvas.height = SCREENSHOT_HASH_HEIGHT * SCREENSHOT_HASH_SAMPLE;
+
+  const context = canvas.getContext('2d');
+  context.imageSmoothingEnabled = true;
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+  return getScreenshotHashFromPixels(context.getImageData(0, 0, canvas.width, canvas.height).data);
+}
+
+/*
+  Function Name: getScreenshotHashDistance
+  Purpose:
+  - Number of bits that differ between two hashes (0 = same picture)
+*/
+function getScreenshotHashDistance(first, second) {
+  let distance = 0;
+
+  for (let index = 0; index < first.length; index++) {
+    let bits = parseInt(first[index], 16) ^ parseInt(second[index], 16);
+    while (bits) {
+      distance += bits & 1;
+      bits >>= 1;
+    }
+  }
+
+  return distance;
+}
+
+// ============================================
+// DUPLICATES
+// ============================================
+
+/*
+  Function Name: getScreenshotQuizKey
+  Purpose:
+  - The quiz (or legacy lesson/module) a submission is for
+*/
+function getScreenshotQuizKey(submission) {
+  return submission.quiz_id || submission.lesson_id || submission.module_id || '';
+}
+
+/*
+  Function Name: findScreenshotDuplicates
+  Purpose:
+  - Compares the hashed screenshots of submissions with each other
+  - Returns a Map of submission id -> [{ submission, distance }] for
+    screenshots that match one from another student or another quiz
+  - A student resubmitting the same screenshot for the same quiz is not flagged
+
+  Notes:
+  - submissions need id, user_id, screenshot_hash and the quiz fields
+*/
+function findScreenshotDuplicates(submissions) {
+  const hashed = submissions.filter(submission => submission.screenshot_hash);
+  const duplicates = new Map();
+
+  const addMatch = (submission, match, distance) => {
+    if (!duplicates.has(submission.id)) duplicates.set(submission.id, []);
+    duplicates.get(submission.id).push({ submission: match, distance });
+  };
+
+  for (let i = 0; i < hashed.length; i++) {
+    for (let j = i + 1; j < hashed.length; j++) {
+      const first = hashed[i];
+      const second = hashed[j];
+
+      if (first.user_id === second.user_id && getScreenshotQuizKey(first) === getScreenshotQuizKey(second)) continue;
+
+      const distance = getScreenshotHashDistance(first.screenshot_hash, second.screenshot_hash);
+      if (distance > SCREENSHOT_HASH_MATCH_DISTANCE) continue;
+
+      addMatch(first, second, distance);
+      addMatch(second, first, distance);
+    }
+  }
+
+  duplicates.forEach(matches => matches.sort((a, b) => a.distance - b.distance));
+  return duplicates;
+}
+
+// ============================================
+// SAVED HASHES
+// ============================================
+
+/*
+  Function Name: getScreenshotHashes
+  Purpose:
+  - Loads the saved hashes of the submissions the teacher can review (RLS)
+  - Returns a Map of submission id -> { screenshot_url, image_hash }
+
+  Who can use it:
+  - Teacher, Admin
+*/
+async function getScreenshotHashes() {
+  try {
+    const { data, error } = await getSupabase()
+      .from('quiz_screenshot_hashes')
+      .select('submission_id, screenshot_url, image_hash');
+
+    if (error) throw error;
+    return { success: true, hashes: new Map((data || []).map(row => [row.submission_id, row])) };
+  } catch (error) {
+    console.error('Error loading screenshot hashes:', error);
+    return { success: false, error: error.message, hashes: new Map() };
+  }
+}
+
+/*
+  Function Name: hashMissingScreenshots
+  Purpose:
+  - Hashes screenshots that have no saved hash yet (or a hash of an older
+    screenshot) and saves them
+  - Sets screenshot_hash on each submission it hashed
+
+  Who can use it:
+  - Teacher, Admin
+
+  Backend interaction:
+  - Calls save_quiz_screenshot_hashes RPC
+
+  Error handling:
+  - Screenshots that cannot be loaded are skipped and tried again next time
+*/
+async function hashMissingScreenshots(submissions) {
+  const entries = [];
+
+  for (const submission of submissions) {
+    if (!submission.screenshot_url || submission.screenshot_hash) continue;
+
+    try {
+      const hash = await computeScreenshotHash(submission.screenshot_url);
+      submission.screenshot_hash = hash;
+      entries.push({ submission_id: submission.id, screenshot_url: submission.screenshot_url, hash });
+    } catch (error) {
+      console.warn('Skipping screenshot hash:', submission.id, error.message);
+    }
+  }
+
+  if (entries.length === 0) {
+    return { success: true, hashed: 0 };
+  }
+
+  try {
+    const { error } = await getSupabase().rpc('save_quiz_screenshot_hashes', {
+      p_hashes: entries
+    });
+
+    if (error) throw error;
+    return { success: true, hashed: entries.length };
+  } catch (error) {
+    console.error('Error saving screenshot hashes:', error);
+    return { success: false, error: error.message, hashed: entries.length };
+  }
+}
@@ -27,6 +27,8 @@ class SecurityManager {
                 'https://www.mathturo.com'
             ],
             sanitizeHTML: true,
+            // LaTeX commands that can add links, images or HTML attributes
+            blockedMathCommands: ['href', 'url', 'includegraphics', 'htmlClass', 'htmlId', 'htmlStyle', 'htmlData'],
             preventXSS: true,
             enableCSRF: true,
             logSecurityEvents: true
@@ -109,6 +111,9 @@ class SecurityManager {
             case 'alphanumeric':
                 sanitized = this.sanitizeAlphanumeric(sanitized);
                 break;
+            case 'math':
+                sanitized = this.sanitizeMath(sanitized);
+                break;
             default:
                 sanitized = this.sanitizeText(sanitized);
         }
@@ -177,8 +182,25 @@ class SecurityManager {
         return input.replace(/[^a-zA-Z0-9]/g, '');
     }
 
+    // Raw LaTeX without delimiters, e.g. from a math input field
+    sanitizeMath(tex) {
+        const blocked = this.securityConfig.blockedMathCommands;
+        const commandPattern = new RegExp(`\\\\(${blocked.join('|')})(?![a-zA-Z])`, 'g');
+        const cleaned = tex.replace(commandPattern, (match, command) => {
+            this.logSecurityEvent('MATH_COMMAND_BLOCKED', { command });
+            return '';
+        });
+
+        return cleaned
+            .replace(/</g, '\\lt ')
+            .replace(/>/g, '\\gt ')
+            .replace(/[\x00-\x1F\x7F-\x9F]/g, ' ')
+            .trim();
+    }
+
+    // Math markup keeps its comparisons as \lt and \gt (protectMathMarkup in utils.js)
     sanitizeText(text) {
-        return text
+        return protectMathMarkup(text)
             .replace(/[<>]/g, '') // Remove potential HTML tags
             .replace(/[\x00-\x1F\x7F-\x9F]/g, '') // Remove control characters
             .trim();
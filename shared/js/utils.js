@@ -207,16 +207,39 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
+/*
+  Math notation is LaTeX written between $...$ or \(...\) (inline) and
+  $$...$$ or \[...\] (display). An inline $ needs text right next to it on
+  both sides, so prices such as "$5 and $10" stay plain text; \$ is a literal $.
+*/
+const MATH_MARKUP_PATTERN = /(?<!\\)\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\]|\\\(([\s\S]+?)\\\)|(?<!\\)\$([^\s$](?:[^$\n]*?[^\s$\\])?)\$/g;
+
+/*
+  Function Name: protectMathMarkup
+  Purpose:
+  - Rewrites < and > inside math as \lt and \gt, so "$a<b$" cannot be read
+    as an HTML tag by a sanitizer while still rendering the same
+  - A match with a closing tag in it spans HTML, not math, and is left alone
+*/
+function protectMathMarkup(text) {
+  if (typeof text !== 'string') return text;
+
+  return text.replace(MATH_MARKUP_PATTERN, markup => {
+    if (markup.includes('</')) return markup;
+    return markup.replace(/</g, '\\lt ').replace(/>/g, '\\gt ');
+  });
+}
+
 /*
   Function Name: sanitizeHtml
-  Purpose: Sanitizes HTML content, allowing only safe tags
+  Purpose: Sanitizes HTML content, allowing only safe tags (math markup is kept as text)
 */
 function sanitizeHtml(html) {
   if (typeof html !== 'string') return html;
 
   // Create a temporary element
   const temp = document.createElement('div');
-  temp.innerHTML = html;
+  temp.innerHTML = protectMathMarkup(html);
 
   // Remove dangerous elements
   const dangerousTags = ['script', 'iframe', 'object', 'embed', 'form', 'input', 'button'];
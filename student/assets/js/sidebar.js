@@ -64,6 +64,14 @@ document.addEventListener('DOMContentLoaded', function () {
                     </svg>
                     <span>Quizzes</span>
                 </a>
+
+                <p class="text-xs text-gray-400 uppercase tracking-wider px-4 pt-4 mb-2">Tools</p>
+                <button type="button" data-calculator-launcher class="sidebar-link w-full flex items-center space-x-3 px-4 py-3 rounded-xl text-gray-700 text-left">
+                    <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 7h6m0 10v-3m-3 3h.01M9 17h.01M9 14h.01M12 14h.01M15 11h.01M12 11h.01M9 11h.01M7 21h10a2 2 0 002-2V5a2 2 0 00-2-2H7a2 2 0 00-2 2v14a2 2 0 002 2z"/>
+                    </svg>
+                    <span>Calculator</span>
+                </button>
             </nav>
         </div>
         
@@ -86,14 +94,15 @@ document.addEventListener('DOMContentLoaded', function () {
 
   // Set active link based on current page
   const currentPage = window.location.pathname.split('/').pop().toLowerCase();
-  const sidebarLinks = document.querySelectorAll('.sidebar-link');
+  const sidebarLinks = document.querySelectorAll('a.sidebar-link');
   sidebarLinks.forEach(link => {
     const href = (link.getAttribute('href') || '').toLowerCase();
     const linkPage = href.split('#')[0].split('?')[0];
     const isActive =
       currentPage === linkPage ||
       (currentPage === '' && linkPage === 'dashboard.html') ||
-      ((currentPage === 'module-view.html' || currentPage === 'lesson-view.html') && linkPage === 'modules.html');
+      ((currentPage === 'module-view.html' || currentPage === 'lesson-view.html') && linkPage === 'modules.html') ||
+      (currentPage === 'quiz-player.html' && linkPage === 'quizzes.html');
 
     if (isActive) {
       link.classList.add('active');
@@ -11,6 +11,7 @@
   - auth.js - for authentication checks
   - modules.js - for module and lesson data handling
   - uploads.js - for file upload functionality
+  - passingThresholds.js - for quiz pass marks (achievements)
 */
 
 /*
@@ -273,7 +274,10 @@ async function getStudentProgressByModule(moduleId) {
     // Calculate progress
     const lessonProgress = lessons.map(lesson => {
       const lessonProgress = progress.find(p => p.lesson_id === lesson.id);
-      const quizSubmission = submissions.find(s => s.lesson_id === lesson.id);
+      // Latest attempt for the lesson (earlier attempts are kept as history)
+      const quizSubmission = submissions
+        .filter(s => s.lesson_id === lesson.id)
+        .sort((a, b) => (b.attempt_number || 1) - (a.attempt_number || 1))[0];
 
       return {
         lesson_id: lesson.id,
@@ -370,8 +374,8 @@ async function getQuizSubmissions(status = null) {
   Function Name: requestQuizResubmission
   Purpose:
   - Requests to resubmit a rejected quiz
-  - Updates the submission status back to pending
-  - Clears any existing teacher comments
+  - Starts a new pending attempt from the rejected one
+  - Keeps the rejected attempt and its teacher comments as history
 
   When it runs:
   - Called when student clicks "Resubmit" on a rejected quiz
@@ -380,12 +384,12 @@ async function getQuizSubmissions(status = null) {
   - Student
 
   Backend interaction:
-  - Updates the quiz_submissions table
-  - Changes status from "rejected" to "pending"
-  - Clears teacher_comment field
-  - Updates updated_at timestamp
+  - Reads the rejected row from the quiz_submissions table
+  - Inserts a new "pending" row with the same lesson, quiz, score and screenshot
+  - The database assigns the next attempt_number and enforces the quiz's max_attempts
 
   Error handling:
+  - Shows alert if the submission is not rejected
   - Shows alert if request fails
   - Logs error to console
 */
@@ -399,16 +403,39 @@ async function requestQuizResubmission(submissionId) {
       return false;
     }
 
-    // Update submission status
+    // Get the rejected attempt
+    const { data: submission, error: getError } = await getSupabase()
+      .from('quiz_submissions')
+      .select('lesson_id, module_id, quiz_id, student_score, total_items, screenshot_url, status')
+      .eq('id', submissionId)
+      .eq('user_id', user.id)
+      .single();
+
+    if (getError) {
+      throw new Error(getError.message);
+    }
+
+    if (submission.status !== 'rejected') {
+      alert('Only rejected submissions can be resubmitted');
+      return false;
+    }
+
+    // Create a new attempt instead of overwriting the rejected one
     const { error } = await getSupabase()
       .from('quiz_submissions')
-      .update({
+      .insert({
+        user_id: user.id,
+        lesson_id: submission.lesson_id,
+        module_id: submission.module_id,
+        quiz_id: submission.quiz_id,
+        student_score: submission.student_score,
+        total_items: submission.total_items,
+        screenshot_url: submission.screenshot_url,
         status: 'pending',
-        teacher_comment: null,
+        submitted_at: new Date().toISOString(),
+        created_at: new Date().toISOString(),
         updated_at: new Date().toISOString()
-      })
-      .eq('id', submissionId)
-      .eq('user_id', user.id);
+      });
 
     if (error) {
       throw new Error(error.message);
@@ -426,21 +453,22 @@ async function requestQuizResubmission(submissionId) {
 /*
   Function Name: updateQuizSubmission
   Purpose:
-  - Updates an existing quiz submission
-  - Allows student to resubmit with new score or screenshot
+  - Updates a pending quiz submission in place
+  - Records a new attempt when the submission was already reviewed
   - Handles file upload if new screenshot is provided
 
   When it runs:
-  - Called when student resubmits a quiz after rejection
+  - Called when student edits a pending quiz submission
+  - Called when student resubmits a quiz after review
 
   Who can use it:
   - Student
 
   Backend interaction:
-  - Updates the quiz_submissions table
+  - Updates the quiz_submissions row while it is still pending
+  - Otherwise inserts a new pending row, keeping the reviewed attempt as history
   - Handles file upload for new screenshot
-  - Changes status back to pending
-  - Clears teacher comments
+  - The database assigns attempt_number and enforces the quiz's max_attempts
 
   Error handling:
   - Validates input values
@@ -480,7 +508,7 @@ async function updateQuizSubmission(submissionId, score, totalItems, screenshotF
     // Get existing submission data to check current status
     const { data: existingSubmission, error: getError } = await getSupabase()
       .from('quiz_submissions')
-      .select('status')
+      .select('lesson_id, module_id, quiz_id, screenshot_url, status')
       .eq('id', submissionId)
       .eq('user_id', user.id)
       .single();
@@ -489,49 +517,59 @@ async function updateQuizSubmission(submissionId, score, totalItems, screenshotF
       throw new Error(getError.message);
     }
 
-    const updateData = {
-      student_score: numScore,
-      total_items: numTotalItems,
-      status: 'pending',
-      teacher_comment: null,
-      teacher_feedback: null,
-      reviewed_at: null,
-      reviewed_by: null,
-      updated_at: new Date().toISOString()
-    };
+    let screenshotUrl = existingSubmission.screenshot_url;
 
     // Upload new screenshot if provided
     if (screenshotFile) {
-      // Get submission data to get lesson_id
-      const { data: submission, error: getError } = await getSupabase()
-        .from('quiz_submissions')
-        .select('lesson_id')
-        .eq('id', submissionId)
-        .single();
-
-      if (getError) {
-        throw new Error(getError.message);
-      }
-
-      const uploadResult = await uploadQuizScreenshot(submission.lesson_id, user.id, screenshotFile);
+      const uploadResult = await uploadQuizScreenshot(existingSubmission.lesson_id, user.id, screenshotFile);
       
       if (!uploadResult.success) {
         alert('Failed to upload screenshot: ' + uploadResult.error);
         return false;
       }
       
-      updateData.screenshot_url = uploadResult.url;
+      screenshotUrl = uploadResult.url;
     }
 
-    // Update the submission
-    const { error: updateError } = await getSupabase()
+    // Pending submissions have not been reviewed yet, so edit them in place
+    if (existingSubmission.status === 'pending') {
+      const { error: updateError } = await getSupabase()
+        .from('quiz_submissions')
+        .update({
+          student_score: numScore,
+          total_items: numTotalItems,
+          screenshot_url: screenshotUrl,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', submissionId)
+        .eq('user_id', user.id);
+
+      if (updateError) {
+        throw new Error(updateError.message);
+      }
+
+      return true;
+    }
+
+    // Reviewed submissions stay as history; record a new attempt
+    const { error: insertError } = await getSupabase()
       .from('quiz_submissions')
-      .update(updateData)
-      .eq('id', submissionId)
-      .eq('user_id', user.id);
+      .insert({
+        user_id: user.id,
+        lesson_id: existingSubmission.lesson_id,
+        module_id: existingSubmission.module_id,
+        quiz_id: existingSubmission.quiz_id,
+        student_score: numScore,
+        total_items: numTotalItems,
+        screenshot_url: screenshotUrl,
+        status: 'pending',
+        submitted_at: new Date().toISOString(),
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      });
 
-    if (updateError) {
-      throw new Error(updateError.message);
+    if (insertError) {
+      throw new Error(insertError.message);
     }
 
     return true;
@@ -547,6 +585,28 @@ async function updateQuizSubmission(submissionId, score, totalItems, screenshotF
 // STUDENT DASHBOARD API FUNCTIONS
 // ============================================
 
+/*
+  Function Name: countPassedQuizzes
+  Purpose:
+  - Counts the distinct quizzes a student has passed (an approved attempt at
+    or above the pass mark)
+  - Lesson quizzes have no quiz_id, so they are keyed by lesson, and legacy
+    rows by module; repeat passing attempts count once
+
+  Returns:
+  - Number of distinct passed quizzes
+*/
+function countPassedQuizzes(submissions, thresholds) {
+  const passedKeys = (submissions || [])
+    .filter(s => s.status === 'approved' && isQuizScorePassing(s.student_score, s.total_items, s.quizzes, thresholds))
+    .map(s => {
+      if (s.quiz_id) return s.quiz_id;
+      if (s.lesson_id) return `lesson:${s.lesson_id}`;
+      return `module:${s.module_id}`;
+    });
+  return new Set(passedKeys).size;
+}
+
 /*
   Function Name: getStudentDashboardStats
   Purpose:
@@ -577,8 +637,9 @@ async function getStudentDashboardStats() {
     // Get quiz submissions
     const { data: submissions } = await getSupabase()
       .from('quiz_submissions')
-      .select('student_score, total_items, status')
+      .select('quiz_id, lesson_id, module_id, student_score, total_items, status, quizzes(passing_score, total_items, grading_component)')
       .eq('user_id', user.id);
+    const thresholds = await loadPassingThresholds();
 
     // Calculate stats
     const completedLessons = lessonProgress?.length || 0;
@@ -608,6 +669,8 @@ async function getStudentDashboardStats() {
       averageScore = Math.round(totalPercent / approvedSubmissions.length);
     }
 
+    const passedQuizzes = countPassedQuizzes(approvedSubmissions, thresholds);
+
     // Calculate XP
     const xp = (completedLessons * 10) + (completedModules * 50) + (approvedSubmissions.length * 20);
 
@@ -619,6 +682,7 @@ async function getStudentDashboardStats() {
       completedLessons,
       submissions: submissions || [],
       approvedSubmissions: approvedSubmissions.length,
+      passedQuizzes,
       averageScore,
       xp
     };
@@ -796,7 +860,7 @@ async function getStudentAchievements() {
       { id: 'first_lesson', emoji: '🏆', name: 'First Steps', desc: 'Complete your first lesson', earned: stats.completedLessons >= 1 },
       { id: 'five_lessons', emoji: '📖', name: 'Bookworm', desc: 'Complete 5 lessons', earned: stats.completedLessons >= 5 },
       { id: 'ten_lessons', emoji: '📚', name: 'Scholar', desc: 'Complete 10 lessons', earned: stats.completedLessons >= 10 },
-      { id: 'quiz_master', emoji: '⭐', name: 'Quiz Star', desc: 'Get 5 quizzes approved', earned: stats.approvedSubmissions >= 5 },
+      { id: 'quiz_master', emoji: '⭐', name: 'Quiz Star', desc: 'Pass 5 quizzes', earned: stats.passedQuizzes >= 5 },
       { id: 'perfect_score', emoji: '🎯', name: 'Perfectionist', desc: 'Get a perfect quiz score', earned: stats.submissions.some(s => s.student_score === s.total_items) },
       { id: 'module_complete', emoji: '🎓', name: 'Module Master', desc: 'Complete a module', earned: stats.completedModules >= 1 },
       { id: 'streak_3', emoji: '🔥', name: '3 Day Streak', desc: 'Learn 3 days in a row', earned: streak >= 3 },
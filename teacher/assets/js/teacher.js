@@ -3,7 +3,7 @@
   Purpose:
   - Contains all teacher-specific functionality
   - Manages module and lesson creation/editing
-  - Handles quiz submission approval/rejection
+  - Handles quiz submission approval/rejection (single, bulk and undo), rubric and assignment grading
   - Views student progress reports
 
   Dependencies:
@@ -144,6 +144,235 @@ async function rejectQuizSubmission(submissionId, comment) {
   }
 }
 
+// Review fields saved before a review, so undoQuizSubmissionReview can put them back.
+// Grading assignments and rubrics also sets the score and the feedback files.
+const QUIZ_REVIEW_FIELDS = 'id, status, teacher_comment, reviewed_at, reviewed_by, student_score, total_items, rubric_scores, score_before_penalty, feedback_files';
+
+/*
+  Function Name: reviewQuizSubmissions
+  Purpose:
+  - Approves or rejects one or more pending submissions with one shared comment
+  - Returns the review fields as they were before, for undo
+
+  When it runs:
+  - Called from the review form, the review queue and bulk actions on the
+    submissions page
+
+  Who can use it:
+  - Teacher / Admin
+
+  Backend interaction:
+  - Reads, then updates the quiz_submissions table
+  - Only rows that are still pending are changed
+
+  Error handling:
+  - Validates user role
+  - Requires a comment when rejecting
+  - Returns { success: false, error } instead of showing alerts
+*/
+async function reviewQuizSubmissions(submissionIds, status, comment = null) {
+  try {
+    const user = JSON.parse(localStorage.getItem('user'));
+
+    if (!user || (user.role !== 'teacher' && user.role !== 'admin')) {
+      throw new Error('You do not have permission to review quiz submissions');
+    }
+
+    if (status !== 'approved' && status !== 'rejected') {
+      throw new Error('Unknown review status: ' + status);
+    }
+
+    const reviewComment = comment?.trim() || null;
+    if (status === 'rejected' && !reviewComment) {
+      throw new Error('Please provide a comment explaining the rejection');
+    }
+
+    const { data: previous, error: readError } = await getSupabase()
+      .from('quiz_submissions')
+      .select(QUIZ_REVIEW_FIELDS)
+      .in('id', submissionIds)
+      .eq('status', 'pending');
+
+    if (readError) throw readError;
+    if (!previous || previous.length === 0) {
+      return { success: true, submissions: [], previous: [] };
+    }
+
+    const { data: submissions, error } = await getSupabase()
+      .from('quiz_submissions')
+      .update({
+        status,
+        teacher_comment: reviewComment,
+        reviewed_at: new Date().toISOString(),
+        reviewed_by: user.id
+      })
+      .in('id', previous.map(row => row.id))
+      .eq('status', 'pending')
+      .select(QUIZ_REVIEW_FIELDS);
+
+    if (error) throw error;
+
+    const reviewedIds = new Set((submissions || []).map(row => row.id));
+    return {
+      success: true,
+      submissions: submissions || [],
+      previous: previous.filter(row => reviewedIds.has(row.id))
+    };
+  } catch (error) {
+    console.error('Error reviewing quiz submissions:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/*
+  Function Name: gradeQuizSubmissionWithRubric
+  Purpose:
+  - Grades one submission with its quiz's rubric and approves it
+  - selections holds the chosen level index for each criterion
+  - feedbackFiles replaces the returned files; null keeps them
+  - Returns the review fields as they were before, for undo
+
+  Who can use it:
+  - Teacher / Admin
+
+  Backend interaction:
+  - Reads quiz_submissions, then calls grade_quiz_submission_with_rubric RPC,
+    which adds up the points and saves the filled rubric
+
+  Error handling:
+  - Validates user role
+  - Returns { success: false, error } instead of showing alerts
+*/
+async function gradeQuizSubmissionWithRubric(submissionId, selections, comment = null, feedbackFiles = null) {
+  try {
+    const user = JSON.parse(localStorage.getItem('user'));
+
+    if (!user || (user.role !== 'teacher' && user.role !== 'admin')) {
+      throw new Error('You do not have permission to grade quiz submissions');
+    }
+
+    const { data: previous, error: readError } = await getSupabase()
+      .from('quiz_submissions')
+      .select(QUIZ_REVIEW_FIELDS)
+      .eq('id', submissionId)
+      .single();
+
+    if (readError) throw readError;
+
+    const { data: submission, error } = await getSupabase().rpc('grade_quiz_submission_with_rubric', {
+      p_submission_id: submissionId,
+      p_selections: selections,
+      p_comment: comment?.trim() || null,
+      p_feedback_files: feedbackFiles
+    });
+
+    if (error) throw error;
+    return { success: true, submissions: [submission], previous: [previous] };
+  } catch (error) {
+    console.error('Error grading quiz submission with rubric:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/*
+  Function Name: gradeAssignmentSubmission
+  Purpose:
+  - Grades one assignment without a rubric with a score and approves it
+  - score is out of the assignment's total points, before any late penalty
+  - feedbackFiles replaces the returned files; null keeps them
+  - Returns the review fields as they were before, for undo
+
+  Who can use it:
+  - Teacher / Admin
+
+  Backend interaction:
+  - Reads quiz_submissions, then calls grade_assignment_submission RPC,
+    which takes off the late penalty
+
+  Error handling:
+  - Validates user role
+  - Returns { success: false, error } instead of showing alerts
+*/
+async function gradeAssignmentSubmission(submissionId, score, comment = null, feedbackFiles = null) {
+  try {
+    const user = JSON.parse(localStorage.getItem('user'));
+
+    if (!user || (user.role !== 'teacher' && user.role !== 'admin')) {
+      throw new Error('You do not have permission to grade assignments');
+    }
+
+    const { data: previous, error: readError } = await getSupabase()
+      .from('quiz_submissions')
+      .select(QUIZ_REVIEW_FIELDS)
+      .eq('id', submissionId)
+      .single();
+
+    if (readError) throw readError;
+
+    const { data: submission, error } = await getSupabase().rpc('grade_assignment_submission', {
+      p_submission_id: submissionId,
+      p_score: score,
+      p_comment: comment?.trim() || null,
+      p_feedback_files: feedbackFiles
+    });
+
+    if (error) throw error;
+    return { success: true, submissions: [submission], previous: [previous] };
+  } catch (error) {
+    console.error('Error grading assignment submission:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/*
+  Function Name: undoQuizSubmissionReview
+  Purpose:
+  - Puts back the review fields returned by reviewQuizSubmissions,
+    gradeQuizSubmissionWithRubric or gradeAssignmentSubmission
+
+  Who can use it:
+  - Teacher / Admin
+
+  Backend interaction:
+  - Updates quiz_submissions rows that still have the reviewed status; rows a
+    student has resubmitted since are left alone
+
+  Error handling:
+  - Returns { success: false, error } instead of showing alerts
+*/
+async function undoQuizSubmissionReview(previous, reviewedStatus) {
+  try {
+    const submissions = [];
+
+    for (const row of previous) {
+      const { data, error } = await getSupabase()
+        .from('quiz_submissions')
+        .update({
+          status: row.status,
+          teacher_comment: row.teacher_comment,
+          reviewed_at: row.reviewed_at,
+          reviewed_by: row.reviewed_by,
+          student_score: row.student_score,
+          total_items: row.total_items,
+          rubric_scores: row.rubric_scores,
+          score_before_penalty: row.score_before_penalty,
+          feedback_files: row.feedback_files
+        })
+        .eq('id', row.id)
+        .eq('status', reviewedStatus)
+        .select(QUIZ_REVIEW_FIELDS);
+
+      if (error) throw error;
+      submissions.push(...(data || []));
+    }
+
+    return { success: true, submissions };
+  } catch (error) {
+    console.error('Error undoing quiz submission review:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 /*
   Function Name: getPendingQuizSubmissions
   Purpose:
@@ -208,9 +437,10 @@ async function getPendingQuizSubmissions() {
   - Teacher / Admin
 
   Backend interaction:
-  - Reads from users, modules, lessons, lesson_progress, and quiz_submissions tables
-  - Calculates completion percentages per module
-  - Returns detailed progress data
+  - Reads the student_module_progress_summary, student_lesson_progress_summary
+    and student_quiz_score_summary views (migration_v32_progress_aggregates.sql),
+    which count in the database and only see rows RLS lets the teacher read
+  - Reads the lessons of the published modules for their titles and order
 
   Error handling:
   - Returns null if student not found
@@ -225,105 +455,75 @@ async function getStudentProgress(studentId) {
       return null;
     }
 
-    // Get student information
-    const { data: student, error: studentError } = await getSupabase()
-      .from('users')
-      .select('*')
-      .eq('id', studentId)
-      .single();
-
-    if (studentError) {
-      console.error('Error loading student:', studentError);
+    const supabase = getSupabase();
+    const [studentResult, modulesResult, lessonProgressResult, quizzesResult] = await Promise.all([
+      supabase
+        .from('users')
+        .select('id, full_name, email')
+        .eq('id', studentId)
+        .single(),
+      supabase
+        .from('student_module_progress_summary')
+        .select('module_id, module_title, total_lessons, completed_lessons, completion_percentage, quiz_submissions, approved_quizzes')
+        .eq('student_id', studentId)
+        .eq('module_status', 'published')
+        .order('module_order', { ascending: true }),
+      supabase
+        .from('student_lesson_progress_summary')
+        .select('*')
+        .eq('student_id', studentId),
+      supabase
+        .from('student_quiz_score_summary')
+        .select('quiz_id, quiz_title, scoring_rule, attempts, score, total_items, percentage, status')
+        .eq('student_id', studentId)
+    ]);
+
+    if (studentResult.error) {
+      console.error('Error loading student:', studentResult.error);
       return null;
     }
 
-    // Get all modules and lessons
-    const { data: modules, error: modulesError } = await getSupabase()
-      .from('modules')
-      .select('*, lessons(*)')
-      .eq('is_active', true)
-      .order('order', { ascending: true });
-
-    if (modulesError) {
-      console.error('Error loading modules:', modulesError);
+    if (modulesResult.error) {
+      console.error('Error loading module progress:', modulesResult.error);
       return null;
     }
 
-    // Get lesson progress
-    const { data: progressData, error: progressError } = await getSupabase()
-      .from('lesson_progress')
-      .select('*')
-      .eq('user_id', studentId);
-
-    if (progressError) {
-      console.error('Error loading lesson progress:', progressError);
+    if (lessonProgressResult.error) {
+      console.error('Error loading lesson progress:', lessonProgressResult.error);
     }
 
-    // Get quiz submissions
-    const { data: submissionsData, error: submissionsError } = await getSupabase()
-      .from('quiz_submissions')
-      .select('*')
-      .eq('user_id', studentId);
-
-    if (submissionsError) {
-      console.error('Error loading quiz submissions:', submissionsError);
+    if (quizzesResult.error) {
+      console.error('Error loading quiz scores:', quizzesResult.error);
     }
 
-    const progress = progressData || [];
-    const submissions = submissionsData || [];
+    const student = studentResult.data;
+    const modules = modulesResult.data || [];
+    const lessonProgress = lessonProgressResult.data || [];
+
+    // Lessons the student has not opened have no summary row
+    let lessons = [];
+    if (modules.length > 0) {
+      const { data: lessonsData, error: lessonsError } = await supabase
+        .from('lessons')
+        .select('id, title, module_id')
+        .in('module_id', modules.map(module => module.module_id))
+        .order('order_index', { ascending: true });
+
+      if (lessonsError) {
+        console.error('Error loading lessons:', lessonsError);
+      }
+      lessons = lessonsData || [];
+    }
 
-    // Process module progress
-    const moduleProgress = modules.map(module => {
-      const moduleLessons = module.lessons || [];
-      
-      const completedLessons = moduleLessons.filter(lesson => 
-        progress.some(p => p.lesson_id === lesson.id && p.completed)
-      ).length;
-
-      const quizSubmissions = moduleLessons.filter(lesson => 
-        submissions.some(s => s.lesson_id === lesson.id)
-      ).length;
-
-      const approvedQuizzes = moduleLessons.filter(lesson => 
-        submissions.some(s => s.lesson_id === lesson.id && s.status === 'approved')
-      ).length;
-
-      const completionPercentage = moduleLessons.length > 0 ? 
-        Math.round((completedLessons / moduleLessons.length) * 100) : 0;
-
-      return {
-        module_id: module.id,
-        module_title: module.title,
-        total_lessons: moduleLessons.length,
-        completed_lessons: completedLessons,
-        completion_percentage: completionPercentage,
-        quiz_submissions: quizSubmissions,
-        approved_quizzes: approvedQuizzes,
-        lessons: moduleLessons.map(lesson => {
-          const lessonProgress = progress.find(p => p.lesson_id === lesson.id);
-          const quizSubmission = submissions.find(s => s.lesson_id === lesson.id);
-
-          return {
-            lesson_id: lesson.id,
-            lesson_title: lesson.title,
-            completed: !!lessonProgress?.completed,
-            completed_at: lessonProgress?.completed_at,
-            quiz_submitted: !!quizSubmission,
-            quiz_score: quizSubmission?.student_score,
-            quiz_total_items: quizSubmission?.total_items,
-            quiz_status: quizSubmission?.status,
-            quiz_screenshot_url: quizSubmission?.screenshot_url,
-            teacher_comment: quizSubmission?.teacher_comment
-          };
-        })
-      };
-    });
+    const moduleProgress = modules.map(module => ({
+      ...module,
+      lessons: lessons
+        .filter(lesson => lesson.module_id === module.module_id)
+        .map(lesson => formatLessonProgress(lesson, lessonProgress.find(p => p.lesson_id === lesson.id)))
+    }));
 
-    // Calculate overall progress
-    const totalLessons = modules.reduce((sum, module) => sum + module.lessons.length, 0);
-    const totalCompletedLessons = moduleProgress.reduce((sum, module) => sum + module.completed_lessons, 0);
-    const totalApprovedQuizzes = moduleProgress.reduce((sum, module) => sum + module.approved_quizzes, 0);
-    const totalQuizSubmissions = moduleProgress.reduce((sum, module) => sum + module.quiz_submissions, 0);
+    const totalLessons = modules.reduce((sum, module) => sum + module.total_lessons, 0);
+    const totalCompletedLessons = modules.reduce((sum, module) => sum + module.completed_lessons, 0);
 
     return {
       user_id: student.id,
@@ -332,9 +532,14 @@ async function getStudentProgress(studentId) {
       total_lessons: totalLessons,
       completed_lessons: totalCompletedLessons,
       overall_completion: totalLessons > 0 ? Math.round((totalCompletedLessons / totalLessons) * 100) : 0,
-      total_quizzes_submitted: totalQuizSubmissions,
-      total_quizzes_approved: totalApprovedQuizzes,
-      modules: moduleProgress
+      total_quizzes_submitted: modules.reduce((sum, module) => sum + module.quiz_submissions, 0),
+      total_quizzes_approved: modules.reduce((sum, module) => sum + module.approved_quizzes, 0),
+      modules: moduleProgress,
+      quizzes: (quizzesResult.data || []).map(quiz => ({
+        ...quiz,
+        score: quiz.score === null ? null : Number(quiz.score),
+        percentage: quiz.percentage === null ? null : Number(quiz.percentage)
+      }))
     };
 
   } catch (error) {
@@ -343,6 +548,23 @@ async function getStudentProgress(studentId) {
   }
 }
 
+// One lesson of a progress report, from its student_lesson_progress_summary row (none when untouched)
+function formatLessonProgress(lesson, progress) {
+  return {
+    lesson_id: lesson.id,
+    lesson_title: lesson.title,
+    completed: !!progress?.completed,
+    completed_at: progress?.completed_at,
+    quiz_submitted: !!progress?.quiz_submitted,
+    quiz_attempts: progress?.quiz_attempts || 0,
+    quiz_score: progress?.quiz_score,
+    quiz_total_items: progress?.quiz_total_items,
+    quiz_status: progress?.quiz_status,
+    quiz_screenshot_url: progress?.quiz_screenshot_url,
+    teacher_comment: progress?.teacher_comment
+  };
+}
+
 /*
   Function Name: getStudentsByModule
   Purpose:
@@ -357,9 +579,9 @@ async function getStudentProgress(studentId) {
   - Teacher / Admin
 
   Backend interaction:
-  - Reads from users, lessons, lesson_progress, and quiz_submissions tables
-  - Filters by module ID
-  - Returns per-student progress data
+  - Reads the student_module_progress_summary and student_lesson_progress_summary
+    views for the module (migration_v32_progress_aggregates.sql)
+  - Reads the module's lessons for their order
 
   Error handling:
   - Returns empty array if no students found
@@ -374,92 +596,105 @@ async function getStudentsByModule(moduleId) {
       return [];
     }
 
-    // Get all lessons in the module
-    const { data: lessons, error: lessonsError } = await getSupabase()
-      .from('lessons')
-      .select('id')
-      .eq('module_id', moduleId);
+    const supabase = getSupabase();
+    const [studentsResult, lessonsResult, lessonProgressResult] = await Promise.all([
+      supabase
+        .from('student_module_progress_summary')
+        .select('student_id, student_name, student_email, total_lessons, completed_lessons, completion_percentage, submission_count, quiz_submissions, approved_quizzes')
+        .eq('module_id', moduleId)
+        .order('student_name', { ascending: true }),
+      supabase
+        .from('lessons')
+        .select('id, title, module_id')
+        .eq('module_id', moduleId)
+        .order('order_index', { ascending: true }),
+      supabase
+        .from('student_lesson_progress_summary')
+        .select('*')
+        .eq('module_id', moduleId)
+    ]);
+
+    if (studentsResult.error) {
+      console.error('Error loading module progress:', studentsResult.error);
+      return [];
+    }
 
-    if (lessonsError) {
-      console.error('Error loading lessons:', lessonsError);
+    if (lessonsResult.error) {
+      console.error('Error loading lessons:', lessonsResult.error);
       return [];
     }
 
-    // Get all students
-    const { data: students, error: studentsError } = await getSupabase()
-      .from('users')
+    if (lessonProgressResult.error) {
+      console.error('Error loading lesson progress:', lessonProgressResult.error);
+    }
+
+    const lessons = lessonsResult.data || [];
+    const lessonProgress = lessonProgressResult.data || [];
+
+    return (studentsResult.data || []).map(student => ({
+      user_id: student.student_id,
+      student_name: student.student_name,
+      student_email: student.student_email,
+      total_lessons: student.total_lessons,
+      completed_lessons: student.completed_lessons,
+      completion_percentage: student.completion_percentage,
+      submitted_quizzes: student.submission_count,
+      approved_quizzes: student.approved_quizzes,
+      lessons: lessons.map(lesson => formatLessonProgress(
+        lesson,
+        lessonProgress.find(p => p.student_id === student.student_id && p.lesson_id === lesson.id)
+      ))
+    }));
+
+  } catch (error) {
+    console.error('Error getting students by module:', error);
+    return [];
+  }
+}
+
+/*
+  Function Name: getSectionProgress
+  Purpose:
+  - Retrieves the progress of each section: students, average completion of
+    the published modules of their grade and section, and submission counts
+    by status
+  - Pass a section ID for one section
+
+  When it runs:
+  - Called when teacher compares their sections
+
+  Who can use it:
+  - Teacher / Admin
+
+  Backend interaction:
+  - Reads the section_progress_summary view (migration_v32_progress_aggregates.sql)
+
+  Error handling:
+  - Returns empty array if the query fails
+  - Logs errors to console
+*/
+async function getSectionProgress(sectionId = null) {
+  try {
+    let query = getSupabase()
+      .from('section_progress_summary')
       .select('*')
-      .eq('role', 'student');
+      .order('section_name', { ascending: true });
 
-    if (studentsError) {
-      console.error('Error loading students:', studentsError);
-      return [];
+    if (sectionId) {
+      query = query.eq('section_id', sectionId);
     }
 
-    // Get lesson progress for all students
-    const { data: progressData, error: progressError } = await getSupabase()
-      .from('lesson_progress')
-      .select('*')
-      .in('lesson_id', lessons.map(lesson => lesson.id));
+    const { data, error } = await query;
 
-    if (progressError) {
-      console.error('Error loading lesson progress:', progressError);
+    if (error) {
+      console.error('Error loading section progress:', error);
+      return [];
     }
 
-    // Get quiz submissions for all students
-    const { data: submissionsData, error: submissionsError } = await getSupabase()
-      .from('quiz_submissions')
-      .select('*')
-      .in('lesson_id', lessons.map(lesson => lesson.id));
-
-    if (submissionsError) {
-      console.error('Error loading quiz submissions:', submissionsError);
-    }
-
-    const progress = progressData || [];
-    const submissions = submissionsData || [];
-
-    // Process student progress
-    return students.map(student => {
-      const studentProgress = progress.filter(p => p.user_id === student.id);
-      const studentSubmissions = submissions.filter(s => s.user_id === student.id);
-
-      const completedLessons = studentProgress.filter(p => p.completed).length;
-      const submittedQuizzes = studentSubmissions.length;
-      const approvedQuizzes = studentSubmissions.filter(s => s.status === 'approved').length;
-
-      const completionPercentage = lessons.length > 0 ? 
-        Math.round((completedLessons / lessons.length) * 100) : 0;
-
-      return {
-        user_id: student.id,
-        student_name: student.full_name,
-        student_email: student.email,
-        total_lessons: lessons.length,
-        completed_lessons: completedLessons,
-        completion_percentage: completionPercentage,
-        submitted_quizzes: submittedQuizzes,
-        approved_quizzes: approvedQuizzes,
-        lessons: lessons.map(lesson => {
-          const lessonProgress = studentProgress.find(p => p.lesson_id === lesson.id);
-          const quizSubmission = studentSubmissions.find(s => s.lesson_id === lesson.id);
-
-          return {
-            lesson_id: lesson.id,
-            completed: !!lessonProgress?.completed,
-            quiz_submitted: !!quizSubmission,
-            quiz_score: quizSubmission?.student_score,
-            quiz_total_items: quizSubmission?.total_items,
-            quiz_status: quizSubmission?.status,
-            quiz_screenshot_url: quizSubmission?.screenshot_url,
-            teacher_comment: quizSubmission?.teacher_comment
-          };
-        })
-      };
-    });
+    return data || [];
 
   } catch (error) {
-    console.error('Error getting students by module:', error);
+    console.error('Error getting section progress:', error);
     return [];
   }
 }
@@ -478,45 +713,37 @@ async function getStudentsByModule(moduleId) {
   - Teacher / Admin
 
   Backend interaction:
-  - Reads from quiz_submissions table
-  - Counts submissions by status
+  - Reads the quiz_submission_status_counts view, which counts the
+    submissions RLS lets the teacher read (migration_v32_progress_aggregates.sql)
 
   Error handling:
   - Returns default counts if query fails
   - Logs errors to console
 */
 async function getSubmissionStats() {
+  const stats = { pending: 0, approved: 0, rejected: 0 };
+
   try {
-    // Supabase JS client doesn't support .group() directly
-    // We need to fetch all submissions and count client-side, or use separate queries
-    const { data: allSubmissions, error } = await getSupabase()
-      .from('quiz_submissions')
-      .select('status');
+    const { data, error } = await getSupabase()
+      .from('quiz_submission_status_counts')
+      .select('status, submission_count');
 
     if (error) {
       console.error('Error loading submission stats:', error);
-      return { pending: 0, approved: 0, rejected: 0 };
+      return stats;
     }
 
-    const stats = {
-      pending: 0,
-      approved: 0,
-      rejected: 0
-    };
-
-    if (allSubmissions) {
-      allSubmissions.forEach(submission => {
-        if (stats[submission.status] !== undefined) {
-          stats[submission.status]++;
-        }
-      });
-    }
+    (data || []).forEach(row => {
+      if (stats[row.status] !== undefined) {
+        stats[row.status] = row.submission_count;
+      }
+    });
 
     return stats;
 
   } catch (error) {
     console.error('Error getting submission stats:', error);
-    return { pending: 0, approved: 0, rejected: 0 };
+    return stats;
   }
 }
 